@@ -0,0 +1,64 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+
+const ACCESS_KEY_PREFIX = "ak_"
+
+// API keys for calling this server's REST API (provider credentials live in ApiKey)
+const accessKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    // Account the key acts as: a Client, an Admin or a Superadmin
+    ownerType: { type: String, enum: ["client", "admin", "superadmin"], required: true },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // Tenant the key is scoped to; only set for client keys
+    clientId: { type: String, index: true },
+    // SHA-256 of the key; the key itself is returned once on creation and never stored
+    keyHash: { type: String, required: true, unique: true, select: false },
+    keyPreview: { type: String, required: true },
+    isActive: { type: Boolean, default: true },
+    expiresAt: { type: Date },
+    lastUsedAt: { type: Date },
+    createdBy: { type: String },
+    revokedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+accessKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex")
+}
+
+accessKeySchema.statics.isAccessKey = function (token) {
+  return typeof token === "string" && token.startsWith(ACCESS_KEY_PREFIX)
+}
+
+/**
+ * Create a key for an account
+ * @returns {Promise<{ key: string, accessKey: Object }>} the plain key (show it once) and the stored document
+ */
+accessKeySchema.statics.issue = async function ({ name, ownerType, ownerId, clientId, expiresAt, createdBy }) {
+  const key = `${ACCESS_KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`
+  const accessKey = await this.create({
+    name,
+    ownerType,
+    ownerId,
+    clientId: ownerType === "client" ? String(clientId || ownerId) : undefined,
+    keyHash: this.hashKey(key),
+    keyPreview: `${key.slice(0, 10)}...`,
+    expiresAt,
+    createdBy,
+  })
+  return { key, accessKey }
+}
+
+// Active, unexpired key matching the plain key, or null
+accessKeySchema.statics.findActiveByKey = async function (key) {
+  const accessKey = await this.findOne({ keyHash: this.hashKey(key), isActive: true }).lean()
+  if (!accessKey) return null
+  if (accessKey.expiresAt && accessKey.expiresAt <= new Date()) return null
+  return accessKey
+}
+
+module.exports = mongoose.model("AccessKey", accessKeySchema)
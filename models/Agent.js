@@ -27,6 +27,12 @@ const agentSchema = new mongoose.Schema({
     default: "formal",
   },
   language: { type: String, default: "en" },
+  // Follow the caller's language mid-call (utils/language-detection.js): STT reconnects and TTS speaks the new language
+  languageDetection: {
+    enabled: { type: Boolean, default: true },
+    languages: [{ type: String }], // languages the call may switch to (hi, en, mr, ...); empty = all supported
+    voices: { type: Map, of: String }, // voice per language, e.g. { ta: "pavithra" }; falls back to voiceSelection
+  },
 
   // System Information
   firstMessage: { type: String, required: true },
@@ -70,6 +76,7 @@ const agentSchema = new mongoose.Schema({
     ],
     default: "meera",
   },
+  ttsVoiceId: { type: String }, // Provider-specific voice id (e.g. ElevenLabs/OpenAI voice), overrides voiceSelection
   contextMemory: { type: String },
   brandInfo: { type: String },
 
@@ -111,6 +118,110 @@ const agentSchema = new mongoose.Schema({
     },
   ],
 
+  // LLM tools the agent can call mid-call (OpenAI function calling)
+  tools: [
+    {
+      name: { type: String, required: true, match: /^[a-zA-Z0-9_-]{1,64}$/ },
+      description: { type: String, default: "" },
+      parameters: { type: mongoose.Schema.Types.Mixed, default: () => ({ type: "object", properties: {} }) }, // JSON schema
+      handlerType: { type: String, enum: ["webhook", "builtin"], default: "webhook" },
+      webhookUrl: { type: String },
+      webhookMethod: { type: String, enum: ["POST", "GET"], default: "POST" },
+      webhookHeaders: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+      builtin: { type: String }, // name of a built-in handler when handlerType is "builtin"
+      timeoutMs: { type: Number, default: 8000 },
+      fillerPhrase: { type: String }, // spoken while the tool runs, e.g. "let me check that"
+      isActive: { type: Boolean, default: true },
+    },
+  ],
+
+  // Escalation to a HumanAgent (warm transfer)
+  escalation: {
+    enabled: { type: Boolean, default: false },
+    keywords: [{ type: String }], // phrases that always trigger a transfer, e.g. "talk to a person"
+    detectWithAI: { type: Boolean, default: true }, // classify each caller turn for transfer intent
+    handoffMessage: { type: String }, // spoken before bridging
+    unavailableMessage: { type: String }, // spoken when no human agent is free
+    humanAgentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "HumanAgent" }], // restrict candidates; empty = any linked human agent
+  },
+
+  // Call recording (stereo WAV, caller left / bot right); opt-in, since some clients forbid recording
+  recording: {
+    enabled: { type: Boolean, default: false },
+    retentionDays: { type: Number, min: 0 }, // unset = RECORDING_RETENTION_DAYS, 0 = keep indefinitely
+  },
+
+  // Answering-machine detection on outbound calls (utils/answering-machine.js)
+  answeringMachineDetection: {
+    enabled: { type: Boolean, default: true },
+    action: { type: String, enum: ["hangup", "voicemail"], default: "hangup" },
+    voicemailMessage: { type: String }, // spoken after the beep when action is "voicemail"
+    detectionWindowMs: { type: Number, default: 6000 }, // how long from answer a machine can still be detected
+  },
+
+  // Stop the AI's speech as soon as the caller talks over it, from audio levels (utils/barge-in.js)
+  bargeIn: {
+    enabled: { type: Boolean, default: true },
+    confidence: { type: Number, min: 0, max: 1, default: 0.6 }, // share of voiced frames needed to interrupt
+    minSpeechMs: { type: Number, default: 200 }, // caller speech judged over this window
+    echoGuard: { type: Boolean, default: true }, // ignore caller audio no louder than an echo of the AI's own voice
+  },
+
+  // Caller silence: reprompt, then say goodbye and hang up with reason "no_response" (utils/idle-monitor.js)
+  idlePolicy: {
+    enabled: { type: Boolean, default: true },
+    silenceSeconds: { type: Number, min: 3, default: 8 }, // silence after the AI stops speaking before a reprompt
+    maxReprompts: { type: Number, min: 0, default: 2 }, // unanswered reprompts before hanging up
+    repromptMessage: { type: String }, // replaces the built-in "Are you still there?" in the call's language
+    goodbyeMessage: { type: String },
+  },
+
+  // Limits for one call. Calls also end, with a warning first, when the client's credit balance runs out mid-call
+  callLimits: {
+    maxDurationSeconds: { type: Number, min: 0 }, // unset or 0: no limit beyond the balance
+    warningSeconds: { type: Number, min: 0, default: 30 }, // how long before the cutoff the caller is warned
+    warningMessage: { type: String }, // replaces the built-in "this call will end in a few moments" in the call's language
+    endMessage: { type: String },
+  },
+
+  // Keypad (DTMF) IVR played before the AI conversation
+  ivr: {
+    enabled: { type: Boolean, default: false },
+    rootMenuId: { type: String, default: "main" },
+    inputTimeoutMs: { type: Number, default: 6000 },
+    maxRetries: { type: Number, default: 2 }, // invalid/no-input retries per menu
+    onMaxRetries: { type: String, enum: ["ai", "transfer", "hangup"], default: "ai" },
+    invalidInputMessage: { type: String },
+    noInputMessage: { type: String },
+    menus: [
+      {
+        menuId: { type: String, required: true },
+        prompt: { type: String, required: true },
+        timeoutMs: { type: Number },
+        options: [
+          {
+            digit: { type: String, required: true, match: /^[0-9*#]$/ },
+            action: {
+              type: String,
+              enum: ["menu", "language", "agent", "transfer", "collect", "ai", "repeat", "hangup"],
+              required: true,
+            },
+            message: { type: String }, // spoken before the action runs
+            menuId: { type: String }, // menu: target; language/collect: where to continue (default: AI)
+            language: { type: String }, // language
+            agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent" }, // agent
+            collectKey: { type: String }, // collect: name the value is injected into the LLM context under
+            collectPrompt: { type: String },
+            minDigits: { type: Number, default: 1 },
+            maxDigits: { type: Number, default: 12 },
+            terminator: { type: String, default: "#" },
+            timeoutMs: { type: Number },
+          },
+        ],
+      },
+    ],
+  },
+
   // Depositions with sub-depositions
   depositions: [
     {
@@ -118,6 +229,17 @@ const agentSchema = new mongoose.Schema({
       sub: [{ type: String }],
     },
   ],
+
+  // Structured fields filled from the conversation at call end (stored on CallLog.extraction)
+  extractionSchema: [
+    {
+      name: { type: String, required: true, match: /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/ },
+      type: { type: String, enum: ["string", "number", "boolean", "date", "enum"], default: "string" },
+      description: { type: String, default: "" }, // what to capture, e.g. "city the caller lives in"
+      enumValues: [{ type: String }], // allowed values when type is "enum"
+      required: { type: Boolean, default: false },
+    },
+  ],
   // Audio storage - Store as base64 string instead of Buffer
   audioFile: { type: String }, // File path (legacy support)
   audioBytes: {
@@ -12,6 +12,9 @@ const apiKeySchema = new mongoose.Schema({
     required: true,
     enum: [
       "openai",
+      "anthropic",
+      "gemini",
+      "azure_openai",
       "deepgram",
       "sarvam",
       "elevenlabs",
@@ -47,6 +50,7 @@ const apiKeySchema = new mongoose.Schema({
     lastUsed: { type: Date },
     monthlyUsage: { type: Number, default: 0 },
     monthlyLimit: { type: Number, default: 10000 },
+    usageMonth: { type: String }, // YYYY-MM that monthlyUsage counts towards
   },
   configuration: {
     // Provider-specific settings
@@ -115,4 +119,36 @@ apiKeySchema.methods.getDecryptedKey = function () {
   return this.constructor.decryptKey(this.encryptedKey)
 }
 
+const currentUsageMonth = () => new Date().toISOString().slice(0, 7)
+
+// Requests counted against the current month (monthlyUsage resets when the month rolls over)
+apiKeySchema.methods.getCurrentMonthUsage = function () {
+  return this.usage?.usageMonth === currentUsageMonth() ? this.usage.monthlyUsage || 0 : 0
+}
+
+apiKeySchema.methods.isMonthlyLimitExceeded = function () {
+  const limit = Number(this.usage?.monthlyLimit || 0)
+  return limit > 0 && this.getCurrentMonthUsage() >= limit
+}
+
+// Atomically count provider requests made with this key
+apiKeySchema.statics.recordUsage = async function (apiKeyId, requests = 1) {
+  const month = currentUsageMonth()
+  const now = new Date()
+  const result = await this.updateOne(
+    { _id: apiKeyId, "usage.usageMonth": month },
+    { $inc: { "usage.totalRequests": requests, "usage.monthlyUsage": requests }, $set: { "usage.lastUsed": now } },
+  )
+  if (result.matchedCount === 0) {
+    // First request of a new month
+    await this.updateOne(
+      { _id: apiKeyId },
+      {
+        $inc: { "usage.totalRequests": requests },
+        $set: { "usage.monthlyUsage": requests, "usage.usageMonth": month, "usage.lastUsed": now },
+      },
+    )
+  }
+}
+
 module.exports = mongoose.model("ApiKey", apiKeySchema)
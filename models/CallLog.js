@@ -31,7 +31,8 @@ const CallLogSchema = new mongoose.Schema({
       'schedule',               // schedule
       
       // Not Connected
-      'not_connected'           // not connected
+      'not_connected',          // not connected
+      'voicemail'               // answering machine / voicemail picked up (retryable)
     ], 
     default: 'maybe' 
   },
@@ -54,6 +55,108 @@ const CallLogSchema = new mongoose.Schema({
     default: null 
   },
   
+  // Agent extractionSchema filled from the conversation at call end
+  extraction: {
+    status: { type: String, enum: ['completed', 'failed'] },
+    data: { type: Object }, // field name -> value (null when not mentioned); filterable as extraction.data.<field>
+    fields: [{
+      name: { type: String },
+      type: { type: String },
+      value: { type: mongoose.Schema.Types.Mixed },
+      confidence: { type: Number, min: 0, max: 1 }
+    }],
+    missingRequired: [{ type: String }], // required fields the caller never gave
+    model: { type: String },
+    error: { type: String },
+    extractedAt: { type: Date }
+  },
+
+  // Answering-machine detection on outbound calls
+  answeringMachine: {
+    result: { type: String, enum: ['human', 'machine'] },
+    reason: { type: String, enum: ['beep', 'monologue', 'phrase'] }, // what gave the machine away
+    phrase: { type: String }, // carrier/voicemail phrase that matched
+    detectedAfterMs: { type: Number }, // from answer
+    action: { type: String, enum: ['hangup', 'voicemail'] },
+    voicemailLeft: { type: Boolean, default: false }
+  },
+
+  // Caller sentiment per turn, scored live alongside lead status
+  sentimentTimeline: [{
+    turn: { type: Number }, // 1-based number of the caller turn
+    text: { type: String },
+    language: { type: String },
+    score: { type: Number, min: -1, max: 1 },
+    label: { type: String, enum: ['positive', 'neutral', 'negative'] },
+    frustration: { type: Number, min: 0, max: 1 },
+    emotion: { type: String },
+    alert: { type: String, enum: ['negative', 'frustrated'] }, // set when the turn was raised to live monitors
+    at: { type: Date, default: Date.now }
+  }],
+
+  // Call-level sentiment summarised from sentimentTimeline at call end
+  sentiment: {
+    score: { type: Number, min: -1, max: 1 },
+    label: { type: String, enum: ['positive', 'neutral', 'negative'] },
+    frustrationPeak: { type: Number, min: 0, max: 1 },
+    negativeTurns: { type: Number },
+    alerts: { type: Number },
+    trend: { type: String, enum: ['improving', 'stable', 'worsening'] },
+    turns: { type: Number }
+  },
+
+  // LLM tool calls made during the call
+  toolInvocations: [{
+    name: { type: String },
+    toolCallId: { type: String },
+    arguments: { type: Object },
+    status: { type: String, enum: ['success', 'error'] },
+    result: { type: Object },
+    error: { type: String },
+    durationMs: { type: Number },
+    invokedAt: { type: Date, default: Date.now }
+  }],
+
+  // Warm transfer to a human agent
+  transfer: {
+    status: { type: String, enum: ['initiated', 'connected', 'failed', 'no_agent_available'] },
+    reason: { type: String },
+    humanAgentId: { type: mongoose.Schema.Types.ObjectId, ref: 'HumanAgent' },
+    humanAgentName: { type: String },
+    humanAgentMobile: { type: String },
+    summary: { type: String }, // AI summary delivered to the human before pickup
+    requestedAt: { type: Date },
+    initiatedAt: { type: Date },
+    connectedAt: { type: Date }, // when the human took over
+    failureReason: { type: String }
+  },
+
+  // Supervisor interventions on the live call (QA trail)
+  supervisorActions: [{
+    action: { type: String, enum: ['whisper', 'say', 'barge'] },
+    text: { type: String }, // whisper instruction or spoken sentence
+    humanAgentId: { type: mongoose.Schema.Types.ObjectId, ref: 'HumanAgent' }, // barge target
+    supervisorId: { type: String },
+    supervisorRole: { type: String },
+    status: { type: String, enum: ['success', 'failed'] },
+    error: { type: String },
+    performedAt: { type: Date, default: Date.now }
+  }],
+
+  // Stereo call recording (caller left, bot right); audioUrl points at the stored file
+  recording: {
+    storage: { type: String }, // recording storage backend (local, http)
+    key: { type: String },
+    format: { type: String },
+    channels: { type: Number },
+    sampleRate: { type: Number },
+    durationSec: { type: Number },
+    sizeBytes: { type: Number },
+    recordedAt: { type: Date },
+    expiresAt: { type: Date }, // null = keep indefinitely
+    deletedAt: { type: Date } // set when removed by the retention sweep
+  },
+
   // Telephony identifiers for call management
   streamSid: { type: String, index: true }, // For active call tracking
   callSid: { type: String, index: true },   // For call identification
@@ -62,6 +165,17 @@ const CallLogSchema = new mongoose.Schema({
     userTranscriptCount: { type: Number, default: 0 },
     aiResponseCount: { type: Number, default: 0 },
     languages: [{ type: String }],
+    // Every mid-call language change, detected from the caller's speech or chosen in the IVR
+    languageSwitches: [
+      {
+        from: { type: String },
+        to: { type: String },
+        source: { type: String, enum: ['detected', 'ivr'] },
+        confidence: { type: Number },
+        text: { type: String }, // caller turn that triggered a detected switch
+        at: { type: Date },
+      },
+    ],
     callEndTime: { type: Date },
     callDirection: { type: String, enum: ['inbound', 'outbound'], default: 'inbound' },
     isActive: { type: Boolean, default: true }, // Track if call is ongoing
@@ -80,6 +194,10 @@ const CallLogSchema = new mongoose.Schema({
     sttProvider: { type: String, default: 'deepgram' },
     ttsProvider: { type: String, default: 'sarvam' },
     llmProvider: { type: String, default: 'openai' },
+    // Why and how the platform ended the call (e.g. no_response, answering_machine, manual_api)
+    terminationReason: { type: String },
+    terminatedAt: { type: Date },
+    terminationMethod: { type: String },
     // WhatsApp tracking (persist intent and send status)
     whatsappRequested: { type: Boolean, default: false },
     whatsappMessageSent: { type: Boolean, default: false }
@@ -95,6 +213,7 @@ CallLogSchema.index({ 'metadata.isActive': 1, 'metadata.lastUpdated': 1 }); // F
 CallLogSchema.index({ clientId: 1, 'metadata.isActive': 1 }); // For client's active calls
 CallLogSchema.index({ streamSid: 1 }); // For active call lookup by streamSid
 CallLogSchema.index({ callSid: 1 });   // For call lookup by callSid
+CallLogSchema.index({ 'recording.expiresAt': 1 }, { sparse: true }); // For the recording retention sweep
 
 // Pre-save middleware to update metadata
 CallLogSchema.pre('save', function(next) {
@@ -140,6 +259,48 @@ CallLogSchema.statics.cleanupStaleActiveCalls = function() {
   );
 };
 
+// Static method to append a tool invocation without loading the document
+CallLogSchema.statics.recordToolInvocation = function(callLogId, invocation) {
+  return this.updateOne(
+    { _id: callLogId },
+    {
+      $push: { toolInvocations: { ...invocation, invokedAt: invocation.invokedAt || new Date() } },
+      $set: { 'metadata.lastUpdated': new Date() }
+    }
+  );
+};
+
+// Static method to append a scored caller turn without loading the document
+CallLogSchema.statics.recordSentimentTurn = function(callLogId, turn) {
+  return this.updateOne(
+    { _id: callLogId },
+    {
+      $push: { sentimentTimeline: { ...turn, at: turn.at || new Date() } },
+      $set: { 'metadata.lastUpdated': new Date() }
+    }
+  );
+};
+
+// Static method to append a supervisor whisper/say/barge without loading the document
+CallLogSchema.statics.recordSupervisorAction = function(callLogId, action) {
+  return this.updateOne(
+    { _id: callLogId },
+    {
+      $push: { supervisorActions: { ...action, performedAt: action.performedAt || new Date() } },
+      $set: { 'metadata.lastUpdated': new Date() }
+    }
+  );
+};
+
+// Static method to merge warm transfer fields (e.g. { status, connectedAt })
+CallLogSchema.statics.recordTransfer = function(callLogId, update = {}) {
+  const $set = { 'metadata.lastUpdated': new Date() };
+  for (const [key, value] of Object.entries(update)) {
+    if (value !== undefined) $set[`transfer.${key}`] = value;
+  }
+  return this.updateOne({ _id: callLogId }, { $set });
+};
+
 // Instance method to add live transcript entry
 CallLogSchema.methods.addLiveTranscriptEntry = function(entry) {
   const timestamp = entry.timestamp || new Date();
@@ -52,6 +52,13 @@ const campaignSchema = new mongoose.Schema({
       enum: ['ringing', 'ongoing', 'completed'], 
       default: 'ringing' 
     },
+    // Filled in from live call events (aitota start/stop/close)
+    callLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CallLog'
+    },
+    startedAt: { type: Date },
+    endedAt: { type: Date },
   }],
   // Array to store campaign contacts (copied from groups but can be manipulated independently)
   contacts: [{
@@ -74,6 +81,44 @@ const campaignSchema = new mongoose.Schema({
 // Index for better performance on status queries
 campaignSchema.index({ 'details.status': 1 });
 
+// Lifecycle order; a detail never moves backwards (a late "start" cannot reopen a completed call)
+const DETAIL_STATUS_ORDER = ['ringing', 'ongoing', 'completed'];
+
+// Static method to move the detail for a call's uniqueId forward (ringing -> ongoing -> completed)
+campaignSchema.statics.updateDetailStatus = function(uniqueId, status, fields = {}, clientId = null) {
+  const allowedFrom = DETAIL_STATUS_ORDER.slice(0, DETAIL_STATUS_ORDER.indexOf(status) + 1);
+  const filter = { details: { $elemMatch: { uniqueId: String(uniqueId), status: { $in: allowedFrom } } } };
+  if (clientId) filter.clientId = clientId;
+
+  const $set = { 'details.$.status': status, updatedAt: new Date() };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) $set[`details.$.${key}`] = value;
+  }
+  return this.findOneAndUpdate(filter, { $set }, { new: true, projection: { _id: 1, name: 1 } });
+};
+
+// Static method for live ringing/ongoing/completed counts of one campaign
+campaignSchema.statics.getDetailProgress = async function(campaignId) {
+  const [progress] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(campaignId)) } },
+    {
+      $project: {
+        clientId: 1,
+        name: 1,
+        isRunning: 1,
+        contacts: { $size: { $ifNull: ['$contacts', []] } },
+        ringing: { $size: { $filter: { input: { $ifNull: ['$details', []] }, cond: { $eq: ['$$this.status', 'ringing'] } } } },
+        ongoing: { $size: { $filter: { input: { $ifNull: ['$details', []] }, cond: { $eq: ['$$this.status', 'ongoing'] } } } },
+        completed: { $size: { $filter: { input: { $ifNull: ['$details', []] }, cond: { $eq: ['$$this.status', 'completed'] } } } },
+        total: { $size: { $ifNull: ['$details', []] } },
+        lastActivityAt: { $max: [{ $max: '$details.time' }, { $max: '$details.startedAt' }, { $max: '$details.endedAt' }] },
+        updatedAt: 1
+      }
+    }
+  ]);
+  return progress || null;
+};
+
 // Ensure virtual fields are included when converting to JSON
 campaignSchema.set('toJSON', { virtuals: true });
 campaignSchema.set('toObject', { virtuals: true });
@@ -16,6 +16,42 @@ const CreditSchema = new mongoose.Schema({
     min: 0
   },
   
+  // Credits held for calls and messages in flight (sum of holds[].amount); not spendable until released
+  reservedBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Open holds: reserved when a call or message starts, settled at the actual usage or released when it ends
+  holds: [{
+    holdId: {
+      type: String,
+      required: true
+    },
+    usageType: {
+      type: String,
+      enum: ['call', 'whatsapp', 'telegram', 'email', 'sms', 'other'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    reference: {
+      type: String // streamSid of the call, recipient of a message
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date, // live calls push this forward; holds left behind by a crash are swept after it
+      required: true
+    }
+  }],
+  
   // Total Credits Ever Purchased
   totalPurchased: {
     type: Number,
@@ -228,6 +264,38 @@ CreditSchema.pre('save', function(next) {
 
 // Index for efficient queries
 CreditSchema.index({ clientId: 1, 'history.timestamp': -1 });
+CreditSchema.index({ 'holds.expiresAt': 1 });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Reset reservedBalance to the rounded sum of the open holds after an update that moved it with $inc.
+// Repeated float $inc can leave it at -0.0000001, which fails min: 0 on the next save().
+const syncReservedBalance = (model, creditId) => model.updateOne(
+  { _id: creditId },
+  [{ $set: { reservedBalance: { $max: [0, { $round: [{ $sum: '$holds.amount' }, 2] }] } } }]
+);
+
+// Format duration as "M:SS" or "H:MM:SS"
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  } else {
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+  }
+};
+
+const monthKeyOf = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+const insufficientCreditsError = (message, available) => {
+  const error = new Error(message);
+  error.code = 'insufficient_credits';
+  error.available = available;
+  return error;
+};
 
 // Method to add credits (purchase, bonus, refund)
 CreditSchema.methods.addCredits = function(amount, type, description, planId = null, transactionId = null) {
@@ -360,19 +428,6 @@ CreditSchema.methods.billCallCredits = function(durationSeconds, mobile, callDir
     throw new Error(`Insufficient credits. Required: ${roundedCredits}, Available: ${this.currentBalance}`);
   }
   
-  // Format duration as "M:SS" or "H:MM:SS"
-  const formatDuration = (seconds) => {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
-    
-    if (hours > 0) {
-      return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-    } else {
-      return `${minutes}:${secs.toString().padStart(2, '0')}`;
-    }
-  };
-  
   const durationFormatted = formatDuration(durationSeconds);
   
   // Deduct credits
@@ -430,6 +485,259 @@ CreditSchema.methods.billCallCredits = function(durationSeconds, mobile, callDir
   };
 };
 
+// ----- Credit holds -----
+// Calls and messages reserve credits when they start and pay when they end. Every step is a single conditional
+// update on the record, so concurrent calls cannot all pass the balance check and overdraw it.
+
+/**
+ * Reserve credits for a call or message about to start
+ * @param {Object} options - { holdId, amount, minAmount, usageType, reference, ttlMs }
+ *   amount is the estimate; less is reserved when less is available, but never below minAmount (default: amount)
+ * @returns {Promise<{ holdId, amount, availableBalance }>} the existing hold when holdId was reserved already
+ * @throws insufficient_credits when the available balance (current minus reserved) is below minAmount
+ */
+CreditSchema.statics.reserveCredits = async function(clientId, { holdId, amount, minAmount = amount, usageType = 'other', reference = null, ttlMs }) {
+  await this.getOrCreateCreditRecord(clientId);
+  
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const record = await this.findOne({ clientId }).select('currentBalance reservedBalance holds').lean();
+    const available = round2((record.currentBalance || 0) - (record.reservedBalance || 0));
+    const existing = (record.holds || []).find(hold => hold.holdId === holdId);
+    if (existing) {
+      return { holdId, amount: existing.amount, availableBalance: available };
+    }
+    
+    const reserved = round2(Math.min(amount, available));
+    if (reserved <= 0 || reserved < round2(minAmount)) {
+      throw insufficientCreditsError(`Insufficient credits. Required: ${round2(minAmount)}, Available: ${Math.max(0, available)}`, Math.max(0, available));
+    }
+    
+    const now = new Date();
+    const updated = await this.findOneAndUpdate(
+      {
+        _id: record._id,
+        'holds.holdId': { $ne: holdId },
+        $expr: { $gte: [{ $subtract: ['$currentBalance', { $ifNull: ['$reservedBalance', 0] }] }, reserved] }
+      },
+      {
+        $inc: { reservedBalance: reserved },
+        $push: { holds: { holdId, usageType, amount: reserved, reference, createdAt: now, expiresAt: new Date(now.getTime() + ttlMs) } },
+        $set: { updatedAt: now }
+      },
+      { new: true, projection: { currentBalance: 1, reservedBalance: 1 } }
+    ).lean();
+    
+    if (updated) {
+      await syncReservedBalance(this, record._id);
+      return { holdId, amount: reserved, availableBalance: round2(updated.currentBalance - updated.reservedBalance) };
+    }
+    // Another call reserved or spent in between: read the balance again
+  }
+  
+  throw insufficientCreditsError('Insufficient credits: the balance changed while reserving', 0);
+};
+
+/**
+ * Keep a hold alive while its call runs
+ * @returns {Promise<{ held, availableBalance }|null>} null when the hold no longer exists
+ */
+CreditSchema.statics.extendHold = async function(clientId, holdId, ttlMs) {
+  const record = await this.findOneAndUpdate(
+    { clientId, 'holds.holdId': holdId },
+    { $set: { 'holds.$.expiresAt': new Date(Date.now() + ttlMs) } },
+    { new: true, projection: { currentBalance: 1, reservedBalance: 1, holds: { $elemMatch: { holdId } } } }
+  ).lean();
+  
+  const hold = record?.holds?.[0];
+  if (!hold) return null;
+  return { held: hold.amount, availableBalance: round2(record.currentBalance - record.reservedBalance) };
+};
+
+/**
+ * Give a hold back without charging (the call never connected, the message was not sent)
+ * @returns {Promise<Object|null>} the released hold, or null when it was already settled or released
+ */
+CreditSchema.statics.releaseHold = async function(clientId, holdId) {
+  const record = await this.findOne({ clientId, 'holds.holdId': holdId }, { holds: { $elemMatch: { holdId } } }).lean();
+  const hold = record?.holds?.[0];
+  if (!hold) return null;
+  
+  const result = await this.updateOne(
+    { _id: record._id, 'holds.holdId': holdId },
+    { $pull: { holds: { holdId } }, $inc: { reservedBalance: -hold.amount }, $set: { updatedAt: new Date() } }
+  );
+  if (!result.modifiedCount) return null;
+  await syncReservedBalance(this, record._id);
+  return hold;
+};
+
+/**
+ * Charge the actual usage and close the hold in one update.
+ * The charge is capped at what the caller may spend (its own hold plus the unreserved balance), so the balance
+ * never goes negative; any uncovered remainder is returned as shortfall. Without a hold (holdId null, or it was
+ * swept) the usage is charged against the unreserved balance.
+ * @param {Object} usage - { amount, usageType, description, minutes, messageCount, metadata, billingDetail }
+ * @returns {Promise<{ creditsUsed, shortfall, balanceBefore, balanceAfter }>}
+ */
+CreditSchema.statics.settleHold = async function(clientId, holdId, usage) {
+  const amount = round2(Math.max(0, usage.amount || 0));
+  const usageType = usage.usageType || 'other';
+  const statsKey = usageType === 'call' ? 'calls' : usageType;
+  await this.getOrCreateCreditRecord(clientId);
+  
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const record = await this.findOne({ clientId }).select('currentBalance reservedBalance holds').lean();
+    const hold = holdId ? (record.holds || []).find(entry => entry.holdId === holdId) : null;
+    const held = hold ? hold.amount : 0;
+    const spendable = round2(record.currentBalance - ((record.reservedBalance || 0) - held));
+    const charge = round2(Math.max(0, Math.min(amount, spendable)));
+    const now = new Date();
+    
+    const inc = { currentBalance: -charge, totalUsed: charge, reservedBalance: -held };
+    if (this.schema.path(`usageStats.${statsKey}.creditsUsed`)) {
+      inc[`usageStats.${statsKey}.creditsUsed`] = charge;
+      if (statsKey === 'calls') {
+        inc['usageStats.calls.total'] = 1;
+        inc['usageStats.calls.minutes'] = usage.minutes || 0;
+      } else {
+        inc[`usageStats.${statsKey}.messages`] = usage.messageCount || 1;
+      }
+    }
+    
+    const push = {
+      history: {
+        type: 'usage',
+        amount: -charge,
+        description: usage.description,
+        usageType,
+        duration: usage.minutes,
+        messageCount: usage.messageCount,
+        metadata: usage.metadata,
+        timestamp: now
+      }
+    };
+    if (usage.billingDetail) {
+      push.callBillingDetails = { ...usage.billingDetail, creditsUsed: charge, timestamp: now };
+    }
+    
+    const before = await this.findOneAndUpdate(
+      {
+        _id: record._id,
+        ...(hold ? { 'holds.holdId': holdId } : {}),
+        $expr: { $gte: [{ $subtract: ['$currentBalance', { $subtract: [{ $ifNull: ['$reservedBalance', 0] }, held] }] }, charge] }
+      },
+      {
+        $inc: inc,
+        $push: push,
+        ...(hold ? { $pull: { holds: { holdId } } } : {}),
+        $set: { updatedAt: now }
+      },
+      { new: false, projection: { currentBalance: 1 } }
+    ).lean();
+    if (!before) continue; // the balance or the hold changed in between
+    if (held) await syncReservedBalance(this, record._id);
+    
+    await this.incrementMonthlyUsage(record._id, charge, statsKey, { minutes: usage.minutes, count: usage.messageCount || 1 });
+    return {
+      creditsUsed: charge,
+      shortfall: round2(amount - charge),
+      balanceBefore: before.currentBalance,
+      balanceAfter: round2(before.currentBalance - charge)
+    };
+  }
+  
+  throw new Error('Credit record kept changing while settling; usage not charged');
+};
+
+// Atomic counterpart of updateMonthlyUsage for settleHold: creates the month's entry when it is missing
+CreditSchema.statics.incrementMonthlyUsage = async function(creditId, amount, usageType, { minutes = 0, count = 1 } = {}) {
+  const month = monthKeyOf(new Date());
+  const inc = { 'monthlyUsage.$.totalCredits': amount };
+  if (['calls', 'whatsapp', 'telegram', 'email', 'sms'].includes(usageType)) {
+    inc[`monthlyUsage.$.${usageType}.credits`] = amount;
+    inc[`monthlyUsage.$.${usageType}.count`] = usageType === 'calls' ? 1 : count;
+    if (usageType === 'calls') inc['monthlyUsage.$.calls.minutes'] = minutes || 0;
+  }
+  
+  const result = await this.updateOne({ _id: creditId, 'monthlyUsage.month': month }, { $inc: inc });
+  if (result.matchedCount) return;
+  await this.updateOne({ _id: creditId, 'monthlyUsage.month': { $ne: month } }, { $push: { monthlyUsage: { month } } });
+  await this.updateOne({ _id: creditId, 'monthlyUsage.month': month }, { $inc: inc });
+};
+
+// Settle a call's hold at the call rate (1/30 credit per second), with the same billing detail as billCallCredits
+CreditSchema.statics.settleCallHold = async function(clientId, holdId, { durationSeconds, mobile, callDirection, callLogId = null, streamSid = null, uniqueid = null }) {
+  const minutes = Math.round(durationSeconds / 60 * 100) / 100;
+  const durationFormatted = formatDuration(durationSeconds);
+  
+  const result = await this.settleHold(clientId, holdId, {
+    amount: (1/30) * durationSeconds,
+    usageType: 'call',
+    description: `Call charges (${callDirection || 'inbound'}) - ${durationFormatted} - ${mobile || 'unknown'}`,
+    minutes,
+    metadata: {
+      mobile: mobile || null,
+      callDirection: callDirection || null,
+      callLogId: callLogId || null,
+      streamSid: streamSid || null,
+      uniqueid: uniqueid || null,
+      durationSeconds: durationSeconds,
+      durationFormatted: durationFormatted
+    },
+    billingDetail: {
+      mobile: mobile || 'unknown',
+      callDirection: callDirection || 'inbound',
+      duration: durationFormatted,
+      durationSeconds: durationSeconds,
+      callLogId: callLogId,
+      streamSid: streamSid,
+      uniqueid: uniqueid
+    }
+  });
+  
+  return { ...result, durationFormatted };
+};
+
+/**
+ * Release holds whose expiresAt has passed (calls that crashed before settling)
+ * @returns {Promise<Array>} the released holds with their clientId
+ */
+CreditSchema.statics.releaseExpiredHolds = async function(now = new Date()) {
+  const records = await this.find({ 'holds.expiresAt': { $lte: now } }, { clientId: 1, holds: 1 }).lean();
+  const released = [];
+  
+  for (const record of records) {
+    const releasedBefore = released.length;
+    for (const hold of record.holds.filter(entry => entry.expiresAt <= now)) {
+      // Only if still expired: a call that just extended its hold keeps it
+      const result = await this.updateOne(
+        { _id: record._id, holds: { $elemMatch: { holdId: hold.holdId, expiresAt: { $lte: now } } } },
+        { $pull: { holds: { holdId: hold.holdId } }, $inc: { reservedBalance: -hold.amount }, $set: { updatedAt: new Date() } }
+      );
+      if (result.modifiedCount) released.push({ clientId: record.clientId, ...hold });
+    }
+    if (released.length > releasedBefore) await syncReservedBalance(this, record._id);
+  }
+  
+  return released;
+};
+
+// Current, reserved and available (current minus reserved) balance with the open holds
+CreditSchema.statics.getBalanceSummary = async function(clientId) {
+  const record = await this.findOne({ clientId }).select('currentBalance reservedBalance holds').lean();
+  const currentBalance = round2(record?.currentBalance || 0);
+  const reservedBalance = round2(record?.reservedBalance || 0);
+  
+  return {
+    currentBalance,
+    reservedBalance,
+    availableBalance: round2(Math.max(0, currentBalance - reservedBalance)),
+    holds: (record?.holds || []).map(({ holdId, usageType, amount, reference, createdAt, expiresAt }) => ({
+      holdId, usageType, amount, reference, createdAt, expiresAt
+    }))
+  };
+};
+
 // Static method to get credit balance for a client
 CreditSchema.statics.getClientBalance = function(clientId) {
   return this.findOne({ clientId }).populate('currentPlan.planId');
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose")
+
+// Callback a caller asked for on an earlier call; utils/follow-ups.js dials it when it falls due
+const followUpTaskSchema = new mongoose.Schema(
+  {
+    clientId: { type: String, required: true, index: true },
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", required: true },
+    contactId: { type: mongoose.Schema.Types.ObjectId, ref: "Contact" }, // when the number is in the client's contacts
+    mobile: { type: String, required: true },
+    contactName: { type: String },
+
+    // Call the caller asked to be called back on
+    sourceCallLogId: { type: mongoose.Schema.Types.ObjectId, ref: "CallLog" },
+    leadStatus: { type: String }, // schedule | hot_followup | cold_followup at the time of the request
+
+    // When to call, in UTC; requestedText/timezone keep what the caller actually said
+    dueAt: { type: Date, required: true },
+    timezone: { type: String, default: "Asia/Kolkata" },
+    requestedText: { type: String }, // e.g. "kal shaam 5 baje"
+    timeSource: { type: String, enum: ["caller", "default", "manual"], default: "caller" },
+
+    // Earlier conversation, summarised into the agent's context on the follow-up call
+    contextSummary: { type: String },
+
+    status: {
+      type: String,
+      enum: ["scheduled", "calling", "completed", "failed", "cancelled"],
+      default: "scheduled",
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    lastAttemptAt: { type: Date },
+    providerCallId: { type: String },
+    callLogId: { type: mongoose.Schema.Types.ObjectId, ref: "CallLog" }, // the follow-up call once answered
+    failureReason: { type: String },
+    lastError: { type: String }, // why the due call was not placed yet (e.g. plan limit)
+    completedAt: { type: Date },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: String },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// For the worker's due sweep
+followUpTaskSchema.index({ status: 1, dueAt: 1 })
+
+// For the list API and the open-task lookup per number
+followUpTaskSchema.index({ clientId: 1, status: 1, dueAt: 1 })
+followUpTaskSchema.index({ clientId: 1, mobile: 1, status: 1 })
+
+module.exports = mongoose.model("FollowUpTask", followUpTaskSchema)
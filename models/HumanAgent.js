@@ -49,6 +49,16 @@ const humanAgentSchema = new mongoose.Schema({
     required: true
   }],
 
+  // Live call availability for warm transfers
+  availability: {
+    type: String,
+    enum: ['available', 'busy', 'offline'],
+    default: 'available',
+    index: true
+  },
+  activeCallLogId: { type: mongoose.Schema.Types.ObjectId, ref: 'CallLog', default: null },
+  lastTransferAt: { type: Date, default: null },
+
   // Timestamps
   createdAt: { 
     type: Date, 
@@ -68,4 +78,35 @@ humanAgentSchema.pre('save', function(next) {
 
 // Compound index for client + human agent name uniquene
 
+// A transfer that never reported back frees the human agent after this long
+const TRANSFER_BUSY_TIMEOUT_MS = Number(process.env.HUMAN_AGENT_BUSY_TIMEOUT_MS || 30 * 60 * 1000);
+
+// Atomically pick the least recently used available human agent linked to an AI agent and mark them busy
+humanAgentSchema.statics.claimForTransfer = function(agentId, callLogId = null, candidateIds = []) {
+  const staleBusy = new Date(Date.now() - TRANSFER_BUSY_TIMEOUT_MS);
+  const filter = {
+    agentIds: agentId,
+    isApproved: true,
+    $or: [
+      { availability: 'available' },
+      { availability: 'busy', lastTransferAt: { $lt: staleBusy } }
+    ]
+  };
+  if (candidateIds && candidateIds.length > 0) {
+    filter._id = { $in: candidateIds };
+  }
+  return this.findOneAndUpdate(
+    filter,
+    { $set: { availability: 'busy', activeCallLogId: callLogId, lastTransferAt: new Date() } },
+    { new: true, sort: { lastTransferAt: 1 } }
+  );
+};
+
+// Make a human agent available again once their transferred call fails or finishes
+humanAgentSchema.statics.releaseFromTransfer = function(humanAgentId, callLogId = null) {
+  const filter = { _id: humanAgentId, availability: 'busy' };
+  if (callLogId) filter.activeCallLogId = callLogId;
+  return this.updateOne(filter, { $set: { availability: 'available', activeCallLogId: null } });
+};
+
 module.exports = mongoose.model("HumanAgent", humanAgentSchema); 
\ No newline at end of file
@@ -14,16 +14,24 @@ const outboundCampaignSchema = new mongoose.Schema({
   // Campaign Settings
   callerId: { type: String, required: true }, // Your assigned Caller ID
   apiKey: { type: String, required: true },
+  provider: { type: String, default: "tata" }, // dialer provider adapter (utils/dialer-providers.js)
 
   // Call Timing
   startTime: { type: Date },
   endTime: { type: Date },
   timezone: { type: String, default: "Asia/Kolkata" },
+  // Daily calling window in the campaign timezone; no calls are placed outside it
+  callingWindow: {
+    start: { type: String, default: "09:00" }, // HH:mm
+    end: { type: String, default: "21:00" }, // HH:mm
+    daysOfWeek: { type: [Number], default: () => [0, 1, 2, 3, 4, 5, 6] }, // 0 = Sunday
+  },
 
   // Call Configuration
   maxRetries: { type: Number, default: 3 },
   retryInterval: { type: Number, default: 300 }, // seconds
   callTimeout: { type: Number, default: 60 }, // seconds
+  maxConcurrentCalls: { type: Number, default: 2, min: 1 },
 
   // Campaign Status
   status: {
@@ -37,6 +45,9 @@ const outboundCampaignSchema = new mongoose.Schema({
   contactsCalled: { type: Number, default: 0 },
   successfulCalls: { type: Number, default: 0 },
   failedCalls: { type: Number, default: 0 },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  lastError: { type: String }, // last dialer/provider error, for the dashboard
 
   // Call Results
   callResults: [
@@ -45,10 +56,13 @@ const outboundCampaignSchema = new mongoose.Schema({
       phoneNumber: { type: String },
       status: {
         type: String,
-        enum: ["pending", "calling", "connected", "completed", "failed", "busy", "no_answer"],
+        enum: ["pending", "calling", "connected", "completed", "failed", "busy", "no_answer", "voicemail"],
       },
       attempts: { type: Number, default: 0 },
       lastAttempt: { type: Date },
+      nextAttemptAt: { type: Date }, // earliest retry time
+      providerCallId: { type: String },
+      failureReason: { type: String },
       callDuration: { type: Number }, // seconds
       leadStatus: {
         type: String,
@@ -67,6 +81,9 @@ const outboundCampaignSchema = new mongoose.Schema({
 // Compound index for client + campaign name uniqueness
 outboundCampaignSchema.index({ clientId: 1, campaignName: 1 }, { unique: true })
 
+// For the dialer's scheduling sweep
+outboundCampaignSchema.index({ status: 1 })
+
 // Update the updatedAt field before saving
 outboundCampaignSchema.pre("save", function (next) {
   this.updatedAt = Date.now()
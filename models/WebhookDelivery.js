@@ -0,0 +1,36 @@
+const mongoose = require("mongoose")
+
+// One event sent to one subscription, with every attempt kept for the delivery log
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    clientId: { type: String, required: true, index: true },
+    subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: "WebhookSubscription", required: true, index: true },
+    event: { type: String, required: true },
+    payload: { type: Object, required: true }, // exact JSON body that is signed and sent
+    status: { type: String, enum: ["pending", "delivered", "failed"], default: "pending" },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    deliveredAt: { type: Date },
+    lastStatusCode: { type: Number },
+    lastError: { type: String },
+    attemptLog: [
+      {
+        at: { type: Date },
+        statusCode: { type: Number },
+        durationMs: { type: Number },
+        error: { type: String },
+      },
+    ],
+    redeliveredAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Retry sweep: due pending deliveries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 })
+// Delivery log queries
+webhookDeliverySchema.index({ clientId: 1, createdAt: -1 })
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema)
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    clientId: { type: String, required: true, index: true },
+    url: { type: String, required: true },
+    description: { type: String },
+    // Event names from utils/webhooks.js WEBHOOK_EVENTS; "*" subscribes to everything
+    events: { type: [String], default: () => ["*"] },
+    // HMAC-SHA256 signing secret; returned once when the subscription is created
+    secret: { type: String, required: true, select: false },
+    isActive: { type: Boolean, default: true },
+    lastDeliveryAt: { type: Date },
+    lastDeliveryStatus: { type: String, enum: ["delivered", "failed"] },
+    consecutiveFailures: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Lookup on every event: active subscriptions of one client
+webhookSubscriptionSchema.index({ clientId: 1, isActive: 1 })
+
+webhookSubscriptionSchema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`
+}
+
+// Whether this subscription wants the given event
+webhookSubscriptionSchema.methods.matchesEvent = function (event) {
+  return this.events.includes("*") || this.events.includes(event)
+}
+
+module.exports = mongoose.model("WebhookSubscription", webhookSubscriptionSchema)
@@ -13,6 +13,8 @@ const { connectDatabase, checkDatabaseHealth, getDatabaseStats, getConnectionSta
 const { setupUnifiedVoiceServer, terminateCallByStreamSid } = require("./websocket/aitota")
 const { setupSipWebSocketServer } = require("./websocket/sip-server")
 const { setupSanPbxWebSocketServer } = require("./websocket/sanpbx-server")
+const { setupMonitorWebSocketServer } = require("./websocket/monitor-server")
+const { authenticateRequest, requireAuth, requireAdmin, canAccessClient, resolveClientScope } = require("./utils/auth")
 
 // Environment configuration
 const PORT = process.env.PORT || 3000
@@ -46,6 +48,7 @@ let sipActiveConnections = 0
 let sipTotalConnections = 0
 let sanpbxActiveConnections = 0
 let sanpbxTotalConnections = 0
+let monitorActiveConnections = 0
 
 // Create WebSocket servers WITHOUT path specification initially
 const wss = new WebSocket.Server({
@@ -66,6 +69,12 @@ const sanpbxWss = new WebSocket.Server({
   clientTracking: true,
 })
 
+const monitorWss = new WebSocket.Server({
+  noServer: true,
+  perMessageDeflate: false,
+  clientTracking: true,
+})
+
 // Manual WebSocket upgrade handling based on path
 server.on("upgrade", (request, socket, head) => {
   const pathname = url.parse(request.url).pathname
@@ -84,6 +93,25 @@ server.on("upgrade", (request, socket, head) => {
     sanpbxWss.handleUpgrade(request, socket, head, (ws) => {
       sanpbxWss.emit("connection", ws, request)
     })
+  } else if (pathname === "/monitor-ws") {
+    // Dashboards only: reject before the upgrade so unauthenticated clients never get a socket
+    authenticateRequest(request).then((principal) => {
+      if (!principal) {
+        console.log(`❌ [MONITOR-WS] Unauthorized upgrade from ${request.socket.remoteAddress}`)
+        socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n")
+        socket.destroy()
+        return
+      }
+      monitorWss.handleUpgrade(request, socket, head, (ws) => {
+        ws.connectionId = `monitor_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+        ws.connectedAt = new Date()
+        monitorActiveConnections++
+        ws.on("close", () => {
+          monitorActiveConnections--
+        })
+        monitorWss.emit("connection", ws, request, principal)
+      })
+    })
   } else {
     console.log(`❌ [SERVER] Unknown WebSocket path: ${pathname}`)
     socket.destroy()
@@ -187,6 +215,10 @@ sanpbxWss.on("error", (error) => {
   console.error("❌ [SANPBX-WS] WebSocket server error:", error.message)
 })
 
+monitorWss.on("error", (error) => {
+  console.error("❌ [MONITOR-WS] WebSocket server error:", error.message)
+})
+
 // Initialize the unified voice server with the WebSocket server
 setupUnifiedVoiceServer(wss)
 
@@ -194,22 +226,79 @@ setupUnifiedVoiceServer(wss)
 setupSipWebSocketServer(sipWss)
 console.log("✅ [SERVER] SIP WebSocket server setup enabled")
 
+// Setup live call monitoring WebSocket server
+setupMonitorWebSocketServer(monitorWss)
+
 // Setup SanIPPBX WebSocket server
 // setupSanPbxWebSocketServer(sanpbxWss)
 console.log("✅ [SERVER] SanIPPBX WebSocket server setup enabled")
 
 // ==================== API ENDPOINTS ====================
 
-// Live logs endpoint with filtering and pagination
-app.get("/api/logs", async (req, res) => {
+// 403 for a client asking for another client's data (see resolveClientScope)
+const sendForbidden = (res, message = "Not allowed to access another client's data") =>
+  res.status(403).json({ error: message, code: "forbidden", timestamp: new Date().toISOString() })
+
+const invalidFilter = (message) => Object.assign(new Error(message), { code: "invalid_filter" })
+
+// A query value may be "Pune", "50000" or "true"; match it however the extraction stored it
+const extractedValueMatch = (raw) => {
+  const variants = []
+  for (const value of Array.isArray(raw) ? raw : [raw]) {
+    variants.push(String(value))
+    if (String(value).trim() !== "" && Number.isFinite(Number(value))) variants.push(Number(value))
+    if (value === "true" || value === "false") variants.push(value === "true")
+  }
+  return { $in: variants }
+}
+
+/**
+ * CallLog filters shared by /api/logs and /api/logs/export.
+ * extracted.<field>=value matches the agent's extracted data (CallLog.extraction.data).
+ */
+const buildLogFilters = (query, clientId) => {
+  const mongoose = require("mongoose")
+  const { FIELD_NAME_PATTERN } = require("./utils/call-extraction")
+  const { leadStatus, isActive, agentId, extractionStatus, from, to } = query
+
+  const filters = {}
+  if (clientId) filters.clientId = clientId
+  if (leadStatus) filters.leadStatus = leadStatus
+  if (isActive !== undefined) filters["metadata.isActive"] = isActive === "true"
+  if (agentId) {
+    if (!mongoose.Types.ObjectId.isValid(agentId)) throw invalidFilter("Invalid agentId")
+    filters.agentId = agentId
+  }
+  if (extractionStatus) filters["extraction.status"] = extractionStatus
+  if (from || to) {
+    filters.createdAt = {}
+    for (const [op, value] of [["$gte", from], ["$lte", to]]) {
+      if (!value) continue
+      const date = new Date(value)
+      if (Number.isNaN(date.getTime())) throw invalidFilter(`Invalid date: ${value}`)
+      filters.createdAt[op] = date
+    }
+  }
+  for (const [key, raw] of Object.entries(query)) {
+    if (!key.startsWith("extracted.")) continue
+    const field = key.slice("extracted.".length)
+    if (!FIELD_NAME_PATTERN.test(field)) throw invalidFilter(`Invalid extracted field: ${field}`)
+    filters[`extraction.data.${field}`] = extractedValueMatch(raw)
+  }
+  return filters
+}
+
+const sendInvalidFilter = (res, error) =>
+  res.status(400).json({ error: "Invalid filter", message: error.message, timestamp: new Date().toISOString() })
+
+// Live logs endpoint with filtering and pagination (clients only ever see their own calls)
+app.get("/api/logs", requireAuth, async (req, res) => {
   try {
-    const { clientId, limit = 50, page = 1, leadStatus, isActive, sortBy = "createdAt", sortOrder = "desc" } = req.query
+    const { limit = 50, page = 1, leadStatus, isActive, sortBy = "createdAt", sortOrder = "desc" } = req.query
+    const clientId = resolveClientScope(req.principal, req.query.clientId)
 
     // Build query filters
-    const filters = {}
-    if (clientId) filters.clientId = clientId
-    if (leadStatus) filters.leadStatus = leadStatus
-    if (isActive !== undefined) filters["metadata.isActive"] = isActive === "true"
+    const filters = buildLogFilters(req.query, clientId)
 
     // Build sort object
     const sort = {}
@@ -231,8 +320,8 @@ app.get("/api/logs", async (req, res) => {
       }),
     ])
 
-    // Get unique clients for filter options
-    const clientIds = await CallLog.distinct("clientId", {})
+    // Get unique clients for filter options (a client only ever has itself)
+    const clientIds = req.principal.role === "admin" ? await CallLog.distinct("clientId", {}) : [clientId]
 
     // Response with logs and metadata
     const response = {
@@ -253,12 +342,21 @@ app.get("/api/logs", async (req, res) => {
         clientId,
         leadStatus,
         isActive,
+        agentId: req.query.agentId,
+        extractionStatus: req.query.extractionStatus,
+        extracted: Object.fromEntries(
+          Object.entries(req.query)
+            .filter(([key]) => key.startsWith("extracted."))
+            .map(([key, value]) => [key.slice("extracted.".length), value]),
+        ),
         availableClients: clientIds.sort(),
       },
     }
 
     res.json(response)
   } catch (error) {
+    if (error.code === "forbidden") return sendForbidden(res, error.message)
+    if (error.code === "invalid_filter") return sendInvalidFilter(res, error)
     console.error("❌ [LOGS-API] Error fetching logs:", error.message)
     res.status(500).json({
       error: "Failed to fetch logs",
@@ -268,49 +366,91 @@ app.get("/api/logs", async (req, res) => {
   }
 })
 
-// Get specific call log by ID
-app.get("/api/logs/:id", async (req, res) => {
+const LOG_EXPORT_MAX_ROWS = Number(process.env.LOG_EXPORT_MAX_ROWS) || 10000
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return ""
+  let text = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value)
+  if (/^[=@\t\r]/.test(text)) text = `'${text}` // keep spreadsheets from evaluating cells as formulas
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Export call logs with their extracted fields (one column per field plus <field>_confidence); same filters as /api/logs
+app.get("/api/logs/export", requireAuth, async (req, res) => {
   try {
-    const { id } = req.params
     const CallLog = require("./models/CallLog")
+    const clientId = resolveClientScope(req.principal, req.query.clientId)
+    const filters = buildLogFilters(req.query, clientId)
+    const format = req.query.format === "json" ? "json" : "csv"
+
+    const logs = await CallLog.find(filters)
+      .select("clientId agentId mobile duration leadStatus disposition subDisposition metadata.callDirection extraction createdAt")
+      .sort({ createdAt: -1 })
+      .limit(LOG_EXPORT_MAX_ROWS)
+      .lean()
+
+    const rows = logs.map((log) => {
+      const row = {
+        callLogId: String(log._id),
+        createdAt: log.createdAt,
+        clientId: log.clientId,
+        agentId: log.agentId ? String(log.agentId) : null,
+        mobile: log.mobile,
+        direction: log.metadata?.callDirection || null,
+        durationSec: log.duration,
+        leadStatus: log.leadStatus,
+        disposition: log.disposition,
+        subDisposition: log.subDisposition,
+        extractionStatus: log.extraction?.status || null,
+        missingRequired: (log.extraction?.missingRequired || []).join("|") || null,
+      }
+      for (const field of log.extraction?.fields || []) {
+        row[field.name] = field.value
+        row[`${field.name}_confidence`] = field.confidence
+      }
+      return row
+    })
+    console.log(`📊 [LOGS-EXPORT] ${rows.length} logs as ${format}${clientId ? ` for client ${clientId}` : ""}`)
 
-    const log = await CallLog.findById(id).lean()
+    if (format === "json") {
+      return res.json({ logs: rows, total: rows.length, truncated: rows.length === LOG_EXPORT_MAX_ROWS, timestamp: new Date().toISOString() })
+    }
 
-    if (!log) {
-      return res.status(404).json({
-        error: "Call log not found",
-        id: id,
-        timestamp: new Date().toISOString(),
-      })
+    // Union of columns, in first-seen order, so logs of agents with different schemas share one file
+    const columns = []
+    for (const row of rows) {
+      for (const key of Object.keys(row)) if (!columns.includes(key)) columns.push(key)
     }
+    const csv = [columns.join(","), ...rows.map((row) => columns.map((column) => csvCell(row[column])).join(","))].join("\r\n")
 
-    res.json({
-      log,
-      timestamp: new Date().toISOString(),
-    })
+    res.setHeader("Content-Type", "text/csv; charset=utf-8")
+    res.setHeader("Content-Disposition", `attachment; filename="call-logs-${new Date().toISOString().slice(0, 10)}.csv"`)
+    res.send(csv)
   } catch (error) {
-    console.error("❌ [LOGS-API] Error fetching log:", error.message)
-    res.status(500).json({
-      error: "Failed to fetch log",
-      message: error.message,
-      timestamp: new Date().toISOString(),
-    })
+    if (error.code === "forbidden") return sendForbidden(res, error.message)
+    if (error.code === "invalid_filter") return sendInvalidFilter(res, error)
+    console.error("❌ [LOGS-EXPORT] Error exporting logs:", error.message)
+    res.status(500).json({ error: "Failed to export logs", message: error.message, timestamp: new Date().toISOString() })
   }
 })
 
-// Get live statistics
-app.get("/api/logs/stats", async (req, res) => {
+// Get live statistics (registered before /api/logs/:id so "stats" is not taken for an id)
+app.get("/api/logs/stats", requireAuth, async (req, res) => {
   try {
     const CallLog = require("./models/CallLog")
+    const clientId = resolveClientScope(req.principal, req.query.clientId)
+    const scope = clientId ? { clientId } : {}
 
     const [totalCalls, activeCalls, todaysCalls, statusBreakdown, clientBreakdown] = await Promise.all([
-      CallLog.countDocuments(),
-      CallLog.countDocuments({ "metadata.isActive": true }),
+      CallLog.countDocuments(scope),
+      CallLog.countDocuments({ ...scope, "metadata.isActive": true }),
       CallLog.countDocuments({
+        ...scope,
         createdAt: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) },
       }),
-      CallLog.aggregate([{ $group: { _id: "$leadStatus", count: { $sum: 1 } } }]),
+      CallLog.aggregate([{ $match: scope }, { $group: { _id: "$leadStatus", count: { $sum: 1 } } }]),
       CallLog.aggregate([
+        { $match: scope },
         {
           $group: {
             _id: "$clientId",
@@ -335,16 +475,21 @@ app.get("/api/logs/stats", async (req, res) => {
         return acc
       }, {}),
       topClients: clientBreakdown,
-      server: {
+    }
+
+    // Server-wide figures are platform information
+    if (req.principal.role === "admin") {
+      stats.server = {
         uptime: process.uptime(),
         memory: process.memoryUsage(),
         activeConnections: activeConnections + sipActiveConnections + sanpbxActiveConnections,
         totalConnections: totalConnections + sipTotalConnections + sanpbxTotalConnections,
-      },
+      }
     }
 
     res.json(stats)
   } catch (error) {
+    if (error.code === "forbidden") return sendForbidden(res, error.message)
     console.error("❌ [LOGS-STATS] Error generating stats:", error.message)
     res.status(500).json({
       error: "Failed to generate statistics",
@@ -354,8 +499,46 @@ app.get("/api/logs/stats", async (req, res) => {
   }
 })
 
-// Clean up stale active calls (utility endpoint)
-app.post("/api/logs/cleanup", async (req, res) => {
+// Get specific call log by ID
+app.get("/api/logs/:id", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params
+    const CallLog = require("./models/CallLog")
+    const mongoose = require("mongoose")
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid call log ID", id, timestamp: new Date().toISOString() })
+    }
+
+    const log = await CallLog.findById(id).lean()
+
+    if (!log) {
+      return res.status(404).json({
+        error: "Call log not found",
+        id: id,
+        timestamp: new Date().toISOString(),
+      })
+    }
+    if (!canAccessClient(req.principal, log.clientId)) {
+      return sendForbidden(res, "This call log belongs to another client")
+    }
+
+    res.json({
+      log,
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error("❌ [LOGS-API] Error fetching log:", error.message)
+    res.status(500).json({
+      error: "Failed to fetch log",
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
+// Clean up stale active calls (utility endpoint; touches every client's calls, so admins only)
+app.post("/api/logs/cleanup", requireAuth, requireAdmin, async (req, res) => {
   try {
     const CallLog = require("./models/CallLog")
     const result = await CallLog.cleanupStaleActiveCalls()
@@ -375,10 +558,10 @@ app.post("/api/logs/cleanup", async (req, res) => {
   }
 })
 
-// Terminate active call by streamSid
-app.post("/api/calls/terminate", async (req, res) => {
+// Terminate active call by streamSid (clients may only hang up their own calls)
+app.post("/api/calls/terminate", requireAuth, async (req, res) => {
   try {
-    const { streamSid, reason } = req.body
+    const { streamSid, reason } = req.body || {}
 
     if (!streamSid) {
       return res.status(400).json({
@@ -388,6 +571,25 @@ app.post("/api/calls/terminate", async (req, res) => {
       })
     }
 
+    if (req.principal.role !== "admin") {
+      // Owner from the live call when it is still up, otherwise from its CallLog
+      const CallLog = require("./models/CallLog")
+      const liveCall = require("./utils/call-events").callEvents.getCall(streamSid)
+      const ownerClientId =
+        liveCall?.clientId || (await CallLog.findOne({ streamSid: String(streamSid) }).select("clientId").lean())?.clientId
+      if (!ownerClientId) {
+        return res.status(404).json({
+          success: false,
+          message: "No call found for this streamSid",
+          data: { streamSid, timestamp: new Date().toISOString() },
+        })
+      }
+      if (!canAccessClient(req.principal, ownerClientId)) {
+        console.log(`❌ [API-TERMINATE] Client ${req.principal.clientId} denied terminating ${streamSid}`)
+        return sendForbidden(res, "This call belongs to another client")
+      }
+    }
+
     console.log(
       `🛑 [API-TERMINATE] Terminating call with streamSid: ${streamSid}, reason: ${reason || "manual_termination"}`,
     )
@@ -427,6 +629,707 @@ app.post("/api/calls/terminate", async (req, res) => {
   }
 })
 
+// ==================== ACCESS KEYS ====================
+
+// API keys (X-API-Key or Bearer ak_...) for server-to-server access; each key acts as one Client/Admin/Superadmin
+app.get("/api/access-keys", requireAuth, async (req, res) => {
+  try {
+    const AccessKey = require("./models/AccessKey")
+    const clientId = resolveClientScope(req.principal, req.query.clientId)
+    const keys = await AccessKey.find(clientId ? { clientId } : {}).sort({ createdAt: -1 }).lean()
+    res.json({ success: true, data: keys, timestamp: new Date().toISOString() })
+  } catch (error) {
+    if (error.code === "forbidden") return sendForbidden(res, error.message)
+    console.error("❌ [API-ACCESS-KEYS] List failed:", error.message)
+    res.status(500).json({ error: "Failed to list API keys", message: error.message, timestamp: new Date().toISOString() })
+  }
+})
+
+// Issue a key; the key itself is only returned in this response.
+// Clients get a key for themselves; admins pass clientId for a client key, or omit it for a key acting as their own account.
+app.post("/api/access-keys", requireAuth, async (req, res) => {
+  try {
+    const AccessKey = require("./models/AccessKey")
+    const mongoose = require("mongoose")
+    const { name, expiresAt } = req.body || {}
+    const clientId = resolveClientScope(req.principal, req.body?.clientId)
+
+    if (!name) {
+      return res.status(400).json({ error: "name is required", timestamp: new Date().toISOString() })
+    }
+    if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({ error: "expiresAt must be a valid date", timestamp: new Date().toISOString() })
+    }
+
+    const ownerType = clientId ? "client" : req.principal.userType
+    const ownerId = clientId || req.principal.userId
+    if (!ownerId || !mongoose.Types.ObjectId.isValid(ownerId)) {
+      return res.status(400).json({
+        error: "Cannot issue an API key",
+        message: clientId ? "Invalid clientId" : "clientId is required when the caller has no account id",
+        timestamp: new Date().toISOString(),
+      })
+    }
+    const OwnerModel = require(`./models/${{ client: "Client", admin: "Admin", superadmin: "Superadmin" }[ownerType]}`)
+    if (!(await OwnerModel.exists({ _id: ownerId }))) {
+      return res.status(404).json({ error: `${ownerType} account not found`, timestamp: new Date().toISOString() })
+    }
+
+    const { key, accessKey } = await AccessKey.issue({
+      name,
+      ownerType,
+      ownerId,
+      clientId,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      createdBy: req.principal.userId || req.principal.via,
+    })
+    console.log(`🔑 [API-ACCESS-KEYS] Issued ${accessKey.keyPreview} for ${ownerType} ${ownerId}`)
+
+    const { keyHash, ...data } = accessKey.toObject()
+    res.status(201).json({ success: true, data: { ...data, key }, timestamp: new Date().toISOString() })
+  } catch (error) {
+    if (error.code === "forbidden") return sendForbidden(res, error.message)
+    console.error("❌ [API-ACCESS-KEYS] Issue failed:", error.message)
+    res.status(500).json({ error: "Failed to issue API key", message: error.message, timestamp: new Date().toISOString() })
+  }
+})
+
+// Revoke a key; it stops authenticating immediately
+app.delete("/api/access-keys/:id", requireAuth, async (req, res) => {
+  const mongoose = require("mongoose")
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: "Invalid API key ID", timestamp: new Date().toISOString() })
+  }
+
+  try {
+    const AccessKey = require("./models/AccessKey")
+    const clientId = resolveClientScope(req.principal)
+    const revoked = await AccessKey.findOneAndUpdate(
+      { _id: req.params.id, isActive: true, ...(clientId ? { clientId } : {}) },
+      { $set: { isActive: false, revokedAt: new Date() } },
+      { new: true },
+    ).lean()
+    if (!revoked) {
+      return res.status(404).json({ error: "API key not found", timestamp: new Date().toISOString() })
+    }
+    console.log(`🔑 [API-ACCESS-KEYS] Revoked ${revoked.keyPreview}`)
+    res.json({ success: true, message: "API key revoked", timestamp: new Date().toISOString() })
+  } catch (error) {
+    console.error("❌ [API-ACCESS-KEYS] Revoke failed:", error.message)
+    res.status(500).json({ error: "Failed to revoke API key", message: error.message, timestamp: new Date().toISOString() })
+  }
+})
+
+// ==================== KNOWLEDGE BASE ====================
+
+// The agent behind a knowledge-base route, or null once a 400/403/404 has been sent
+const loadKnowledgeBaseAgent = async (req, res) => {
+  const Agent = require("./models/Agent")
+  const mongoose = require("mongoose")
+  const { agentId } = req.params
+  if (!mongoose.Types.ObjectId.isValid(agentId)) {
+    res.status(400).json({ error: "Invalid agent ID", timestamp: new Date().toISOString() })
+    return null
+  }
+  const agent = await Agent.findById(agentId).select("_id clientId agentName knowledgeBase").lean()
+  if (!agent) {
+    res.status(404).json({ error: "Agent not found", timestamp: new Date().toISOString() })
+    return null
+  }
+  if (!canAccessClient(req.principal, agent.clientId)) {
+    sendForbidden(res, "This agent belongs to another client")
+    return null
+  }
+  return agent
+}
+
+// The client's stored OpenAI key is over its limit or unreadable: nothing is embedded on the platform key instead
+const KNOWLEDGE_BASE_KEY_ERRORS = new Set(["api_key_limit_exceeded", "api_key_invalid"])
+
+// Embeddings for a route run on the agent's client's own OpenAI key when one is stored
+const knowledgeBaseKeyOptions = async (agent) => {
+  const { resolveProviderKey, providerKeyOptions } = require("./utils/api-key-resolver")
+  return providerKeyOptions(await resolveProviderKey(agent.clientId, "openai"))
+}
+
+// Knowledge-base index status for an agent
+app.get("/api/agents/:agentId/knowledge-base", requireAuth, async (req, res) => {
+  try {
+    const { getKnowledgeBaseStatus } = require("./utils/knowledge-base")
+    const agent = await loadKnowledgeBaseAgent(req, res)
+    if (!agent) return
+
+    res.json({
+      success: true,
+      data: await getKnowledgeBaseStatus(agent),
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error("❌ [API-KNOWLEDGE-BASE] Error fetching status:", error.message)
+    res.status(500).json({
+      error: "Failed to fetch knowledge-base status",
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
+// Chunk and embed the agent's knowledgeBase documents (force=true re-embeds everything)
+app.post("/api/agents/:agentId/knowledge-base/ingest", requireAuth, async (req, res) => {
+  try {
+    const { ingestAgentKnowledgeBase, getKnowledgeBaseStatus } = require("./utils/knowledge-base")
+    const agent = await loadKnowledgeBaseAgent(req, res)
+    if (!agent) return
+
+    if (!agent.knowledgeBase?.length) {
+      return res.status(400).json({
+        error: "No knowledge-base documents",
+        message: "Agent has no knowledgeBase documents to ingest",
+        timestamp: new Date().toISOString(),
+      })
+    }
+
+    console.log(`📚 [API-KNOWLEDGE-BASE] Ingesting ${agent.knowledgeBase.length} documents for agent ${agent._id}`)
+    await ingestAgentKnowledgeBase(agent, { force: req.body?.force === true, ...(await knowledgeBaseKeyOptions(agent)) })
+
+    res.json({
+      success: true,
+      data: await getKnowledgeBaseStatus(agent),
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error("❌ [API-KNOWLEDGE-BASE] Ingestion failed:", error.message)
+    if (KNOWLEDGE_BASE_KEY_ERRORS.has(error.code)) {
+      return res.status(409).json({ error: error.message, code: error.code, timestamp: new Date().toISOString() })
+    }
+    res.status(500).json({
+      error: "Failed to ingest knowledge base",
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
+// Preview what the agent would retrieve for a question
+app.post("/api/agents/:agentId/knowledge-base/search", requireAuth, async (req, res) => {
+  try {
+    const { retrieveKnowledge } = require("./utils/knowledge-base")
+    const { query, topK } = req.body || {}
+
+    if (!query || typeof query !== "string") {
+      return res.status(400).json({
+        error: "Missing required parameter",
+        message: "query is required",
+        timestamp: new Date().toISOString(),
+      })
+    }
+
+    const agent = await loadKnowledgeBaseAgent(req, res)
+    if (!agent) return
+
+    const passages = await retrieveKnowledge(agent._id, query, {
+      topK: Number(topK) || undefined,
+      ...(await knowledgeBaseKeyOptions(agent)),
+    })
+    res.json({
+      success: true,
+      data: { agentId: String(agent._id), query, passages },
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error("❌ [API-KNOWLEDGE-BASE] Search failed:", error.message)
+    if (KNOWLEDGE_BASE_KEY_ERRORS.has(error.code)) {
+      return res.status(409).json({ error: error.message, code: error.code, timestamp: new Date().toISOString() })
+    }
+    res.status(500).json({
+      error: "Failed to search knowledge base",
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
+// ==================== SUPERVISOR CONTROLS ====================
+
+const SUPERVISOR_ERROR_STATUS = {
+  invalid_action: 404,
+  call_not_found: 404,
+  forbidden: 403,
+  unsupported_action: 409,
+  invalid_text: 400,
+  invalid_human_agent: 400,
+  action_failed: 409,
+}
+
+// whisper | say | barge on a live call (callId as listed by /monitor-ws); every action is recorded on the CallLog
+app.post("/api/calls/:callId/supervisor/:action", requireAuth, async (req, res) => {
+  const { callId, action } = req.params
+  try {
+    const { performSupervisorAction } = require("./utils/supervisor")
+    const result = await performSupervisorAction(callId, action, req.body || {}, req.principal)
+    res.json({ success: true, data: { callId, ...result }, timestamp: new Date().toISOString() })
+  } catch (error) {
+    const status = SUPERVISOR_ERROR_STATUS[error.code]
+    if (status) {
+      return res.status(status).json({ error: error.message, code: error.code, timestamp: new Date().toISOString() })
+    }
+    console.error(`❌ [API-SUPERVISOR] ${action} failed:`, error.message)
+    res.status(500).json({
+      error: `Failed to ${action} on call`,
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
+// ==================== OUTBOUND CAMPAIGNS ====================
+
+const CAMPAIGN_ERROR_STATUS = {
+  not_found: 404,
+  invalid_transition: 409,
+  campaign_expired: 409,
+  group_not_found: 400,
+  no_contacts: 400,
+  plan_limit_exceeded: 403,
+}
+
+// start | pause | resume | cancel an OutboundCampaign; the dialer picks running campaigns up on its next tick.
+// Clients only reach their own campaigns; admins reach any
+const CAMPAIGN_ACTIONS = ["start", "pause", "resume", "cancel"]
+
+app.post("/api/outbound-campaigns/:campaignId/:action", requireAuth, async (req, res) => {
+  const { campaignId, action } = req.params
+  if (!CAMPAIGN_ACTIONS.includes(action)) {
+    return res.status(404).json({ error: "Unknown campaign action", action, timestamp: new Date().toISOString() })
+  }
+  const mongoose = require("mongoose")
+  if (!mongoose.Types.ObjectId.isValid(campaignId)) {
+    return res.status(400).json({ error: "Invalid campaign ID", timestamp: new Date().toISOString() })
+  }
+
+  try {
+    const clientId = resolveClientScope(req.principal)
+    const dialer = require("./utils/campaign-dialer")
+    const handlers = {
+      start: dialer.startCampaign,
+      pause: dialer.pauseCampaign,
+      resume: dialer.resumeCampaign,
+      cancel: dialer.cancelCampaign,
+    }
+    const campaign = await handlers[action](campaignId, clientId)
+
+    res.json({
+      success: true,
+      data: dialer.summarizeCampaign(campaign),
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    const status = CAMPAIGN_ERROR_STATUS[error.code]
+    if (status) {
+      return res
+        .status(status)
+        .json({ error: error.message, code: error.code, limit: error.limit, timestamp: new Date().toISOString() })
+    }
+    console.error(`❌ [API-OUTBOUND-CAMPAIGN] ${action} failed:`, error.message)
+    res.status(500).json({
+      error: `Failed to ${action} campaign`,
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
+// ==================== CAMPAIGN PROGRESS ====================
+
+// Live ringing/ongoing/completed counts for a Campaign, kept current by the /ws start/stop/close handlers
+app.get("/api/campaigns/:id/progress", requireAuth, async (req, res) => {
+  const mongoose = require("mongoose")
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: "Invalid campaign ID", timestamp: new Date().toISOString() })
+  }
+
+  try {
+    const Campaign = require("./models/Campaign")
+    const progress = await Campaign.getDetailProgress(req.params.id)
+    if (!progress) {
+      return res.status(404).json({ error: "Campaign not found", timestamp: new Date().toISOString() })
+    }
+    const { clientId, ...counts } = progress
+    if (!canAccessClient(req.principal, clientId)) return sendForbidden(res, "This campaign belongs to another client")
+
+    res.json({
+      success: true,
+      data: { campaignId: req.params.id, ...counts },
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error("❌ [API-CAMPAIGN-PROGRESS] Error:", error.message)
+    res.status(500).json({
+      error: "Failed to fetch campaign progress",
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
+// ==================== PLAN USAGE ====================
+
+// Usage against the limits of the client's current plan (Credit.currentPlan); admins pass ?clientId=
+app.get("/api/plan/usage", requireAuth, async (req, res) => {
+  try {
+    const clientId = resolveClientScope(req.principal, req.query.clientId)
+    if (!clientId) {
+      return res.status(400).json({ error: "clientId is required", timestamp: new Date().toISOString() })
+    }
+    const { getPlanUsage } = require("./utils/plan-limits")
+    res.json({ success: true, data: await getPlanUsage(clientId), timestamp: new Date().toISOString() })
+  } catch (error) {
+    if (error.code === "forbidden") return sendForbidden(res, error.message)
+    console.error("❌ [API-PLAN-USAGE] Failed:", error.message)
+    res.status(500).json({ error: "Failed to fetch plan usage", message: error.message, timestamp: new Date().toISOString() })
+  }
+})
+
+// ==================== CREDITS ====================
+
+// Balance split into reserved (held by live calls and in-flight messages) and available; admins pass ?clientId=
+app.get("/api/credits/balance", requireAuth, async (req, res) => {
+  try {
+    const clientId = resolveClientScope(req.principal, req.query.clientId)
+    if (!clientId) {
+      return res.status(400).json({ error: "clientId is required", timestamp: new Date().toISOString() })
+    }
+    if (!require("mongoose").Types.ObjectId.isValid(clientId)) {
+      return res.status(400).json({ error: "Invalid client ID", timestamp: new Date().toISOString() })
+    }
+    const Credit = require("./models/Credit")
+    res.json({ success: true, data: await Credit.getBalanceSummary(clientId), timestamp: new Date().toISOString() })
+  } catch (error) {
+    if (error.code === "forbidden") return sendForbidden(res, error.message)
+    console.error("❌ [API-CREDITS] Balance failed:", error.message)
+    res.status(500).json({ error: "Failed to fetch credit balance", message: error.message, timestamp: new Date().toISOString() })
+  }
+})
+
+// ==================== FOLLOW-UPS ====================
+
+const FOLLOW_UP_ERROR_STATUS = {
+  not_found: 404,
+  invalid_transition: 409,
+  invalid_time: 400,
+}
+
+const sendFollowUpError = (res, error, action) => {
+  if (error.code === "forbidden") return sendForbidden(res, error.message)
+  const status = FOLLOW_UP_ERROR_STATUS[error.code]
+  if (status) return res.status(status).json({ error: error.message, code: error.code, timestamp: new Date().toISOString() })
+  console.error(`❌ [API-FOLLOW-UPS] ${action} failed:`, error.message)
+  res.status(500).json({ error: `Failed to ${action} follow-up`, message: error.message, timestamp: new Date().toISOString() })
+}
+
+// Callbacks callers asked for, soonest first; filter by status, agentId, mobile and dueAt range (from/to)
+app.get("/api/follow-ups", requireAuth, async (req, res) => {
+  try {
+    const FollowUpTask = require("./models/FollowUpTask")
+    const { status, agentId, mobile, from, to, limit = 50, page = 1 } = req.query
+    const clientId = resolveClientScope(req.principal, req.query.clientId)
+
+    const filters = {}
+    if (clientId) filters.clientId = clientId
+    if (status) filters.status = { $in: String(status).split(",") }
+    if (agentId) {
+      if (!require("mongoose").Types.ObjectId.isValid(agentId)) {
+        return res.status(400).json({ error: "Invalid agent ID", timestamp: new Date().toISOString() })
+      }
+      filters.agentId = agentId
+    }
+    if (mobile) {
+      const digits = String(mobile).replace(/\D+/g, "").slice(-10)
+      if (digits) filters.mobile = { $regex: `${digits}$` }
+    }
+    if (from || to) {
+      const range = {}
+      if (from) range.$gte = new Date(from)
+      if (to) range.$lte = new Date(to)
+      if (Object.values(range).some((date) => Number.isNaN(date.getTime()))) {
+        return res.status(400).json({ error: "from/to must be valid dates", timestamp: new Date().toISOString() })
+      }
+      filters.dueAt = range
+    }
+
+    const pageSize = Math.min(Number.parseInt(limit) || 50, 200)
+    const skip = (Math.max(Number.parseInt(page) || 1, 1) - 1) * pageSize
+    const [followUps, total] = await Promise.all([
+      FollowUpTask.find(filters).sort({ dueAt: 1 }).skip(skip).limit(pageSize).lean(),
+      FollowUpTask.countDocuments(filters),
+    ])
+
+    res.json({
+      followUps,
+      pagination: { total, page: Number.parseInt(page) || 1, limit: pageSize, pages: Math.ceil(total / pageSize) },
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    sendFollowUpError(res, error, "list")
+  }
+})
+
+// Move a scheduled or failed follow-up: { dueAt } or { date: "YYYY-MM-DD", time: "HH:mm", timezone }, optional contextSummary
+app.patch("/api/follow-ups/:id", requireAuth, async (req, res) => {
+  try {
+    const { rescheduleFollowUp } = require("./utils/follow-ups")
+    const followUp = await rescheduleFollowUp(req.params.id, resolveClientScope(req.principal), req.body || {})
+    res.json({ success: true, data: followUp, timestamp: new Date().toISOString() })
+  } catch (error) {
+    sendFollowUpError(res, error, "reschedule")
+  }
+})
+
+app.post("/api/follow-ups/:id/cancel", requireAuth, async (req, res) => {
+  try {
+    const { cancelFollowUp } = require("./utils/follow-ups")
+    const cancelledBy = req.principal.userId || req.principal.via
+    const followUp = await cancelFollowUp(req.params.id, resolveClientScope(req.principal), cancelledBy)
+    res.json({ success: true, data: followUp, timestamp: new Date().toISOString() })
+  } catch (error) {
+    sendFollowUpError(res, error, "cancel")
+  }
+})
+
+// ==================== WEBHOOKS ====================
+
+// Validate { url, events } for create/update; returns an error message or null.
+// The url must resolve to a public address only (no loopback, private, link-local or metadata hosts)
+const validateWebhookInput = async ({ url, events }, { partial = false } = {}) => {
+  const { WEBHOOK_EVENTS, assertPublicWebhookUrl } = require("./utils/webhooks")
+  if (events !== undefined) {
+    if (!Array.isArray(events) || !events.length) return "events must be a non-empty array"
+    const unknown = events.filter((event) => event !== "*" && !WEBHOOK_EVENTS.includes(event))
+    if (unknown.length) return `Unknown events: ${unknown.join(", ")} (allowed: ${WEBHOOK_EVENTS.join(", ")}, *)`
+  }
+  if (!partial || url !== undefined) {
+    try {
+      await assertPublicWebhookUrl(url)
+    } catch (error) {
+      if (error.code === "webhook_url_blocked") return error.message
+      throw error
+    }
+  }
+  return null
+}
+
+// List the client's webhook subscriptions (secrets are never returned here)
+app.get("/api/webhooks", requireAuth, async (req, res) => {
+  try {
+    const WebhookSubscription = require("./models/WebhookSubscription")
+    const clientId = resolveClientScope(req.principal, req.query.clientId)
+    const subscriptions = await WebhookSubscription.find(clientId ? { clientId } : {}).sort({ createdAt: -1 }).lean()
+    res.json({ success: true, data: subscriptions, timestamp: new Date().toISOString() })
+  } catch (error) {
+    if (error.code === "forbidden") return sendForbidden(res, error.message)
+    console.error("❌ [API-WEBHOOKS] List failed:", error.message)
+    res.status(500).json({ error: "Failed to list webhooks", message: error.message, timestamp: new Date().toISOString() })
+  }
+})
+
+// Create a subscription; the signing secret is only returned in this response
+app.post("/api/webhooks", requireAuth, async (req, res) => {
+  try {
+    const WebhookSubscription = require("./models/WebhookSubscription")
+    const { url, events, description } = req.body || {}
+    const clientId = resolveClientScope(req.principal, req.body?.clientId)
+    if (!clientId) {
+      return res.status(400).json({ error: "clientId is required", timestamp: new Date().toISOString() })
+    }
+    const invalid = await validateWebhookInput({ url, events })
+    if (invalid) {
+      return res.status(400).json({ error: "Invalid webhook", message: invalid, timestamp: new Date().toISOString() })
+    }
+
+    const secret = WebhookSubscription.generateSecret()
+    const subscription = await WebhookSubscription.create({ clientId, url, events: events || ["*"], description, secret })
+    console.log(`📤 [API-WEBHOOKS] Subscription ${subscription._id} created for client ${clientId} → ${url}`)
+
+    res.status(201).json({
+      success: true,
+      data: { ...subscription.toObject(), secret },
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    if (error.code === "forbidden") return sendForbidden(res, error.message)
+    console.error("❌ [API-WEBHOOKS] Create failed:", error.message)
+    res.status(500).json({ error: "Failed to create webhook", message: error.message, timestamp: new Date().toISOString() })
+  }
+})
+
+// Update url / events / description / isActive
+app.patch("/api/webhooks/:id", requireAuth, async (req, res) => {
+  const mongoose = require("mongoose")
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: "Invalid webhook ID", timestamp: new Date().toISOString() })
+  }
+
+  try {
+    const WebhookSubscription = require("./models/WebhookSubscription")
+    const clientId = resolveClientScope(req.principal)
+    const { url, events, description, isActive } = req.body || {}
+    const invalid = await validateWebhookInput({ url, events }, { partial: true })
+    if (invalid) {
+      return res.status(400).json({ error: "Invalid webhook", message: invalid, timestamp: new Date().toISOString() })
+    }
+
+    const update = {}
+    if (url !== undefined) update.url = url
+    if (events !== undefined) update.events = events
+    if (description !== undefined) update.description = description
+    if (isActive !== undefined) update.isActive = !!isActive
+    if (update.isActive) update.consecutiveFailures = 0
+
+    const subscription = await WebhookSubscription.findOneAndUpdate(
+      { _id: req.params.id, ...(clientId ? { clientId } : {}) },
+      { $set: update },
+      { new: true },
+    ).lean()
+    if (!subscription) {
+      return res.status(404).json({ error: "Webhook not found", timestamp: new Date().toISOString() })
+    }
+    res.json({ success: true, data: subscription, timestamp: new Date().toISOString() })
+  } catch (error) {
+    console.error("❌ [API-WEBHOOKS] Update failed:", error.message)
+    res.status(500).json({ error: "Failed to update webhook", message: error.message, timestamp: new Date().toISOString() })
+  }
+})
+
+app.delete("/api/webhooks/:id", requireAuth, async (req, res) => {
+  const mongoose = require("mongoose")
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: "Invalid webhook ID", timestamp: new Date().toISOString() })
+  }
+
+  try {
+    const WebhookSubscription = require("./models/WebhookSubscription")
+    const clientId = resolveClientScope(req.principal)
+    const deleted = await WebhookSubscription.findOneAndDelete({ _id: req.params.id, ...(clientId ? { clientId } : {}) })
+    if (!deleted) {
+      return res.status(404).json({ error: "Webhook not found", timestamp: new Date().toISOString() })
+    }
+    res.json({ success: true, message: "Webhook deleted", timestamp: new Date().toISOString() })
+  } catch (error) {
+    console.error("❌ [API-WEBHOOKS] Delete failed:", error.message)
+    res.status(500).json({ error: "Failed to delete webhook", message: error.message, timestamp: new Date().toISOString() })
+  }
+})
+
+// Delivery log, newest first; filter by subscriptionId, event, status
+app.get("/api/webhooks/deliveries", requireAuth, async (req, res) => {
+  try {
+    const WebhookDelivery = require("./models/WebhookDelivery")
+    const { subscriptionId, event, status, limit = 50, page = 1 } = req.query
+    const clientId = resolveClientScope(req.principal, req.query.clientId)
+    if (subscriptionId && !require("mongoose").Types.ObjectId.isValid(subscriptionId)) {
+      return res.status(400).json({ error: "Invalid subscription ID", timestamp: new Date().toISOString() })
+    }
+
+    const filters = {}
+    if (clientId) filters.clientId = clientId
+    if (subscriptionId) filters.subscriptionId = subscriptionId
+    if (event) filters.event = event
+    if (status) filters.status = status
+
+    const pageSize = Math.min(Number.parseInt(limit) || 50, 200)
+    const skip = (Math.max(Number.parseInt(page) || 1, 1) - 1) * pageSize
+    const [deliveries, total] = await Promise.all([
+      // Attempts logged before response bodies stopped being stored still carry one; never hand it out
+      WebhookDelivery.find(filters).select("-attemptLog.responseBody").sort({ createdAt: -1 }).skip(skip).limit(pageSize).lean(),
+      WebhookDelivery.countDocuments(filters),
+    ])
+
+    res.json({
+      deliveries,
+      pagination: { total, page: Number.parseInt(page) || 1, limit: pageSize, pages: Math.ceil(total / pageSize) },
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    if (error.code === "forbidden") return sendForbidden(res, error.message)
+    console.error("❌ [API-WEBHOOKS] Delivery log failed:", error.message)
+    res.status(500).json({ error: "Failed to fetch webhook deliveries", message: error.message, timestamp: new Date().toISOString() })
+  }
+})
+
+// Send a logged delivery again (same payload and delivery id, fresh retry budget)
+app.post("/api/webhooks/deliveries/:id/redeliver", requireAuth, async (req, res) => {
+  const mongoose = require("mongoose")
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: "Invalid delivery ID", timestamp: new Date().toISOString() })
+  }
+
+  try {
+    const { redeliverWebhook } = require("./utils/webhooks")
+    const delivery = await redeliverWebhook(req.params.id, resolveClientScope(req.principal))
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found", timestamp: new Date().toISOString() })
+    }
+    res.json({ success: true, data: delivery, timestamp: new Date().toISOString() })
+  } catch (error) {
+    if (error.code === "subscription_inactive") {
+      return res.status(409).json({ error: error.message, code: error.code, timestamp: new Date().toISOString() })
+    }
+    console.error("❌ [API-WEBHOOKS] Redelivery failed:", error.message)
+    res.status(500).json({ error: "Failed to redeliver webhook", message: error.message, timestamp: new Date().toISOString() })
+  }
+})
+
+// ==================== CALL RECORDINGS ====================
+
+// Serve a recording written by the local recording storage (CallLog.audioUrl) to its own client or an admin
+app.get("/api/recordings/:clientId/:month/:file", requireAuth, async (req, res) => {
+  try {
+    const { createRecordingStorage } = require("./utils/recording-storage")
+    const { clientId, month, file } = req.params
+    if (!canAccessClient(req.principal, clientId)) return sendForbidden(res, "This recording belongs to another client")
+    if (!/^\d{4}-\d{2}$/.test(month) || !/^[\w.-]+\.wav$/.test(file)) {
+      return res.status(400).json({ error: "Invalid recording name", timestamp: new Date().toISOString() })
+    }
+
+    const storage = createRecordingStorage("local")
+    const audio = await storage.read(`${clientId}/${month}/${file}`)
+    res.set("Content-Type", "audio/wav")
+    res.set("Content-Length", String(audio.length))
+    res.send(audio)
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ error: "Recording not found", timestamp: new Date().toISOString() })
+    }
+    console.error("❌ [API-RECORDINGS] Failed to read recording:", error.message)
+    res.status(500).json({
+      error: "Failed to read recording",
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
+// Delete recordings past their agent's retention period (also runs on a timer)
+app.post("/api/recordings/purge", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { purgeExpiredRecordings } = require("./utils/call-recorder")
+    const deletedCount = await purgeExpiredRecordings()
+
+    res.json({
+      message: "Recording retention sweep completed",
+      deletedCount,
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error("❌ [API-RECORDINGS] Retention sweep failed:", error.message)
+    res.status(500).json({
+      error: "Failed to purge expired recordings",
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
 // Health check endpoint
 app.get("/health", async (req, res) => {
   try {
@@ -459,6 +1362,10 @@ app.get("/health", async (req, res) => {
           clients: sanpbxWss.clients.size,
           active: sanpbxActiveConnections,
         },
+        monitor: {
+          clients: monitorWss.clients.size,
+          active: monitorActiveConnections,
+        },
       },
     }
 
@@ -505,15 +1412,36 @@ app.get("/api/info", async (req, res) => {
         websocket: `/ws`,
         sipWebsocket: `/sip-ws`,
         sanpbxWebsocket: `/sanpbx-ws`,
+        monitorWebsocket: `/monitor-ws`,
         health: `/health`,
         stats: `/api/stats`,
         info: `/api/info`,
         logs: `/api/logs`,
         logsById: `/api/logs/:id`,
+        logsExport: `/api/logs/export`,
         logsStats: `/api/logs/stats`,
         logsCleanup: `/api/logs/cleanup`,
         callsTerminate: `/api/calls/terminate`,
+        accessKeys: `/api/access-keys`,
+        accessKeyById: `/api/access-keys/:id`,
         clickToCallSupport: `/api/click-to-call-support`,
+        knowledgeBase: `/api/agents/:agentId/knowledge-base`,
+        knowledgeBaseIngest: `/api/agents/:agentId/knowledge-base/ingest`,
+        knowledgeBaseSearch: `/api/agents/:agentId/knowledge-base/search`,
+        supervisorAction: `/api/calls/:callId/supervisor/(whisper|say|barge)`,
+        outboundCampaignAction: `/api/outbound-campaigns/:campaignId/(start|pause|resume|cancel)`,
+        campaignProgress: `/api/campaigns/:id/progress`,
+        planUsage: `/api/plan/usage`,
+        creditBalance: `/api/credits/balance`,
+        followUps: `/api/follow-ups`,
+        followUpById: `/api/follow-ups/:id`,
+        followUpCancel: `/api/follow-ups/:id/cancel`,
+        webhooks: `/api/webhooks`,
+        webhookById: `/api/webhooks/:id`,
+        webhookDeliveries: `/api/webhooks/deliveries`,
+        webhookRedeliver: `/api/webhooks/deliveries/:id/redeliver`,
+        recordings: `/api/recordings/:clientId/:month/:file`,
+        recordingsPurge: `/api/recordings/purge`,
       },
     })
   } catch (error) {
@@ -524,8 +1452,8 @@ app.get("/api/info", async (req, res) => {
   }
 })
 
-// Server statistics endpoint
-app.get("/api/stats", async (req, res) => {
+// Server statistics endpoint (admins only: it lists every client's live connections)
+app.get("/api/stats", requireAuth, requireAdmin, async (req, res) => {
   try {
     const dbHealth = await checkDatabaseHealth()
     const dbStats = await getDatabaseStats()
@@ -573,6 +1501,11 @@ app.get("/api/stats", async (req, res) => {
             clientIP: ws.clientIP?.replace(/^.*:/, ""), // Hide full IP for privacy
           })),
         },
+        monitor: {
+          clients: monitorWss.clients.size,
+          active: monitorActiveConnections,
+          liveCalls: require("./utils/call-events").callEvents.listCalls().length,
+        },
       },
       database: {
         health: dbHealth,
@@ -612,7 +1545,7 @@ app.post("/api/click-to-call-support", async (req, res) => {
     if (get_call_id !== undefined) payload.get_call_id = Number(get_call_id) ? 1 : 0
     if (asyncFlag !== undefined) payload.async = Number(asyncFlag) ? 1 : 0
 
-    const CLICK_TO_CALL_URL = "https://api-smartflo.tatateleservices.com/v1/click_to_call_support"
+    const { TATA_CLICK_TO_CALL_URL: CLICK_TO_CALL_URL } = require("./utils/dialer-providers")
 
     const upstream = await fetch(CLICK_TO_CALL_URL, {
       method: "POST",
@@ -681,6 +1614,11 @@ const gracefulShutdown = (signal) => {
       ws.terminate()
     })
 
+    monitorWss.clients.forEach((ws) => {
+      ws.terminate()
+    })
+    monitorWss.close()
+
     wss.close(() => {
       console.log("🔌 [SERVER] AITOTA WebSocket server closed")
 
@@ -726,6 +1664,25 @@ const startServer = async () => {
       process.exit(1)
     }
 
+    // Outbound campaign dialer (places calls for running OutboundCampaigns)
+    require("./utils/campaign-dialer").startCampaignDialer()
+
+    // Signed webhook deliveries and their retry sweep
+    require("./utils/webhooks").startWebhookWorker()
+
+    // Follow-up calls callers asked for, dialed when due
+    require("./utils/follow-ups").startFollowUpWorker()
+
+    // Credit holds left behind by calls that never settled
+    require("./utils/credit-holds").startCreditHoldSweeper()
+
+    // Recording retention sweep (hourly by default)
+    const { purgeExpiredRecordings } = require("./utils/call-recorder")
+    const recordingPurgeInterval = Number(process.env.RECORDING_PURGE_INTERVAL_MS) || 60 * 60 * 1000
+    setInterval(() => {
+      purgeExpiredRecordings().catch((error) => console.error("❌ [RECORDING-RETENTION] Sweep failed:", error.message))
+    }, recordingPurgeInterval).unref()
+
     // Start HTTP server
     server.listen(PORT, () => {
       console.log("\n✅ ====== SERVER STARTED SUCCESSFULLY ======")
@@ -734,15 +1691,36 @@ const startServer = async () => {
       console.log(`🔗 AITOTA WebSocket endpoint: ws://localhost:${PORT}/ws`)
       console.log(`🔗 SIP WebSocket endpoint: ws://localhost:${PORT}/sip-ws`)
       console.log(`🔗 SanIPPBX WebSocket endpoint: ws://localhost:${PORT}/sanpbx-ws`)
+      console.log(`👁️ Call monitoring WebSocket endpoint: ws://localhost:${PORT}/monitor-ws (Bearer token or ?token=)`)
       console.log(`🩺 Health check: http://localhost:${PORT}/health`)
       console.log(`📊 Server stats: http://localhost:${PORT}/api/stats`)
       console.log(`📋 Server info: http://localhost:${PORT}/api/info`)
       console.log("\n📊 [SERVER] Live logs API routes registered:")
       console.log("📊 [SERVER] GET /api/logs - Get call logs with filtering")
       console.log("📊 [SERVER] GET /api/logs/:id - Get specific call log")
+      console.log("📊 [SERVER] GET /api/logs/export - Export call logs with extracted fields (csv/json)")
       console.log("📊 [SERVER] GET /api/logs/stats - Get live statistics")
       console.log("📊 [SERVER] POST /api/logs/cleanup - Cleanup stale active calls")
       console.log("📊 [SERVER] POST /api/calls/terminate - Terminate active call by streamSid")
+      console.log("🔑 [SERVER] GET/POST /api/access-keys - List or issue REST API keys")
+      console.log("🔑 [SERVER] DELETE /api/access-keys/:id - Revoke a REST API key")
+      console.log("📚 [SERVER] GET /api/agents/:agentId/knowledge-base - Knowledge-base index status")
+      console.log("📚 [SERVER] POST /api/agents/:agentId/knowledge-base/ingest - Chunk and embed knowledge-base documents")
+      console.log("📚 [SERVER] POST /api/agents/:agentId/knowledge-base/search - Preview knowledge-base retrieval")
+      console.log("🎧 [SERVER] POST /api/calls/:callId/supervisor/(whisper|say|barge) - Steer a live call")
+      console.log("📞 [SERVER] POST /api/outbound-campaigns/:campaignId/(start|pause|resume|cancel) - Control the campaign dialer")
+      console.log("📋 [SERVER] GET /api/campaigns/:id/progress - Live ringing/ongoing/completed counts for a campaign")
+      console.log("📈 [SERVER] GET /api/plan/usage - Usage against the client's plan limits")
+      console.log("💳 [SERVER] GET /api/credits/balance - Current, reserved and available credits")
+      console.log("🗓️ [SERVER] GET /api/follow-ups - Callbacks callers asked for")
+      console.log("🗓️ [SERVER] PATCH /api/follow-ups/:id - Reschedule a follow-up")
+      console.log("🗓️ [SERVER] POST /api/follow-ups/:id/cancel - Cancel a follow-up")
+      console.log("📤 [SERVER] GET/POST /api/webhooks - List or create webhook subscriptions")
+      console.log("📤 [SERVER] PATCH/DELETE /api/webhooks/:id - Update or remove a webhook subscription")
+      console.log("📤 [SERVER] GET /api/webhooks/deliveries - Webhook delivery log")
+      console.log("📤 [SERVER] POST /api/webhooks/deliveries/:id/redeliver - Send a webhook delivery again")
+      console.log("🎙️ [SERVER] GET /api/recordings/:clientId/:month/:file - Download a locally stored call recording")
+      console.log("🎙️ [SERVER] POST /api/recordings/purge - Delete recordings past their retention period")
       console.log("==============================================\n")
     })
   } catch (error) {
@@ -754,4 +1732,4 @@ const startServer = async () => {
 startServer()
 
 // Export server for testing purposes
-module.exports = { app, server, wss, sipWss, sanpbxWss }
\ No newline at end of file
+module.exports = { app, server, wss, sipWss, sanpbxWss, monitorWss }
\ No newline at end of file
@@ -0,0 +1,132 @@
+const { test, describe, before, after, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const http = require("http")
+const os = require("os")
+const path = require("path")
+const { once } = require("events")
+
+// Keep the runner's output to the test results
+mock.method(console, "log", () => {})
+
+// Mock embeddings: one dimension per topic word, so similarity follows shared topics
+const TOPICS = ["refund", "delivery", "price", "warranty"]
+const embed = (text) => TOPICS.map((topic) => (text.toLowerCase().includes(topic) ? 1 : 0)).concat(0.01)
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "kb-test-"))
+const embeddingRequests = []
+const server = http.createServer((req, res) => {
+  const chunks = []
+  req.on("data", (chunk) => chunks.push(chunk))
+  req.on("end", () => {
+    const body = JSON.parse(Buffer.concat(chunks).toString("utf8"))
+    embeddingRequests.push({ authorization: req.headers.authorization, input: body.input })
+    res.setHeader("Content-Type", "application/json")
+    res.end(JSON.stringify({ data: body.input.map((text, index) => ({ index, embedding: embed(text) })) }))
+  })
+})
+
+let knowledgeBase
+let LocalKnowledgeStorage
+
+before(async () => {
+  server.listen(0, "127.0.0.1")
+  await once(server, "listening")
+  // Storage root and embeddings endpoint are read when the modules load
+  process.env.KNOWLEDGE_BASE_DIR = rootDir
+  process.env.KNOWLEDGE_BASE_STORAGE = "local"
+  process.env.OPENAI_EMBEDDINGS_URL = `http://127.0.0.1:${server.address().port}/v1/embeddings`
+  knowledgeBase = require("../utils/knowledge-base")
+  ;({ LocalKnowledgeStorage } = require("../utils/knowledge-storage"))
+
+  fs.mkdirSync(path.join(rootDir, "documents", "client-1"), { recursive: true })
+  fs.writeFileSync(
+    path.join(rootDir, "documents", "client-1", "faq.md"),
+    "Refund requests are accepted within 30 days of purchase.\n\nDelivery takes 3 to 5 working days across India.",
+  )
+  fs.writeFileSync(path.join(rootDir, "documents", "client-1", "pricing.html"), "<h1>Price list</h1><p>The basic price is Rs 499 per month.</p>")
+  fs.writeFileSync(path.join(rootDir, "documents", "client-1", "brochure.pdf"), "%PDF-1.4")
+})
+
+after(() => {
+  server.close()
+  fs.rmSync(rootDir, { recursive: true, force: true })
+})
+
+const agent = {
+  _id: "agent-1",
+  knowledgeBase: [
+    { key: "client-1/faq.md", name: "FAQ", uploadedAt: "2026-01-01T00:00:00Z" },
+    { key: "client-1/pricing.html", name: "Pricing", uploadedAt: "2026-01-01T00:00:00Z" },
+    { key: "client-1/brochure.pdf", name: "Brochure", uploadedAt: "2026-01-01T00:00:00Z" },
+  ],
+}
+
+describe("LocalKnowledgeStorage", () => {
+  test("writes, reads and deletes an index under the storage root", async () => {
+    const storage = new LocalKnowledgeStorage({ rootDir })
+    assert.equal(await storage.readIndex("scratch"), null)
+    await storage.writeIndex("scratch", { chunks: [] })
+    assert.deepEqual(await storage.readIndex("scratch"), { chunks: [] })
+    await storage.deleteIndex("scratch")
+    assert.equal(await storage.readIndex("scratch"), null)
+  })
+
+  test("refuses document keys that escape the storage root", async () => {
+    const storage = new LocalKnowledgeStorage({ rootDir })
+    await assert.rejects(storage.readDocument("../../etc/passwd"), /escapes root/)
+  })
+})
+
+describe("knowledge-base ingestion and retrieval", () => {
+  test("chunks text on paragraph boundaries with overlap", () => {
+    const text = Array.from({ length: 6 }, (_, i) => `Paragraph ${i} ${"word ".repeat(30).trim()}.`).join("\n\n")
+    const chunks = knowledgeBase.chunkText(text, { chunkSize: 400, chunkOverlap: 50 })
+    assert.ok(chunks.length > 1)
+    assert.ok(chunks.every((chunk) => chunk.length <= 400))
+  })
+
+  test("indexes the agent's documents with the client's key and skips unsupported ones", async () => {
+    const requests = []
+    const index = await knowledgeBase.ingestAgentKnowledgeBase(agent, { apiKey: "client-key", onRequest: (provider) => requests.push(provider) })
+
+    assert.deepEqual(
+      index.documents.map(({ key, status }) => [key, status]),
+      [
+        ["client-1/faq.md", "indexed"],
+        ["client-1/pricing.html", "indexed"],
+        ["client-1/brochure.pdf", "failed"],
+      ],
+    )
+    assert.ok(index.chunks.every((chunk) => Array.isArray(chunk.embedding)))
+    assert.ok(!index.chunks.some((chunk) => chunk.text.includes("<h1>")), "HTML is stripped before embedding")
+    assert.deepEqual(requests, ["openai"])
+    assert.equal(embeddingRequests.at(-1).authorization, "Bearer client-key")
+
+    const stored = JSON.parse(fs.readFileSync(path.join(rootDir, "indexes", "agent-1.json"), "utf8"))
+    assert.equal(stored.chunks.length, index.chunks.length)
+  })
+
+  test("keeps the embeddings of unchanged documents on re-ingestion", async () => {
+    const requestsBefore = embeddingRequests.length
+    await knowledgeBase.ingestAgentKnowledgeBase(agent, { apiKey: "client-key" })
+    // Only the failed PDF is retried; nothing needs a new embedding
+    assert.equal(embeddingRequests.length, requestsBefore)
+    const status = await knowledgeBase.getKnowledgeBaseStatus(agent)
+    assert.equal(status.indexed, true)
+    assert.equal(status.stale, false)
+  })
+
+  test("retrieves the passages closest to the caller's question", async () => {
+    knowledgeBase.clearKnowledgeBaseCache()
+    const passages = await knowledgeBase.retrieveKnowledge("agent-1", "How do I get a refund?", { apiKey: "client-key", topK: 1 })
+    assert.equal(passages.length, 1)
+    assert.equal(passages[0].name, "FAQ")
+    assert.match(passages[0].text, /Refund requests/)
+    assert.match(knowledgeBase.formatKnowledgeContext(passages), /^Knowledge Base \(relevant excerpts\):\n\[1\] \(FAQ\) Refund/)
+  })
+
+  test("returns no passages for an agent without an index", async () => {
+    assert.deepEqual(await knowledgeBase.retrieveKnowledge("agent-2", "refund", { apiKey: "client-key" }), [])
+  })
+})
@@ -0,0 +1,243 @@
+const { test, describe, before, after, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const http = require("http")
+const { once } = require("events")
+const WebSocket = require("ws")
+
+const {
+  DeepgramSttProvider,
+  WhisperSttProvider,
+  createSttProvider,
+  resolveSttProviderName,
+} = require("../websocket/stt-providers")
+
+// The adapters log every step; keep the runner's output to the test results
+mock.method(console, "log", () => {})
+
+const SAMPLE_RATE = 8000
+const FRAME_MS = 20
+
+// 20ms of linear16 audio: a loud tone for speech, zeros for silence
+const speechFrame = () => {
+  const samples = (SAMPLE_RATE * FRAME_MS) / 1000
+  const frame = Buffer.alloc(samples * 2)
+  for (let i = 0; i < samples; i++) frame.writeInt16LE(Math.round(8000 * Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE)), i * 2)
+  return frame
+}
+const silenceFrame = () => Buffer.alloc(((SAMPLE_RATE * FRAME_MS) / 1000) * 2)
+
+const sendFrames = (provider, makeFrame, durationMs) => {
+  for (let elapsed = 0; elapsed < durationMs; elapsed += FRAME_MS) provider.sendAudio(makeFrame())
+}
+
+// Resolves with the first event of that name, or rejects after timeoutMs
+const nextEvent = (emitter, name, timeoutMs = 2000) =>
+  Promise.race([
+    once(emitter, name).then(([value]) => value),
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`Timed out waiting for "${name}"`)), timeoutMs).unref()),
+  ])
+
+describe("createSttProvider", () => {
+  test("builds the selected adapter and falls back to deepgram", () => {
+    assert.ok(createSttProvider("whisper") instanceof WhisperSttProvider)
+    assert.ok(createSttProvider("Deepgram") instanceof DeepgramSttProvider)
+    assert.ok(createSttProvider() instanceof DeepgramSttProvider)
+    assert.ok(createSttProvider("google") instanceof DeepgramSttProvider)
+  })
+
+  test("passes options through to the adapter", () => {
+    const provider = createSttProvider("whisper", { language: "en-IN", sampleRate: 16000, apiKey: "client-key", url: "http://stt.local" })
+    assert.equal(provider.language, "en-IN")
+    assert.equal(provider.sampleRate, 16000)
+    assert.equal(provider.apiKey, "client-key")
+    assert.equal(provider.url, "http://stt.local")
+  })
+
+  test("resolves the provider name recorded on the call", () => {
+    assert.equal(resolveSttProviderName("WHISPER"), "whisper")
+    assert.equal(resolveSttProviderName("azure"), "deepgram")
+    assert.equal(resolveSttProviderName(null), "deepgram")
+  })
+})
+
+describe("DeepgramSttProvider against a local mock server", () => {
+  let server
+  let url
+  const connections = []
+
+  before(async () => {
+    server = new WebSocket.Server({ port: 0, host: "127.0.0.1" })
+    server.on("connection", (socket, req) => {
+      const connection = { socket, req, audio: [] }
+      socket.on("message", (data) => connection.audio.push(Buffer.from(data)))
+      connections.push(connection)
+      server.emit("mock-connection", connection)
+    })
+    await once(server, "listening")
+    url = `ws://127.0.0.1:${server.address().port}/v1/listen`
+  })
+
+  after(() => {
+    for (const { socket } of connections) socket.terminate()
+    server.close()
+  })
+
+  test("streams queued audio and emits interim, final and utterance-end events", async () => {
+    const provider = new DeepgramSttProvider({ url, apiKey: "test-key", language: "en", encoding: "mulaw", endpointing: 450 })
+    const requests = []
+    provider.onRequest = (name) => requests.push(name)
+
+    provider.sendAudio(Buffer.from([1, 2, 3])) // before the socket opens
+    const connected = nextEvent(server, "mock-connection")
+    await provider.connect()
+    const connection = await connected
+    await nextEvent(provider, "open")
+
+    const query = new URL(connection.req.url, "ws://localhost").searchParams
+    assert.equal(connection.req.headers.authorization, "Token test-key")
+    assert.equal(query.get("endpointing"), "450")
+    assert.equal(query.get("encoding"), "mulaw")
+    assert.equal(query.get("sample_rate"), "8000")
+    assert.equal(query.get("language"), "en-IN")
+    assert.deepEqual(requests, ["deepgram"])
+
+    provider.sendAudio(Buffer.from([4, 5]))
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    assert.deepEqual(connection.audio.map((chunk) => [...chunk]), [[1, 2, 3], [4, 5]])
+
+    const transcripts = []
+    provider.on("transcript", (transcript) => transcripts.push(transcript))
+    const utteranceEnd = nextEvent(provider, "utteranceEnd")
+    const result = (text, isFinal) => JSON.stringify({ type: "Results", is_final: isFinal, channel: { alternatives: [{ transcript: text, confidence: 0.9 }] } })
+    connection.socket.send(result("book a", false))
+    connection.socket.send(result("book a table", true))
+    connection.socket.send(JSON.stringify({ type: "UtteranceEnd" }))
+    await utteranceEnd
+
+    assert.deepEqual(transcripts, [
+      { text: "book a", isFinal: false, confidence: 0.9, language: "en" },
+      { text: "book a table", isFinal: true, confidence: 0.9, language: "en" },
+    ])
+
+    const closed = nextEvent(provider, "close")
+    provider.close()
+    await closed
+    provider.sendAudio(Buffer.from([6]))
+    assert.equal(provider.audioQueue.length, 0)
+  })
+
+  test("uses the default endpointing when none is configured", async () => {
+    const provider = new DeepgramSttProvider({ url, apiKey: "test-key" })
+    const connected = nextEvent(server, "mock-connection")
+    await provider.connect()
+    const connection = await connected
+    await nextEvent(provider, "open")
+    assert.equal(new URL(connection.req.url, "ws://localhost").searchParams.get("endpointing"), "300")
+    const closed = nextEvent(provider, "close")
+    provider.close()
+    await closed
+  })
+
+  test("aborts a socket that is still connecting when closed", async () => {
+    const provider = new DeepgramSttProvider({ url, apiKey: "test-key" })
+    await provider.connect()
+    provider.close()
+    await nextEvent(provider, "close")
+    assert.equal(provider.ws.readyState, WebSocket.CLOSED)
+  })
+})
+
+describe("WhisperSttProvider against a local mock server", () => {
+  let server
+  let url
+  let requests
+  let replies
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = []
+      req.on("data", (chunk) => chunks.push(chunk))
+      req.on("end", () => {
+        requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString("latin1") })
+        res.setHeader("Content-Type", "application/json")
+        res.end(JSON.stringify({ text: ` ${replies.shift() || ""} ` }))
+      })
+    })
+    server.listen(0, "127.0.0.1")
+    await once(server, "listening")
+    url = `http://127.0.0.1:${server.address().port}/v1/audio/transcriptions`
+  })
+
+  after(() => server.close())
+
+  const createWhisper = (options = {}) => {
+    requests = []
+    replies = []
+    return new WhisperSttProvider({ url, apiKey: "test-key", language: "hi-IN", interimIntervalMs: 0, ...options })
+  }
+
+  test("posts one utterance once the caller goes quiet", async () => {
+    const provider = createWhisper()
+    replies.push("namaste")
+    await provider.connect()
+
+    const final = nextEvent(provider, "transcript")
+    const utteranceEnd = nextEvent(provider, "utteranceEnd")
+    sendFrames(provider, speechFrame, 400)
+    assert.equal(requests.length, 0, "nothing is sent while the caller is still speaking")
+    sendFrames(provider, silenceFrame, 700)
+
+    assert.deepEqual(await final, { text: "namaste", isFinal: true, confidence: 1, language: "hi-IN" })
+    await utteranceEnd
+    assert.equal(requests.length, 1)
+    assert.equal(requests[0].headers.authorization, "Bearer test-key")
+    assert.match(requests[0].body, /name="model"\r\n\r\nwhisper-1/)
+    assert.match(requests[0].body, /name="language"\r\n\r\nhi\r\n/)
+    assert.match(requests[0].body, /RIFF/)
+    provider.close()
+  })
+
+  test("ignores silence and blips shorter than the minimum speech length", async () => {
+    const provider = createWhisper()
+    await provider.connect()
+    sendFrames(provider, silenceFrame, 1000)
+    sendFrames(provider, speechFrame, 100)
+    sendFrames(provider, silenceFrame, 800)
+    await provider.finalChain
+    assert.equal(requests.length, 0)
+    provider.close()
+  })
+
+  test("emits interim results while the caller is speaking", async () => {
+    const provider = createWhisper({ interimIntervalMs: 1 })
+    replies.push("hello the")
+    await provider.connect()
+    const interim = nextEvent(provider, "transcript")
+    sendFrames(provider, speechFrame, 300)
+    assert.deepEqual(await interim, { text: "hello the", isFinal: false, confidence: 1, language: "hi-IN" })
+    // Closing flushes the utterance; wait for that request so it does not leak into the next test
+    const closed = nextEvent(provider, "close")
+    provider.close()
+    await closed
+  })
+
+  test("sends the final transcript of the pending utterance before closing", async () => {
+    const provider = createWhisper()
+    replies.push("thank you bye")
+    await provider.connect()
+
+    const events = []
+    provider.on("transcript", ({ text, isFinal }) => events.push(`transcript:${isFinal ? "final" : "interim"}:${text}`))
+    provider.on("close", () => events.push("close"))
+    const closed = nextEvent(provider, "close")
+
+    sendFrames(provider, speechFrame, 400)
+    provider.close()
+    await closed
+
+    assert.deepEqual(events, ["transcript:final:thank you bye", "close"])
+    assert.equal(requests.length, 1)
+    provider.sendAudio(speechFrame())
+    assert.equal(provider.utteranceChunks.length, 0)
+  })
+})
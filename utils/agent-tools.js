@@ -0,0 +1,250 @@
+const CallLog = require("../models/CallLog")
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const TOOL_CONFIG = {
+  maxRounds: 3, // LLM -> tools -> LLM round trips per user turn
+  defaultTimeoutMs: 8000,
+  maxResultChars: 4000, // tool output fed back to the model
+}
+
+const DEFAULT_FILLERS = {
+  en: "Let me check that for you.",
+  hi: "एक सेकंड, मैं चेक करता हूँ।",
+  mr: "एक क्षण, मी तपासतो.",
+  bn: "এক মুহূর্ত, আমি দেখে নিচ্ছি।",
+  ta: "ஒரு நிமிடம், நான் சரிபார்க்கிறேன்.",
+  te: "ఒక్క క్షణం, నేను చెక్ చేస్తాను.",
+  gu: "એક ક્ષણ, હું તપાસું છું.",
+  kn: "ಒಂದು ಕ್ಷಣ, ನಾನು ಪರಿಶೀಲಿಸುತ್ತೇನೆ.",
+  ml: "ഒരു നിമിഷം, ഞാൻ പരിശോധിക്കാം.",
+}
+
+// Built-in handlers: (args, context) => result
+const BUILTIN_TOOLS = {
+  get_current_datetime: (args = {}) => {
+    const timeZone = args.timezone || "Asia/Kolkata"
+    const now = new Date()
+    return {
+      iso: now.toISOString(),
+      timeZone,
+      local: now.toLocaleString("en-IN", { timeZone, dateStyle: "full", timeStyle: "short" }),
+    }
+  },
+  get_call_context: (args, context = {}) => ({
+    mobile: context.mobile || null,
+    callDirection: context.callDirection || null,
+    language: context.language || null,
+  }),
+}
+
+const registerBuiltinTool = (name, handler) => {
+  BUILTIN_TOOLS[name] = handler
+}
+
+// Active, well-formed tool definitions from an agent document
+const getActiveTools = (agent) =>
+  (agent?.tools || []).filter(
+    (tool) =>
+      tool &&
+      tool.name &&
+      tool.isActive !== false &&
+      ((tool.handlerType || "webhook") === "builtin" ? !!BUILTIN_TOOLS[tool.builtin || tool.name] : !!tool.webhookUrl),
+  )
+
+// OpenAI "tools" request field for the agent's tool definitions
+const toOpenAITools = (tools = []) =>
+  tools.map((tool) => ({
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description || "",
+      parameters: tool.parameters && typeof tool.parameters === "object" ? tool.parameters : { type: "object", properties: {} },
+    },
+  }))
+
+const getToolFiller = (tools = [], language = "en") => {
+  const custom = tools.find((tool) => tool?.fillerPhrase)
+  if (custom) return custom.fillerPhrase
+  return DEFAULT_FILLERS[(language || "en").toLowerCase()] || DEFAULT_FILLERS.en
+}
+
+const callWebhook = async (tool, args, context) => {
+  const controller = new AbortController()
+  const timeout = setTimeout(() => controller.abort(), tool.timeoutMs || TOOL_CONFIG.defaultTimeoutMs)
+  const call = {
+    callLogId: context.callLogId ? String(context.callLogId) : null,
+    streamSid: context.streamSid || null,
+    agentId: context.agentId ? String(context.agentId) : null,
+    clientId: context.clientId || null,
+    mobile: context.mobile || null,
+  }
+
+  try {
+    const method = (tool.webhookMethod || "POST").toUpperCase()
+    let url = tool.webhookUrl
+    const init = {
+      method,
+      headers: { "Content-Type": "application/json", ...(tool.webhookHeaders || {}) },
+      signal: controller.signal,
+    }
+    if (method === "GET") {
+      const target = new URL(url)
+      for (const [key, value] of Object.entries(args || {})) {
+        target.searchParams.set(key, typeof value === "object" ? JSON.stringify(value) : String(value))
+      }
+      if (call.callLogId) target.searchParams.set("callLogId", call.callLogId)
+      url = target.toString()
+    } else {
+      init.body = JSON.stringify({ tool: tool.name, arguments: args, call })
+    }
+
+    const response = await fetch(url, init)
+    const raw = await response.text()
+    let body = raw
+    try {
+      body = JSON.parse(raw)
+    } catch (_) {}
+    if (!response.ok) {
+      const error = new Error(`Tool webhook returned ${response.status}`)
+      error.result = body
+      throw error
+    }
+    return body
+  } catch (error) {
+    if (error.name === "AbortError") throw new Error(`Tool webhook timed out after ${tool.timeoutMs || TOOL_CONFIG.defaultTimeoutMs}ms`)
+    throw error
+  } finally {
+    clearTimeout(timeout)
+  }
+}
+
+/**
+ * Run one tool call from the model and log it on the CallLog
+ * @param {Object} tool - Agent.tools entry
+ * @param {Object} toolCall - OpenAI tool call ({ id, function: { name, arguments } })
+ * @param {Object} context - { callLogId, streamSid, agentId, clientId, mobile, language, callDirection }
+ * @returns {Promise<Object>} { status, result, error, durationMs }
+ */
+const executeToolCall = async (tool, toolCall, context = {}) => {
+  const startedAt = Date.now()
+  let args = {}
+  let outcome
+
+  try {
+    args = toolCall.function?.arguments ? JSON.parse(toolCall.function.arguments) : {}
+  } catch (_) {
+    args = null
+  }
+
+  try {
+    if (!tool) throw new Error(`Unknown tool: ${toolCall.function?.name}`)
+    if (args === null) throw new Error("Tool arguments were not valid JSON")
+
+    const result =
+      (tool.handlerType || "webhook") === "builtin"
+        ? await BUILTIN_TOOLS[tool.builtin || tool.name](args, context)
+        : await callWebhook(tool, args, context)
+    outcome = { status: "success", result: result === undefined ? null : result }
+  } catch (error) {
+    outcome = { status: "error", error: error.message, result: error.result }
+  }
+  outcome.durationMs = Date.now() - startedAt
+
+  console.log(
+    `🛠️ [AGENT-TOOLS] ${toolCall.function?.name} ${outcome.status} in ${outcome.durationMs}ms${outcome.error ? ` - ${outcome.error}` : ""}`,
+  )
+
+  if (context.callLogId) {
+    CallLog.recordToolInvocation(context.callLogId, {
+      name: toolCall.function?.name,
+      toolCallId: toolCall.id,
+      arguments: args || { raw: toolCall.function?.arguments },
+      status: outcome.status,
+      result: outcome.result === undefined ? null : { value: outcome.result },
+      error: outcome.error,
+      durationMs: outcome.durationMs,
+    }).catch((error) => console.log(`⚠️ [AGENT-TOOLS] Failed to log tool invocation: ${error.message}`))
+  }
+
+  return outcome
+}
+
+const toToolMessage = (toolCall, outcome) => {
+  const payload = outcome.status === "success" ? outcome.result : { error: outcome.error, details: outcome.result }
+  let content = typeof payload === "string" ? payload : JSON.stringify(payload)
+  if (content.length > TOOL_CONFIG.maxResultChars) content = `${content.slice(0, TOOL_CONFIG.maxResultChars)}…`
+  return { role: "tool", tool_call_id: toolCall.id, content }
+}
+
+/**
+ * Stream a reply, executing any tool calls the model makes and feeding the results back
+ * until it answers in text (or maxRounds is reached).
+ * @param {Object} params
+ * @param {BaseLlmProvider} params.llm
+ * @param {Array} params.messages - OpenAI-shaped messages
+ * @param {Array} params.tools - Agent.tools entries (see getActiveTools)
+ * @param {Object} params.context - passed to handlers and used for CallLog logging
+ * @param {Function} params.onPartial - (accumulatedText) across all rounds
+ * @param {Function} params.onToolStart - (fillerPhrase, toolCalls) before tools execute
+ * Remaining params (maxTokens, temperature, presencePenalty, ...) go to the provider unchanged.
+ * @returns {Promise<string>} the full reply text
+ */
+const runLlmWithTools = async ({
+  llm,
+  messages,
+  tools = [],
+  context = {},
+  onPartial = null,
+  onToolStart = null,
+  maxRounds = TOOL_CONFIG.maxRounds,
+  ...requestParams
+}) => {
+  if (!tools.length || !llm.supportsTools) {
+    if (tools.length) console.log(`⚠️ [AGENT-TOOLS] ${llm.name} does not support tool calling; tools ignored`)
+    return llm.stream({ ...requestParams, messages }, onPartial ? (partial) => onPartial(partial) : null)
+  }
+
+  const byName = new Map(tools.map((tool) => [tool.name, tool]))
+  const openAITools = toOpenAITools(tools)
+  const conversation = [...messages]
+  let spoken = "" // text from earlier rounds, so partials stay monotonic for the TTS chunker
+
+  for (let round = 0; round <= maxRounds; round++) {
+    const prefix = spoken ? `${spoken} ` : ""
+    const { text, toolCalls } = await llm.streamWithTools(
+      // Last round: no tools offered, the model has to answer with what it has
+      { ...requestParams, messages: conversation, tools: round < maxRounds ? openAITools : undefined },
+      onPartial ? (partial) => onPartial(prefix + partial) : null,
+    )
+    if (text) spoken = `${prefix}${text}`.trim()
+    if (!toolCalls.length) return spoken
+
+    if (typeof onToolStart === "function") {
+      const calledTools = toolCalls.map((call) => byName.get(call.function.name)).filter(Boolean)
+      try {
+        await onToolStart(getToolFiller(calledTools, context.language), toolCalls)
+      } catch (_) {}
+    }
+
+    const outcomes = await Promise.all(
+      toolCalls.map((call) => executeToolCall(byName.get(call.function.name), call, context)),
+    )
+    conversation.push(
+      { role: "assistant", content: text || null, tool_calls: toolCalls },
+      ...toolCalls.map((call, i) => toToolMessage(call, outcomes[i])),
+    )
+  }
+  return spoken
+}
+
+module.exports = {
+  getActiveTools,
+  toOpenAITools,
+  getToolFiller,
+  executeToolCall,
+  runLlmWithTools,
+  registerBuiltinTool,
+  BUILTIN_TOOLS,
+  TOOL_CONFIG,
+}
@@ -0,0 +1,279 @@
+const EventEmitter = require("events")
+
+const AMD_DEFAULTS = {
+  detectionWindowMs: 6000, // a machine is only looked for this long after answer; then the callee counts as human
+  sampleRate: 8000,
+  frameSamples: 160, // 20 ms of PCM16 at 8 kHz
+  speechRms: 500, // frame level that counts as speech or tone
+  monologueMs: 4500, // uninterrupted speech this long right after answer is a recorded greeting
+  monologueWords: 18, // or this many transcribed words before the window closes
+  speechGapMs: 400, // shorter pauses do not end a stretch of speech
+  beepMinMs: 200, // steady pure tone this long is a beep
+  beepFrequencyHz: [350, 2600],
+  beepTonality: 0.7, // share of frame energy at the tone frequency (1 = pure sine)
+  beepDriftRatio: 0.05, // frame-to-frame frequency change still counted as the same tone
+  messageSilenceMs: 1500, // after a machine greeting, this much quiet means it is recording
+  messageTimeoutMs: 20000, // leave the voicemail anyway if no beep or quiet arrives by then
+}
+
+// Carrier announcements and voicemail greetings, English and Hindi (Devanagari and romanised)
+const MACHINE_PHRASES = [
+  "leave a message",
+  "leave your message",
+  "after the beep",
+  "after the tone",
+  "at the tone",
+  "record your message",
+  "voicemail",
+  "voice mail",
+  "mailbox",
+  "unable to take your call",
+  "cannot take your call",
+  "can't take your call",
+  "the number you have dialled",
+  "the number you have dialed",
+  "number you are calling",
+  "is currently switched off",
+  "is switched off",
+  "is not reachable",
+  "out of coverage area",
+  "is busy on another call",
+  "please try again later",
+  "does not exist",
+  "is not in service",
+  "आप जिस नंबर",
+  "जिस नंबर पर",
+  "डायल किया गया नंबर",
+  "स्विच ऑफ",
+  "पहुंच से बाहर",
+  "नेटवर्क क्षेत्र से बाहर",
+  "कृपया थोड़ी देर बाद",
+  "दूसरी कॉल पर व्यस्त",
+  "उत्तर नहीं दे रहे",
+  "बीप के बाद",
+  "संदेश छोड़",
+  "aap jis number",
+  "jis number par",
+  "dial kiya gaya number",
+  "switch off hai",
+  "pahunch se bahar",
+  "network kshetra se bahar",
+  "kripya thodi der baad",
+  "kripya kuch samay baad",
+  "dusri call par vyast",
+  "uttar nahi de rahe",
+  "beep ke baad",
+  "sandesh chhod",
+]
+
+// Lowercase, drop punctuation, unify candrabindu/anusvara so "पहुँच" matches "पहुंच"
+const normalizeText = (text) =>
+  String(text || "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/ँ/g, "ं")
+    .replace(/[.,!?।'"“”‘’()\-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+
+const NORMALIZED_PHRASES = MACHINE_PHRASES.map(normalizeText)
+
+const matchMachinePhrase = (text) => {
+  const normalized = normalizeText(text)
+  return normalized ? NORMALIZED_PHRASES.find((phrase) => normalized.includes(phrase)) || null : null
+}
+
+// Goertzel power of one frequency; with 2 / (N * Σx²) it is the share of frame energy at that frequency
+const goertzelPower = (samples, frequency, sampleRate) => {
+  const coeff = 2 * Math.cos((2 * Math.PI * frequency) / sampleRate)
+  let s1 = 0
+  let s2 = 0
+  for (let i = 0; i < samples.length; i++) {
+    const s0 = samples[i] + coeff * s1 - s2
+    s2 = s1
+    s1 = s0
+  }
+  return s1 * s1 + s2 * s2 - coeff * s1 * s2
+}
+
+/**
+ * Level, dominant frequency and tonality of one PCM16 frame.
+ * The frequency comes from zero crossings and is refined with Goertzel around it.
+ */
+const analyzeFrame = (samples, sampleRate) => {
+  let sumSquares = 0
+  let crossings = 0
+  for (let i = 0; i < samples.length; i++) {
+    sumSquares += samples[i] * samples[i]
+    if (i > 0 && samples[i] >= 0 !== samples[i - 1] >= 0) crossings++
+  }
+  const rms = Math.sqrt(sumSquares / samples.length)
+  if (!sumSquares) return { rms: 0, frequency: 0, tonality: 0 }
+
+  const estimate = (crossings * sampleRate) / (2 * samples.length)
+  const step = sampleRate / samples.length / 2
+  let best = { frequency: estimate, tonality: 0 }
+  for (const frequency of [estimate - step, estimate, estimate + step]) {
+    if (frequency <= 0) continue
+    const tonality = (2 * goertzelPower(samples, frequency, sampleRate)) / (samples.length * sumSquares)
+    if (tonality > best.tonality) best = { frequency, tonality }
+  }
+  return { rms, ...best }
+}
+
+/**
+ * Answering-machine detection for one outbound call, from caller audio (PCM16 8 kHz) and STT text.
+ *
+ * Within detectionWindowMs of answer a beep, a long uninterrupted monologue or a carrier/voicemail phrase
+ * emits "machine" ({ reason: "beep"|"monologue"|"phrase", phrase, detectedAfterMs }); otherwise the window
+ * closes with "human" ({ detectedAfterMs }). After "machine", awaitMessageSlot() emits "ready" ({ reason })
+ * once the greeting is done (beep, quiet line or timeout) so a voicemail message can be left.
+ */
+class AnsweringMachineDetector extends EventEmitter {
+  constructor(settings = {}, options = {}) {
+    super()
+    this.config = { ...AMD_DEFAULTS, detectionWindowMs: settings.detectionWindowMs || AMD_DEFAULTS.detectionWindowMs }
+    this.logTag = options.logTag || "AMD"
+    this.phase = "idle" // idle | listening | machine | awaiting_message | done
+    this.verdict = null
+    this.startedAt = null
+    this.timer = null
+    this.remainder = Buffer.alloc(0)
+    this.audioMs = 0 // caller audio analysed so far; speech timing runs on this clock
+    this.speechStartMs = null
+    this.lastVoiceMs = null
+    this.tone = { frequency: 0, ms: 0 }
+    this.words = 0
+  }
+
+  // On by default for outbound calls; agents opt out with answeringMachineDetection.enabled = false
+  static isEnabled(agent, callDirection) {
+    return callDirection === "outbound" && agent?.answeringMachineDetection?.enabled !== false
+  }
+
+  log(message) {
+    console.log(`📠 [${this.logTag}] ${message}`)
+  }
+
+  get listening() {
+    return this.phase === "listening"
+  }
+
+  start() {
+    if (this.phase !== "idle") return
+    this.phase = "listening"
+    this.startedAt = Date.now()
+    this.timer = setTimeout(() => this.decide("human"), this.config.detectionWindowMs)
+  }
+
+  stop() {
+    this.phase = "done"
+    this.clearTimer()
+    this.removeAllListeners()
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+  }
+
+  decide(result, details = {}) {
+    if (this.phase !== "listening") return
+    this.clearTimer()
+    this.verdict = { result, ...details, detectedAfterMs: Date.now() - this.startedAt }
+    this.phase = result === "machine" ? "machine" : "done"
+    this.log(`${result}${details.reason ? ` (${details.reason}${details.phrase ? `: "${details.phrase}"` : ""})` : ""} after ${this.verdict.detectedAfterMs}ms`)
+    this.emit(result, this.verdict)
+  }
+
+  /**
+   * Wait for the machine greeting to finish; emits "ready" once a message can be recorded
+   */
+  awaitMessageSlot() {
+    if (this.phase !== "machine") return
+    this.phase = "awaiting_message"
+    // The beep that gave the machine away already opened the recording
+    if (this.verdict.reason === "beep") {
+      setImmediate(() => this.ready("beep"))
+      return
+    }
+    this.timer = setTimeout(() => this.ready("timeout"), this.config.messageTimeoutMs)
+  }
+
+  ready(reason) {
+    if (this.phase !== "awaiting_message") return
+    this.clearTimer()
+    this.phase = "done"
+    this.log(`ready for voicemail (${reason})`)
+    this.emit("ready", { reason })
+  }
+
+  // Interim results are only checked for phrases; words are counted from final results
+  addTranscript(text, isFinal = true) {
+    if (this.phase !== "listening" || !text?.trim()) return
+    const phrase = matchMachinePhrase(text)
+    if (phrase) return this.decide("machine", { reason: "phrase", phrase })
+    if (!isFinal) return
+
+    this.words += text.trim().split(/\s+/).length
+    if (this.words >= this.config.monologueWords) this.decide("machine", { reason: "monologue" })
+  }
+
+  addAudio(pcmBuffer) {
+    if (this.phase !== "listening" && this.phase !== "awaiting_message") return
+    const frameBytes = this.config.frameSamples * 2
+    let buffer = this.remainder.length ? Buffer.concat([this.remainder, pcmBuffer]) : pcmBuffer
+    let offset = 0
+    for (; offset + frameBytes <= buffer.length; offset += frameBytes) {
+      const samples = new Int16Array(this.config.frameSamples)
+      for (let i = 0; i < samples.length; i++) samples[i] = buffer.readInt16LE(offset + i * 2)
+      this.processFrame(samples)
+      if (this.phase !== "listening" && this.phase !== "awaiting_message") return
+    }
+    this.remainder = Buffer.from(buffer.subarray(offset))
+  }
+
+  processFrame(samples) {
+    const config = this.config
+    const frameMs = (samples.length / config.sampleRate) * 1000
+    this.audioMs += frameMs
+    const { rms, frequency, tonality } = analyzeFrame(samples, config.sampleRate)
+    const voiced = rms >= config.speechRms
+
+    // Beep: the same pure tone frame after frame
+    const [minHz, maxHz] = config.beepFrequencyHz
+    const tonal = voiced && tonality >= config.beepTonality && frequency >= minHz && frequency <= maxHz
+    if (tonal && this.tone.ms && Math.abs(frequency - this.tone.frequency) <= this.tone.frequency * config.beepDriftRatio) {
+      this.tone.ms += frameMs
+    } else {
+      this.tone = { frequency: tonal ? frequency : 0, ms: tonal ? frameMs : 0 }
+    }
+    if (this.tone.ms >= config.beepMinMs) {
+      this.tone = { frequency: 0, ms: 0 }
+      if (this.phase === "listening") return this.decide("machine", { reason: "beep" })
+      return this.ready("beep")
+    }
+
+    // Speech stretches, allowing short pauses between words
+    if (voiced) {
+      if (this.speechStartMs === null || this.audioMs - this.lastVoiceMs > config.speechGapMs) this.speechStartMs = this.audioMs
+      this.lastVoiceMs = this.audioMs
+    }
+    if (this.phase === "listening") {
+      if (this.speechStartMs !== null && this.lastVoiceMs - this.speechStartMs >= config.monologueMs) {
+        this.decide("machine", { reason: "monologue" })
+      }
+      return
+    }
+    if (this.lastVoiceMs !== null && this.audioMs - this.lastVoiceMs >= config.messageSilenceMs) this.ready("silence")
+  }
+}
+
+module.exports = {
+  AnsweringMachineDetector,
+  matchMachinePhrase,
+  analyzeFrame,
+  AMD_DEFAULTS,
+}
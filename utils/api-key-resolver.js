@@ -0,0 +1,97 @@
+const ApiKey = require("../models/ApiKey")
+
+// Adapter names from the STT/TTS/LLM provider layers mapped to the ApiKey.provider they bill against
+const API_KEY_PROVIDERS = {
+  stt: { deepgram: "deepgram", whisper: "openai" },
+  tts: { sarvam: "sarvam", elevenlabs: "elevenlabs", openai: "openai" },
+  llm: { openai: "openai", anthropic: "anthropic", google: "gemini", azure: "azure_openai" },
+  embedding: { openai: "openai" }, // knowledge-base retrieval (utils/knowledge-base.js)
+  analysis: { openai: "openai" }, // classifiers run on the transcript: lead status, disposition, sentiment, follow-ups, extraction
+}
+
+const PLATFORM_KEY = { source: "platform", apiKey: null, apiKeyId: null }
+
+const keyError = (code, message, provider) => {
+  const error = new Error(message)
+  error.code = code
+  error.provider = provider
+  return error
+}
+
+/**
+ * Resolve the key a client's call should use for one ApiKey provider.
+ * Platform keys resolve to apiKey=null so each adapter keeps reading its own env variable.
+ * Throws with code "api_key_limit_exceeded" once the client's key is over its monthly limit.
+ * @returns {Promise<{provider, source, apiKey, apiKeyId}>}
+ */
+const resolveProviderKey = async (clientId, provider) => {
+  if (!clientId || !provider) return { provider, ...PLATFORM_KEY }
+
+  const record = await ApiKey.findOne({ clientId: String(clientId), provider, isActive: true })
+  if (!record) return { provider, ...PLATFORM_KEY }
+
+  if (record.isMonthlyLimitExceeded()) {
+    throw keyError(
+      "api_key_limit_exceeded",
+      `The ${provider} API key "${record.keyName}" has used ${record.getCurrentMonthUsage()} of its ${record.usage.monthlyLimit} monthly requests.`,
+      provider,
+    )
+  }
+
+  let apiKey = null
+  try {
+    apiKey = record.getDecryptedKey()
+  } catch (error) {
+    // A stored but unreadable key must not silently fall through to the platform account
+    throw keyError("api_key_invalid", `The stored ${provider} API key "${record.keyName}" could not be decrypted.`, provider)
+  }
+
+  return { provider, source: "client", apiKey, apiKeyId: record._id }
+}
+
+// Adapter options for a resolved key: the client key plus a hook that counts each provider request
+const providerKeyOptions = (resolved) => {
+  if (!resolved?.apiKey) return {}
+  return {
+    apiKey: resolved.apiKey,
+    onRequest: () => {
+      ApiKey.recordUsage(resolved.apiKeyId).catch((error) =>
+        console.log(`⚠️ [API-KEYS] Usage update failed for ${resolved.provider}: ${error.message}`),
+      )
+    },
+  }
+}
+
+/**
+ * Resolve STT/TTS/LLM (plus knowledge-base embedding and transcript analysis) keys for a call in one pass
+ * @param {string} clientId - Agent.clientId
+ * @param {Object} selection - adapter names in use, e.g. { stt: "deepgram", tts: "sarvam", llm: "openai", embedding: "openai", analysis: "openai" }
+ * @returns {Promise<Object>} { stt, tts, llm, embedding, analysis } each as returned by resolveProviderKey
+ */
+const resolveCallApiKeys = async (clientId, selection = {}) => {
+  const lookups = new Map()
+  const resolved = {}
+
+  for (const kind of Object.keys(API_KEY_PROVIDERS)) {
+    const adapter = selection[kind]
+    const provider = adapter ? API_KEY_PROVIDERS[kind][adapter] : null
+    if (!provider) continue
+    // One lookup per ApiKey provider (e.g. whisper STT and OpenAI LLM share the openai key)
+    if (!lookups.has(provider)) lookups.set(provider, resolveProviderKey(clientId, provider))
+    resolved[kind] = await lookups.get(provider)
+  }
+
+  const summary = Object.entries(resolved)
+    .map(([kind, key]) => `${kind}=${key.provider}(${key.source})`)
+    .join(" ")
+  console.log(`🔑 [API-KEYS] Client ${clientId}: ${summary || "no keyed providers"}`)
+
+  return resolved
+}
+
+module.exports = {
+  resolveProviderKey,
+  resolveCallApiKeys,
+  providerKeyOptions,
+  API_KEY_PROVIDERS,
+}
@@ -0,0 +1,164 @@
+const crypto = require("crypto")
+const url = require("url")
+const AccessKey = require("../models/AccessKey")
+const Client = require("../models/Client")
+const Admin = require("../models/Admin")
+const Superadmin = require("../models/Superadmin")
+
+const ADMIN_ROLES = ["admin", "superadmin"]
+
+const base64UrlDecode = (segment) => Buffer.from(segment.replace(/-/g, "+").replace(/_/g, "/"), "base64")
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a))
+  const right = Buffer.from(String(b))
+  return left.length === right.length && crypto.timingSafeEqual(left, right)
+}
+
+/**
+ * Verify an HS256 JWT issued by the dashboard backend
+ * @returns {Object|null} payload, or null when the signature, algorithm or expiry does not check out
+ */
+const verifyJwt = (token, secret = process.env.JWT_SECRET) => {
+  if (!token || !secret) return null
+  const parts = String(token).split(".")
+  if (parts.length !== 3) return null
+
+  try {
+    const header = JSON.parse(base64UrlDecode(parts[0]).toString("utf8"))
+    if (header.alg !== "HS256") return null
+
+    const expected = crypto.createHmac("sha256", secret).update(`${parts[0]}.${parts[1]}`).digest("base64url")
+    if (!safeEqual(expected, parts[2])) return null
+
+    const payload = JSON.parse(base64UrlDecode(parts[1]).toString("utf8"))
+    const now = Math.floor(Date.now() / 1000)
+    if (payload.exp && now >= payload.exp) return null
+    if (payload.nbf && now < payload.nbf) return null
+    return payload
+  } catch (_) {
+    return null
+  }
+}
+
+// Account collection each key owner type must still exist in
+const OWNER_MODELS = { client: Client, admin: Admin, superadmin: Superadmin }
+
+/**
+ * Resolve a bearer token to the caller it belongs to.
+ * ADMIN_API_TOKEN is a platform-wide service token; dashboard JWTs carry the client (or admin) identity.
+ * Admins and superadmins share the "admin" role (global view); userType keeps which account it is.
+ * @returns {{ role: "admin"|"client", userType: string, clientId: string|null, userId: string|null, via: string }|null}
+ */
+const authenticateToken = (token) => {
+  if (!token) return null
+
+  if (process.env.ADMIN_API_TOKEN && safeEqual(token, process.env.ADMIN_API_TOKEN)) {
+    return { role: "admin", userType: "superadmin", clientId: null, userId: null, via: "service_token" }
+  }
+
+  const payload = verifyJwt(token)
+  if (!payload) return null
+
+  const role = String(payload.userType || payload.role || "client").toLowerCase()
+  const userId = payload.id || payload._id || payload.sub || null
+  if (ADMIN_ROLES.includes(role)) {
+    return { role: "admin", userType: role, clientId: null, userId: userId ? String(userId) : null, via: "jwt" }
+  }
+
+  const clientId = payload.clientId || userId
+  if (!clientId) return null
+  return { role: "client", userType: "client", clientId: String(clientId), userId: userId ? String(userId) : null, via: "jwt" }
+}
+
+/**
+ * Resolve an API key (ak_...) to its owner; the key must be active and its Client/Admin/Superadmin must still exist
+ * @returns {Promise<Object|null>} principal shaped like authenticateToken's
+ */
+const authenticateAccessKey = async (key) => {
+  if (!AccessKey.isAccessKey(key)) return null
+  try {
+    const accessKey = await AccessKey.findActiveByKey(key)
+    if (!accessKey) return null
+
+    const ownerExists = await OWNER_MODELS[accessKey.ownerType].exists({ _id: accessKey.ownerId })
+    if (!ownerExists) return null
+
+    AccessKey.updateOne({ _id: accessKey._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {})
+    const isClient = accessKey.ownerType === "client"
+    return {
+      role: isClient ? "client" : "admin",
+      userType: accessKey.ownerType,
+      clientId: isClient ? String(accessKey.clientId) : null,
+      userId: String(accessKey.ownerId),
+      accessKeyId: String(accessKey._id),
+      via: "api_key",
+    }
+  } catch (error) {
+    console.log(`⚠️ [AUTH] API key lookup failed: ${error.message}`)
+    return null
+  }
+}
+
+// X-API-Key header, Bearer header, or ?token= for browser WebSockets that cannot set headers
+const extractToken = (req) => {
+  if (req.headers?.["x-api-key"]) return String(req.headers["x-api-key"]).trim()
+  const header = req.headers?.authorization || ""
+  const match = header.match(/^Bearer\s+(.+)$/i)
+  if (match) return match[1].trim()
+  const query = req.query || url.parse(req.url || "", true).query
+  return query?.token ? String(query.token) : null
+}
+
+const authenticateRequest = async (req) => {
+  const token = extractToken(req)
+  return AccessKey.isAccessKey(token) ? authenticateAccessKey(token) : authenticateToken(token)
+}
+
+// Whether a principal may see data belonging to clientId
+const canAccessClient = (principal, clientId) =>
+  !!principal && (principal.role === "admin" || (!!clientId && principal.clientId === String(clientId)))
+
+/**
+ * clientId a request may act on: clients are pinned to their own, admins pick one (null = all clients)
+ * @throws {Error} code "forbidden" when a client asks for another client's data
+ */
+const resolveClientScope = (principal, requestedClientId = null) => {
+  if (principal?.role === "admin") return requestedClientId ? String(requestedClientId) : null
+  if (requestedClientId && String(requestedClientId) !== principal?.clientId) {
+    const error = new Error("Not allowed to access another client's data")
+    error.code = "forbidden"
+    throw error
+  }
+  return principal?.clientId || null
+}
+
+// Express middleware: 401 without a valid token or API key, otherwise the caller is available as req.principal
+const requireAuth = async (req, res, next) => {
+  const principal = await authenticateRequest(req)
+  if (!principal) {
+    return res.status(401).json({ error: "Authentication required", timestamp: new Date().toISOString() })
+  }
+  req.principal = principal
+  next()
+}
+
+// Express middleware for platform-wide operations (run after requireAuth): 403 for client callers
+const requireAdmin = (req, res, next) => {
+  if (req.principal?.role !== "admin") {
+    return res.status(403).json({ error: "Admin access required", code: "forbidden", timestamp: new Date().toISOString() })
+  }
+  next()
+}
+
+module.exports = {
+  verifyJwt,
+  authenticateToken,
+  authenticateAccessKey,
+  authenticateRequest,
+  extractToken,
+  canAccessClient,
+  resolveClientScope,
+  requireAuth,
+  requireAdmin,
+}
@@ -0,0 +1,135 @@
+const EventEmitter = require("events")
+const { AudioProcessor } = require("../websocket/audio-utils")
+
+const BARGE_IN_DEFAULTS = {
+  sampleRate: 8000,
+  frameSamples: 160, // 20 ms of PCM16 at 8 kHz
+  confidence: 0.6, // share of voiced frames in the window needed to interrupt
+  minSpeechMs: 200, // window length: short enough for "haan"/"no", long enough to skip clicks and coughs
+  minRms: 300, // quieter frames are line noise, whatever their zero-crossing rate
+  echoRatio: 0.5, // while the bot plays, caller frames must be at least this loud relative to the bot's recent audio
+  echoTailMs: 300, // how long the bot's own audio can come back on the caller leg
+  playingMs: 150, // the bot counts as speaking while its frames were sent this recently
+}
+
+// Stop-playback message per telephony provider (Agent.serviceProvider) on the media WebSocket.
+// Calls without a provider speak the Twilio-style stream protocol; providers not listed only stop receiving frames.
+const CLEAR_PLAYBACK_EVENTS = {
+  default: (streamSid) => ({ event: "clear", streamSid }),
+  twilio: (streamSid) => ({ event: "clear", streamSid }),
+  "c-zentrix": (streamSid) => ({ event: "clear", streamSid }),
+  plivo: (streamSid) => ({ event: "clearAudio", streamId: streamSid }),
+}
+
+const clearPlaybackMessage = (serviceProvider, streamSid) => {
+  const build = CLEAR_PLAYBACK_EVENTS[serviceProvider || "default"]
+  return build && streamSid ? build(streamSid) : null
+}
+
+const frameRms = (samples) => {
+  let sumSquares = 0
+  for (let i = 0; i < samples.length; i++) sumSquares += samples[i] * samples[i]
+  return samples.length ? Math.sqrt(sumSquares / samples.length) : 0
+}
+
+const toSamples = (buffer, offset, count) => {
+  const samples = new Int16Array(count)
+  for (let i = 0; i < count; i++) samples[i] = buffer.readInt16LE(offset + i * 2)
+  return samples
+}
+
+/**
+ * Caller barge-in from audio levels, ahead of any transcript.
+ *
+ * While the bot is playing (its frames arrive through addBotAudio), each 20 ms caller frame runs through
+ * AudioProcessor.detectVoiceActivity. Frames no louder than echoRatio of the bot's recent audio are treated as
+ * the bot's own echo. Once the share of voiced frames over the last minSpeechMs reaches the confidence
+ * threshold, "bargeIn" ({ confidence }) is emitted.
+ */
+class BargeInDetector extends EventEmitter {
+  constructor(settings = {}, options = {}) {
+    super()
+    this.config = {
+      ...BARGE_IN_DEFAULTS,
+      ...(Number.isFinite(settings.confidence) ? { confidence: settings.confidence } : {}),
+      ...(Number.isFinite(settings.minSpeechMs) ? { minSpeechMs: settings.minSpeechMs } : {}),
+    }
+    this.echoGuard = settings.echoGuard !== false
+    this.logTag = options.logTag || "BARGE-IN"
+    this.windowFrames = Math.max(1, Math.round(this.config.minSpeechMs / ((this.config.frameSamples / this.config.sampleRate) * 1000)))
+    this.window = []
+    this.remainder = Buffer.alloc(0)
+    this.botLevels = [] // { at, rms } of frames the bot played within echoTailMs
+    this.lastBotAt = 0
+    this.stopped = false
+  }
+
+  // On by default; agents opt out with bargeIn.enabled = false
+  static isEnabled(agent) {
+    return agent?.bargeIn?.enabled !== false
+  }
+
+  get botSpeaking() {
+    return Date.now() - this.lastBotAt < this.config.playingMs
+  }
+
+  stop() {
+    this.stopped = true
+    this.removeAllListeners()
+  }
+
+  // One frame of bot audio as it is sent to the caller (PCM16 8 kHz)
+  addBotAudio(frame) {
+    if (this.stopped || !frame?.length) return
+    const now = Date.now()
+    this.botLevels.push({ at: now, rms: frameRms(toSamples(frame, 0, Math.floor(frame.length / 2))) })
+    while (this.botLevels.length && now - this.botLevels[0].at > this.config.echoTailMs) this.botLevels.shift()
+    this.lastBotAt = now
+  }
+
+  // Caller audio from the media stream (PCM16 8 kHz)
+  addCallerAudio(pcmBuffer) {
+    if (this.stopped) return
+    const frameBytes = this.config.frameSamples * 2
+    const buffer = this.remainder.length ? Buffer.concat([this.remainder, pcmBuffer]) : pcmBuffer
+    let offset = 0
+    for (; offset + frameBytes <= buffer.length; offset += frameBytes) {
+      this.processFrame(toSamples(buffer, offset, this.config.frameSamples))
+    }
+    this.remainder = Buffer.from(buffer.subarray(offset))
+  }
+
+  processFrame(samples) {
+    // Only speech over the bot's own playback is a barge-in; between turns STT handles the caller
+    if (!this.botSpeaking) {
+      this.window = []
+      return
+    }
+
+    const config = this.config
+    const rms = frameRms(samples)
+    let voiced = AudioProcessor.detectVoiceActivity(samples, { minEnergy: config.minRms * config.minRms })
+    if (voiced && this.echoGuard) {
+      const botRms = this.botLevels.reduce((max, level) => Math.max(max, level.rms), 0)
+      voiced = rms >= botRms * config.echoRatio
+    }
+
+    this.window.push(voiced)
+    if (this.window.length > this.windowFrames) this.window.shift()
+    if (this.window.length < this.windowFrames) return
+
+    const confidence = this.window.filter(Boolean).length / this.window.length
+    if (confidence < config.confidence) return
+
+    this.window = []
+    this.lastBotAt = 0 // one interruption per playback
+    console.log(`✋ [${this.logTag}] Caller speech over playback (confidence ${confidence.toFixed(2)})`)
+    this.emit("bargeIn", { confidence: Math.round(confidence * 100) / 100 })
+  }
+}
+
+module.exports = {
+  BargeInDetector,
+  clearPlaybackMessage,
+  BARGE_IN_DEFAULTS,
+}
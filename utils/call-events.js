@@ -0,0 +1,142 @@
+const EventEmitter = require("events")
+
+const CALL_EVENT_TYPES = [
+  "call_start",
+  "transcript",
+  "interruption",
+  "lead_status",
+  "whatsapp_request",
+  "sentiment",
+  "sentiment_alert",
+  "language_switch",
+  "call_limit",
+  "supervisor_action",
+  "call_end",
+]
+
+const RECENT_EVENT_LIMIT = 50 // replayed to a monitor that subscribes mid-call
+
+/**
+ * In-process bus for live call activity across /ws, /sip-ws and /sanpbx-ws.
+ *
+ * The voice servers register each call when it starts, publish what happens on it and end it on stop/close;
+ * consumers listen with callEvents.on("event", ({ callId, clientId, type, data, at }) => ...).
+ * Calls are keyed by the id the transport uses for the stream (streamSid, SIP session key, SanPBX streamId).
+ * A call may also register controls ({ whisper, say, barge }) that utils/supervisor.js invokes on the live session.
+ */
+class CallEventBus extends EventEmitter {
+  constructor() {
+    super()
+    this.setMaxListeners(0)
+    this.calls = new Map()
+  }
+
+  /**
+   * Track a new live call and announce it
+   * @param {string} callId
+   * @param {Object} info - { transport, clientId, agentId, agentName, mobile, direction, callLogId, streamSid, callSid, language, controls }
+   */
+  registerCall(callId, info = {}) {
+    if (!callId) return null
+    const call = {
+      callId: String(callId),
+      transport: info.transport || "ws",
+      clientId: info.clientId ? String(info.clientId) : null,
+      agentId: info.agentId ? String(info.agentId) : null,
+      agentName: info.agentName || null,
+      mobile: info.mobile || null,
+      direction: info.direction || "inbound",
+      callLogId: info.callLogId ? String(info.callLogId) : null,
+      streamSid: info.streamSid || null,
+      callSid: info.callSid || null,
+      language: info.language || null,
+      leadStatus: info.leadStatus || null,
+      sentiment: null, // latest scored caller turn { score, label, frustration, emotion }
+      supervisorActions: Object.keys(info.controls || {}), // what a supervisor can do on this transport
+      startedAt: new Date(),
+      lastEventAt: new Date(),
+    }
+    this.calls.set(call.callId, { call, recent: [], controls: info.controls || {} })
+    this.publish(call.callId, "call_start", { call: { ...call } })
+    return call
+  }
+
+  // Merge fields into a live call's summary (callLogId once created, agent after IVR routing, ...)
+  updateCall(callId, fields = {}) {
+    const entry = this.calls.get(String(callId))
+    if (!entry) return null
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined) continue
+      entry.call[key] = ["clientId", "agentId", "callLogId"].includes(key) && value ? String(value) : value
+    }
+    return entry.call
+  }
+
+  /**
+   * Publish one event for a live call; unknown calls are ignored
+   * @param {string} callId
+   * @param {string} type - one of CALL_EVENT_TYPES
+   * @param {Object} data
+   */
+  publish(callId, type, data = {}) {
+    const entry = this.calls.get(String(callId))
+    if (!entry) return
+    const event = { callId: entry.call.callId, clientId: entry.call.clientId, type, data, at: new Date().toISOString() }
+
+    entry.call.lastEventAt = new Date()
+    if (type === "lead_status" && data.leadStatus) entry.call.leadStatus = data.leadStatus
+    if (type === "transcript" && data.language) entry.call.language = data.language
+    if (type === "language_switch") entry.call.language = data.to
+    if (type === "sentiment") {
+      entry.call.sentiment = { score: data.score, label: data.label, frustration: data.frustration, emotion: data.emotion }
+    }
+    entry.recent.push(event)
+    if (entry.recent.length > RECENT_EVENT_LIMIT) entry.recent.shift()
+
+    try {
+      this.emit("event", event)
+    } catch (error) {
+      console.log(`⚠️ [CALL-EVENTS] Listener failed for ${type}: ${error.message}`)
+    }
+  }
+
+  // Announce the end of a call and forget it; safe to call from both stop and close
+  endCall(callId, data = {}) {
+    const entry = this.calls.get(String(callId))
+    if (!entry) return
+    const durationSec = Math.round((Date.now() - entry.call.startedAt.getTime()) / 1000)
+    this.publish(callId, "call_end", { durationSec, leadStatus: entry.call.leadStatus, ...data })
+    this.calls.delete(String(callId))
+  }
+
+  getCall(callId) {
+    const entry = this.calls.get(String(callId))
+    return entry ? { ...entry.call } : null
+  }
+
+  // Session hooks for supervisor actions; never sent to monitors
+  getControls(callId) {
+    const entry = this.calls.get(String(callId))
+    return entry ? entry.controls : null
+  }
+
+  getRecentEvents(callId) {
+    const entry = this.calls.get(String(callId))
+    return entry ? [...entry.recent] : []
+  }
+
+  // Live calls, optionally limited to one client
+  listCalls({ clientId = null } = {}) {
+    return Array.from(this.calls.values())
+      .map((entry) => ({ ...entry.call }))
+      .filter((call) => !clientId || call.clientId === String(clientId))
+  }
+}
+
+const callEvents = new CallEventBus()
+
+module.exports = {
+  callEvents,
+  CallEventBus,
+  CALL_EVENT_TYPES,
+}
@@ -0,0 +1,198 @@
+const CallLog = require("../models/CallLog")
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const EXTRACTION_CONFIG = {
+  chatUrl: process.env.OPENAI_CHAT_URL || "https://api.openai.com/v1/chat/completions",
+  model: process.env.EXTRACTION_MODEL || "gpt-4o-mini",
+  timeoutMs: Number(process.env.EXTRACTION_TIMEOUT_MS) || 20000,
+  maxTranscriptMessages: 80, // most recent turns sent to the model
+}
+
+const FIELD_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/
+
+// JSON schema for one field's value; every value may be null (not mentioned on the call)
+const valueSchema = (field) => {
+  switch (field.type) {
+    case "number":
+      return { type: ["number", "null"] }
+    case "boolean":
+      return { type: ["boolean", "null"] }
+    case "date":
+      return { type: ["string", "null"], description: "ISO 8601 date or date-time" }
+    case "enum":
+      return { type: ["string", "null"], enum: [...(field.enumValues || []), null] }
+    default:
+      return { type: ["string", "null"] }
+  }
+}
+
+/**
+ * Strict JSON schema for an agent's extractionSchema: { <field>: { value, confidence } }
+ * @param {Array} fields - Agent.extractionSchema
+ */
+const buildJsonSchema = (fields) => ({
+  type: "object",
+  additionalProperties: false,
+  required: fields.map((field) => field.name),
+  properties: Object.fromEntries(
+    fields.map((field) => [
+      field.name,
+      {
+        type: "object",
+        additionalProperties: false,
+        required: ["value", "confidence"],
+        description: field.description || undefined,
+        properties: {
+          value: valueSchema(field),
+          confidence: { type: "number", description: "0 to 1: how sure the conversation supports this value" },
+        },
+      },
+    ]),
+  ),
+})
+
+// Usable fields only: valid names, enum fields with values, no duplicates
+const normalizeFields = (extractionSchema = []) => {
+  const seen = new Set()
+  return extractionSchema.filter((field) => {
+    if (!field?.name || !FIELD_NAME_PATTERN.test(field.name) || seen.has(field.name)) return false
+    if (field.type === "enum" && !field.enumValues?.length) return false
+    seen.add(field.name)
+    return true
+  })
+}
+
+// Coerce a model value to the field type; anything that does not fit becomes null
+const coerceValue = (field, value) => {
+  if (value === null || value === undefined || value === "") return null
+  switch (field.type) {
+    case "number": {
+      const number = typeof value === "number" ? value : Number(String(value).replace(/[,\s]/g, ""))
+      return Number.isFinite(number) ? number : null
+    }
+    case "boolean":
+      if (typeof value === "boolean") return value
+      if (/^(true|yes)$/i.test(String(value))) return true
+      if (/^(false|no)$/i.test(String(value))) return false
+      return null
+    case "date": {
+      const date = new Date(value)
+      return Number.isNaN(date.getTime()) ? null : String(value)
+    }
+    case "enum":
+      return field.enumValues.find((option) => option.toLowerCase() === String(value).toLowerCase()) || null
+    default:
+      return String(value).trim() || null
+  }
+}
+
+/**
+ * Fill an agent's extraction schema from a finished conversation with a JSON-schema constrained completion
+ * @param {Array} conversationHistory - [{ role: "user" | "assistant", content }]
+ * @param {Array} extractionSchema - Agent.extractionSchema
+ * @param {Object} options - { apiKey, onRequest, model }; apiKey is the client's resolved OpenAI key (providerKeyOptions)
+ * @returns {Promise<Object|null>} CallLog.extraction, or null when the agent defines no fields
+ */
+const extractCallData = async (conversationHistory = [], extractionSchema = [], options = {}) => {
+  const fields = normalizeFields(extractionSchema)
+  if (!fields.length) return null
+  const model = options.model || EXTRACTION_CONFIG.model
+  const startedAt = Date.now()
+  const failed = (error) => ({ status: "failed", data: {}, fields: [], missingRequired: [], model, error, extractedAt: new Date() })
+
+  const transcript = conversationHistory
+    .filter((msg) => msg?.content && (msg.role === "user" || msg.role === "assistant"))
+    .slice(-EXTRACTION_CONFIG.maxTranscriptMessages)
+    .map((msg) => `${msg.role === "user" ? "Caller" : "AI"}: ${msg.content}`)
+    .join("\n")
+
+  let parsed = {}
+  if (transcript) {
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY
+    if (!apiKey) return failed("OPENAI_API_KEY is not configured for call extraction")
+    options.onRequest?.("openai")
+
+    const fieldGuide = fields
+      .map((field) => {
+        const allowed = field.type === "enum" ? ` (one of: ${field.enumValues.join(", ")})` : ""
+        return `- ${field.name} [${field.type || "string"}${field.required ? ", required" : ""}]${allowed}: ${field.description || field.name}`
+      })
+      .join("\n")
+
+    try {
+      const response = await fetch(EXTRACTION_CONFIG.chatUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          messages: [
+            {
+              role: "system",
+              content: [
+                "Extract the fields below from a phone call between a caller and an AI agent. The call may be in any Indian language or mixed with English; write text values in English unless they are names or places.",
+                "Only use what the caller actually said or confirmed. If a field was not mentioned, set value to null and confidence to 0. Never guess.",
+                "confidence is 0 to 1: 1 when the caller stated it clearly, about 0.5 when it is implied or unclear.",
+                "Fields:",
+                fieldGuide,
+              ].join("\n"),
+            },
+            { role: "user", content: transcript },
+          ],
+          response_format: {
+            type: "json_schema",
+            json_schema: { name: "call_extraction", strict: true, schema: buildJsonSchema(fields) },
+          },
+        }),
+        signal: AbortSignal.timeout(EXTRACTION_CONFIG.timeoutMs),
+      })
+      if (!response.ok) return failed(`Extraction API error: ${response.status}`)
+      const body = await response.json()
+      parsed = JSON.parse(body.choices?.[0]?.message?.content || "{}")
+    } catch (error) {
+      console.log(`❌ [CALL-EXTRACTION] ${Date.now() - startedAt}ms - Error: ${error.message}`)
+      return failed(error.message)
+    }
+  }
+
+  const data = {}
+  const results = fields.map((field) => {
+    const value = coerceValue(field, parsed[field.name]?.value)
+    const confidence = value === null ? 0 : Math.min(1, Math.max(0, Number(parsed[field.name]?.confidence) || 0))
+    data[field.name] = value
+    return { name: field.name, type: field.type || "string", value, confidence: Math.round(confidence * 100) / 100 }
+  })
+  const missingRequired = fields.filter((field) => field.required && data[field.name] === null).map((field) => field.name)
+
+  console.log(
+    `🧾 [CALL-EXTRACTION] ${Date.now() - startedAt}ms - ${results.filter((r) => r.value !== null).length}/${fields.length} fields` +
+      (missingRequired.length ? ` (missing required: ${missingRequired.join(", ")})` : ""),
+  )
+  return { status: "completed", data, fields: results, missingRequired, model, extractedAt: new Date() }
+}
+
+/**
+ * Run the agent's extraction for a finished call and store it on the CallLog
+ * @param {Object} options - passed to extractCallData; { apiKey, onRequest } from the call's resolved analysis key
+ * @returns {Promise<Object|null>} the stored extraction
+ */
+const applyCallExtraction = async (callLogId, agent, conversationHistory, options = {}) => {
+  if (!callLogId || !agent?.extractionSchema?.length) return null
+  const extraction = await extractCallData(conversationHistory, agent.extractionSchema, options)
+  if (!extraction) return null
+  try {
+    await CallLog.updateOne({ _id: callLogId }, { $set: { extraction } })
+  } catch (error) {
+    console.log(`⚠️ [CALL-EXTRACTION] Failed to store extraction on ${callLogId}: ${error.message}`)
+  }
+  return extraction
+}
+
+module.exports = {
+  extractCallData,
+  applyCallExtraction,
+  buildJsonSchema,
+  FIELD_NAME_PATTERN,
+  EXTRACTION_CONFIG,
+}
@@ -0,0 +1,154 @@
+const EventEmitter = require("events")
+
+const CALL_METER_DEFAULTS = {
+  creditsPerSecond: 1 / 30, // same rate as Credit.billCallCredits
+  warningSeconds: 30, // warn the caller this long before the cutoff
+  endLeadSeconds: 6, // start the goodbye this long before the cutoff so it finishes in time
+  tickMs: 1000,
+  refreshMs: 15000, // re-read the balance: top-ups and other calls move it during the call
+}
+
+// Built-in lines per call language; Agent.callLimits.warningMessage/endMessage override them
+const LIMIT_PROMPTS = {
+  warning: {
+    en: "Just to let you know, this call will end in a few moments.",
+    hi: "आपको बता दें, यह कॉल कुछ ही पलों में समाप्त हो जाएगी।",
+    mr: "कृपया लक्षात घ्या, हा कॉल काही क्षणांत संपेल.",
+    bn: "জানিয়ে রাখি, এই কলটি কিছুক্ষণের মধ্যে শেষ হয়ে যাবে।",
+    ta: "தெரிவிக்க விரும்புகிறேன், இந்த அழைப்பு சில நொடிகளில் முடிவடையும்.",
+    te: "మీకు తెలియజేస్తున్నాను, ఈ కాల్ కొద్ది క్షణాల్లో ముగుస్తుంది.",
+    gu: "જણાવી દઉં કે, આ કૉલ થોડી જ ક્ષણોમાં સમાપ્ત થશે.",
+    kn: "ತಿಳಿಸಲು ಬಯಸುತ್ತೇನೆ, ಈ ಕರೆ ಕೆಲವೇ ಕ್ಷಣಗಳಲ್ಲಿ ಕೊನೆಗೊಳ್ಳುತ್ತದೆ.",
+    ml: "അറിയിക്കട്ടെ, ഈ കോൾ ഏതാനും നിമിഷങ്ങൾക്കുള്ളിൽ അവസാനിക്കും.",
+    pa: "ਤੁਹਾਨੂੰ ਦੱਸ ਦੇਈਏ, ਇਹ ਕਾਲ ਕੁਝ ਹੀ ਪਲਾਂ ਵਿੱਚ ਖਤਮ ਹੋ ਜਾਵੇਗੀ।",
+  },
+  end: {
+    en: "We have reached the time limit for this call. Thank you, goodbye!",
+    hi: "इस कॉल का समय पूरा हो गया है। धन्यवाद!",
+    mr: "या कॉलची वेळ संपली आहे. धन्यवाद!",
+    bn: "এই কলের সময় শেষ হয়ে গেছে। ধন্যবাদ!",
+    ta: "இந்த அழைப்பின் நேரம் முடிந்துவிட்டது. நன்றி!",
+    te: "ఈ కాల్ సమయం ముగిసింది. ధన్యవాదాలు!",
+    gu: "આ કૉલનો સમય પૂરો થયો છે. આભાર!",
+    kn: "ಈ ಕರೆಯ ಸಮಯ ಮುಗಿದಿದೆ. ಧನ್ಯವಾದಗಳು!",
+    ml: "ഈ കോളിന്റെ സമയം കഴിഞ്ഞു. നന്ദി!",
+    pa: "ਇਸ ਕਾਲ ਦਾ ਸਮਾਂ ਪੂਰਾ ਹੋ ਗਿਆ ਹੈ। ਧੰਨਵਾਦ!",
+  },
+}
+
+/**
+ * Warning or goodbye line for the call's current language
+ * @param {"warning"|"end"} kind
+ * @param {string} language
+ * @param {Object} settings - Agent.callLimits
+ */
+const limitPrompt = (kind, language, settings = {}) => {
+  const custom = kind === "warning" ? settings?.warningMessage : settings?.endMessage
+  if (custom?.trim()) return custom.trim()
+  const code = String(language || "en").toLowerCase().split("-")[0]
+  return LIMIT_PROMPTS[kind][code] || LIMIT_PROMPTS[kind].en
+}
+
+/**
+ * Running meter for one call against the client's credit balance and the agent's maximum duration.
+ *
+ * The balance is only debited when the call ends, so the meter turns it into talk time
+ * (balance / creditsPerSecond) and counts down against it. It emits "warning" ({ reason, secondsLeft }) once
+ * warningSeconds before the cutoff and "limit" ({ reason, secondsLeft }) endLeadSeconds before it, where reason
+ * is "credits_exhausted" or "max_duration". billableSeconds() caps the final bill at the cutoff.
+ */
+class CallMeter extends EventEmitter {
+  /**
+   * @param {Object} options - { getBalance: async () => number, maxDurationSeconds, warningSeconds, startedAt, logTag }
+   */
+  constructor(options = {}) {
+    super()
+    this.config = {
+      ...CALL_METER_DEFAULTS,
+      ...(Number.isFinite(options.warningSeconds) ? { warningSeconds: options.warningSeconds } : {}),
+    }
+    this.getBalance = options.getBalance || null
+    this.maxDurationSeconds = Number(options.maxDurationSeconds) > 0 ? Number(options.maxDurationSeconds) : Infinity
+    this.startedAt = options.startedAt ? new Date(options.startedAt).getTime() : Date.now()
+    this.logTag = options.logTag || "CALL-METER"
+    this.balance = null // unknown until the first read; an unreadable balance never cuts a call
+    this.lastRefreshAt = 0
+    this.refreshing = null
+    this.timer = null
+    this.warned = false
+    this.limited = false
+  }
+
+  async start() {
+    await this.refresh()
+    this.timer = setInterval(() => this.tick(), this.config.tickMs)
+    this.tick()
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+    this.removeAllListeners()
+  }
+
+  refresh() {
+    if (!this.getBalance || this.refreshing) return this.refreshing
+    this.lastRefreshAt = Date.now()
+    this.refreshing = Promise.resolve()
+      .then(() => this.getBalance())
+      .then((balance) => {
+        if (Number.isFinite(Number(balance))) this.balance = Math.max(0, Number(balance))
+      })
+      .catch((error) => console.log(`⚠️ [${this.logTag}] Balance refresh failed: ${error.message}`))
+      .finally(() => {
+        this.refreshing = null
+      })
+    return this.refreshing
+  }
+
+  elapsedSeconds() {
+    return Math.max(0, (Date.now() - this.startedAt) / 1000)
+  }
+
+  // The nearer of the two cutoffs, in seconds from the start of the call
+  cutoff() {
+    const creditSeconds = this.balance === null ? Infinity : Math.floor(this.balance / this.config.creditsPerSecond)
+    return creditSeconds <= this.maxDurationSeconds
+      ? { seconds: creditSeconds, reason: "credits_exhausted" }
+      : { seconds: this.maxDurationSeconds, reason: "max_duration" }
+  }
+
+  // Seconds to bill for a call that lasted durationSeconds: never past the cutoff
+  billableSeconds(durationSeconds) {
+    return Math.max(0, Math.min(Number(durationSeconds) || 0, this.cutoff().seconds))
+  }
+
+  tick() {
+    if (Date.now() - this.lastRefreshAt >= this.config.refreshMs) this.refresh()
+
+    const { seconds, reason } = this.cutoff()
+    if (!Number.isFinite(seconds)) return
+    const secondsLeft = Math.round(seconds - this.elapsedSeconds())
+
+    if (!this.warned && secondsLeft <= this.config.warningSeconds && secondsLeft > this.config.endLeadSeconds) {
+      this.warned = true
+      console.log(`⏳ [${this.logTag}] ${reason}: ${secondsLeft}s left, warning the caller`)
+      this.emit("warning", { reason, secondsLeft })
+    }
+    if (!this.limited && secondsLeft <= this.config.endLeadSeconds) {
+      this.limited = true
+      clearInterval(this.timer)
+      this.timer = null
+      console.log(`⛔ [${this.logTag}] ${reason}: ending the call (${Math.max(0, secondsLeft)}s left)`)
+      this.emit("limit", { reason, secondsLeft: Math.max(0, secondsLeft) })
+    }
+  }
+}
+
+module.exports = {
+  CallMeter,
+  limitPrompt,
+  CALL_METER_DEFAULTS,
+}
@@ -0,0 +1,195 @@
+const CallLog = require("../models/CallLog")
+const { AudioUtils } = require("../websocket/audio-utils")
+const { createRecordingStorage } = require("./recording-storage")
+
+const RECORDING_CONFIG = {
+  enabled: process.env.RECORDING_ENABLED !== "false", // platform-wide kill switch; it never turns recording on for an agent
+  sampleRate: 8000,
+  maxDurationSec: Number(process.env.RECORDING_MAX_DURATION_SEC) || 2 * 60 * 60, // bounds memory per call
+  retentionDays: Number(process.env.RECORDING_RETENTION_DAYS) || 90,
+  jitterMs: 60, // gaps shorter than this are network jitter, not silence
+}
+
+// Only agents that set recording.enabled = true are recorded
+const isRecordingEnabled = (agent) => RECORDING_CONFIG.enabled && agent?.recording?.enabled === true
+
+// Agent.recording.retentionDays: unset = platform default, 0 = keep until deleted manually
+const getRetentionDays = (agent) => {
+  const days = agent?.recording?.retentionDays
+  return days === undefined || days === null ? RECORDING_CONFIG.retentionDays : Number(days)
+}
+
+/**
+ * One PCM16 mono track placed on the call's wall clock, so the two legs stay in sync
+ * even though caller media arrives continuously and bot audio only while speaking.
+ */
+class RecordingTrack {
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate
+    this.chunks = []
+    this.samples = 0
+  }
+
+  place(pcm, startSample, maxSamples) {
+    const gap = startSample - this.samples
+    if (gap > (RECORDING_CONFIG.jitterMs * this.sampleRate) / 1000) {
+      this.chunks.push(Buffer.alloc(gap * 2))
+      this.samples += gap
+    }
+    const room = maxSamples - this.samples
+    if (room <= 0) return
+    const slice = pcm.length / 2 > room ? pcm.slice(0, room * 2) : pcm
+    this.chunks.push(slice)
+    this.samples += Math.floor(slice.length / 2)
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks)
+  }
+}
+
+/**
+ * Records both legs of a call and stores them as a stereo WAV (caller left, bot right).
+ * addCaller/addBot take PCM16 little-endian mono; use AudioUtils.decodeMuLaw for µ-law legs.
+ */
+class CallRecorder {
+  constructor({ callerSampleRate = RECORDING_CONFIG.sampleRate, logTag = "RECORDING" } = {}) {
+    this.sampleRate = RECORDING_CONFIG.sampleRate
+    this.callerSampleRate = callerSampleRate
+    this.logTag = logTag
+    this.startedAt = Date.now()
+    this.maxSamples = RECORDING_CONFIG.maxDurationSec * this.sampleRate
+    this.caller = new RecordingTrack(this.sampleRate)
+    this.bot = new RecordingTrack(this.sampleRate)
+    this.finished = null
+  }
+
+  // Sample offset of "now" on the call timeline
+  clockSample(at = Date.now()) {
+    return Math.floor(((at - this.startedAt) * this.sampleRate) / 1000)
+  }
+
+  // Caller media is delivered after it was captured: the chunk ends now
+  addCaller(pcm) {
+    if (this.finished || !pcm?.length) return
+    try {
+      const resampled = AudioUtils.resamplePcm16(pcm, this.callerSampleRate, this.sampleRate)
+      const start = Math.max(this.caller.samples, this.clockSample() - Math.floor(resampled.length / 2))
+      this.caller.place(resampled, start, this.maxSamples)
+    } catch (_) {}
+  }
+
+  // Bot frames are paced by the player: the chunk starts now, or right after the previous one
+  addBot(pcm) {
+    if (this.finished || !pcm?.length) return
+    try {
+      this.bot.place(pcm, Math.max(this.bot.samples, this.clockSample()), this.maxSamples)
+    } catch (_) {}
+  }
+
+  get durationSec() {
+    return Math.max(this.caller.samples, this.bot.samples) / this.sampleRate
+  }
+
+  toWav() {
+    const stereo = AudioUtils.interleaveStereo(this.caller.toBuffer(), this.bot.toBuffer())
+    return AudioUtils.createWavBuffer(stereo, this.sampleRate, 2, 16)
+  }
+
+  /**
+   * Write the recording and set CallLog.audioUrl; safe to call more than once (stop + close)
+   * @param {Object} params - { callLogId, clientId, agent }
+   * @returns {Promise<string|null>} audioUrl
+   */
+  finish(params = {}) {
+    if (!this.finished) this.finished = this.store(params)
+    return this.finished
+  }
+
+  async store({ callLogId, clientId, agent }) {
+    if (!callLogId || this.durationSec < 1) {
+      console.log(`🎙️ [${this.logTag}] Nothing to store (callLogId=${callLogId || "none"}, ${this.durationSec.toFixed(1)}s)`)
+      return null
+    }
+
+    try {
+      const wav = this.toWav()
+      const storage = createRecordingStorage()
+      const month = new Date(this.startedAt).toISOString().slice(0, 7)
+      const key = `${String(clientId || "unknown").replace(/[^\w.-]/g, "_")}/${month}/${callLogId}.wav`
+      const audioUrl = await storage.save(key, wav, { contentType: "audio/wav" })
+      this.caller.chunks = []
+      this.bot.chunks = []
+
+      const retentionDays = getRetentionDays(agent)
+      await CallLog.updateOne(
+        { _id: callLogId },
+        {
+          $set: {
+            audioUrl,
+            recording: {
+              storage: storage.name,
+              key,
+              format: "wav",
+              channels: 2,
+              sampleRate: this.sampleRate,
+              durationSec: Math.round(this.durationSec),
+              sizeBytes: wav.length,
+              recordedAt: new Date(this.startedAt),
+              expiresAt: retentionDays > 0 ? new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000) : null,
+            },
+          },
+        },
+      )
+      console.log(`🎙️ [${this.logTag}] Stored ${Math.round(this.durationSec)}s recording (${wav.length} bytes) → ${audioUrl}`)
+      return audioUrl
+    } catch (error) {
+      console.log(`❌ [${this.logTag}] Failed to store recording: ${error.message}`)
+      return null
+    }
+  }
+}
+
+// Start a recorder for the call, or null when the agent (or platform) has recording turned off
+const startCallRecording = (agent, options = {}) => {
+  if (!isRecordingEnabled(agent)) {
+    console.log(`🎙️ [${options.logTag || "RECORDING"}] Recording disabled for agent ${agent?._id || "(none)"}`)
+    return null
+  }
+  return new CallRecorder(options)
+}
+
+/**
+ * Delete recordings past their retention period and clear audioUrl on the CallLog
+ * @returns {Promise<number>} number of recordings removed
+ */
+const purgeExpiredRecordings = async ({ limit = 200 } = {}) => {
+  const expired = await CallLog.find({
+    "recording.expiresAt": { $ne: null, $lte: new Date() },
+    "recording.deletedAt": null,
+  })
+    .select("_id recording")
+    .limit(limit)
+    .lean()
+
+  let removed = 0
+  for (const log of expired) {
+    try {
+      await createRecordingStorage(log.recording.storage).delete(log.recording.key)
+      await CallLog.updateOne({ _id: log._id }, { $unset: { audioUrl: 1 }, $set: { "recording.deletedAt": new Date() } })
+      removed++
+    } catch (error) {
+      console.log(`⚠️ [RECORDING-RETENTION] Failed to delete ${log.recording.key}: ${error.message}`)
+    }
+  }
+  if (removed) console.log(`🧹 [RECORDING-RETENTION] Deleted ${removed} expired recording(s)`)
+  return removed
+}
+
+module.exports = {
+  CallRecorder,
+  startCallRecording,
+  isRecordingEnabled,
+  purgeExpiredRecordings,
+  RECORDING_CONFIG,
+}
@@ -0,0 +1,247 @@
+const CallLog = require("../models/CallLog")
+const HumanAgent = require("../models/HumanAgent")
+const { createLlmProvider } = require("../websocket/llm-providers")
+
+// Phrases that always mean "get me a person", on top of Agent.escalation.keywords
+const DEFAULT_TRANSFER_PHRASES = [
+  "human agent",
+  "talk to a human",
+  "speak to a human",
+  "real person",
+  "speak to someone",
+  "talk to someone",
+  "transfer me",
+  "transfer the call",
+  "connect me to customer care",
+  "customer care executive",
+  "talk to your manager",
+  "speak to your manager",
+  "talk to a representative",
+  "insaan se baat",
+  "kisi se baat karao",
+  "agent se baat",
+  "executive se baat",
+  "manager se baat",
+  "इंसान से बात",
+  "किसी से बात",
+  "मैनेजर से बात",
+]
+
+const HANDOFF_MESSAGES = {
+  en: "Sure, I'm connecting you to a member of our team now. Please stay on the line.",
+  hi: "ज़रूर, मैं आपको अभी हमारी टीम के एक सदस्य से जोड़ रहा हूँ। कृपया लाइन पर बने रहें।",
+  mr: "नक्कीच, मी तुम्हाला आमच्या टीममधील व्यक्तीशी जोडत आहे. कृपया लाइनवर रहा.",
+  bn: "অবশ্যই, আমি আপনাকে এখন আমাদের টিমের একজনের সাথে যুক্ত করছি। অনুগ্রহ করে লাইনে থাকুন।",
+  ta: "நிச்சயமாக, உங்களை எங்கள் குழு உறுப்பினருடன் இணைக்கிறேன். தயவுசெய்து இணைப்பில் இருங்கள்.",
+  te: "తప్పకుండా, మిమ్మల్ని మా టీమ్ సభ్యునితో కలుపుతున్నాను. దయచేసి లైన్‌లో ఉండండి.",
+  gu: "ચોક્કસ, હું તમને અમારી ટીમના સભ્ય સાથે જોડું છું. કૃપા કરીને લાઇન પર રહો.",
+}
+
+const UNAVAILABLE_MESSAGES = {
+  en: "I'm sorry, all our team members are busy right now. I'll make sure someone calls you back. Meanwhile, how else can I help?",
+  hi: "माफ़ कीजिए, अभी हमारी टीम के सभी सदस्य व्यस्त हैं। कोई आपको जल्द वापस कॉल करेगा। तब तक मैं और कैसे मदद कर सकता हूँ?",
+}
+
+const pickLocalized = (messages, language) => messages[(language || "en").toLowerCase()] || messages.en
+
+const normalize = (text) => (text || "").toLowerCase().replace(/\s+/g, " ").trim()
+
+// Keyword fast path: no model round trip for explicit requests
+const matchesTransferKeyword = (userMessage, policy = {}) => {
+  const text = normalize(userMessage)
+  if (!text) return false
+  const phrases = [...DEFAULT_TRANSFER_PHRASES, ...(policy.keywords || [])].map(normalize).filter(Boolean)
+  return phrases.some((phrase) => text.includes(phrase))
+}
+
+/**
+ * Decide whether the caller is asking for a human (reference: detectCallDisconnectionIntent in aitota.js)
+ * @param {string} userMessage
+ * @param {Array} conversationHistory - OpenAI-shaped messages
+ * @param {Object} agent - Agent document (escalation policy, llmSelection)
+ * @param {Object} llmOptions - provider key options for the agent's LLM
+ * @returns {Promise<"TRANSFER"|"CONTINUE">}
+ */
+const detectTransferIntent = async (userMessage, conversationHistory = [], agent = {}, llmOptions = {}) => {
+  const policy = agent?.escalation || {}
+  if (!policy.enabled || !userMessage) return "CONTINUE"
+  if (matchesTransferKeyword(userMessage, policy)) {
+    console.log("🙋 [TRANSFER-DETECTION] Keyword match - caller asked for a human")
+    return "TRANSFER"
+  }
+  if (policy.detectWithAI === false) return "CONTINUE"
+
+  const startedAt = Date.now()
+  try {
+    const llm = createLlmProvider(agent.llmSelection, llmOptions)
+    const context = conversationHistory
+      .slice(-4)
+      .map((msg) => `${msg.role}: ${msg.content}`)
+      .join(" | ")
+    const result = await llm.complete({
+      messages: [
+        {
+          role: "system",
+          content: `Decide if the caller wants to be transferred to a human (a person, executive, manager or customer care), or is frustrated that the AI cannot help and needs a person.
+Do NOT transfer for ordinary questions the assistant can answer.
+
+Conversation context: ${context}
+Caller message: "${userMessage}"
+
+Return ONLY: "TRANSFER" or "CONTINUE".`,
+        },
+        { role: "user", content: userMessage },
+      ],
+      maxTokens: 5,
+      temperature: 0,
+    })
+    const decision = (result || "").trim().toUpperCase().startsWith("TRANSFER") ? "TRANSFER" : "CONTINUE"
+    console.log(`🕒 [TRANSFER-DETECTION] ${Date.now() - startedAt}ms - ${decision}`)
+    return decision
+  } catch (error) {
+    console.log(`❌ [TRANSFER-DETECTION] ${Date.now() - startedAt}ms - Error: ${error.message}`)
+    return "CONTINUE"
+  }
+}
+
+// Short brief for the human agent; falls back to the caller's last lines if the model is unavailable
+const summarizeForHandoff = async (conversationHistory = [], agent = {}, llmOptions = {}) => {
+  const transcript = conversationHistory
+    .filter((msg) => msg?.content && (msg.role === "user" || msg.role === "assistant"))
+    .slice(-12)
+    .map((msg) => `${msg.role === "user" ? "Caller" : "AI"}: ${msg.content}`)
+    .join("\n")
+  if (!transcript) return "Caller asked to speak to a person at the start of the call."
+
+  try {
+    const llm = createLlmProvider(agent.llmSelection, llmOptions)
+    const summary = await llm.complete({
+      messages: [
+        {
+          role: "system",
+          content:
+            "You brief a human call-centre agent who is about to take over a live call from an AI assistant. In English, in at most 3 short sentences: who the caller is (if known), what they want, and anything already promised or answered. No greetings, no formatting.",
+        },
+        { role: "user", content: transcript },
+      ],
+      maxTokens: 90,
+      temperature: 0.2,
+    })
+    if (summary && summary.trim()) return summary.trim()
+  } catch (error) {
+    console.log(`⚠️ [TRANSFER-SUMMARY] Falling back to transcript tail: ${error.message}`)
+  }
+  const callerLines = conversationHistory.filter((msg) => msg.role === "user").slice(-2).map((msg) => msg.content)
+  return `Caller said: ${callerLines.join(" / ")}`
+}
+
+/**
+ * Claim a free human agent for the call, build the handoff summary and record the attempt on the CallLog.
+ * Does not touch the telephony leg; the caller plays the handoff message and sends the provider transfer event.
+ * @param {Object} params - { agent, callLogId, conversationHistory, reason, language, llmOptions, humanAgentIds }
+ *   humanAgentIds overrides the escalation policy's candidates (a supervisor barging in picks the human)
+ * @returns {Promise<{ humanAgent, summary, handoffMessage } | { humanAgent: null, unavailableMessage }>}
+ */
+const prepareWarmTransfer = async ({
+  agent,
+  callLogId = null,
+  conversationHistory = [],
+  reason = "caller_request",
+  language = "en",
+  llmOptions = {},
+  humanAgentIds = null,
+}) => {
+  const policy = agent?.escalation || {}
+  const requestedAt = new Date()
+
+  const humanAgent = await HumanAgent.claimForTransfer(agent._id, callLogId, humanAgentIds || policy.humanAgentIds || [])
+  if (!humanAgent) {
+    console.log(`⚠️ [WARM-TRANSFER] No available human agent for agent ${agent._id}`)
+    if (callLogId) {
+      CallLog.recordTransfer(callLogId, { status: "no_agent_available", reason, requestedAt }).catch(() => {})
+    }
+    return { humanAgent: null, unavailableMessage: policy.unavailableMessage || pickLocalized(UNAVAILABLE_MESSAGES, language) }
+  }
+
+  const summary = await summarizeForHandoff(conversationHistory, agent, llmOptions)
+  console.log(`🤝 [WARM-TRANSFER] Claimed ${humanAgent.humanAgentName} (${humanAgent._id}) - summary: ${summary}`)
+
+  if (callLogId) {
+    await CallLog.recordTransfer(callLogId, {
+      status: "initiated",
+      reason,
+      humanAgentId: humanAgent._id,
+      humanAgentName: humanAgent.humanAgentName,
+      humanAgentMobile: humanAgent.mobileNumber,
+      summary,
+      requestedAt,
+      initiatedAt: new Date(),
+    }).catch((error) => console.log(`⚠️ [WARM-TRANSFER] CallLog update failed: ${error.message}`))
+  }
+
+  return { humanAgent, summary, handoffMessage: policy.handoffMessage || pickLocalized(HANDOFF_MESSAGES, language) }
+}
+
+// Provider bridge event: the telephony side rings the human, whispers the summary, then bridges the caller
+const buildTransferEvent = ({ streamSid, callSid, accountSid, humanAgent, summary, sequenceNumber }) => ({
+  event: "transfer",
+  ...(sequenceNumber != null ? { sequenceNumber } : {}),
+  streamSid,
+  transfer: {
+    mode: "warm",
+    accountSid,
+    callSid,
+    to: humanAgent.mobileNumber,
+    humanAgentId: String(humanAgent._id),
+    humanAgentName: humanAgent.humanAgentName,
+    whisper: summary,
+  },
+})
+
+/**
+ * Apply a provider transfer status update ({ status: "connected" | "failed" | "completed", reason })
+ * @returns {Promise<"connected"|"failed"|"ended"|"unknown">} failed means the AI should keep the caller
+ */
+const handleTransferStatus = async ({ callLogId, humanAgentId, status, reason }) => {
+  const normalized = (status || "").toString().toLowerCase()
+  console.log(`🤝 [WARM-TRANSFER] Provider status: ${normalized}${reason ? ` (${reason})` : ""}`)
+
+  if (["connected", "bridged", "answered"].includes(normalized)) {
+    if (callLogId) await CallLog.recordTransfer(callLogId, { status: "connected", connectedAt: new Date() })
+    return "connected"
+  }
+  if (["completed", "ended"].includes(normalized)) {
+    if (humanAgentId) await HumanAgent.releaseFromTransfer(humanAgentId, callLogId)
+    return "ended"
+  }
+  if (["failed", "busy", "no_answer", "rejected"].includes(normalized)) {
+    if (humanAgentId) await HumanAgent.releaseFromTransfer(humanAgentId, callLogId)
+    if (callLogId) await CallLog.recordTransfer(callLogId, { status: "failed", failureReason: reason || normalized })
+    return "failed"
+  }
+  return "unknown"
+}
+
+/**
+ * The call ended while a transfer was still open ({ status, humanAgentId } as tracked by the call):
+ * free the claimed human agent, who would otherwise stay busy because no final provider status can arrive any more.
+ * A transfer that never connected is recorded as failed.
+ */
+const releaseUnfinishedTransfer = async ({ callLogId, transfer }) => {
+  if (!transfer?.humanAgentId || transfer.status === "ended") return
+  console.log(`🤝 [WARM-TRANSFER] Call ended with the transfer ${transfer.status}; releasing human agent ${transfer.humanAgentId}`)
+  await HumanAgent.releaseFromTransfer(transfer.humanAgentId, callLogId)
+  if (callLogId && transfer.status !== "connected") {
+    await CallLog.recordTransfer(callLogId, { status: "failed", failureReason: "call_ended" })
+  }
+}
+
+module.exports = {
+  detectTransferIntent,
+  matchesTransferKeyword,
+  summarizeForHandoff,
+  prepareWarmTransfer,
+  buildTransferEvent,
+  handleTransferStatus,
+  releaseUnfinishedTransfer,
+}
@@ -0,0 +1,406 @@
+const OutboundCampaign = require("../models/OutboundCampaign")
+const Group = require("../models/Group")
+const CallLog = require("../models/CallLog")
+const { createDialerProvider } = require("./dialer-providers")
+const { checkPlanLimit } = require("./plan-limits")
+
+const DIALER_CONFIG = {
+  tickMs: Number(process.env.CAMPAIGN_DIALER_TICK_MS) || 5000,
+  maxConcurrentCalls: Number(process.env.CAMPAIGN_MAX_CONCURRENT_CALLS) || 10, // hard cap per campaign
+  callLogGraceSec: 30, // extra wait beyond callTimeout for the answered call to reach the voice WebSocket
+}
+
+const IN_FLIGHT = ["calling", "connected"]
+const RETRYABLE = ["failed", "busy", "no_answer", "voicemail"]
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 }
+
+// CallLog.leadStatus -> OutboundCampaign.callResults[].leadStatus
+const LEAD_STATUS_MAP = {
+  vvi: "very_interested",
+  enrolled: "very_interested",
+  maybe: "medium",
+  hot_followup: "medium",
+  cold_followup: "medium",
+  schedule: "medium",
+  junk_lead: "not_interested",
+  not_required: "not_interested",
+  enrolled_other: "not_interested",
+  decline: "not_interested",
+  not_eligible: "not_interested",
+  wrong_number: "not_interested",
+  not_connected: "not_connected",
+  voicemail: "not_connected",
+}
+
+const dialerError = (message, code) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+const last10Digits = (value) => String(value || "").replace(/\D+/g, "").slice(-10)
+
+const toMinutes = (hhmm, fallback) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || "").trim())
+  return match ? Number(match[1]) * 60 + Number(match[2]) : fallback
+}
+
+/**
+ * Whether `date` falls inside the campaign's daily calling window (campaign timezone)
+ * Windows may wrap midnight (e.g. 20:00-02:00).
+ */
+const isWithinCallingWindow = (campaign, date = new Date()) => {
+  const window = campaign.callingWindow || {}
+  let parts
+  try {
+    parts = new Intl.DateTimeFormat("en-GB", {
+      timeZone: campaign.timezone || "Asia/Kolkata",
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(date)
+  } catch (_) {
+    return false // invalid timezone: never dial blind
+  }
+  const get = (type) => parts.find((p) => p.type === type)?.value
+  const day = WEEKDAYS[get("weekday")]
+  const minutes = Number(get("hour")) * 60 + Number(get("minute"))
+
+  const days = window.daysOfWeek?.length ? window.daysOfWeek : [0, 1, 2, 3, 4, 5, 6]
+  if (!days.includes(day)) return false
+
+  const start = toMinutes(window.start, 9 * 60)
+  const end = toMinutes(window.end, 21 * 60)
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end
+}
+
+// Snapshot of the campaign's progress, recomputed from callResults
+const computeCounters = (campaign) => {
+  const results = campaign.callResults || []
+  const maxAttempts = (campaign.maxRetries ?? 3) + 1
+  return {
+    totalContacts: results.length,
+    contactsCalled: results.filter((r) => r.attempts > 0).length,
+    successfulCalls: results.filter((r) => r.status === "completed").length,
+    failedCalls: results.filter((r) => RETRYABLE.includes(r.status) && r.attempts >= maxAttempts).length,
+  }
+}
+
+const summarizeCampaign = (campaign) => {
+  const results = campaign.callResults || []
+  const countBy = (status) => results.filter((r) => r.status === status).length
+  return {
+    id: String(campaign._id),
+    campaignName: campaign.campaignName,
+    status: campaign.status,
+    ...computeCounters(campaign),
+    pending: countBy("pending"),
+    inFlight: results.filter((r) => IN_FLIGHT.includes(r.status)).length,
+    maxConcurrentCalls: campaign.maxConcurrentCalls,
+    withinCallingWindow: isWithinCallingWindow(campaign),
+    startedAt: campaign.startedAt || null,
+    completedAt: campaign.completedAt || null,
+    lastError: campaign.lastError || null,
+  }
+}
+
+// One pending result per unique phone number in the campaign's Group
+const buildCallResults = async (campaign) => {
+  const group = await Group.findOne({ _id: campaign.groupId, clientId: campaign.clientId }).lean()
+  if (!group) throw dialerError("Campaign group not found", "group_not_found")
+
+  const seen = new Set()
+  const results = []
+  for (const contact of group.contacts || []) {
+    const key = last10Digits(contact.phone)
+    if (!key || seen.has(key)) continue
+    seen.add(key)
+    results.push({ contactId: contact._id, phoneNumber: contact.phone, status: "pending", attempts: 0 })
+  }
+  if (!results.length) throw dialerError("Campaign group has no contacts to call", "no_contacts")
+  return results
+}
+
+const setResult = (campaignId, resultId, fields) => {
+  const $set = {}
+  for (const [key, value] of Object.entries(fields)) $set[`callResults.$.${key}`] = value
+  return OutboundCampaign.updateOne({ _id: campaignId, "callResults._id": resultId }, { $set })
+}
+
+// The answered call's CallLog: same agent and number, created after this attempt was dialed
+const findAttemptCallLog = (campaign, result) => {
+  if (result.callLogId) return CallLog.findById(result.callLogId).lean()
+  const since = new Date(new Date(result.lastAttempt || 0).getTime() - 10 * 1000)
+  return CallLog.findOne({
+    clientId: campaign.clientId,
+    agentId: campaign.agentId,
+    mobile: { $regex: `${last10Digits(result.phoneNumber)}$` },
+    time: { $gte: since },
+    "metadata.callDirection": "outbound",
+  })
+    .sort({ time: 1 })
+    .lean()
+}
+
+const retryAt = (campaign) => new Date(Date.now() + (campaign.retryInterval ?? 300) * 1000)
+
+// Move calling/connected results forward from their CallLogs
+const reconcileInFlight = async (campaign) => {
+  const now = Date.now()
+  for (const result of campaign.callResults.filter((r) => IN_FLIGHT.includes(r.status))) {
+    const callLog = await findAttemptCallLog(campaign, result)
+
+    if (!callLog) {
+      const waitedSec = (now - new Date(result.lastAttempt || 0).getTime()) / 1000
+      if (waitedSec > (campaign.callTimeout ?? 60) + DIALER_CONFIG.callLogGraceSec) {
+        console.log(`📵 [CAMPAIGN-DIALER] ${campaign.campaignName}: no answer from ${result.phoneNumber}`)
+        await setResult(campaign._id, result._id, { status: "no_answer", failureReason: "no_answer", nextAttemptAt: retryAt(campaign) })
+      }
+      continue
+    }
+
+    if (callLog.metadata?.isActive) {
+      if (result.status !== "connected" || !result.callLogId) {
+        await setResult(campaign._id, result._id, { status: "connected", callLogId: callLog._id })
+      }
+      continue
+    }
+
+    // Ended: a CallLog exists only for answered calls, so anything with talk time counts as reached
+    // An answering machine is not the contact; it is retried like an unanswered call
+    const voicemail = callLog.leadStatus === "voicemail"
+    const reached = !voicemail && ((callLog.duration || 0) > 0 || callLog.leadStatus !== "not_connected")
+    await setResult(campaign._id, result._id, {
+      status: reached ? "completed" : voicemail ? "voicemail" : "failed",
+      callLogId: callLog._id,
+      callDuration: callLog.duration || 0,
+      leadStatus: LEAD_STATUS_MAP[callLog.leadStatus] || "not_connected",
+      transcript: callLog.transcript || "",
+      failureReason: reached ? null : voicemail ? "voicemail" : "dropped",
+      nextAttemptAt: reached ? null : retryAt(campaign),
+    })
+  }
+}
+
+// Claim a result for dialing; false when another tick/instance already took it
+const claimResult = async (campaign, result) => {
+  const claimed = await OutboundCampaign.updateOne(
+    {
+      _id: campaign._id,
+      status: "running",
+      callResults: { $elemMatch: { _id: result._id, status: result.status, attempts: result.attempts } },
+    },
+    {
+      $set: { "callResults.$.status": "calling", "callResults.$.lastAttempt": new Date(), "callResults.$.nextAttemptAt": null },
+      $inc: { "callResults.$.attempts": 1 },
+    },
+  )
+  return claimed.modifiedCount === 1
+}
+
+const dialResult = async (campaign, result, dialer) => {
+  if (!(await claimResult(campaign, result))) return
+  console.log(`📞 [CAMPAIGN-DIALER] ${campaign.campaignName}: dialing ${result.phoneNumber} (attempt ${result.attempts + 1})`)
+
+  try {
+    const { providerCallId } = await dialer.placeCall({
+      to: result.phoneNumber.replace(/[^\d+]/g, ""),
+      callerId: campaign.callerId,
+      apiKey: campaign.apiKey,
+      timeoutSec: campaign.callTimeout,
+    })
+    if (providerCallId) await setResult(campaign._id, result._id, { providerCallId: String(providerCallId) })
+  } catch (error) {
+    console.log(`❌ [CAMPAIGN-DIALER] ${campaign.campaignName}: ${result.phoneNumber} failed - ${error.message}`)
+    await setResult(campaign._id, result._id, { status: "failed", failureReason: error.code || "provider_error", nextAttemptAt: retryAt(campaign) })
+    const update = { lastError: error.message }
+    // Every call would fail the same way; stop until someone fixes the campaign
+    if (error.code === "missing_api_key") update.status = "paused"
+    await OutboundCampaign.updateOne({ _id: campaign._id }, { $set: update })
+  }
+}
+
+const nextToDial = (campaign, now = Date.now()) => {
+  const maxAttempts = (campaign.maxRetries ?? 3) + 1
+  return campaign.callResults.filter(
+    (r) =>
+      r.status === "pending" ||
+      (RETRYABLE.includes(r.status) && r.attempts < maxAttempts && (!r.nextAttemptAt || new Date(r.nextAttemptAt).getTime() <= now)),
+  )
+}
+
+const hasWorkLeft = (campaign) => {
+  const maxAttempts = (campaign.maxRetries ?? 3) + 1
+  return campaign.callResults.some(
+    (r) => r.status === "pending" || IN_FLIGHT.includes(r.status) || (RETRYABLE.includes(r.status) && r.attempts < maxAttempts),
+  )
+}
+
+const processCampaign = async (campaignId) => {
+  let campaign = await OutboundCampaign.findById(campaignId).lean()
+  if (!campaign) return
+  const now = new Date()
+
+  if (campaign.status === "scheduled") {
+    if (campaign.startTime && new Date(campaign.startTime) > now) return
+    await OutboundCampaign.updateOne({ _id: campaign._id, status: "scheduled" }, { $set: { status: "running", startedAt: now } })
+    campaign.status = "running"
+    console.log(`▶️ [CAMPAIGN-DIALER] ${campaign.campaignName}: scheduled start reached`)
+  }
+
+  await reconcileInFlight(campaign)
+  campaign = await OutboundCampaign.findById(campaignId).lean()
+
+  let completing = false
+  if (campaign.status === "running") {
+    if (campaign.endTime && new Date(campaign.endTime) <= now) {
+      console.log(`⏹️ [CAMPAIGN-DIALER] ${campaign.campaignName}: end time reached`)
+      completing = true
+    } else if (!hasWorkLeft(campaign)) {
+      console.log(`✅ [CAMPAIGN-DIALER] ${campaign.campaignName}: all contacts processed`)
+      completing = true
+    } else if (isWithinCallingWindow(campaign, now)) {
+      const cap = Math.min(campaign.maxConcurrentCalls || 1, DIALER_CONFIG.maxConcurrentCalls)
+      const slots = cap - campaign.callResults.filter((r) => IN_FLIGHT.includes(r.status)).length
+      // Calls still ringing have no CallLog yet but count against the plan's daily call limit
+      const ringing = campaign.callResults.filter((r) => r.status === "calling").length
+      const planCheck = slots > 0 ? await checkPlanLimit(campaign.clientId, "call", { pendingCalls: ringing }) : null
+      if (planCheck && !planCheck.allowed) {
+        // Stays running; dialing continues once the limit resets
+        if (campaign.lastError !== planCheck.reason) {
+          console.log(`🛑 [CAMPAIGN-DIALER] ${campaign.campaignName}: not dialing - ${planCheck.reason}`)
+          await OutboundCampaign.updateOne({ _id: campaign._id }, { $set: { lastError: planCheck.reason } })
+        }
+      } else if (slots > 0) {
+        const dialer = createDialerProvider(campaign.provider)
+        const batch = nextToDial(campaign, now.getTime()).slice(0, Math.min(slots, planCheck.remaining))
+        await Promise.all(batch.map((result) => dialResult(campaign, result, dialer)))
+        campaign = await OutboundCampaign.findById(campaignId).lean()
+      }
+    }
+  }
+
+  const update = { ...computeCounters(campaign), updatedAt: new Date() }
+  if (completing) {
+    update.status = "completed"
+    update.completedAt = now
+  }
+  // Only complete a campaign nobody paused/cancelled in the meantime
+  const filter = completing ? { _id: campaign._id, status: "running" } : { _id: campaign._id }
+  await OutboundCampaign.updateOne(filter, { $set: update })
+}
+
+let dialerTimer = null
+let tickInProgress = false
+
+const tick = async () => {
+  if (tickInProgress) return
+  tickInProgress = true
+  try {
+    // Paused/cancelled campaigns still need their in-flight calls reconciled
+    const campaigns = await OutboundCampaign.find({
+      $or: [{ status: { $in: ["running", "scheduled"] } }, { "callResults.status": { $in: IN_FLIGHT } }],
+    })
+      .select("_id")
+      .lean()
+    for (const { _id } of campaigns) {
+      try {
+        await processCampaign(_id)
+      } catch (error) {
+        console.log(`❌ [CAMPAIGN-DIALER] Campaign ${_id} tick failed: ${error.message}`)
+      }
+    }
+  } catch (error) {
+    console.log(`❌ [CAMPAIGN-DIALER] Tick failed: ${error.message}`)
+  } finally {
+    tickInProgress = false
+  }
+}
+
+const startCampaignDialer = () => {
+  if (dialerTimer) return
+  dialerTimer = setInterval(() => tick(), DIALER_CONFIG.tickMs)
+  dialerTimer.unref()
+  console.log(`📞 [CAMPAIGN-DIALER] Started (tick ${DIALER_CONFIG.tickMs}ms)`)
+}
+
+const stopCampaignDialer = () => {
+  if (dialerTimer) clearInterval(dialerTimer)
+  dialerTimer = null
+}
+
+// Atomic status change; distinguishes "not found" from "not allowed in this state"
+const transition = async (campaignId, clientId, fromStatuses, update) => {
+  const filter = { _id: campaignId, status: { $in: fromStatuses } }
+  if (clientId) filter.clientId = clientId
+  const campaign = await OutboundCampaign.findOneAndUpdate(filter, { $set: { ...update, updatedAt: new Date() } }, { new: true }).lean()
+  if (campaign) return campaign
+
+  const existing = await OutboundCampaign.findOne(clientId ? { _id: campaignId, clientId } : { _id: campaignId }).select("status").lean()
+  if (!existing) throw dialerError("Campaign not found", "not_found")
+  throw dialerError(`Campaign is ${existing.status}; expected ${fromStatuses.join(" or ")}`, "invalid_transition")
+}
+
+/**
+ * Start a draft/scheduled campaign: load contacts from its Group and hand it to the dialer
+ * (status "scheduled" until startTime, then "running")
+ */
+const startCampaign = async (campaignId, clientId = null) => {
+  const campaign = await OutboundCampaign.findOne(clientId ? { _id: campaignId, clientId } : { _id: campaignId }).lean()
+  if (!campaign) throw dialerError("Campaign not found", "not_found")
+
+  const update = { lastError: null }
+  if (!campaign.callResults?.length) {
+    update.callResults = await buildCallResults(campaign)
+    update.totalContacts = update.callResults.length
+  }
+  const now = new Date()
+  if (campaign.endTime && new Date(campaign.endTime) <= now) throw dialerError("Campaign end time has already passed", "campaign_expired")
+
+  const planCheck = await checkPlanLimit(campaign.clientId, "campaign", {
+    contacts: (update.callResults || campaign.callResults).length,
+    excludeCampaignId: campaign._id,
+  })
+  if (!planCheck.allowed) {
+    console.log(`🛑 [CAMPAIGN-DIALER] ${campaign.campaignName}: launch refused - ${planCheck.reason}`)
+    throw Object.assign(dialerError(planCheck.reason, "plan_limit_exceeded"), { limit: planCheck.limit })
+  }
+  if (campaign.startTime && new Date(campaign.startTime) > now) {
+    update.status = "scheduled"
+  } else {
+    update.status = "running"
+    update.startedAt = now
+  }
+
+  const started = await transition(campaignId, clientId, ["draft", "scheduled"], update)
+  console.log(`▶️ [CAMPAIGN-DIALER] ${started.campaignName}: ${started.status} with ${started.callResults.length} contacts`)
+  setImmediate(() => tick())
+  return started
+}
+
+// In-flight calls finish normally; no new calls are placed
+const pauseCampaign = (campaignId, clientId = null) => transition(campaignId, clientId, ["running", "scheduled"], { status: "paused" })
+
+const resumeCampaign = async (campaignId, clientId = null) => {
+  const campaign = await OutboundCampaign.findOne(clientId ? { _id: campaignId, clientId } : { _id: campaignId }).select("startTime").lean()
+  const scheduled = campaign?.startTime && new Date(campaign.startTime) > new Date()
+  const resumed = await transition(campaignId, clientId, ["paused"], { status: scheduled ? "scheduled" : "running", lastError: null })
+  setImmediate(() => tick())
+  return resumed
+}
+
+const cancelCampaign = (campaignId, clientId = null) =>
+  transition(campaignId, clientId, ["draft", "scheduled", "running", "paused"], { status: "cancelled", completedAt: new Date() })
+
+module.exports = {
+  startCampaignDialer,
+  stopCampaignDialer,
+  startCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  summarizeCampaign,
+  isWithinCallingWindow,
+  DIALER_CONFIG,
+}
@@ -0,0 +1,89 @@
+const crypto = require("crypto")
+const Credit = require("../models/Credit")
+
+const CREDIT_HOLD_CONFIG = {
+  creditsPerSecond: 1 / 30, // same rate as Credit.settleCallHold
+  callEstimateSeconds: Number(process.env.CREDIT_HOLD_CALL_SECONDS) || 300, // reserved per call when the agent sets no max duration
+  minCallSeconds: 30, // a call needs at least this much unreserved talk time to connect
+  messageCredits: { whatsapp: 1 },
+  holdTtlMs: Number(process.env.CREDIT_HOLD_TTL_MS) || 10 * 60 * 1000, // live calls extend their hold; a crashed call's lapses
+  sweepIntervalMs: Number(process.env.CREDIT_HOLD_SWEEP_MS) || 60 * 1000,
+}
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+const callHoldId = (streamSid) => `call:${streamSid}`
+
+/**
+ * Reserve credits for a call that is about to connect: its maximum duration, or callEstimateSeconds
+ * of talk time, trimmed to what is available but not below minCallSeconds
+ * @returns {Promise<{ holdId, amount, availableBalance }>}
+ * @throws insufficient_credits
+ */
+const reserveCallCredits = (clientId, { streamSid, maxDurationSeconds } = {}) => {
+  const seconds = Number(maxDurationSeconds) > 0 ? Number(maxDurationSeconds) : CREDIT_HOLD_CONFIG.callEstimateSeconds
+  return Credit.reserveCredits(clientId, {
+    holdId: callHoldId(streamSid),
+    amount: round2(seconds * CREDIT_HOLD_CONFIG.creditsPerSecond),
+    minAmount: round2(Math.min(seconds, CREDIT_HOLD_CONFIG.minCallSeconds) * CREDIT_HOLD_CONFIG.creditsPerSecond),
+    usageType: "call",
+    reference: streamSid,
+    ttlMs: CREDIT_HOLD_CONFIG.holdTtlMs,
+  })
+}
+
+/**
+ * Credits a live call may still use: its own hold plus the unreserved balance. Also keeps the hold from being swept.
+ * Falls back to the unreserved balance when the hold is gone.
+ */
+const refreshCallHold = async (clientId, holdId) => {
+  const hold = await Credit.extendHold(clientId, holdId, CREDIT_HOLD_CONFIG.holdTtlMs)
+  if (hold) return round2(hold.held + Math.max(0, hold.availableBalance))
+  return (await Credit.getBalanceSummary(clientId)).availableBalance
+}
+
+// Reserve the credits of one outgoing message before it is sent (all or nothing)
+const reserveMessageCredits = (clientId, usageType, { reference = null } = {}) => {
+  const amount = CREDIT_HOLD_CONFIG.messageCredits[usageType] ?? 1
+  return Credit.reserveCredits(clientId, {
+    holdId: `${usageType}:${crypto.randomUUID()}`,
+    amount,
+    usageType,
+    reference,
+    ttlMs: CREDIT_HOLD_CONFIG.holdTtlMs,
+  })
+}
+
+const sweepExpiredHolds = async () => {
+  const released = await Credit.releaseExpiredHolds()
+  for (const hold of released) {
+    console.log(`🧹 [CREDIT-HOLDS] Released stale ${hold.usageType} hold ${hold.holdId} (${hold.amount} credits) for client ${hold.clientId}`)
+  }
+  return released
+}
+
+let sweepTimer = null
+
+const startCreditHoldSweeper = () => {
+  if (sweepTimer) return
+  sweepTimer = setInterval(() => {
+    sweepExpiredHolds().catch((error) => console.log(`❌ [CREDIT-HOLDS] Sweep failed: ${error.message}`))
+  }, CREDIT_HOLD_CONFIG.sweepIntervalMs)
+  sweepTimer.unref()
+  console.log(`🧹 [CREDIT-HOLDS] Stale hold sweep started (every ${CREDIT_HOLD_CONFIG.sweepIntervalMs / 1000}s, hold TTL ${CREDIT_HOLD_CONFIG.holdTtlMs / 1000}s)`)
+}
+
+const stopCreditHoldSweeper = () => {
+  if (sweepTimer) clearInterval(sweepTimer)
+  sweepTimer = null
+}
+
+module.exports = {
+  reserveCallCredits,
+  refreshCallHold,
+  reserveMessageCredits,
+  sweepExpiredHolds,
+  startCreditHoldSweeper,
+  stopCreditHoldSweeper,
+  CREDIT_HOLD_CONFIG,
+}
@@ -0,0 +1,118 @@
+const fetch = globalThis.fetch || require("node-fetch")
+
+const TATA_CLICK_TO_CALL_URL = "https://api-smartflo.tatateleservices.com/v1/click_to_call_support"
+
+/**
+ * Outbound call placement for the campaign dialer.
+ *
+ * placeCall({ to, callerId, apiKey, timeoutSec }) resolves with { providerCallId, raw } once the
+ * provider has accepted the request; the call itself reaches us later on the voice WebSocket.
+ * Errors carry a `code` (e.g. "provider_rejected") so the dialer can record why an attempt failed.
+ */
+class BaseDialerProvider {
+  constructor(options = {}) {
+    this.name = "base"
+    this.options = options
+  }
+
+  async placeCall(request) {
+    throw new Error(`placeCall() not implemented for dialer provider: ${this.name}`)
+  }
+}
+
+// Tata Smartflo click-to-call support (same upstream as POST /api/click-to-call-support)
+class TataSmartfloDialer extends BaseDialerProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = "tata"
+    this.url = options.url || process.env.TATA_CLICK_TO_CALL_URL || TATA_CLICK_TO_CALL_URL
+    this.requestTimeoutMs = options.requestTimeoutMs || 15000
+  }
+
+  async placeCall({ to, callerId, apiKey }) {
+    if (!apiKey) {
+      const error = new Error("Tata API key is missing")
+      error.code = "missing_api_key"
+      throw error
+    }
+
+    const payload = { api_key: apiKey, customer_number: to, get_call_id: 1, async: 1 }
+    if (callerId) payload.caller_id = callerId
+
+    const controller = new AbortController()
+    const timeout = setTimeout(() => controller.abort(), this.requestTimeoutMs)
+    try {
+      const response = await fetch(this.url, {
+        method: "POST",
+        headers: { accept: "application/json", "content-type": "application/json" },
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+      })
+      const text = await response.text()
+      let raw
+      try {
+        raw = JSON.parse(text)
+      } catch (_) {
+        raw = { raw: text }
+      }
+
+      if (!response.ok || raw.success === false || raw.status === "failed") {
+        const error = new Error(raw.message || raw.error || `Tata click-to-call returned ${response.status}`)
+        error.code = "provider_rejected"
+        error.raw = raw
+        throw error
+      }
+      return { providerCallId: raw.call_id || raw.callId || raw.data?.call_id || null, raw }
+    } catch (error) {
+      if (error.name === "AbortError") {
+        const timeoutError = new Error(`Tata click-to-call timed out after ${this.requestTimeoutMs}ms`)
+        timeoutError.code = "provider_timeout"
+        throw timeoutError
+      }
+      if (!error.code) error.code = "provider_error"
+      throw error
+    } finally {
+      clearTimeout(timeout)
+    }
+  }
+}
+
+const DIALER_PROVIDERS = {
+  tata: TataSmartfloDialer,
+  smartflo: TataSmartfloDialer,
+}
+
+const registerDialerProvider = (name, ProviderClass) => {
+  DIALER_PROVIDERS[name.toLowerCase()] = ProviderClass
+}
+
+const resolveDialerProviderName = (selection) => {
+  const key = (selection || "tata").toString().toLowerCase()
+  return DIALER_PROVIDERS[key] ? key : "tata"
+}
+
+/**
+ * Build the outbound dialer for a campaign's provider
+ * @param {string} selection - provider name (tata); unknown names fall back to tata
+ * @param {Object} options - provider specific options
+ * @returns {BaseDialerProvider}
+ */
+const createDialerProvider = (selection = "tata", options = {}) => {
+  const key = (selection || "tata").toString().toLowerCase()
+  const ProviderClass = DIALER_PROVIDERS[key]
+  if (!ProviderClass) {
+    console.log(`⚠️ [DIALER] Provider "${selection}" is not available, falling back to tata`)
+    return new TataSmartfloDialer(options)
+  }
+  return new ProviderClass(options)
+}
+
+module.exports = {
+  BaseDialerProvider,
+  TataSmartfloDialer,
+  createDialerProvider,
+  registerDialerProvider,
+  resolveDialerProviderName,
+  DIALER_PROVIDERS,
+  TATA_CLICK_TO_CALL_URL,
+}
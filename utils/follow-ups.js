@@ -0,0 +1,494 @@
+const mongoose = require("mongoose")
+const FollowUpTask = require("../models/FollowUpTask")
+const CallLog = require("../models/CallLog")
+const Agent = require("../models/Agent")
+const Contacts = require("../models/Contacts")
+const { createDialerProvider } = require("./dialer-providers")
+const { checkPlanLimit } = require("./plan-limits")
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const FOLLOW_UP_CONFIG = {
+  chatUrl: process.env.OPENAI_CHAT_URL || "https://api.openai.com/v1/chat/completions",
+  model: process.env.FOLLOW_UP_MODEL || "gpt-4o-mini",
+  timeoutMs: Number(process.env.FOLLOW_UP_TIMEOUT_MS) || 15000,
+  timezone: process.env.FOLLOW_UP_TIMEZONE || "Asia/Kolkata", // callers' wall clock when they say "kal shaam 5 baje"
+  defaultTime: process.env.FOLLOW_UP_DEFAULT_TIME || "11:00", // used when the caller gave no time (next day if no day either)
+  minLeadMinutes: 10, // never call back sooner than this after the request
+  tickMs: Number(process.env.FOLLOW_UP_TICK_MS) || 30000,
+  retryMinutes: 15, // wait before another attempt at an unanswered follow-up
+  callTimeoutSec: 60,
+  callLogGraceSec: 30, // extra wait for the answered call to reach the voice WebSocket
+  batchSize: 10,
+  maxTranscriptMessages: 40,
+}
+
+// detectLeadStatusWithOpenAI results that mean "call me back"
+const FOLLOW_UP_LEAD_STATUSES = ["schedule", "hot_followup", "cold_followup"]
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+const followUpError = (message, code) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+const last10Digits = (value) => String(value || "").replace(/\D+/g, "").slice(-10)
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: timezone })
+    return true
+  } catch (_) {
+    return false
+  }
+}
+
+// Wall-clock date ("YYYY-MM-DD"), time ("HH:mm") and weekday of `date` in `timezone`
+const zonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    weekday: "long",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date)
+  const get = (type) => parts.find((p) => p.type === type)?.value
+  return { date: `${get("year")}-${get("month")}-${get("day")}`, time: `${get("hour")}:${get("minute")}`, weekday: get("weekday") }
+}
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split("-").map(Number)
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10)
+}
+
+// UTC instant of a wall-clock date and time in `timezone` (offset re-checked once for DST edges)
+const zonedTimeToUtc = (date, time, timezone) => {
+  const [year, month, day] = date.split("-").map(Number)
+  const [hour, minute] = time.split(":").map(Number)
+  const wall = Date.UTC(year, month - 1, day, hour, minute)
+  let guess = wall
+  for (let i = 0; i < 2; i++) {
+    const shown = zonedParts(new Date(guess), timezone)
+    const [sy, sm, sd] = shown.date.split("-").map(Number)
+    const [sh, smin] = shown.time.split(":").map(Number)
+    guess += wall - Date.UTC(sy, sm - 1, sd, sh, smin)
+  }
+  return new Date(guess)
+}
+
+/**
+ * When to call back for a requested local date/time; either may be missing
+ * @param {{ date?: string, time?: string }} request - "YYYY-MM-DD" / "HH:mm" in `timezone`
+ * @returns {{ dueAt: Date, timeSource: "caller"|"default" }}
+ */
+const resolveDueAt = ({ date = null, time = null } = {}, { timezone = FOLLOW_UP_CONFIG.timezone, now = new Date() } = {}) => {
+  const earliest = new Date(now.getTime() + FOLLOW_UP_CONFIG.minLeadMinutes * 60 * 1000)
+  const today = zonedParts(now, timezone).date
+  if (!date && !time) {
+    return { dueAt: zonedTimeToUtc(addDays(today, 1), FOLLOW_UP_CONFIG.defaultTime, timezone), timeSource: "default" }
+  }
+
+  let dueAt = zonedTimeToUtc(date || today, time || FOLLOW_UP_CONFIG.defaultTime, timezone)
+  // "5 baje" said after five o'clock means tomorrow
+  if (!date && dueAt <= now) dueAt = zonedTimeToUtc(addDays(today, 1), time, timezone)
+  return { dueAt: dueAt < earliest ? earliest : dueAt, timeSource: "caller" }
+}
+
+const CALLBACK_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["date", "time", "phrase", "summary"],
+  properties: {
+    date: { type: ["string", "null"], description: "YYYY-MM-DD in the caller's timezone, null if no day was said" },
+    time: { type: ["string", "null"], description: "HH:mm (24h) in the caller's timezone, null if no time was said" },
+    phrase: { type: ["string", "null"], description: "the caller's own words for the callback time" },
+    summary: { type: "string" },
+  },
+}
+
+const callbackPrompt = ({ date, time, weekday }, timezone) =>
+  [
+    `Today is ${weekday} ${date} and the time is ${time} (${timezone}). At the end of this phone call the caller asked to be called back.`,
+    "Find the date and time they asked for. Callers often speak Hindi, Hinglish or another Indian language:",
+    "- aaj = today, kal = tomorrow, parso = the day after tomorrow, agle hafte = next Monday; a weekday name (somvar, mangalvar, budhvar, guruvar, shukravar, shanivar, ravivar or English) is the next such day.",
+    "- subah = morning, dopahar = afternoon, shaam = evening, raat = night. Read \"N baje\" with the part of day: shaam 5 baje = 17:00, subah 10 baje = 10:00, raat 8 baje = 20:00. Without one, take the business-hours reading (5 baje = 17:00, 11 baje = 11:00).",
+    "- A part of day without an hour: subah 10:00, dopahar 13:00, shaam 18:00, raat 20:00.",
+    "- \"2 ghante baad\" / \"in 2 hours\" counts from the current time.",
+    "Use null for a date or time the caller did not give; never invent one. phrase: the caller's own words for the time, as said.",
+    "summary: in English, at most 3 short sentences for the agent making the follow-up call: what the caller wanted, what was discussed or promised, and why they asked for a callback.",
+  ].join("\n")
+
+/**
+ * Read the requested callback time and a context summary from the conversation
+ * @param {Array} conversationHistory - [{ role, content }]
+ * @param {Object} options - { timezone, now, apiKey, onRequest, model }; apiKey/onRequest as from providerKeyOptions (client key)
+ * @returns {Promise<{ date, time, phrase, summary }|null>} null when the model is unavailable
+ */
+const extractCallbackRequest = async (conversationHistory = [], options = {}) => {
+  const timezone = options.timezone || FOLLOW_UP_CONFIG.timezone
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY
+  const transcript = conversationHistory
+    .filter((msg) => msg?.content && (msg.role === "user" || msg.role === "assistant"))
+    .slice(-FOLLOW_UP_CONFIG.maxTranscriptMessages)
+    .map((msg) => `${msg.role === "user" ? "Caller" : "AI"}: ${msg.content}`)
+    .join("\n")
+  if (!apiKey || !transcript) return null
+  const startedAt = Date.now()
+  if (typeof options.onRequest === "function") {
+    try { options.onRequest("openai") } catch (_) {}
+  }
+
+  try {
+    const response = await fetch(FOLLOW_UP_CONFIG.chatUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
+      body: JSON.stringify({
+        model: options.model || FOLLOW_UP_CONFIG.model,
+        temperature: 0,
+        messages: [
+          { role: "system", content: callbackPrompt(zonedParts(options.now || new Date(), timezone), timezone) },
+          { role: "user", content: transcript },
+        ],
+        response_format: { type: "json_schema", json_schema: { name: "callback_request", strict: true, schema: CALLBACK_SCHEMA } },
+      }),
+      signal: AbortSignal.timeout(FOLLOW_UP_CONFIG.timeoutMs),
+    })
+    if (!response.ok) {
+      console.log(`❌ [FOLLOW-UP] ${Date.now() - startedAt}ms - Callback extraction error: ${response.status}`)
+      return null
+    }
+    const body = await response.json()
+    const parsed = JSON.parse(body.choices?.[0]?.message?.content || "{}")
+    const result = {
+      date: DATE_PATTERN.test(parsed.date || "") ? parsed.date : null,
+      time: TIME_PATTERN.test(parsed.time || "") ? parsed.time : null,
+      phrase: parsed.phrase ? String(parsed.phrase).trim() : null,
+      summary: parsed.summary ? String(parsed.summary).trim() : "",
+    }
+    console.log(`🕒 [FOLLOW-UP] ${Date.now() - startedAt}ms - Requested ${result.date || "-"} ${result.time || "-"} ("${result.phrase || ""}")`)
+    return result
+  } catch (error) {
+    console.log(`❌ [FOLLOW-UP] ${Date.now() - startedAt}ms - Callback extraction error: ${error.message}`)
+    return null
+  }
+}
+
+// Without a model summary, the caller's last lines still give the next call something to go on
+const fallbackSummary = (conversationHistory = []) => {
+  const callerLines = conversationHistory.filter((msg) => msg?.role === "user" && msg.content).slice(-3).map((msg) => msg.content)
+  return callerLines.length ? `Caller said: ${callerLines.join(" / ")}` : ""
+}
+
+/**
+ * Create (or move) the follow-up task for a finished call whose lead status asks for a callback.
+ * A number has at most one scheduled task per client; a newer request reschedules it.
+ * @param {Object} params - { callLog, agent, conversationHistory, keyOptions } (keyOptions: the client's OpenAI key, providerKeyOptions)
+ * @returns {Promise<Object|null>} the task, or null when no follow-up is needed
+ */
+const scheduleFollowUpFromCall = async ({ callLog, agent, conversationHistory = [], keyOptions = {} }) => {
+  if (!callLog || !FOLLOW_UP_LEAD_STATUSES.includes(callLog.leadStatus)) return null
+  const agentId = agent?._id || callLog.agentId
+  if (!agentId || !last10Digits(callLog.mobile)) return null
+
+  const timezone = FOLLOW_UP_CONFIG.timezone
+  const request = await extractCallbackRequest(conversationHistory, { timezone, ...keyOptions })
+  const { dueAt, timeSource } = resolveDueAt(request || {}, { timezone })
+  const mobilePattern = { $regex: `${last10Digits(callLog.mobile)}$` }
+  const contact = await Contacts.findOne({ clientId: String(callLog.clientId), phone: mobilePattern }).select("_id name").lean()
+
+  const fields = {
+    agentId,
+    contactId: contact?._id,
+    contactName: contact?.name,
+    sourceCallLogId: callLog._id,
+    leadStatus: callLog.leadStatus,
+    dueAt,
+    timezone,
+    requestedText: request?.phrase || undefined,
+    timeSource,
+    contextSummary: request?.summary || fallbackSummary(conversationHistory),
+    attempts: 0,
+    lastError: null,
+    failureReason: null,
+  }
+  const task = await FollowUpTask.findOneAndUpdate(
+    { clientId: String(callLog.clientId), mobile: mobilePattern, status: "scheduled" },
+    { $set: fields, $setOnInsert: { mobile: callLog.mobile } }, // clientId and status come from the filter
+    { new: true, upsert: true },
+  ).lean()
+
+  const local = zonedParts(dueAt, timezone)
+  console.log(
+    `🗓️ [FOLLOW-UP] ${callLog.mobile}: ${callLog.leadStatus} → call back ${local.date} ${local.time} ${timezone}` +
+      (timeSource === "default" ? " (no time given)" : ""),
+  )
+  return task
+}
+
+// ---------------------------------------------------------------------------
+// Due-call worker
+// ---------------------------------------------------------------------------
+
+// Another attempt later, or failed once the task is out of attempts
+const retryOrFail = (task, reason) => {
+  const exhausted = task.attempts >= (task.maxAttempts || 1)
+  const $set = exhausted
+    ? { status: "failed", failureReason: reason }
+    : { status: "scheduled", failureReason: reason, dueAt: new Date(Date.now() + FOLLOW_UP_CONFIG.retryMinutes * 60 * 1000) }
+  console.log(`📵 [FOLLOW-UP] ${task.mobile}: ${reason}${exhausted ? " - giving up" : ` - retrying in ${FOLLOW_UP_CONFIG.retryMinutes}m`}`)
+  return FollowUpTask.updateOne({ _id: task._id, status: "calling" }, { $set })
+}
+
+// The follow-up call's CallLog: same agent and number, created after the attempt was dialed
+const findAttemptCallLog = (task) => {
+  if (task.callLogId) return CallLog.findById(task.callLogId).lean()
+  const since = new Date(new Date(task.lastAttemptAt || 0).getTime() - 10 * 1000)
+  return CallLog.findOne({
+    clientId: task.clientId,
+    agentId: task.agentId,
+    mobile: { $regex: `${last10Digits(task.mobile)}$` },
+    time: { $gte: since },
+    "metadata.callDirection": "outbound",
+  })
+    .sort({ time: 1 })
+    .lean()
+}
+
+// Move calling tasks forward from their CallLogs
+const reconcileCalling = async () => {
+  const tasks = await FollowUpTask.find({ status: "calling" }).lean()
+  for (const task of tasks) {
+    const callLog = await findAttemptCallLog(task)
+    if (!callLog) {
+      const waitedSec = (Date.now() - new Date(task.lastAttemptAt || 0).getTime()) / 1000
+      if (waitedSec > FOLLOW_UP_CONFIG.callTimeoutSec + FOLLOW_UP_CONFIG.callLogGraceSec) await retryOrFail(task, "no_answer")
+      continue
+    }
+    if (callLog.metadata?.isActive) {
+      if (!task.callLogId) await FollowUpTask.updateOne({ _id: task._id }, { $set: { callLogId: callLog._id } })
+      continue
+    }
+    if (callLog.leadStatus === "voicemail") {
+      await retryOrFail(task, "voicemail")
+      continue
+    }
+    const reached = (callLog.duration || 0) > 0 || callLog.leadStatus !== "not_connected"
+    if (!reached) {
+      await retryOrFail(task, "dropped")
+      continue
+    }
+    await FollowUpTask.updateOne(
+      { _id: task._id, status: "calling" },
+      { $set: { status: "completed", callLogId: callLog._id, completedAt: new Date(), failureReason: null } },
+    )
+    console.log(`✅ [FOLLOW-UP] ${task.mobile}: follow-up call completed (${callLog._id})`)
+  }
+}
+
+const dialTask = async (task) => {
+  const planCheck = await checkPlanLimit(task.clientId, "call")
+  if (!planCheck.allowed) {
+    // Stays scheduled; it is dialed once the limit resets
+    if (task.lastError !== planCheck.reason) {
+      console.log(`🛑 [FOLLOW-UP] ${task.mobile}: not dialing - ${planCheck.reason}`)
+      await FollowUpTask.updateOne({ _id: task._id }, { $set: { lastError: planCheck.reason } })
+    }
+    return
+  }
+
+  // Claim it; false when another tick/instance already took it or it was cancelled meanwhile
+  const claimed = await FollowUpTask.updateOne(
+    { _id: task._id, status: "scheduled", attempts: task.attempts },
+    { $set: { status: "calling", lastAttemptAt: new Date(), lastError: null, callLogId: null }, $inc: { attempts: 1 } },
+  )
+  if (claimed.modifiedCount !== 1) return
+  const attempt = { ...task, attempts: task.attempts + 1 }
+
+  const agent = await Agent.findById(task.agentId).select("agentName callerId X_API_KEY serviceProvider isActive").lean()
+  if (!agent?.isActive) {
+    await FollowUpTask.updateOne({ _id: task._id }, { $set: { status: "failed", failureReason: "agent_inactive" } })
+    console.log(`❌ [FOLLOW-UP] ${task.mobile}: agent ${task.agentId} is missing or inactive`)
+    return
+  }
+
+  console.log(`📞 [FOLLOW-UP] Dialing ${task.mobile} for ${agent.agentName} (attempt ${attempt.attempts})`)
+  try {
+    // The answered call reaches /ws as an outbound call for the agent's callerId
+    const { providerCallId } = await createDialerProvider(agent.serviceProvider).placeCall({
+      to: task.mobile.replace(/[^\d+]/g, ""),
+      callerId: agent.callerId,
+      apiKey: agent.X_API_KEY,
+      timeoutSec: FOLLOW_UP_CONFIG.callTimeoutSec,
+    })
+    if (providerCallId) await FollowUpTask.updateOne({ _id: task._id }, { $set: { providerCallId: String(providerCallId) } })
+  } catch (error) {
+    console.log(`❌ [FOLLOW-UP] ${task.mobile} failed - ${error.message}`)
+    // Every attempt would fail the same way without an API key
+    if (error.code === "missing_api_key") {
+      await FollowUpTask.updateOne({ _id: task._id }, { $set: { status: "failed", failureReason: error.code, lastError: error.message } })
+      return
+    }
+    await retryOrFail(attempt, error.code || "provider_error")
+  }
+}
+
+let followUpTimer = null
+let tickInProgress = false
+
+const tick = async () => {
+  if (tickInProgress) return
+  tickInProgress = true
+  try {
+    await reconcileCalling()
+    const due = await FollowUpTask.find({ status: "scheduled", dueAt: { $lte: new Date() } })
+      .sort({ dueAt: 1 })
+      .limit(FOLLOW_UP_CONFIG.batchSize)
+      .lean()
+    for (const task of due) {
+      try {
+        await dialTask(task)
+      } catch (error) {
+        console.log(`❌ [FOLLOW-UP] Task ${task._id} failed: ${error.message}`)
+      }
+    }
+  } catch (error) {
+    console.log(`❌ [FOLLOW-UP] Tick failed: ${error.message}`)
+  } finally {
+    tickInProgress = false
+  }
+}
+
+const startFollowUpWorker = () => {
+  if (followUpTimer) return
+  followUpTimer = setInterval(() => tick(), FOLLOW_UP_CONFIG.tickMs)
+  followUpTimer.unref()
+  console.log(`🗓️ [FOLLOW-UP] Worker started (tick ${FOLLOW_UP_CONFIG.tickMs}ms, timezone ${FOLLOW_UP_CONFIG.timezone})`)
+}
+
+const stopFollowUpWorker = () => {
+  if (followUpTimer) clearInterval(followUpTimer)
+  followUpTimer = null
+}
+
+// ---------------------------------------------------------------------------
+// Follow-up call context
+// ---------------------------------------------------------------------------
+
+/**
+ * Link an outbound call that just connected to the follow-up task that dialed it
+ * @returns {Promise<Object|null>} the task, or null when the call is not a follow-up
+ */
+const attachFollowUpCall = async ({ clientId, agentId, mobile, callLogId }) => {
+  if (!clientId || !agentId || !last10Digits(mobile)) return null
+  try {
+    const task = await FollowUpTask.findOneAndUpdate(
+      { clientId: String(clientId), agentId, mobile: { $regex: `${last10Digits(mobile)}$` }, status: "calling" },
+      { $set: callLogId ? { callLogId } : {} },
+      { new: true, sort: { lastAttemptAt: -1 } },
+    ).lean()
+    if (task) console.log(`🗓️ [FOLLOW-UP] ${mobile}: connected follow-up task ${task._id}`)
+    return task
+  } catch (error) {
+    console.log(`⚠️ [FOLLOW-UP] Task lookup failed for ${mobile}: ${error.message}`)
+    return null
+  }
+}
+
+// System prompt block telling the agent why it is calling
+const formatFollowUpContext = (task) => {
+  if (!task) return ""
+  const askedOn = task.createdAt ? zonedParts(new Date(task.createdAt), task.timezone || FOLLOW_UP_CONFIG.timezone).date : null
+  return [
+    `This is a follow-up call: on an earlier call${askedOn ? ` (${askedOn})` : ""} the caller asked to be called back${
+      task.requestedText ? ` ("${task.requestedText}")` : ""
+    }.`,
+    task.contextSummary ? `Earlier conversation: ${task.contextSummary}` : "",
+    "Greet them, remind them they asked for this call, and continue from where the earlier conversation left off.",
+  ]
+    .filter(Boolean)
+    .join(" ")
+}
+
+// ---------------------------------------------------------------------------
+// API operations
+// ---------------------------------------------------------------------------
+
+/**
+ * dueAt for a reschedule request: an ISO dueAt, or a local date + time in the task's (or given) timezone
+ * @throws {Error} code "invalid_time"
+ */
+const parseRescheduleTime = ({ dueAt, date, time, timezone }, task) => {
+  const zone = timezone || task.timezone || FOLLOW_UP_CONFIG.timezone
+  if (!isValidTimezone(zone)) throw followUpError(`Unknown timezone: ${zone}`, "invalid_time")
+  let when
+  if (dueAt !== undefined) {
+    when = new Date(dueAt)
+  } else if (DATE_PATTERN.test(date || "") && TIME_PATTERN.test(time || "")) {
+    when = zonedTimeToUtc(date, time, zone)
+  } else {
+    throw followUpError("Provide dueAt (ISO date-time) or date (YYYY-MM-DD) and time (HH:mm)", "invalid_time")
+  }
+  if (Number.isNaN(when.getTime())) throw followUpError("dueAt is not a valid date", "invalid_time")
+  if (when <= new Date()) throw followUpError("The new time must be in the future", "invalid_time")
+  return { dueAt: when, timezone: zone }
+}
+
+// Atomic status change; distinguishes "not found" from "not allowed in this state"
+const transition = async (taskId, clientId, fromStatuses, update) => {
+  const filter = { _id: taskId, status: { $in: fromStatuses } }
+  if (clientId) filter.clientId = clientId
+  const task = await FollowUpTask.findOneAndUpdate(filter, update, { new: true }).lean()
+  if (task) return task
+
+  const existing = await FollowUpTask.findOne(clientId ? { _id: taskId, clientId } : { _id: taskId }).select("status").lean()
+  if (!existing) throw followUpError("Follow-up not found", "not_found")
+  throw followUpError(`Follow-up is ${existing.status}; expected ${fromStatuses.join(" or ")}`, "invalid_transition")
+}
+
+/**
+ * Move a scheduled (or failed) follow-up to a new time; a failed one gets a fresh set of attempts
+ * @param {Object} changes - { dueAt } or { date, time, timezone }; optional contextSummary
+ */
+const rescheduleFollowUp = async (taskId, clientId, changes = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(taskId)) throw followUpError("Follow-up not found", "not_found")
+  const task = await FollowUpTask.findOne(clientId ? { _id: taskId, clientId } : { _id: taskId }).lean()
+  if (!task) throw followUpError("Follow-up not found", "not_found")
+
+  const { dueAt, timezone } = parseRescheduleTime(changes, task)
+  const $set = { dueAt, timezone, status: "scheduled", timeSource: "manual", attempts: 0, lastError: null, failureReason: null }
+  if (typeof changes.contextSummary === "string") $set.contextSummary = changes.contextSummary.trim()
+  const updated = await transition(taskId, clientId, ["scheduled", "failed"], { $set })
+  console.log(`🗓️ [FOLLOW-UP] ${updated.mobile}: rescheduled to ${dueAt.toISOString()}`)
+  return updated
+}
+
+// A call already ringing finishes normally; it is just not retried
+const cancelFollowUp = async (taskId, clientId, cancelledBy = null) => {
+  if (!mongoose.Types.ObjectId.isValid(taskId)) throw followUpError("Follow-up not found", "not_found")
+  const cancelled = await transition(taskId, clientId, ["scheduled", "calling", "failed"], {
+    $set: { status: "cancelled", cancelledAt: new Date(), cancelledBy },
+  })
+  console.log(`🗓️ [FOLLOW-UP] ${cancelled.mobile}: cancelled`)
+  return cancelled
+}
+
+module.exports = {
+  scheduleFollowUpFromCall,
+  extractCallbackRequest,
+  resolveDueAt,
+  zonedTimeToUtc,
+  attachFollowUpCall,
+  formatFollowUpContext,
+  rescheduleFollowUp,
+  cancelFollowUp,
+  startFollowUpWorker,
+  stopFollowUpWorker,
+  FOLLOW_UP_CONFIG,
+  FOLLOW_UP_LEAD_STATUSES,
+}
@@ -0,0 +1,141 @@
+const EventEmitter = require("events")
+
+const IDLE_DEFAULTS = {
+  silenceSeconds: 8, // caller silence (after the bot finished speaking) before a reprompt
+  maxReprompts: 2, // unanswered reprompts before the goodbye and hang-up
+  botQuietMs: 300, // the bot counts as speaking while its audio frames were sent this recently
+}
+
+// Built-in prompts per call language; Agent.idlePolicy.repromptMessage/goodbyeMessage override them
+const IDLE_PROMPTS = {
+  reprompt: {
+    en: "Hello, are you still there?",
+    hi: "हेलो, क्या आप लाइन पर हैं?",
+    mr: "हॅलो, तुम्ही लाईनवर आहात का?",
+    bn: "হ্যালো, আপনি কি লাইনে আছেন?",
+    ta: "ஹலோ, நீங்கள் லைனில் இருக்கிறீர்களா?",
+    te: "హలో, మీరు లైన్‌లో ఉన్నారా?",
+    gu: "હેલો, શું તમે લાઇન પર છો?",
+    kn: "ಹಲೋ, ನೀವು ಲೈನ್‌ನಲ್ಲಿ ಇದ್ದೀರಾ?",
+    ml: "ഹലോ, നിങ്ങൾ ലൈനിൽ ഉണ്ടോ?",
+    pa: "ਹੈਲੋ, ਕੀ ਤੁਸੀਂ ਲਾਈਨ 'ਤੇ ਹੋ?",
+  },
+  goodbye: {
+    en: "I am not able to hear you, so I will end the call now. Thank you, goodbye!",
+    hi: "मुझे आपकी आवाज़ नहीं आ रही है, इसलिए कॉल समाप्त की जा रही है। धन्यवाद!",
+    mr: "मला तुमचा आवाज ऐकू येत नाही, म्हणून मी कॉल संपवत आहे. धन्यवाद!",
+    bn: "আমি আপনার কথা শুনতে পাচ্ছি না, তাই কলটি শেষ করছি। ধন্যবাদ!",
+    ta: "உங்கள் குரல் கேட்கவில்லை, அதனால் அழைப்பை முடிக்கிறேன். நன்றி!",
+    te: "మీ మాట వినిపించడం లేదు, కాబట్టి కాల్ ముగిస్తున్నాను. ధన్యవాదాలు!",
+    gu: "મને તમારો અવાજ સંભળાતો નથી, તેથી હું કૉલ સમાપ્ત કરું છું. આભાર!",
+    kn: "ನಿಮ್ಮ ಧ್ವನಿ ಕೇಳಿಸುತ್ತಿಲ್ಲ, ಆದ್ದರಿಂದ ಕರೆಯನ್ನು ಮುಗಿಸುತ್ತಿದ್ದೇನೆ. ಧನ್ಯವಾದಗಳು!",
+    ml: "നിങ്ങളുടെ ശബ്ദം കേൾക്കുന്നില്ല, അതിനാൽ കോൾ അവസാനിപ്പിക്കുന്നു. നന്ദി!",
+    pa: "ਮੈਨੂੰ ਤੁਹਾਡੀ ਆਵਾਜ਼ ਨਹੀਂ ਆ ਰਹੀ, ਇਸ ਲਈ ਕਾਲ ਖਤਮ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ। ਧੰਨਵਾਦ!",
+  },
+}
+
+/**
+ * Reprompt or goodbye line for the call's current language
+ * @param {"reprompt"|"goodbye"} kind
+ * @param {string} language
+ * @param {Object} settings - Agent.idlePolicy
+ */
+const idlePrompt = (kind, language, settings = {}) => {
+  const custom = kind === "reprompt" ? settings?.repromptMessage : settings?.goodbyeMessage
+  if (custom?.trim()) return custom.trim()
+  const code = String(language || "en").toLowerCase().split("-")[0]
+  return IDLE_PROMPTS[kind][code] || IDLE_PROMPTS[kind].en
+}
+
+/**
+ * Caller-silence watchdog for one call.
+ *
+ * Silence is counted from the later of the caller's last speech (callerActivity) and the bot's last audio frame
+ * (botActivity), so the clock stands still while the bot talks. While isBusy() is true (the AI is thinking, a
+ * transfer or keypad menu is running) nothing fires. After silenceSeconds it emits "reprompt" ({ count }); once
+ * maxReprompts went unanswered it emits "timeout" ({ reprompts }) and stops.
+ */
+class IdleMonitor extends EventEmitter {
+  constructor(settings = {}, options = {}) {
+    super()
+    this.silenceMs = (Number(settings.silenceSeconds) || IDLE_DEFAULTS.silenceSeconds) * 1000
+    this.maxReprompts = Number.isFinite(settings.maxReprompts) ? settings.maxReprompts : IDLE_DEFAULTS.maxReprompts
+    this.isBusy = options.isBusy || (() => false)
+    this.logTag = options.logTag || "IDLE"
+    this.reprompts = 0
+    this.lastActivityAt = Date.now()
+    this.lastBotAt = 0
+    this.timer = null
+    this.stopped = true
+  }
+
+  // On by default; agents opt out with idlePolicy.enabled = false
+  static isEnabled(agent) {
+    return agent?.idlePolicy?.enabled !== false
+  }
+
+  start() {
+    this.stopped = false
+    this.lastActivityAt = Date.now()
+    this.schedule(this.silenceMs)
+  }
+
+  stop() {
+    this.stopped = true
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+    this.removeAllListeners()
+  }
+
+  // Caller said something: the reprompt count starts over
+  callerActivity() {
+    this.lastActivityAt = Date.now()
+    this.reprompts = 0
+  }
+
+  // A frame of bot audio went out
+  botActivity() {
+    this.lastBotAt = Date.now()
+  }
+
+  schedule(delayMs) {
+    if (this.stopped) return
+    if (this.timer) clearTimeout(this.timer)
+    this.timer = setTimeout(() => this.check(), Math.max(50, delayMs))
+  }
+
+  check() {
+    this.timer = null
+    if (this.stopped) return
+    const now = Date.now()
+    if (this.isBusy()) {
+      this.lastActivityAt = now
+      return this.schedule(this.silenceMs)
+    }
+    if (now - this.lastBotAt < IDLE_DEFAULTS.botQuietMs) return this.schedule(this.silenceMs)
+
+    const idleMs = now - Math.max(this.lastActivityAt, this.lastBotAt)
+    if (idleMs < this.silenceMs) return this.schedule(this.silenceMs - idleMs)
+
+    if (this.reprompts < this.maxReprompts) {
+      this.reprompts++
+      this.lastActivityAt = now
+      console.log(`🔕 [${this.logTag}] No response for ${Math.round(idleMs / 1000)}s; reprompt ${this.reprompts}/${this.maxReprompts}`)
+      this.emit("reprompt", { count: this.reprompts })
+      return this.schedule(this.silenceMs)
+    }
+
+    console.log(`🔕 [${this.logTag}] No response after ${this.reprompts} reprompts; ending the call`)
+    const reprompts = this.reprompts
+    this.stopped = true
+    this.emit("timeout", { reprompts })
+  }
+}
+
+module.exports = {
+  IdleMonitor,
+  idlePrompt,
+  IDLE_DEFAULTS,
+}
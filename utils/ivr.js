@@ -0,0 +1,271 @@
+const Agent = require("../models/Agent")
+
+const IVR_DEFAULTS = {
+  rootMenuId: "main",
+  inputTimeoutMs: 6000,
+  maxRetries: 2,
+  onMaxRetries: "ai",
+  terminator: "#",
+  minDigits: 1,
+  maxDigits: 12,
+}
+
+const IVR_MESSAGES = {
+  invalid: {
+    en: "Sorry, that is not a valid option.",
+    hi: "माफ़ कीजिए, यह सही विकल्प नहीं है।",
+  },
+  noInput: {
+    en: "Sorry, I did not receive any input.",
+    hi: "माफ़ कीजिए, मुझे कोई इनपुट नहीं मिला।",
+  },
+  tooShort: {
+    en: "That number looks too short. Please try again.",
+    hi: "यह नंबर छोटा लग रहा है। कृपया फिर से दर्ज करें।",
+  },
+}
+
+const pickMessage = (key, language) => IVR_MESSAGES[key][(language || "en").toLowerCase()] || IVR_MESSAGES[key].en
+
+// Normalize the digit field across providers ({ dtmf: { digit } }, { digit }, { dtmf: "1" })
+const extractDtmfDigit = (data = {}) => {
+  const raw = data.dtmf?.digit ?? data.dtmf?.digits ?? data.digit ?? data.digits ?? (typeof data.dtmf === "string" ? data.dtmf : null)
+  if (raw == null) return null
+  const digit = String(raw).trim()
+  return /^[0-9*#]+$/.test(digit) ? digit : null
+}
+
+/**
+ * Keypad menu state machine for one call, independent of the telephony transport.
+ *
+ * handlers:
+ *   speak(text)            - play a prompt; resolves when playback ends or is interrupted
+ *   stopSpeaking()         - cut the current prompt (caller pressed a key)
+ *   onLanguage(language)   - switch call language
+ *   onRouteAgent(agentId)  - hand the call to another Agent
+ *   onTransfer()           - warm transfer to a human agent
+ *   onHangup()             - end the call
+ *   onExit(inputs)         - IVR finished; the AI conversation takes over
+ */
+class IvrSession {
+  constructor(ivr = {}, handlers = {}, options = {}) {
+    this.ivr = ivr
+    this.handlers = handlers
+    this.language = options.language || "en"
+    this.logTag = options.logTag || "IVR"
+    this.menus = new Map((ivr.menus || []).map((menu) => [menu.menuId, menu]))
+    this.active = false
+    this.menu = null
+    this.collecting = null // { option, buffer }
+    this.retries = 0
+    this.step = 0 // bumps on every transition so stale timers/prompts are ignored
+    this.timer = null
+    this.inputs = {}
+    this.path = [] // [{ menuId, digit, action, at }]
+  }
+
+  static isEnabled(agent) {
+    return !!(agent?.ivr?.enabled && agent.ivr.menus?.length)
+  }
+
+  log(message) {
+    console.log(`☎️ [${this.logTag}] ${message}`)
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+  }
+
+  timeoutFor(menu) {
+    return (this.collecting?.option?.timeoutMs || menu?.timeoutMs || this.ivr.inputTimeoutMs || IVR_DEFAULTS.inputTimeoutMs)
+  }
+
+  async start(menuId = this.ivr.rootMenuId || IVR_DEFAULTS.rootMenuId) {
+    const target = this.menus.has(menuId) ? menuId : this.ivr.menus?.[0]?.menuId
+    if (!target) return this.exit()
+    this.active = true
+    this.log(`Started at menu "${target}"`)
+    return this.enterMenu(target)
+  }
+
+  async enterMenu(menuId) {
+    const menu = this.menus.get(menuId)
+    if (!menu) {
+      this.log(`Unknown menu "${menuId}" - handing over to the AI`)
+      return this.exit()
+    }
+    this.menu = menu
+    this.collecting = null
+    this.retries = 0
+    return this.prompt(menu.prompt)
+  }
+
+  // Speak, then wait for input unless something else happened meanwhile
+  async prompt(text, prefix = null) {
+    const step = ++this.step
+    this.clearTimer()
+    const spoken = [prefix, text].filter(Boolean).join(" ")
+    if (spoken) {
+      try {
+        await this.handlers.speak?.(spoken)
+      } catch (error) {
+        this.log(`Prompt playback failed: ${error.message}`)
+      }
+    }
+    if (!this.active || step !== this.step) return
+    this.timer = setTimeout(() => this.handleTimeout(step).catch(() => {}), this.timeoutFor(this.menu))
+  }
+
+  async retry(reasonKey) {
+    this.retries++
+    const maxRetries = this.ivr.maxRetries ?? IVR_DEFAULTS.maxRetries
+    if (this.retries > maxRetries) {
+      this.log(`Max retries reached in "${this.menu?.menuId}"`)
+      return this.runAction({ action: this.ivr.onMaxRetries || IVR_DEFAULTS.onMaxRetries })
+    }
+    const message =
+      reasonKey === "invalid"
+        ? this.ivr.invalidInputMessage || pickMessage("invalid", this.language)
+        : reasonKey === "tooShort"
+          ? pickMessage("tooShort", this.language)
+          : this.ivr.noInputMessage || pickMessage("noInput", this.language)
+    const repeat = this.collecting ? this.collecting.option.collectPrompt : this.menu?.prompt
+    if (this.collecting) this.collecting.buffer = ""
+    return this.prompt(repeat, message)
+  }
+
+  async handleTimeout(step) {
+    if (!this.active || step !== this.step) return
+    this.timer = null
+    if (this.collecting && this.collecting.buffer.length >= (this.collecting.option.minDigits || IVR_DEFAULTS.minDigits)) {
+      return this.finishCollect()
+    }
+    return this.retry(this.collecting?.buffer ? "tooShort" : "noInput")
+  }
+
+  /**
+   * Feed a keypad press (or a string of them) into the menu
+   * @returns {Promise<boolean>} false when the IVR is not active and the digit was not consumed
+   */
+  async handleDigit(digits) {
+    if (!this.active || !digits) return false
+    this.clearTimer()
+    try { this.handlers.stopSpeaking?.() } catch (_) {}
+
+    for (const digit of String(digits)) {
+      if (!this.active) break
+      if (this.collecting) {
+        await this.collectDigit(digit)
+        continue
+      }
+      const option = (this.menu?.options || []).find((candidate) => candidate.digit === digit)
+      this.path.push({ menuId: this.menu?.menuId, digit, action: option?.action || "invalid", at: new Date() })
+      if (!option) {
+        this.log(`Invalid digit "${digit}" in "${this.menu?.menuId}"`)
+        await this.retry("invalid")
+        continue
+      }
+      this.log(`Digit "${digit}" → ${option.action}${option.menuId ? ` (${option.menuId})` : ""}`)
+      await this.runAction(option)
+    }
+    return true
+  }
+
+  async collectDigit(digit) {
+    const { option } = this.collecting
+    const terminator = option.terminator || IVR_DEFAULTS.terminator
+    if (digit === terminator) return this.finishCollect()
+    this.collecting.buffer += digit
+    if (this.collecting.buffer.length >= (option.maxDigits || IVR_DEFAULTS.maxDigits)) return this.finishCollect()
+    // Restart the inter-digit timer without replaying the prompt
+    const step = ++this.step
+    this.timer = setTimeout(() => this.handleTimeout(step).catch(() => {}), this.timeoutFor(this.menu))
+  }
+
+  async finishCollect() {
+    const { option, buffer } = this.collecting
+    if (buffer.length < (option.minDigits || IVR_DEFAULTS.minDigits)) return this.retry("tooShort")
+    const key = option.collectKey || "keypad_input"
+    this.inputs[key] = buffer
+    this.log(`Collected ${key} (${buffer.length} digits)`)
+    this.collecting = null
+    return option.menuId ? this.enterMenu(option.menuId) : this.exit()
+  }
+
+  async runAction(option) {
+    const action = option.action
+    this.step++
+    this.clearTimer()
+    if (option.message && action !== "collect") {
+      try { await this.handlers.speak?.(option.message) } catch (_) {}
+    }
+
+    switch (action) {
+      case "menu":
+        return this.enterMenu(option.menuId)
+      case "repeat":
+        this.retries = 0
+        return this.prompt(this.menu?.prompt)
+      case "collect":
+        this.collecting = { option, buffer: "" }
+        this.retries = 0
+        return this.prompt(option.collectPrompt || option.message)
+      case "language":
+        if (option.language) {
+          this.language = option.language
+          await this.handlers.onLanguage?.(option.language)
+        }
+        return option.menuId ? this.enterMenu(option.menuId) : this.exit()
+      case "agent":
+        this.stop()
+        return this.handlers.onRouteAgent?.(option.agentId, this.inputs)
+      case "transfer":
+        this.stop()
+        return this.handlers.onTransfer?.(this.inputs)
+      case "hangup":
+        this.stop()
+        return this.handlers.onHangup?.()
+      case "ai":
+      default:
+        return this.exit()
+    }
+  }
+
+  stop() {
+    this.active = false
+    this.step++
+    this.clearTimer()
+  }
+
+  async exit() {
+    const wasActive = this.active
+    this.stop()
+    this.log(`Finished - AI takes over${Object.keys(this.inputs).length ? ` with ${Object.keys(this.inputs).join(", ")}` : ""}`)
+    if (wasActive || !this.menu) await this.handlers.onExit?.(this.inputs)
+  }
+
+  // System-prompt line with what the caller keyed in (empty when nothing was collected)
+  formatContext() {
+    const entries = Object.entries(this.inputs)
+    if (!entries.length) return ""
+    return `Caller entered on the phone keypad: ${entries.map(([key, value]) => `${key}=${value}`).join(", ")}. Use these values when relevant; do not ask for them again.`
+  }
+}
+
+// Load the Agent an IVR option routes to; only active agents of the same client are allowed
+const loadRoutedAgent = async (agentId, currentAgent) => {
+  if (!agentId) return null
+  const filter = { _id: agentId, isActive: true }
+  if (currentAgent?.clientId) filter.clientId = currentAgent.clientId
+  return Agent.findOne(filter).lean()
+}
+
+module.exports = {
+  IvrSession,
+  extractDtmfDigit,
+  loadRoutedAgent,
+  IVR_DEFAULTS,
+}
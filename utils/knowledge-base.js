@@ -0,0 +1,338 @@
+const path = require("path")
+const { createKnowledgeStorage } = require("./knowledge-storage")
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const KB_CONFIG = {
+  embeddingUrl: process.env.OPENAI_EMBEDDINGS_URL || "https://api.openai.com/v1/embeddings",
+  embeddingModel: process.env.KNOWLEDGE_BASE_EMBEDDING_MODEL || "text-embedding-3-small",
+  chunkSize: Number(process.env.KNOWLEDGE_BASE_CHUNK_SIZE || 800), // characters
+  chunkOverlap: Number(process.env.KNOWLEDGE_BASE_CHUNK_OVERLAP || 150),
+  embeddingBatchSize: 64,
+  topK: Number(process.env.KNOWLEDGE_BASE_TOP_K || 4),
+  minScore: Number(process.env.KNOWLEDGE_BASE_MIN_SCORE || 0.25),
+  // Retrieval runs inside the live turn, so it gets a hard budget and degrades to "no context"
+  retrievalTimeoutMs: Number(process.env.KNOWLEDGE_BASE_TIMEOUT_MS || 1500),
+}
+
+const TEXT_EXTENSIONS = new Set([".txt", ".md", ".markdown", ".csv", ".tsv", ".json", ".html", ".htm", ".xml"])
+
+const storage = createKnowledgeStorage()
+const indexCache = new Map() // agentId -> index
+const ingestionsInFlight = new Map() // agentId -> Promise
+
+const stripHtml = (html) =>
+  html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<br\s*\/?>|<\/(p|div|li|tr|h[1-6])>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+
+// Plain text out of a stored document; binary formats (PDF, DOCX, ...) are rejected rather than guessed at
+const extractText = (buffer, key = "") => {
+  const ext = path.extname(String(key)).toLowerCase()
+  if (ext && !TEXT_EXTENSIONS.has(ext)) {
+    throw new Error(`Unsupported knowledge-base document type "${ext}" (${key}); upload text, markdown, CSV, JSON or HTML`)
+  }
+  if (!ext && buffer.includes(0)) {
+    throw new Error(`Knowledge-base document ${key} looks binary; upload a text export instead`)
+  }
+
+  let text = buffer.toString("utf8")
+  if (ext === ".html" || ext === ".htm" || ext === ".xml") text = stripHtml(text)
+  if (ext === ".json") {
+    try {
+      text = JSON.stringify(JSON.parse(text), null, 1)
+    } catch (_) {
+      // keep the raw text
+    }
+  }
+  return text.replace(/\r\n?/g, "\n").replace(/[ \t]+/g, " ").replace(/\n{3,}/g, "\n\n").trim()
+}
+
+/**
+ * Split text into overlapping chunks, preferring paragraph and sentence boundaries
+ * @returns {string[]}
+ */
+const chunkText = (text, { chunkSize = KB_CONFIG.chunkSize, chunkOverlap = KB_CONFIG.chunkOverlap } = {}) => {
+  const clean = (text || "").trim()
+  if (!clean) return []
+  if (clean.length <= chunkSize) return [clean]
+
+  const chunks = []
+  let start = 0
+  while (start < clean.length) {
+    let end = Math.min(start + chunkSize, clean.length)
+    if (end < clean.length) {
+      const window = clean.slice(start, end)
+      const minBreak = Math.floor(chunkSize * 0.5)
+      const breakAt = Math.max(
+        window.lastIndexOf("\n\n"),
+        window.lastIndexOf("\n"),
+        window.lastIndexOf(". "),
+        window.lastIndexOf("। "),
+        window.lastIndexOf("? "),
+        window.lastIndexOf("! "),
+      )
+      if (breakAt >= minBreak) end = start + breakAt + 1
+      else {
+        const space = window.lastIndexOf(" ")
+        if (space >= minBreak) end = start + space
+      }
+    }
+    const chunk = clean.slice(start, end).trim()
+    if (chunk) chunks.push(chunk)
+    if (end >= clean.length) break
+    let next = Math.max(end - chunkOverlap, start + 1)
+    // Start the overlap on a word boundary
+    const boundary = clean.slice(next, end).search(/\s/)
+    if (boundary !== -1) next += boundary + 1
+    start = next
+  }
+  return chunks
+}
+
+/**
+ * Embed a list of texts with the OpenAI embeddings API
+ * @param {string[]} texts
+ * @param {Object} options - { apiKey, onRequest, model, signal }; apiKey/onRequest as from providerKeyOptions (client key)
+ * @returns {Promise<number[][]>}
+ */
+const embedTexts = async (texts, options = {}) => {
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY
+  if (!apiKey) throw new Error("OPENAI_API_KEY is not configured for knowledge-base embeddings")
+  const model = options.model || KB_CONFIG.embeddingModel
+
+  const vectors = []
+  for (let i = 0; i < texts.length; i += KB_CONFIG.embeddingBatchSize) {
+    const batch = texts.slice(i, i + KB_CONFIG.embeddingBatchSize)
+    if (typeof options.onRequest === "function") {
+      try { options.onRequest("openai") } catch (_) {}
+    }
+    const response = await fetch(KB_CONFIG.embeddingUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
+      body: JSON.stringify({ model, input: batch }),
+      signal: options.signal,
+    })
+    if (!response.ok) {
+      throw new Error(`Embeddings API error: ${response.status}`)
+    }
+    const data = await response.json()
+    const ordered = (data.data || []).slice().sort((a, b) => a.index - b.index)
+    for (const item of ordered) vectors.push(item.embedding)
+  }
+  return vectors
+}
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  const length = Math.min(a.length, b.length)
+  for (let i = 0; i < length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  if (!normA || !normB) return 0
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB))
+}
+
+const documentVersion = (doc) => {
+  const uploadedAt = doc.uploadedAt ? new Date(doc.uploadedAt).getTime() : 0
+  return `${doc.key}@${uploadedAt}`
+}
+
+const loadIndex = async (agentId) => {
+  const id = String(agentId)
+  if (indexCache.has(id)) return indexCache.get(id)
+  const index = await storage.readIndex(id)
+  if (index) indexCache.set(id, index)
+  return index
+}
+
+// True when the stored index no longer matches the agent's knowledgeBase list
+const isIndexStale = (agent, index) => {
+  const docs = agent?.knowledgeBase || []
+  if (!index) return docs.length > 0
+  const indexed = new Set((index.documents || []).map((doc) => doc.version))
+  return docs.length !== indexed.size || docs.some((doc) => !indexed.has(documentVersion(doc)))
+}
+
+const buildIndex = async (agent, { force = false, apiKey = null, onRequest = null } = {}) => {
+  const agentId = String(agent._id)
+  const previous = force ? null : await storage.readIndex(agentId)
+  const previousDocs = new Map((previous?.documents || []).map((doc) => [doc.version, doc]))
+  const previousChunks = previous?.chunks || []
+
+  const documents = []
+  const chunks = []
+  const pending = [] // chunks that still need an embedding
+
+  for (const doc of agent.knowledgeBase || []) {
+    const version = documentVersion(doc)
+    const reusable = previousDocs.get(version)
+    if (reusable && reusable.status === "indexed" && previous.model === KB_CONFIG.embeddingModel) {
+      documents.push(reusable)
+      chunks.push(...previousChunks.filter((chunk) => chunk.version === version))
+      continue
+    }
+
+    try {
+      const text = extractText(await storage.readDocument(doc.key), doc.key)
+      const pieces = chunkText(text)
+      pieces.forEach((piece, position) => {
+        const chunk = { id: `${doc.key}#${position}`, key: doc.key, name: doc.name || doc.key, version, text: piece }
+        chunks.push(chunk)
+        pending.push(chunk)
+      })
+      documents.push({ key: doc.key, name: doc.name || doc.key, version, status: "indexed", chunks: pieces.length })
+    } catch (error) {
+      console.log(`⚠️ [KNOWLEDGE-BASE] Skipping ${doc.key} for agent ${agentId}: ${error.message}`)
+      documents.push({ key: doc.key, name: doc.name || doc.key, version, status: "failed", error: error.message, chunks: 0 })
+    }
+  }
+
+  if (pending.length) {
+    const vectors = await embedTexts(pending.map((chunk) => chunk.text), { apiKey, onRequest })
+    pending.forEach((chunk, i) => {
+      chunk.embedding = vectors[i]
+    })
+  }
+
+  const index = {
+    agentId,
+    model: KB_CONFIG.embeddingModel,
+    updatedAt: new Date().toISOString(),
+    documents,
+    chunks,
+  }
+  await storage.writeIndex(agentId, index)
+  indexCache.set(agentId, index)
+
+  console.log(
+    `📚 [KNOWLEDGE-BASE] Indexed agent ${agentId}: ${documents.length} documents, ${chunks.length} chunks (${pending.length} newly embedded)`,
+  )
+  return index
+}
+
+/**
+ * Chunk, embed and store an agent's knowledgeBase documents.
+ * Unchanged documents (same key and uploadedAt) keep their existing embeddings unless force is set.
+ * @param {Object} agent - Agent document (needs _id and knowledgeBase)
+ * @param {Object} options - { force, apiKey, onRequest }
+ * @returns {Promise<Object>} the stored index
+ */
+const ingestAgentKnowledgeBase = async (agent, options = {}) => {
+  if (!agent?._id) throw new Error("Agent is required for knowledge-base ingestion")
+  const agentId = String(agent._id)
+  // Collapse concurrent requests for the same agent onto one run
+  if (ingestionsInFlight.has(agentId)) return ingestionsInFlight.get(agentId)
+  const run = buildIndex(agent, options).finally(() => ingestionsInFlight.delete(agentId))
+  ingestionsInFlight.set(agentId, run)
+  return run
+}
+
+// Load the agent's index at call start and rebuild it in the background if documents changed.
+// keyOptions ({ apiKey, onRequest }) embed with the client's own OpenAI key
+const warmKnowledgeBase = async (agent, keyOptions = {}) => {
+  if (!agent?._id || !agent.knowledgeBase?.length) return null
+  try {
+    const index = await loadIndex(agent._id)
+    if (isIndexStale(agent, index)) {
+      ingestAgentKnowledgeBase(agent, keyOptions).catch((error) =>
+        console.log(`⚠️ [KNOWLEDGE-BASE] Background ingestion failed for agent ${agent._id}: ${error.message}`),
+      )
+    }
+    return index
+  } catch (error) {
+    console.log(`⚠️ [KNOWLEDGE-BASE] Could not load index for agent ${agent._id}: ${error.message}`)
+    return null
+  }
+}
+
+/**
+ * Top-k knowledge-base passages for a query
+ * @param {string} agentId
+ * @param {string} query
+ * @param {Object} options - { topK, minScore, apiKey, onRequest, timeoutMs }
+ * @returns {Promise<Array<{ key, name, text, score }>>} empty when there is no index or retrieval fails
+ */
+const retrieveKnowledge = async (agentId, query, options = {}) => {
+  const topK = options.topK || KB_CONFIG.topK
+  const minScore = options.minScore != null ? options.minScore : KB_CONFIG.minScore
+  if (!agentId || !query || !query.trim()) return []
+
+  const controller = new AbortController()
+  const timeout = setTimeout(() => controller.abort(), options.timeoutMs || KB_CONFIG.retrievalTimeoutMs)
+  try {
+    const index = await loadIndex(agentId)
+    const candidates = (index?.chunks || []).filter((chunk) => Array.isArray(chunk.embedding))
+    if (!candidates.length) return []
+
+    const [queryVector] = await embedTexts([query.trim()], {
+      apiKey: options.apiKey,
+      onRequest: options.onRequest,
+      model: index.model,
+      signal: controller.signal,
+    })
+
+    return candidates
+      .map((chunk) => ({ key: chunk.key, name: chunk.name, text: chunk.text, score: cosineSimilarity(queryVector, chunk.embedding) }))
+      .filter((hit) => hit.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+  } catch (error) {
+    console.log(`⚠️ [KNOWLEDGE-BASE] Retrieval skipped for agent ${agentId}: ${error.name === "AbortError" ? "timed out" : error.message}`)
+    return []
+  } finally {
+    clearTimeout(timeout)
+  }
+}
+
+// Prompt block for retrieved passages (empty string when nothing matched)
+const formatKnowledgeContext = (passages = []) => {
+  if (!passages.length) return ""
+  const lines = passages.map((passage, i) => `[${i + 1}] (${passage.name}) ${passage.text}`)
+  return `Knowledge Base (relevant excerpts):\n${lines.join("\n")}\n\n`
+}
+
+// Index summary for the API (no embeddings)
+const getKnowledgeBaseStatus = async (agent) => {
+  const index = await loadIndex(agent._id)
+  return {
+    agentId: String(agent._id),
+    indexed: !!index,
+    stale: isIndexStale(agent, index),
+    ingesting: ingestionsInFlight.has(String(agent._id)),
+    model: index?.model || null,
+    updatedAt: index?.updatedAt || null,
+    documents: index?.documents || [],
+    totalChunks: index?.chunks?.length || 0,
+  }
+}
+
+const clearKnowledgeBaseCache = (agentId = null) => {
+  if (agentId) indexCache.delete(String(agentId))
+  else indexCache.clear()
+}
+
+module.exports = {
+  extractText,
+  chunkText,
+  embedTexts,
+  cosineSimilarity,
+  ingestAgentKnowledgeBase,
+  warmKnowledgeBase,
+  retrieveKnowledge,
+  formatKnowledgeContext,
+  getKnowledgeBaseStatus,
+  clearKnowledgeBaseCache,
+  KB_CONFIG,
+}
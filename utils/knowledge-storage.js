@@ -0,0 +1,144 @@
+const fs = require("fs")
+const path = require("path")
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const DEFAULT_ROOT = process.env.KNOWLEDGE_BASE_DIR || path.join(process.cwd(), "data", "knowledge-base")
+
+/**
+ * Storage backend for knowledge-base source documents and their vector indexes.
+ *
+ * readDocument(key) resolves with the raw bytes of an Agent.knowledgeBase[].key,
+ * readIndex/writeIndex persist one JSON index per agent.
+ */
+class BaseKnowledgeStorage {
+  constructor(options = {}) {
+    this.name = "base"
+    this.options = options
+  }
+
+  async readDocument(key) {
+    throw new Error(`readDocument() not implemented for knowledge storage: ${this.name}`)
+  }
+
+  async readIndex(agentId) {
+    throw new Error(`readIndex() not implemented for knowledge storage: ${this.name}`)
+  }
+
+  async writeIndex(agentId, index) {
+    throw new Error(`writeIndex() not implemented for knowledge storage: ${this.name}`)
+  }
+
+  async deleteIndex(agentId) {
+    throw new Error(`deleteIndex() not implemented for knowledge storage: ${this.name}`)
+  }
+}
+
+// Documents under <root>/documents/<key>, indexes under <root>/indexes/<agentId>.json
+class LocalKnowledgeStorage extends BaseKnowledgeStorage {
+  constructor(options = {}) {
+    super(options)
+    this.name = "local"
+    this.rootDir = path.resolve(options.rootDir || DEFAULT_ROOT)
+    this.documentsDir = path.join(this.rootDir, "documents")
+    this.indexesDir = path.join(this.rootDir, "indexes")
+  }
+
+  // Keys come from the database; never let one escape the storage root
+  resolveInside(baseDir, relativePath) {
+    const target = path.resolve(baseDir, String(relativePath).replace(/^\/+/, ""))
+    if (target !== baseDir && !target.startsWith(baseDir + path.sep)) {
+      throw new Error(`Knowledge storage path escapes root: ${relativePath}`)
+    }
+    return target
+  }
+
+  indexPath(agentId) {
+    return this.resolveInside(this.indexesDir, `${String(agentId)}.json`)
+  }
+
+  async readDocument(key) {
+    return fs.promises.readFile(this.resolveInside(this.documentsDir, key))
+  }
+
+  async readIndex(agentId) {
+    try {
+      const raw = await fs.promises.readFile(this.indexPath(agentId), "utf8")
+      return JSON.parse(raw)
+    } catch (error) {
+      if (error.code === "ENOENT") return null
+      throw error
+    }
+  }
+
+  async writeIndex(agentId, index) {
+    const target = this.indexPath(agentId)
+    await fs.promises.mkdir(path.dirname(target), { recursive: true })
+    // Write-then-rename so a concurrent call never reads a half-written index
+    const tmp = `${target}.${process.pid}.tmp`
+    await fs.promises.writeFile(tmp, JSON.stringify(index))
+    await fs.promises.rename(tmp, target)
+  }
+
+  async deleteIndex(agentId) {
+    try {
+      await fs.promises.unlink(this.indexPath(agentId))
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error
+    }
+  }
+}
+
+// Documents fetched from an HTTP(S) bucket/CDN (e.g. public or proxied S3), indexes kept on local disk
+class HttpKnowledgeStorage extends LocalKnowledgeStorage {
+  constructor(options = {}) {
+    super(options)
+    this.name = "http"
+    this.baseUrl = (options.baseUrl || process.env.KNOWLEDGE_BASE_DOCUMENT_URL || "").replace(/\/+$/, "")
+    this.headers = options.headers || {}
+  }
+
+  async readDocument(key) {
+    if (!this.baseUrl) throw new Error("KNOWLEDGE_BASE_DOCUMENT_URL is not configured")
+    const encodedKey = String(key).split("/").map(encodeURIComponent).join("/")
+    const response = await fetch(`${this.baseUrl}/${encodedKey}`, { headers: this.headers })
+    if (!response.ok) {
+      throw new Error(`Knowledge document fetch failed for ${key}: ${response.status}`)
+    }
+    return Buffer.from(await response.arrayBuffer())
+  }
+}
+
+const KNOWLEDGE_STORAGES = {
+  local: LocalKnowledgeStorage,
+  http: HttpKnowledgeStorage,
+}
+
+const registerKnowledgeStorage = (name, StorageClass) => {
+  KNOWLEDGE_STORAGES[name.toLowerCase()] = StorageClass
+}
+
+/**
+ * Build the configured knowledge-base storage backend
+ * @param {string} selection - storage name (local, http); defaults to KNOWLEDGE_BASE_STORAGE
+ * @param {Object} options - { rootDir, baseUrl, headers }
+ * @returns {BaseKnowledgeStorage}
+ */
+const createKnowledgeStorage = (selection = process.env.KNOWLEDGE_BASE_STORAGE || "local", options = {}) => {
+  const key = (selection || "local").toString().toLowerCase()
+  const StorageClass = KNOWLEDGE_STORAGES[key]
+  if (!StorageClass) {
+    console.log(`⚠️ [KB-STORAGE] "${selection}" is not available, falling back to local`)
+    return new LocalKnowledgeStorage(options)
+  }
+  return new StorageClass(options)
+}
+
+module.exports = {
+  BaseKnowledgeStorage,
+  LocalKnowledgeStorage,
+  HttpKnowledgeStorage,
+  createKnowledgeStorage,
+  registerKnowledgeStorage,
+  KNOWLEDGE_STORAGES,
+}
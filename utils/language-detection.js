@@ -0,0 +1,144 @@
+const { LANGUAGE_MAPPING } = require("../websocket/tts-providers")
+
+const LANGUAGE_DETECTION_DEFAULTS = {
+  minConfidence: 0.75, // weaker detections neither switch nor break a streak
+  initialTurns: 2, // the first final transcripts may switch on a single detection
+  confirmTurns: 2, // later, this many detections in a row are needed to switch
+  minEnglishWords: 3, // shorter Latin-script turns ("ok", "yes sir") say nothing about the language
+  minDevanagariWords: 3, // Hindi and Marathi share a script; short turns cannot tell them apart
+}
+
+// franc is ESM-only; loaded once on first use
+let francLoader = null
+const loadFranc = () => {
+  if (!francLoader) francLoader = import("franc")
+  return francLoader
+}
+
+const FRANC_DEVANAGARI = { hin: "hi", mar: "mr" }
+
+// Scripts that belong to one supported language (Assamese shares the Bengali script and is reported as Bengali)
+const SCRIPTS = [
+  { name: "devanagari", pattern: /[ऀ-ॿ]/g },
+  { name: "bn", pattern: /[ঀ-৿]/g },
+  { name: "pa", pattern: /[਀-੿]/g },
+  { name: "gu", pattern: /[઀-૿]/g },
+  { name: "or", pattern: /[଀-୿]/g },
+  { name: "ta", pattern: /[஀-௿]/g },
+  { name: "te", pattern: /[ఀ-౿]/g },
+  { name: "kn", pattern: /[ಀ-೿]/g },
+  { name: "ml", pattern: /[ഀ-ൿ]/g },
+  { name: "ur", pattern: /[؀-ۿ]/g },
+  { name: "latin", pattern: /[a-z]/gi },
+]
+
+// Common romanised Hindi words: an English recognizer writes Hindi speech out as Hinglish
+const HINGLISH_WORDS = new Set([
+  "hai", "hain", "nahi", "nahin", "mujhe", "mera", "meri", "mere", "kya", "kyun", "kyon", "kaise", "kaisa",
+  "aap", "aapka", "aapko", "aapke", "haan", "han", "ji", "chahiye", "karna", "karo", "karke", "raha", "rahi", "rahe",
+  "tha", "thi", "hoga", "hogi", "bhi", "abhi", "kab", "kahan", "kitna", "kitne", "accha", "acha", "achha", "theek",
+  "thik", "bolo", "boliye", "batao", "bataiye", "samajh", "matlab", "lekin", "aur", "wala", "wali", "mein", "hum",
+  "humko", "hamara", "tum", "tumhara", "kuch", "sab", "baat", "baad", "pehle", "kal", "aaj", "liye", "sakta", "sakte",
+])
+
+const countWords = (text) => text.trim().split(/\s+/).filter(Boolean).length
+
+/**
+ * Language of one caller transcript: the script decides, franc separates Hindi from Marathi and
+ * romanised Hindi (Hinglish) is told apart from English by its common words
+ * @param {string} text
+ * @returns {Promise<{ language: string, confidence: number }|null>} null when the text is too short or mixed to tell
+ */
+const detectLanguage = async (text) => {
+  const value = String(text || "").trim()
+  if (!value) return null
+
+  const counts = SCRIPTS.map((script) => ({ name: script.name, letters: (value.match(script.pattern) || []).length }))
+  const letters = counts.reduce((sum, script) => sum + script.letters, 0)
+  if (!letters) return null
+  const dominant = counts.reduce((best, script) => (script.letters > best.letters ? script : best))
+  const share = dominant.letters / letters
+  const round2 = (confidence) => Math.round(confidence * 100) / 100
+
+  if (dominant.name === "devanagari") {
+    if (countWords(value) < LANGUAGE_DETECTION_DEFAULTS.minDevanagariWords) return null
+    const { francAll } = await loadFranc()
+    const [best, runnerUp] = francAll(value, { only: Object.keys(FRANC_DEVANAGARI), minLength: 3 })
+    if (!FRANC_DEVANAGARI[best?.[0]]) return null
+    // francAll scores relative to the best match; the margin over the other language is the confidence
+    const margin = 1 - (runnerUp?.[1] ?? 0)
+    return { language: FRANC_DEVANAGARI[best[0]], confidence: round2(share * Math.min(1, 0.5 + margin)) }
+  }
+
+  if (dominant.name === "latin") {
+    const words = value.toLowerCase().match(/[a-z]+/g) || []
+    const hinglish = words.filter((word) => HINGLISH_WORDS.has(word)).length
+    if (hinglish >= 2 && hinglish / words.length >= 0.25) {
+      return { language: "hi", confidence: round2(Math.min(1, 0.5 + hinglish / words.length)) }
+    }
+    if (hinglish || words.length < LANGUAGE_DETECTION_DEFAULTS.minEnglishWords) return null
+    return { language: "en", confidence: round2(share) }
+  }
+
+  return { language: dominant.name, confidence: round2(share) }
+}
+
+/**
+ * Decides when the caller has switched language, from their final transcripts.
+ * A single detection is enough at the start of the call (the caller answers a Hindi agent in Marathi);
+ * afterwards confirmTurns detections in a row are needed so one English sentence in a Hindi call does not flip it.
+ */
+class LanguageSwitchTracker {
+  constructor(settings = {}) {
+    this.config = LANGUAGE_DETECTION_DEFAULTS
+    const allowed = (settings.languages || []).map((language) => String(language).toLowerCase())
+    this.languages = allowed.filter((language) => LANGUAGE_MAPPING[language])
+    this.turns = 0
+    this.candidate = null
+    this.streak = 0
+  }
+
+  // On by default; agents opt out with languageDetection.enabled = false
+  static isEnabled(agent) {
+    return agent?.languageDetection?.enabled !== false
+  }
+
+  isAllowed(language) {
+    if (!LANGUAGE_MAPPING[language]) return false
+    return !this.languages.length || this.languages.includes(language)
+  }
+
+  /**
+   * Feed one final transcript
+   * @param {string} text
+   * @param {string} currentLanguage - language the call runs in now
+   * @returns {Promise<{ language, confidence }|null>} the language to switch to, or null to stay
+   */
+  async observe(text, currentLanguage) {
+    this.turns++
+    const detection = await detectLanguage(text)
+    if (!detection || detection.confidence < this.config.minConfidence) return null
+
+    const current = String(currentLanguage || "").toLowerCase().split("-")[0]
+    if (detection.language === current || !this.isAllowed(detection.language)) {
+      this.candidate = null
+      this.streak = 0
+      return null
+    }
+
+    this.streak = this.candidate === detection.language ? this.streak + 1 : 1
+    this.candidate = detection.language
+    const needed = this.turns <= this.config.initialTurns ? 1 : this.config.confirmTurns
+    if (this.streak < needed) return null
+
+    this.candidate = null
+    this.streak = 0
+    return detection
+  }
+}
+
+module.exports = {
+  detectLanguage,
+  LanguageSwitchTracker,
+  LANGUAGE_DETECTION_DEFAULTS,
+}
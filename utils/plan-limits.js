@@ -0,0 +1,173 @@
+const mongoose = require("mongoose")
+const Credit = require("../models/Credit")
+const Plan = require("../models/Plan")
+const Agent = require("../models/Agent")
+const CallLog = require("../models/CallLog")
+const Contacts = require("../models/Contacts")
+const OutboundCampaign = require("../models/OutboundCampaign")
+
+const PLAN_LIMITS_CONFIG = {
+  timezone: process.env.PLAN_LIMITS_TIMEZONE || "Asia/Kolkata", // when the per-day limits reset
+}
+
+const ACTIVE_CAMPAIGN_STATUSES = ["scheduled", "running", "paused"]
+const MESSAGE_USAGE_TYPES = ["whatsapp", "telegram", "email", "sms"]
+
+// A negative or missing limit means unlimited; 0 allows nothing
+const isLimited = (limit) => typeof limit === "number" && limit >= 0
+
+// Midnight of today in the configured timezone
+const startOfToday = (timezone = PLAN_LIMITS_CONFIG.timezone, now = new Date()) => {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now)
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0)
+  const elapsedMs = ((get("hour") * 60 + get("minute")) * 60 + get("second")) * 1000 + now.getMilliseconds()
+  return new Date(now.getTime() - elapsedMs)
+}
+
+/**
+ * The client's current plan, from Credit.currentPlan
+ * @returns {Promise<Object|null>} lean Plan with the subscription dates and expired (endDate has passed),
+ *   or null when the client has no plan
+ */
+const getClientPlan = async (clientId) => {
+  if (!clientId || !mongoose.Types.ObjectId.isValid(clientId)) return null
+  const credit = await Credit.findOne({ clientId }).select("currentPlan").lean()
+  const planId = credit?.currentPlan?.planId
+  if (!planId) return null
+  const plan = await Plan.findById(planId).lean()
+  if (!plan) return null
+  const endDate = credit.currentPlan.endDate || null
+  return { ...plan, startDate: credit.currentPlan.startDate || null, endDate, expired: Boolean(endDate && endDate <= new Date()) }
+}
+
+const countCallsToday = (clientId) => CallLog.countDocuments({ clientId: String(clientId), createdAt: { $gte: startOfToday() } })
+
+// Billed messages today (every send is a Credit usage entry)
+const countMessagesToday = async (clientId) => {
+  if (!mongoose.Types.ObjectId.isValid(clientId)) return 0
+  const [row] = await Credit.aggregate([
+    { $match: { clientId: new mongoose.Types.ObjectId(String(clientId)) } },
+    { $unwind: "$history" },
+    {
+      $match: {
+        "history.type": "usage",
+        "history.usageType": { $in: MESSAGE_USAGE_TYPES },
+        "history.timestamp": { $gte: startOfToday() },
+      },
+    },
+    { $group: { _id: null, count: { $sum: { $ifNull: ["$history.messageCount", 1] } } } },
+  ])
+  return row?.count || 0
+}
+
+const countActiveCampaigns = (clientId, excludeCampaignId = null) => {
+  const filter = { clientId: String(clientId), status: { $in: ACTIVE_CAMPAIGN_STATUSES } }
+  if (excludeCampaignId) filter._id = { $ne: excludeCampaignId }
+  return OutboundCampaign.countDocuments(filter)
+}
+
+const summarizePlan = (plan) =>
+  plan
+    ? { id: String(plan._id), name: plan.name, category: plan.category, startDate: plan.startDate, endDate: plan.endDate, expired: plan.expired }
+    : null
+
+/**
+ * Whether the client's plan allows an action right now.
+ * Clients without a plan are not limited here (the credit balance still gates calls and messages); a plan past
+ * its endDate allows nothing until it is renewed.
+ * @param {string} clientId
+ * @param {string} action - "call" | "whatsapp" | "campaign"
+ * @param {Object} options - { pendingCalls } calls placed but not logged yet; { contacts, excludeCampaignId } for campaigns
+ * @returns {Promise<{ allowed: boolean, plan: Object|null, remaining?: number, limit?: string, reason?: string }>}
+ */
+const checkPlanLimit = async (clientId, action, { pendingCalls = 0, contacts = 0, excludeCampaignId = null } = {}) => {
+  const plan = await getClientPlan(clientId)
+  if (!plan) return { allowed: true, plan: null, remaining: Infinity }
+  const features = plan.features || {}
+  const limits = plan.limits || {}
+  const refuse = (limit, reason) => ({ allowed: false, plan: summarizePlan(plan), limit, reason })
+
+  if (plan.expired) return refuse("planExpired", `The ${plan.name} plan expired on ${plan.endDate.toISOString().slice(0, 10)}`)
+
+  if (action === "call" || action === "campaign") {
+    if (features.voiceCalls === false) return refuse("voiceCalls", `The ${plan.name} plan does not include voice calls`)
+  }
+
+  if (action === "call") {
+    if (!isLimited(limits.maxCallsPerDay)) return { allowed: true, plan: summarizePlan(plan), remaining: Infinity }
+    const remaining = limits.maxCallsPerDay - (await countCallsToday(clientId)) - pendingCalls
+    if (remaining <= 0) {
+      return refuse("maxCallsPerDay", `Daily call limit of ${limits.maxCallsPerDay} reached on the ${plan.name} plan`)
+    }
+    return { allowed: true, plan: summarizePlan(plan), remaining }
+  }
+
+  if (action === "whatsapp") {
+    if (!isLimited(limits.maxMessagesPerDay)) return { allowed: true, plan: summarizePlan(plan), remaining: Infinity }
+    const remaining = limits.maxMessagesPerDay - (await countMessagesToday(clientId))
+    if (remaining <= 0) {
+      return refuse("maxMessagesPerDay", `Daily message limit of ${limits.maxMessagesPerDay} reached on the ${plan.name} plan`)
+    }
+    return { allowed: true, plan: summarizePlan(plan), remaining }
+  }
+
+  if (action === "campaign") {
+    if (isLimited(features.maxCampaigns) && (await countActiveCampaigns(clientId, excludeCampaignId)) >= features.maxCampaigns) {
+      return refuse("maxCampaigns", `The ${plan.name} plan allows ${features.maxCampaigns} active campaign(s)`)
+    }
+    if (isLimited(features.maxContacts) && contacts > features.maxContacts) {
+      return refuse("maxContacts", `Campaign has ${contacts} contacts; the ${plan.name} plan allows ${features.maxContacts}`)
+    }
+    return { allowed: true, plan: summarizePlan(plan) }
+  }
+
+  throw new Error(`Unknown plan action: ${action}`)
+}
+
+/**
+ * Current usage against every plan limit, for the usage API.
+ * maxAgents is reported but not enforced: agents are created outside this service, which only reads them.
+ * @returns {Promise<Object>} { plan, timezone, usage: { <limit>: { used, limit } } } (limit null = unlimited)
+ */
+const getPlanUsage = async (clientId) => {
+  const plan = await getClientPlan(clientId)
+  const features = plan?.features || {}
+  const limits = plan?.limits || {}
+  const limitOf = (value) => (plan && isLimited(value) ? value : null)
+
+  const [agents, campaigns, contacts, callsToday, messagesToday] = await Promise.all([
+    Agent.countDocuments({ clientId: String(clientId) }),
+    countActiveCampaigns(clientId),
+    Contacts.countDocuments({ clientId: String(clientId) }),
+    countCallsToday(clientId),
+    countMessagesToday(clientId),
+  ])
+
+  return {
+    plan: summarizePlan(plan),
+    timezone: PLAN_LIMITS_CONFIG.timezone,
+    dayStartedAt: startOfToday(),
+    voiceCalls: plan ? features.voiceCalls !== false : true,
+    usage: {
+      maxAgents: { used: agents, limit: limitOf(features.maxAgents) },
+      maxCampaigns: { used: campaigns, limit: limitOf(features.maxCampaigns) },
+      maxContacts: { used: contacts, limit: limitOf(features.maxContacts) },
+      maxCallsPerDay: { used: callsToday, limit: limitOf(limits.maxCallsPerDay) },
+      maxMessagesPerDay: { used: messagesToday, limit: limitOf(limits.maxMessagesPerDay) },
+    },
+  }
+}
+
+module.exports = {
+  checkPlanLimit,
+  getPlanUsage,
+  getClientPlan,
+  startOfToday,
+  PLAN_LIMITS_CONFIG,
+}
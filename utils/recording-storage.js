@@ -0,0 +1,146 @@
+const fs = require("fs")
+const path = require("path")
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const DEFAULT_ROOT = process.env.RECORDINGS_DIR || path.join(process.cwd(), "data", "recordings")
+
+/**
+ * Storage backend for call recordings.
+ *
+ * save(key, buffer, { contentType }) stores one WAV and resolves with the URL written to CallLog.audioUrl,
+ * delete(key) removes it again when the retention period runs out.
+ */
+class BaseRecordingStorage {
+  constructor(options = {}) {
+    this.name = "base"
+    this.options = options
+  }
+
+  async save(key, buffer, meta = {}) {
+    throw new Error(`save() not implemented for recording storage: ${this.name}`)
+  }
+
+  async read(key) {
+    throw new Error(`read() not implemented for recording storage: ${this.name}`)
+  }
+
+  async delete(key) {
+    throw new Error(`delete() not implemented for recording storage: ${this.name}`)
+  }
+}
+
+// Files under <root>/<key>, served back through GET /api/recordings/...
+class LocalRecordingStorage extends BaseRecordingStorage {
+  constructor(options = {}) {
+    super(options)
+    this.name = "local"
+    this.rootDir = path.resolve(options.rootDir || DEFAULT_ROOT)
+    this.publicBaseUrl = (options.publicBaseUrl ?? process.env.RECORDINGS_PUBLIC_BASE_URL ?? "").replace(/\/+$/, "")
+  }
+
+  // Keys are built from database values; never let one escape the storage root
+  resolveInside(key) {
+    const target = path.resolve(this.rootDir, String(key).replace(/^\/+/, ""))
+    if (!target.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Recording storage path escapes root: ${key}`)
+    }
+    return target
+  }
+
+  async save(key, buffer) {
+    const target = this.resolveInside(key)
+    await fs.promises.mkdir(path.dirname(target), { recursive: true })
+    const tmp = `${target}.${process.pid}.tmp`
+    await fs.promises.writeFile(tmp, buffer)
+    await fs.promises.rename(tmp, target)
+    return `${this.publicBaseUrl}/api/recordings/${key}`
+  }
+
+  async read(key) {
+    return fs.promises.readFile(this.resolveInside(key))
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolveInside(key))
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error
+    }
+  }
+}
+
+// PUT/DELETE against an HTTP(S) bucket endpoint (e.g. proxied S3/GCS); audioUrl points at RECORDINGS_PUBLIC_BASE_URL
+class HttpRecordingStorage extends BaseRecordingStorage {
+  constructor(options = {}) {
+    super(options)
+    this.name = "http"
+    this.uploadUrl = (options.uploadUrl || process.env.RECORDINGS_UPLOAD_URL || "").replace(/\/+$/, "")
+    this.publicBaseUrl = (options.publicBaseUrl || process.env.RECORDINGS_PUBLIC_BASE_URL || this.uploadUrl).replace(/\/+$/, "")
+    this.headers = options.headers || (process.env.RECORDINGS_UPLOAD_AUTH ? { Authorization: process.env.RECORDINGS_UPLOAD_AUTH } : {})
+  }
+
+  objectUrl(base, key) {
+    return `${base}/${String(key).split("/").map(encodeURIComponent).join("/")}`
+  }
+
+  async save(key, buffer, meta = {}) {
+    if (!this.uploadUrl) throw new Error("RECORDINGS_UPLOAD_URL is not configured")
+    const response = await fetch(this.objectUrl(this.uploadUrl, key), {
+      method: "PUT",
+      headers: { "Content-Type": meta.contentType || "audio/wav", ...this.headers },
+      body: buffer,
+    })
+    if (!response.ok) {
+      throw new Error(`Recording upload failed for ${key}: ${response.status}`)
+    }
+    return this.objectUrl(this.publicBaseUrl, key)
+  }
+
+  async read(key) {
+    const response = await fetch(this.objectUrl(this.uploadUrl, key), { headers: this.headers })
+    if (!response.ok) throw new Error(`Recording fetch failed for ${key}: ${response.status}`)
+    return Buffer.from(await response.arrayBuffer())
+  }
+
+  async delete(key) {
+    const response = await fetch(this.objectUrl(this.uploadUrl, key), { method: "DELETE", headers: this.headers })
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Recording delete failed for ${key}: ${response.status}`)
+    }
+  }
+}
+
+const RECORDING_STORAGES = {
+  local: LocalRecordingStorage,
+  http: HttpRecordingStorage,
+}
+
+const registerRecordingStorage = (name, StorageClass) => {
+  RECORDING_STORAGES[name.toLowerCase()] = StorageClass
+}
+
+/**
+ * Build the configured call-recording storage backend
+ * @param {string} selection - storage name (local, http); defaults to RECORDINGS_STORAGE
+ * @param {Object} options - { rootDir, uploadUrl, publicBaseUrl, headers }
+ * @returns {BaseRecordingStorage}
+ */
+const createRecordingStorage = (selection = process.env.RECORDINGS_STORAGE || "local", options = {}) => {
+  const key = (selection || "local").toString().toLowerCase()
+  const StorageClass = RECORDING_STORAGES[key]
+  if (!StorageClass) {
+    console.log(`⚠️ [RECORDING-STORAGE] "${selection}" is not available, falling back to local`)
+    return new LocalRecordingStorage(options)
+  }
+  return new StorageClass(options)
+}
+
+module.exports = {
+  BaseRecordingStorage,
+  LocalRecordingStorage,
+  HttpRecordingStorage,
+  createRecordingStorage,
+  registerRecordingStorage,
+  RECORDING_STORAGES,
+}
@@ -0,0 +1,180 @@
+const { LANGUAGE_MAPPING } = require("../websocket/tts-providers")
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const SENTIMENT_CONFIG = {
+  chatUrl: process.env.OPENAI_CHAT_URL || "https://api.openai.com/v1/chat/completions",
+  model: process.env.SENTIMENT_MODEL || "gpt-4o-mini",
+  timeoutMs: Number(process.env.SENTIMENT_TIMEOUT_MS) || 8000,
+  // A turn at or below this score, or at or above this frustration, is raised as a live alert
+  alertScore: Number(process.env.SENTIMENT_ALERT_SCORE) || -0.6,
+  alertFrustration: Number(process.env.SENTIMENT_ALERT_FRUSTRATION) || 0.7,
+  contextMessages: 4, // previous turns sent along so short replies ("nahi", "haan") are read in context
+}
+
+const EMOTIONS = ["neutral", "happy", "interested", "confused", "anxious", "sad", "annoyed", "angry"]
+
+// Names for every language the voice stack speaks (LANGUAGE_MAPPING in tts-providers)
+const LANGUAGE_NAMES = {
+  hi: "Hindi",
+  en: "English",
+  bn: "Bengali",
+  te: "Telugu",
+  ta: "Tamil",
+  mr: "Marathi",
+  gu: "Gujarati",
+  kn: "Kannada",
+  ml: "Malayalam",
+  pa: "Punjabi",
+  or: "Odia",
+  as: "Assamese",
+  ur: "Urdu",
+}
+
+const languageName = (language) => {
+  const code = String(language || "").toLowerCase().split("-")[0]
+  return LANGUAGE_MAPPING[code] ? `${LANGUAGE_NAMES[code] || code} (${LANGUAGE_MAPPING[code]})` : "an Indian language or English"
+}
+
+const labelFor = (score) => (score >= 0.25 ? "positive" : score <= -0.25 ? "negative" : "neutral")
+
+const clamp = (value, min, max, fallback = 0) => {
+  const number = Number(value)
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback
+}
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+const TURN_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["score", "frustration", "emotion"],
+  properties: {
+    score: { type: "number", description: "-1 very negative .. 0 neutral .. 1 very positive" },
+    frustration: { type: "number", description: "0 calm .. 1 extremely frustrated" },
+    emotion: { type: "string", enum: EMOTIONS },
+  },
+}
+
+/**
+ * Score one caller turn for sentiment and frustration
+ * @param {string} userMessage
+ * @param {Array} conversationHistory - [{ role, content }] before this turn
+ * @param {string} language - detected language code (hi, en, ta, ...)
+ * @param {Object} options - { apiKey, onRequest, model }; apiKey/onRequest as from providerKeyOptions (client key)
+ * @returns {Promise<{ score, label, frustration, emotion }|null>} null when scoring failed or the client has no OpenAI key
+ */
+const scoreTurnSentiment = async (userMessage, conversationHistory = [], language = "hi", options = {}) => {
+  // Runs on every caller turn, so it is billed to the client's own key only, never the platform account
+  const apiKey = options.apiKey
+  if (!apiKey || !userMessage?.trim()) return null
+  const startedAt = Date.now()
+  if (typeof options.onRequest === "function") {
+    try { options.onRequest("openai") } catch (_) {}
+  }
+
+  const context = conversationHistory
+    .filter((msg) => msg?.content && (msg.role === "user" || msg.role === "assistant"))
+    .slice(-SENTIMENT_CONFIG.contextMessages)
+    .map((msg) => `${msg.role === "user" ? "Caller" : "AI"}: ${msg.content}`)
+    .join("\n")
+
+  try {
+    const response = await fetch(SENTIMENT_CONFIG.chatUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
+      body: JSON.stringify({
+        model: options.model || SENTIMENT_CONFIG.model,
+        temperature: 0,
+        max_tokens: 40,
+        messages: [
+          {
+            role: "system",
+            content: [
+              `Rate the caller's latest turn on a sales/support phone call. The caller speaks ${languageName(language)}; the text may be in native script, romanised or mixed with English (Hinglish, Tanglish, ...).`,
+              "Judge the caller's feeling towards the call and the agent, not the topic: polite forms (ji, please, sir) are not positivity by themselves, and a calm \"no\" is neutral, not angry.",
+              "Frustration rises with repeated complaints, being asked the same thing again, interruptions, sarcasm, abuse or demands to stop calling.",
+              context ? `Earlier turns:\n${context}` : "",
+            ]
+              .filter(Boolean)
+              .join("\n"),
+          },
+          { role: "user", content: userMessage },
+        ],
+        response_format: { type: "json_schema", json_schema: { name: "turn_sentiment", strict: true, schema: TURN_SCHEMA } },
+      }),
+      signal: AbortSignal.timeout(SENTIMENT_CONFIG.timeoutMs),
+    })
+    if (!response.ok) {
+      console.log(`❌ [SENTIMENT] ${Date.now() - startedAt}ms - Error: ${response.status}`)
+      return null
+    }
+    const body = await response.json()
+    const parsed = JSON.parse(body.choices?.[0]?.message?.content || "{}")
+    const score = round2(clamp(parsed.score, -1, 1))
+    const result = {
+      score,
+      label: labelFor(score),
+      frustration: round2(clamp(parsed.frustration, 0, 1)),
+      emotion: EMOTIONS.includes(parsed.emotion) ? parsed.emotion : "neutral",
+    }
+    console.log(`🕒 [SENTIMENT] ${Date.now() - startedAt}ms - ${result.label} ${result.score} frustration=${result.frustration} (${result.emotion})`)
+    return result
+  } catch (error) {
+    console.log(`❌ [SENTIMENT] ${Date.now() - startedAt}ms - Error: ${error.message}`)
+    return null
+  }
+}
+
+// Why a scored turn deserves a live alert, or null
+const alertReason = (turn) => {
+  if (!turn) return null
+  if (turn.score <= SENTIMENT_CONFIG.alertScore) return "negative"
+  if (turn.frustration >= SENTIMENT_CONFIG.alertFrustration) return "frustrated"
+  return null
+}
+
+/**
+ * Call-level sentiment from the per-turn timeline.
+ * Later turns weigh more: how the call ended matters more than how it began.
+ * @returns {Object|null} { score, label, frustrationPeak, negativeTurns, alerts, trend, turns }
+ */
+const summarizeSentiment = (timeline = []) => {
+  // Turns are scored concurrently and may be recorded out of order
+  const turns = timeline.filter((turn) => Number.isFinite(turn?.score)).sort((a, b) => (a.turn || 0) - (b.turn || 0))
+  if (!turns.length) return null
+
+  let weighted = 0
+  let weights = 0
+  turns.forEach((turn, index) => {
+    const weight = index + 1
+    weighted += turn.score * weight
+    weights += weight
+  })
+  const score = round2(weighted / weights)
+
+  // Compare the average of the first and last third of the call
+  const third = Math.max(1, Math.floor(turns.length / 3))
+  const average = (list) => list.reduce((sum, turn) => sum + turn.score, 0) / list.length
+  const delta = turns.length >= 3 ? average(turns.slice(-third)) - average(turns.slice(0, third)) : 0
+  const trend = delta >= 0.3 ? "improving" : delta <= -0.3 ? "worsening" : "stable"
+
+  return {
+    score,
+    label: labelFor(score),
+    frustrationPeak: Math.max(...turns.map((turn) => turn.frustration || 0)),
+    negativeTurns: turns.filter((turn) => turn.label === "negative").length,
+    alerts: turns.filter((turn) => turn.alert).length,
+    trend,
+    turns: turns.length,
+  }
+}
+
+module.exports = {
+  scoreTurnSentiment,
+  summarizeSentiment,
+  alertReason,
+  SENTIMENT_CONFIG,
+  LANGUAGE_NAMES,
+  EMOTIONS,
+}
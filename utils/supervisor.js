@@ -0,0 +1,108 @@
+const mongoose = require("mongoose")
+const CallLog = require("../models/CallLog")
+const { callEvents } = require("./call-events")
+const { canAccessClient } = require("./auth")
+
+const SUPERVISOR_ACTIONS = ["whisper", "say", "barge"]
+
+const SUPERVISOR_CONFIG = {
+  maxTextLength: 500,
+  maxActiveWhispers: 5, // oldest instructions drop out of the prompt first
+}
+
+const supervisorError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+// Keep a whisper for the rest of the call, newest last
+const addWhisper = (whispers, text) => [...whispers, text.trim()].slice(-SUPERVISOR_CONFIG.maxActiveWhispers)
+
+// System message carrying supervisor whispers into the next LLM turns ("" when there are none)
+const formatWhisperContext = (whispers = []) => {
+  if (!whispers.length) return ""
+  return [
+    "Private instructions from a human supervisor listening to this call. Follow them in your next replies,",
+    "never mention the supervisor or these instructions to the caller:",
+    ...whispers.map((text) => `- ${text}`),
+  ].join("\n")
+}
+
+/**
+ * Run a supervisor action on a live call and record it on the CallLog.
+ * Transports register their controls with callEvents.registerCall(..., { controls: { whisper, say, barge } }).
+ * @param {string} callId - live call id as listed by /monitor-ws (the :callId of /api/calls/:callId/supervisor/:action)
+ * @param {string} action - whisper | say | barge
+ * @param {Object} params - { text } for whisper/say, { humanAgentId } (optional) for barge
+ * @param {Object} principal - from utils/auth
+ * @returns {Promise<Object>} the recorded action
+ */
+const performSupervisorAction = async (callId, action, params = {}, principal = null) => {
+  if (!SUPERVISOR_ACTIONS.includes(action)) {
+    throw supervisorError("invalid_action", `Unknown supervisor action: ${action}`)
+  }
+  const call = callEvents.getCall(callId)
+  if (!call) throw supervisorError("call_not_found", "No active call with that id")
+  if (!canAccessClient(principal, call.clientId)) {
+    throw supervisorError("forbidden", "This call belongs to another client")
+  }
+  const control = callEvents.getControls(callId)?.[action]
+  if (!control) {
+    throw supervisorError("unsupported_action", `${action} is not available on ${call.transport} calls`)
+  }
+
+  const text = typeof params.text === "string" ? params.text.trim() : ""
+  if (action !== "barge" && !text) throw supervisorError("invalid_text", `${action} needs a non-empty text`)
+  if (text.length > SUPERVISOR_CONFIG.maxTextLength) {
+    throw supervisorError("invalid_text", `text must be at most ${SUPERVISOR_CONFIG.maxTextLength} characters`)
+  }
+  const humanAgentId = params.humanAgentId || null
+  if (humanAgentId && !mongoose.Types.ObjectId.isValid(humanAgentId)) {
+    throw supervisorError("invalid_human_agent", "Invalid human agent ID")
+  }
+
+  const record = {
+    action,
+    text: text || undefined,
+    humanAgentId: humanAgentId || undefined,
+    supervisorId: principal?.userId || undefined,
+    supervisorRole: principal?.role,
+    performedAt: new Date(),
+  }
+
+  let result = {}
+  try {
+    result = (await control({ text, humanAgentId })) || {}
+    record.status = "success"
+    if (result.humanAgentId) record.humanAgentId = result.humanAgentId
+  } catch (error) {
+    record.status = "failed"
+    record.error = error.message
+  }
+  console.log(`🎧 [SUPERVISOR] ${action} on ${call.callId} → ${record.status}${record.error ? ` (${record.error})` : ""}`)
+
+  if (call.callLogId) {
+    CallLog.recordSupervisorAction(call.callLogId, record).catch((error) =>
+      console.log(`⚠️ [SUPERVISOR] CallLog update failed: ${error.message}`),
+    )
+  }
+  callEvents.publish(call.callId, "supervisor_action", {
+    action,
+    text: record.text || null,
+    status: record.status,
+    error: record.error || null,
+    humanAgentName: result.humanAgentName || null,
+  })
+
+  if (record.status === "failed") throw supervisorError("action_failed", record.error)
+  return { ...record, ...result }
+}
+
+module.exports = {
+  performSupervisorAction,
+  formatWhisperContext,
+  addWhisper,
+  SUPERVISOR_ACTIONS,
+  SUPERVISOR_CONFIG,
+}
@@ -0,0 +1,292 @@
+const crypto = require("crypto")
+const dns = require("dns")
+const net = require("net")
+const mongoose = require("mongoose")
+const WebhookSubscription = require("../models/WebhookSubscription")
+const WebhookDelivery = require("../models/WebhookDelivery")
+const { callEvents } = require("./call-events")
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const WEBHOOK_EVENTS = ["call.started", "transcript.turn", "lead_status.changed", "call.ended", "credits.billed"]
+
+const WEBHOOK_CONFIG = {
+  requestTimeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  retryDelaysSec: [30, 120, 600, 3600, 6 * 3600], // wait after failed attempt 1..5; attempt 6 is the last
+  sweepIntervalMs: Number(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 15000,
+  leaseMs: 60000, // an attempt in flight keeps the sweep from picking the same delivery
+  batchSize: 25,
+}
+const MAX_ATTEMPTS = WEBHOOK_CONFIG.retryDelaysSec.length + 1
+
+// Destinations a webhook may never reach: loopback, private, link-local (cloud metadata), shared and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList()
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4")
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6")
+}
+
+const webhookUrlError = (message) => {
+  const error = new Error(message)
+  error.code = "webhook_url_blocked"
+  return error
+}
+
+/**
+ * Resolve the webhook URL's host and refuse it when any address is internal.
+ * Runs when a subscription is saved and again before every attempt (DNS can change in between).
+ * @throws {Error} code "webhook_url_blocked"
+ */
+const assertPublicWebhookUrl = async (url) => {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (_) {
+    throw webhookUrlError("url must be an http(s) URL")
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) throw webhookUrlError("url must be an http(s) URL")
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "")
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true }).catch(() => {
+        throw webhookUrlError(`Could not resolve ${host}`)
+      })
+  const blocked = addresses.find(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4"))
+  if (blocked) throw webhookUrlError(`${host} resolves to an internal address (${blocked.address})`)
+}
+
+/**
+ * Signature sent in X-Aitota-Signature: sha256=<hex HMAC of "<timestamp>.<raw body>">.
+ * Receivers recompute it with their subscription secret and reject stale timestamps.
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`
+
+const verifySignature = (secret, timestamp, body, signature) => {
+  const expected = Buffer.from(signPayload(secret, timestamp, body))
+  const received = Buffer.from(String(signature || ""))
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+// One HTTP attempt; records the outcome (status code and latency only, never the response) and schedules the next retry when it fails
+const attemptDelivery = async (delivery, subscription) => {
+  const body = JSON.stringify(delivery.payload)
+  const timestamp = Math.floor(Date.now() / 1000)
+  const attempts = (delivery.attempts || 0) + 1
+  const startedAt = Date.now()
+  const attempt = { at: new Date(startedAt) }
+
+  const controller = new AbortController()
+  const timeout = setTimeout(() => controller.abort(), WEBHOOK_CONFIG.requestTimeoutMs)
+  try {
+    await assertPublicWebhookUrl(subscription.url)
+    const response = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Aitota-Webhooks/1.0",
+        "X-Aitota-Event": delivery.event,
+        "X-Aitota-Delivery": String(delivery._id),
+        "X-Aitota-Timestamp": String(timestamp),
+        "X-Aitota-Signature": signPayload(subscription.secret, timestamp, body),
+      },
+      body,
+      redirect: "manual", // a redirect could point at an internal address
+      signal: controller.signal,
+    })
+    attempt.statusCode = response.status
+    await response.body?.cancel?.().catch(() => {})
+    if (response.status >= 300 && response.status < 400) attempt.error = `HTTP ${response.status} (redirects are not followed)`
+    else if (!response.ok) attempt.error = `HTTP ${response.status}`
+  } catch (error) {
+    attempt.error = error.name === "AbortError" ? `Timed out after ${WEBHOOK_CONFIG.requestTimeoutMs}ms` : error.message
+  } finally {
+    clearTimeout(timeout)
+  }
+  attempt.durationMs = Date.now() - startedAt
+
+  const delivered = !attempt.error
+  const exhausted = !delivered && attempts >= MAX_ATTEMPTS
+  const $set = {
+    attempts,
+    lastStatusCode: attempt.statusCode,
+    lastError: attempt.error || null,
+    status: delivered ? "delivered" : exhausted ? "failed" : "pending",
+  }
+  if (delivered) $set.deliveredAt = new Date()
+  if (!delivered && !exhausted) {
+    $set.nextAttemptAt = new Date(Date.now() + WEBHOOK_CONFIG.retryDelaysSec[attempts - 1] * 1000)
+  }
+
+  try {
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { $set, $push: { attemptLog: attempt } })
+    await WebhookSubscription.updateOne(
+      { _id: subscription._id },
+      delivered
+        ? { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: "delivered", consecutiveFailures: 0 } }
+        : { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: "failed" }, $inc: { consecutiveFailures: 1 } },
+    )
+  } catch (error) {
+    console.log(`⚠️ [WEBHOOKS] Failed to record attempt for ${delivery._id}: ${error.message}`)
+  }
+
+  if (delivered) {
+    console.log(`📤 [WEBHOOKS] ${delivery.event} → ${subscription.url} delivered (attempt ${attempts}, ${attempt.durationMs}ms)`)
+  } else {
+    console.log(`⚠️ [WEBHOOKS] ${delivery.event} → ${subscription.url} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${attempt.error}`)
+  }
+  return delivered
+}
+
+/**
+ * Queue an event for every active subscription of the client that wants it and try each delivery right away.
+ * Never throws; webhook trouble must not affect the call.
+ * @param {string} clientId
+ * @param {string} event - one of WEBHOOK_EVENTS
+ * @param {Object} data - event body (serialised to JSON)
+ */
+const emitWebhookEvent = async (clientId, event, data = {}) => {
+  if (!clientId || !WEBHOOK_EVENTS.includes(event)) return
+  try {
+    const subscriptions = await WebhookSubscription.find({ clientId: String(clientId), isActive: true }).select("+secret")
+    const targets = subscriptions.filter((subscription) => subscription.matchesEvent(event))
+    if (!targets.length) return
+
+    const createdAt = new Date().toISOString()
+    for (const subscription of targets) {
+      const _id = new mongoose.Types.ObjectId()
+      // Stored exactly as sent so a redelivery is byte-for-byte the same body
+      const payload = JSON.parse(JSON.stringify({ id: String(_id), event, createdAt, clientId: String(clientId), data }))
+      const delivery = await WebhookDelivery.create({
+        _id,
+        clientId: String(clientId),
+        subscriptionId: subscription._id,
+        event,
+        payload,
+        nextAttemptAt: new Date(Date.now() + WEBHOOK_CONFIG.leaseMs),
+      })
+      attemptDelivery(delivery, subscription).catch(() => {})
+    }
+  } catch (error) {
+    console.log(`❌ [WEBHOOKS] Failed to queue ${event} for client ${clientId}: ${error.message}`)
+  }
+}
+
+// Claim due retries one at a time (the lease keeps a second server instance off the same delivery)
+const processDueDeliveries = async () => {
+  let processed = 0
+  while (processed < WEBHOOK_CONFIG.batchSize) {
+    const now = new Date()
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + WEBHOOK_CONFIG.leaseMs) } },
+      { sort: { nextAttemptAt: 1 }, new: true },
+    )
+    if (!delivery) break
+    processed++
+
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select("+secret")
+    if (!subscription || !subscription.isActive) {
+      await WebhookDelivery.updateOne(
+        { _id: delivery._id },
+        { $set: { status: "failed", lastError: "Subscription was removed or deactivated" } },
+      )
+      continue
+    }
+    await attemptDelivery(delivery, subscription)
+  }
+  return processed
+}
+
+/**
+ * Send a logged delivery again with a fresh retry budget (same payload and delivery id)
+ * @returns {Promise<Object|null>} the updated delivery, or null when it does not exist for this client
+ */
+const redeliverWebhook = async (deliveryId, clientId = null) => {
+  const filter = { _id: deliveryId }
+  if (clientId) filter.clientId = String(clientId)
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    filter,
+    { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date(Date.now() + WEBHOOK_CONFIG.leaseMs), redeliveredAt: new Date() } },
+    { new: true },
+  )
+  if (!delivery) return null
+
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select("+secret")
+  if (!subscription || !subscription.isActive) {
+    const error = new Error("Subscription was removed or deactivated")
+    error.code = "subscription_inactive"
+    throw error
+  }
+  await attemptDelivery(delivery, subscription)
+  return WebhookDelivery.findById(delivery._id).select("-attemptLog.responseBody").lean()
+}
+
+// Live call bus → webhook events (call.ended and credits.billed are emitted where the call is finalised and billed)
+const onCallEvent = ({ callId, clientId, type, data, at }) => {
+  if (!clientId) return
+  const call = callEvents.getCall(callId) || {}
+  const base = { callId, callLogId: call.callLogId || null, agentId: call.agentId || null, transport: call.transport || null }
+  if (type === "call_start") {
+    const { supervisorActions, lastEventAt, ...summary } = data.call || {}
+    emitWebhookEvent(clientId, "call.started", { ...base, ...summary })
+  } else if (type === "transcript") {
+    emitWebhookEvent(clientId, "transcript.turn", { ...base, role: data.role, text: data.text, language: data.language, at })
+  } else if (type === "lead_status") {
+    emitWebhookEvent(clientId, "lead_status.changed", { ...base, leadStatus: data.leadStatus, previous: data.previous || null, at })
+  }
+}
+
+let sweepTimer = null
+
+const startWebhookWorker = () => {
+  if (sweepTimer) return
+  callEvents.on("event", onCallEvent)
+  sweepTimer = setInterval(() => {
+    processDueDeliveries().catch((error) => console.log(`❌ [WEBHOOKS] Retry sweep failed: ${error.message}`))
+  }, WEBHOOK_CONFIG.sweepIntervalMs)
+  sweepTimer.unref?.()
+  console.log(`📤 [WEBHOOKS] Delivery worker started (retry sweep every ${WEBHOOK_CONFIG.sweepIntervalMs / 1000}s)`)
+}
+
+const stopWebhookWorker = () => {
+  if (!sweepTimer) return
+  clearInterval(sweepTimer)
+  sweepTimer = null
+  callEvents.off("event", onCallEvent)
+}
+
+module.exports = {
+  emitWebhookEvent,
+  redeliverWebhook,
+  processDueDeliveries,
+  startWebhookWorker,
+  stopWebhookWorker,
+  signPayload,
+  verifySignature,
+  assertPublicWebhookUrl,
+  WEBHOOK_EVENTS,
+  WEBHOOK_CONFIG,
+}
@@ -4,6 +4,36 @@ const mongoose = require("mongoose")
 const Agent = require("../models/Agent")
 const CallLog = require("../models/CallLog")
 const Credit = require("../models/Credit")
+const Campaign = require("../models/Campaign")
+const { createSttProvider, resolveSttProviderName } = require("./stt-providers")
+const { createTtsProvider, resolveTtsProviderName } = require("./tts-providers")
+const { createLlmProvider, resolveLlmProviderName } = require("./llm-providers")
+const { resolveCallApiKeys, providerKeyOptions } = require("../utils/api-key-resolver")
+const { warmKnowledgeBase, retrieveKnowledge, formatKnowledgeContext } = require("../utils/knowledge-base")
+const { getActiveTools, runLlmWithTools } = require("../utils/agent-tools")
+const {
+  detectTransferIntent,
+  matchesTransferKeyword,
+  prepareWarmTransfer,
+  buildTransferEvent,
+  handleTransferStatus,
+  releaseUnfinishedTransfer,
+} = require("../utils/call-transfer")
+const { IvrSession, extractDtmfDigit, loadRoutedAgent } = require("../utils/ivr")
+const { startCallRecording } = require("../utils/call-recorder")
+const { callEvents } = require("../utils/call-events")
+const { addWhisper, formatWhisperContext } = require("../utils/supervisor")
+const { emitWebhookEvent } = require("../utils/webhooks")
+const { checkPlanLimit } = require("../utils/plan-limits")
+const { extractCallData } = require("../utils/call-extraction")
+const { scoreTurnSentiment, summarizeSentiment, alertReason } = require("../utils/sentiment")
+const { scheduleFollowUpFromCall, attachFollowUpCall, formatFollowUpContext } = require("../utils/follow-ups")
+const { AnsweringMachineDetector } = require("../utils/answering-machine")
+const { LanguageSwitchTracker } = require("../utils/language-detection")
+const { BargeInDetector, clearPlaybackMessage } = require("../utils/barge-in")
+const { IdleMonitor, idlePrompt } = require("../utils/idle-monitor")
+const { CallMeter, limitPrompt } = require("../utils/call-meter")
+const { reserveCallCredits, refreshCallHold, reserveMessageCredits } = require("../utils/credit-holds")
 
 // Language detection removed - using default language from agent config
 
@@ -73,6 +103,18 @@ const sendWhatsAppTemplateMessage = async (toNumber, link = null, whatsappUrl =
   }
 }
 
+// Daily message limit of the client's plan; a failed lookup does not block the send (credits still gate it)
+const planAllowsWhatsApp = async (clientId) => {
+  try {
+    const check = await checkPlanLimit(clientId, "whatsapp")
+    if (!check.allowed) console.log(`🛑 [PLAN-LIMIT] WhatsApp refused for client ${clientId}: ${check.reason}`)
+    return check.allowed
+  } catch (error) {
+    console.log(`⚠️ [PLAN-LIMIT] WhatsApp limit check failed: ${error.message}`)
+    return true
+  }
+}
+
 // Resolve WhatsApp link from agent config
 const getAgentWhatsappLink = (agent) => {
   try {
@@ -100,79 +142,6 @@ const createTimer = (label) => {
   }
 }
 
-// Language mapping for TTS and STT services
-const LANGUAGE_MAPPING = {
-  hi: "hi-IN",
-  en: "en-IN",
-  bn: "bn-IN",
-  te: "te-IN",
-  ta: "ta-IN",
-  mr: "mr-IN",
-  gu: "gu-IN",
-  kn: "kn-IN",
-  ml: "ml-IN",
-  pa: "pa-IN",
-  or: "or-IN",
-  as: "as-IN",
-  ur: "ur-IN",
-}
-
-const getSarvamLanguage = (language = "hi") => {
-  const lang = language?.toLowerCase() || "hi"
-  return LANGUAGE_MAPPING[lang] || "hi-IN"
-}
-
-const getDeepgramLanguage = (language = "hi") => {
-  const lang = language?.toLowerCase() || "hi"
-  if (lang === "hi") return "hi"
-  if (lang === "en") return "en-IN"
-  if (lang === "mr") return "mr"
-  return lang
-}
-
-// Valid Sarvam voice options
-const VALID_SARVAM_VOICES = new Set([
-  "abhilash",
-  "anushka",
-  "meera",
-  "pavithra",
-  "maitreyi",
-  "arvind",
-  "amol",
-  "amartya",
-  "diya",
-  "neel",
-  "misha",
-  "vian",
-  "arjun",
-  "maya",
-  "manisha",
-  "vidya",
-  "arya",
-  "karun",
-  "hitesh",
-])
-
-const getValidSarvamVoice = (voiceSelection = "pavithra") => {
-  const normalized = (voiceSelection || "").toString().trim().toLowerCase()
-  if (VALID_SARVAM_VOICES.has(normalized)) {
-    return normalized
-  }
-
-  const voiceMapping = {
-    "male-professional": "arvind",
-    "female-professional": "pavithra",
-    "male-friendly": "amol",
-    "female-friendly": "maya",
-    neutral: "pavithra",
-    default: "pavithra",
-    male: "arvind",
-    female: "pavithra",
-  }
-
-  return voiceMapping[normalized] || "pavithra"
-}
-
 // Utility function to decode base64 extra data
 const decodeExtraData = (extraBase64) => {
   try {
@@ -210,7 +179,7 @@ const ALLOWED_LEAD_STATUSES = new Set([
   'vvi', 'maybe', 'enrolled',
   'junk_lead', 'not_required', 'enrolled_other', 'decline', 'not_eligible', 'wrong_number',
   'hot_followup', 'cold_followup', 'schedule',
-  'not_connected'
+  'not_connected', 'voicemail'
 ]);
 
 const normalizeLeadStatus = (value, fallback = 'maybe') => {
@@ -246,6 +215,14 @@ class EnhancedCallLogger {
     this.whatsappSent = false // Track if WhatsApp was already sent
     this.whatsappRequested = false // Track if user requested WhatsApp
     this.currentLanguage = 'en' // Track current language from agent config
+    this.sttProvider = 'deepgram' // STT adapter in use (from agent sttSelection)
+    this.ttsProvider = 'sarvam' // TTS adapter in use (from agent ttsSelection)
+    this.llmProvider = 'openai' // LLM adapter in use (from agent llmSelection)
+    this.callEndedNotified = false // call.ended webhook goes out once even though stop and close both save
+    this.sentimentTimeline = [] // scored caller turns, see recordSentiment
+    this.followUpScheduled = false // stop and close both save; one follow-up task per call
+    this.answeringMachine = null // outbound answering-machine verdict, see markAnsweringMachine
+    this.languageSwitches = [] // mid-call language changes, see recordLanguageSwitch
   }
 
   // Create initial call log entry immediately when call starts
@@ -269,9 +246,9 @@ class EnhancedCallLogger {
           callDirection: this.callDirection,
           isActive: true,
           lastUpdated: new Date(),
-          sttProvider: 'deepgram',
-          ttsProvider: 'sarvam',
-          llmProvider: 'openai',
+          sttProvider: this.sttProvider,
+          ttsProvider: this.ttsProvider,
+          llmProvider: this.llmProvider,
           customParams: this.customParams || {},
           callerId: this.callerId || undefined,
         },
@@ -442,7 +419,7 @@ class EnhancedCallLogger {
       console.log("🎤 [GRACEFUL-END] Starting goodbye message TTS...")
       
       if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        const tts = new SimplifiedSarvamTTSProcessor(this.currentLanguage, this.ws, this.streamSid, this.callLogger)
+        const tts = createCallTTS(this.currentLanguage, this.ws, this.streamSid)
         
         // Start TTS synthesis but don't wait for completion
         tts.synthesizeAndStream(message).catch(err => 
@@ -537,7 +514,7 @@ class EnhancedCallLogger {
       // 2. Start TTS synthesis first to ensure message is sent (non-blocking, but wait for start)
       let ttsStarted = false
       if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        const tts = new SimplifiedSarvamTTSProcessor(language, this.ws, this.streamSid, this.callLogger)
+        const tts = createCallTTS(language, this.ws, this.streamSid)
         
         // Start TTS and wait for it to begin
         try {
@@ -616,7 +593,7 @@ class EnhancedCallLogger {
       
       // 2. Start TTS synthesis and wait for completion
       if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        const tts = new SimplifiedSarvamTTSProcessor(language, this.ws, this.streamSid, this.callLogger)
+        const tts = createCallTTS(language, this.ws, this.streamSid)
         
         try {
           console.log(`⏱️ [CONTROLLED-TERMINATE] Starting TTS synthesis...`)
@@ -648,10 +625,11 @@ class EnhancedCallLogger {
       text: transcript,
       language: this.currentLanguage,
       timestamp: timestamp,
-      source: "deepgram",
+      source: this.sttProvider,
     }
 
     this.transcripts.push(entry)
+    callEvents.publish(this.streamSid, "transcript", { role: "user", text: transcript, language: this.currentLanguage })
     this.pendingTranscripts.push(entry)
     
     // Trigger batch save
@@ -665,10 +643,11 @@ class EnhancedCallLogger {
       text: response,
       language: this.currentLanguage,
       timestamp: timestamp,
-      source: "sarvam",
+      source: this.ttsProvider,
     }
 
     this.responses.push(entry)
+    callEvents.publish(this.streamSid, "transcript", { role: "ai", text: response, language: this.currentLanguage })
     this.pendingTranscripts.push(entry)
     
     // Trigger batch save
@@ -740,6 +719,45 @@ class EnhancedCallLogger {
     })
   }
 
+  // call.ended webhook with the final CallLog fields (disposition is only known after saveToDatabase)
+  notifyCallEnded(callLog) {
+    if (this.callEndedNotified || !callLog) return
+    this.callEndedNotified = true
+    emitWebhookEvent(callLog.clientId, "call.ended", {
+      callId: this.streamSid,
+      callLogId: String(callLog._id),
+      agentId: callLog.agentId ? String(callLog.agentId) : null,
+      transport: "ws",
+      mobile: callLog.mobile,
+      direction: this.callDirection,
+      uniqueid: this.uniqueid || null,
+      startedAt: this.callStartTime,
+      endedAt: callLog.metadata?.callEndTime || new Date(),
+      durationSec: callLog.duration,
+      leadStatus: callLog.leadStatus,
+      disposition: callLog.disposition || null,
+      subDisposition: callLog.subDisposition || null,
+      dispositionId: callLog.dispositionId || null,
+      subDispositionId: callLog.subDispositionId || null,
+      extraction: callLog.extraction?.status ? callLog.extraction : null,
+      sentiment: callLog.sentiment?.label ? callLog.sentiment : null,
+      answeringMachine: callLog.answeringMachine?.result ? callLog.answeringMachine : null,
+      transcript: callLog.transcript || "",
+    }).catch(() => {})
+  }
+
+  // Callback requests (schedule / hot_followup / cold_followup) become a follow-up task; runs in the background
+  scheduleFollowUp(callLog, agentConfig) {
+    if (this.followUpScheduled || !callLog) return
+    this.followUpScheduled = true
+    scheduleFollowUpFromCall({
+      callLog,
+      agent: agentConfig,
+      conversationHistory: this.generateConversationHistory(),
+      keyOptions: this.analysisKeyOptions(),
+    }).catch((error) => console.log(`❌ [FOLLOW-UP] Scheduling failed for ${callLog._id}: ${error.message}`))
+  }
+
   // Generate full transcript
   generateFullTranscript() {
     const allEntries = [...this.transcripts, ...this.responses].sort(
@@ -770,6 +788,13 @@ class EnhancedCallLogger {
       }
 
       const leadStatus = normalizeLeadStatus(leadStatusInput, 'maybe')
+      // A voicemail greeting has nothing to extract or classify
+      const reachedMachine = this.answeringMachine?.result === 'machine'
+
+      // Fill the agent's extraction schema while the disposition is being detected
+      const extractionPromise = !reachedMachine && agentConfig?.extractionSchema?.length
+        ? extractCallData(this.generateConversationHistory(), agentConfig.extractionSchema, this.analysisKeyOptions()).catch(() => null)
+        : Promise.resolve(null)
 
       // Detect disposition based on conversation history and agent's depositions
       let disposition = null
@@ -777,11 +802,11 @@ class EnhancedCallLogger {
       let dispositionId = null
       let subDispositionId = null
       
-      if (agentConfig && agentConfig.depositions && Array.isArray(agentConfig.depositions) && agentConfig.depositions.length > 0) {
+      if (!reachedMachine && agentConfig && agentConfig.depositions && Array.isArray(agentConfig.depositions) && agentConfig.depositions.length > 0) {
         try {
           console.log("🔍 [DISPOSITION-DETECTION] Analyzing conversation for disposition...")
           const conversationHistory = this.generateConversationHistory()
-          const dispositionResult = await detectDispositionWithOpenAI(conversationHistory, agentConfig.depositions)
+          const dispositionResult = await detectDispositionWithOpenAI(conversationHistory, agentConfig.depositions, this.analysisKeyOptions())
           disposition = dispositionResult.disposition
           subDisposition = dispositionResult.subDisposition
           dispositionId = dispositionResult.dispositionId
@@ -798,6 +823,7 @@ class EnhancedCallLogger {
       } else {
         console.log(`⚠️ [DISPOSITION-DETECTION] No depositions configured for agent`)
       }
+      const extraction = await extractionPromise
 
       if (this.isCallLogCreated && this.callLogId) {
         // Update existing call log with final data
@@ -809,11 +835,15 @@ class EnhancedCallLogger {
           subDisposition: subDisposition,
           dispositionId: dispositionId,
           subDispositionId: subDispositionId,
+          ...(extraction ? { extraction } : {}),
+          ...this.getSentimentFields(),
+          ...(this.answeringMachine ? { answeringMachine: this.answeringMachine } : {}),
           streamSid: this.streamSid,
           callSid: this.callSid,
           'metadata.userTranscriptCount': this.transcripts.length,
           'metadata.aiResponseCount': this.responses.length,
           'metadata.languages': [...new Set([...this.transcripts, ...this.responses].map(e => e.language))],
+          'metadata.languageSwitches': this.languageSwitches,
           'metadata.callEndTime': callEndTime,
           'metadata.isActive': false,
           'metadata.lastUpdated': callEndTime,
@@ -828,6 +858,8 @@ class EnhancedCallLogger {
         )
 
         console.log(`🕒 [FINAL-CALL-LOG-SAVE] ${timer.end()}ms - Updated: ${updatedLog._id}`)
+        this.notifyCallEnded(updatedLog)
+        this.scheduleFollowUp(updatedLog, agentConfig)
         return updatedLog
       } else {
         // Fallback: create new call log if initial creation failed
@@ -842,12 +874,16 @@ class EnhancedCallLogger {
           subDisposition: subDisposition,
           dispositionId: dispositionId,
           subDispositionId: subDispositionId,
+          ...(extraction ? { extraction } : {}),
+          ...this.getSentimentFields(),
+          ...(this.answeringMachine ? { answeringMachine: this.answeringMachine } : {}),
           streamSid: this.streamSid,
           callSid: this.callSid,
           metadata: {
             userTranscriptCount: this.transcripts.length,
             aiResponseCount: this.responses.length,
             languages: [...new Set([...this.transcripts, ...this.responses].map(e => e.language))],
+            languageSwitches: this.languageSwitches,
             callEndTime: callEndTime,
             callDirection: this.callDirection,
             isActive: false,
@@ -859,6 +895,8 @@ class EnhancedCallLogger {
         const callLog = new CallLog(callLogData)
         const savedLog = await callLog.save()
         console.log(`🕒 [FINAL-CALL-LOG-SAVE] ${timer.end()}ms - Created: ${savedLog._id}`)
+        this.notifyCallEnded(savedLog)
+        this.scheduleFollowUp(savedLog, agentConfig)
         return savedLog
       }
     } catch (error) {
@@ -890,15 +928,88 @@ class EnhancedCallLogger {
     if (this.streamSid) {
       activeCallLoggers.delete(this.streamSid)
       console.log(`📋 [ACTIVE-CALL-LOGGERS] Removed call logger for streamSid: ${this.streamSid}`)
+      callEvents.endCall(this.streamSid, {
+        leadStatus: this.currentLeadStatus,
+        sentiment: summarizeSentiment(this.sentimentTimeline),
+        callLogId: this.callLogId ? String(this.callLogId) : null,
+      })
     }
   }
 
+  // The client's OpenAI key for the transcript classifiers, resolved with the call's other provider keys
+  analysisKeyOptions() {
+    return providerKeyOptions(this.ws?.sessionApiKeys?.analysis)
+  }
+
   // Update lead status
   updateLeadStatus(newStatus) {
+    // A machine stays "voicemail" whatever its greeting sounded like
+    if (this.answeringMachine?.result === 'machine') return
+    if (newStatus !== this.currentLeadStatus) {
+      callEvents.publish(this.streamSid, "lead_status", { leadStatus: newStatus, previous: this.currentLeadStatus })
+    }
     this.currentLeadStatus = newStatus
     console.log(`📊 [LEAD-STATUS] Updated to: ${newStatus}`)
   }
 
+  // Score a caller turn in the background (only with the client's own OpenAI key); sharply negative or frustrated turns are raised as live alerts
+  async recordSentiment(text, conversationHistory, language) {
+    const turn = this.transcripts.length
+    const scored = await scoreTurnSentiment(text, conversationHistory, language, this.analysisKeyOptions())
+    if (!scored) return null
+
+    const entry = { turn, text, language, ...scored, alert: alertReason(scored) || undefined, at: new Date() }
+    this.sentimentTimeline.push(entry)
+    if (this.callLogId) {
+      CallLog.recordSentimentTurn(this.callLogId, entry).catch((error) => {
+        console.log(`⚠️ [SENTIMENT] Failed to store turn ${turn}: ${error.message}`)
+      })
+    }
+
+    callEvents.publish(this.streamSid, "sentiment", entry)
+    if (entry.alert) {
+      console.log(`🚨 [SENTIMENT] Turn ${turn} ${entry.alert}: score=${entry.score} frustration=${entry.frustration}`)
+      callEvents.publish(this.streamSid, "sentiment_alert", { ...entry, leadStatus: this.currentLeadStatus })
+    }
+    return entry
+  }
+
+  // Timeline in turn order (scores can finish out of order) and the call-level summary for the final save
+  getSentimentFields() {
+    if (!this.sentimentTimeline.length) return {}
+    const sentimentTimeline = [...this.sentimentTimeline].sort((a, b) => a.turn - b.turn)
+    return { sentimentTimeline, sentiment: summarizeSentiment(sentimentTimeline) }
+  }
+
+  // Switch the language later transcripts and responses are logged in, and store the change right away
+  recordLanguageSwitch(from, to, details = {}) {
+    const entry = { from, to, source: details.source || 'detected', confidence: details.confidence, text: details.text, at: new Date() }
+    this.currentLanguage = to
+    this.languageSwitches.push(entry)
+    callEvents.publish(this.streamSid, "language_switch", entry)
+    if (this.callLogId) {
+      CallLog.updateOne(
+        { _id: this.callLogId },
+        { $push: { 'metadata.languageSwitches': entry }, $addToSet: { 'metadata.languages': to } },
+      ).catch((error) => {
+        console.log(`⚠️ [LANGUAGE] Failed to store language switch: ${error.message}`)
+      })
+    }
+  }
+
+  // Record the answering-machine verdict; a machine ends the call as "voicemail" so campaigns retry it
+  markAnsweringMachine(verdict) {
+    this.answeringMachine = verdict
+    if (verdict.result !== 'machine') return
+    callEvents.publish(this.streamSid, "lead_status", { leadStatus: 'voicemail', previous: this.currentLeadStatus, answeringMachine: verdict })
+    this.currentLeadStatus = 'voicemail'
+    if (this.callLogId) {
+      CallLog.updateOne({ _id: this.callLogId }, { $set: { leadStatus: 'voicemail', answeringMachine: verdict } }).catch((error) => {
+        console.log(`⚠️ [AMD] Failed to store verdict: ${error.message}`)
+      })
+    }
+  }
+
   // Mark WhatsApp as sent
   markWhatsAppSent() {
     this.whatsappSent = true
@@ -907,6 +1018,7 @@ class EnhancedCallLogger {
 
   // Mark WhatsApp as requested
   markWhatsAppRequested() {
+    if (!this.whatsappRequested) callEvents.publish(this.streamSid, "whatsapp_request", { leadStatus: this.currentLeadStatus })
     this.whatsappRequested = true
     console.log(`📨 [WHATSAPP-TRACKING] Marked as requested by user`)
   }
@@ -952,119 +1064,38 @@ class EnhancedCallLogger {
   }
 }
 
-// Simplified OpenAI processing
-const processWithOpenAI = async (
-  userMessage,
-  conversationHistory,
-  language,
-  callLogger,
-  agentConfig,
-  userName = null,
-) => {
-  const timer = createTimer("LLM_PROCESSING")
-
-  try {
-    // Build a stricter system prompt that embeds firstMessage and sets answering policy
-    const basePrompt = agentConfig.systemPrompt || "You are a helpful AI assistant."
-    const firstMessage = (agentConfig.firstMessage || "").trim()
-    const knowledgeBlock = firstMessage
-      ? `FirstGreeting: "${firstMessage}"\n`
-      : ""
-
-    const policyBlock = [
-      "Answer strictly using the information provided above.",
-      "If the user asks for address, phone, timings, or other specifics, check the System Prompt or FirstGreeting.",
-      "If the information is not present, reply briefly that you don't have that information.",
-      "Always end your answer with a short, relevant follow-up question to keep the conversation going.",
-      "Keep the entire reply under 100 tokens.",
-      "Use the language of the user's message in the same language give the response.",
-    ].join(" ")
-
-    const systemPrompt = `System Prompt:\n${basePrompt}\n\n${knowledgeBlock}${policyBlock}`
-
-    const personalizationMessage = userName && userName.trim()
-      ? { role: "system", content: `The user's name is ${userName.trim()}. Address them by name naturally when appropriate.` }
-      : null
-
-    const messages = [
-      { role: "system", content: systemPrompt },
-      ...(personalizationMessage ? [personalizationMessage] : []),
-      ...conversationHistory.slice(-6),
-      { role: "user", content: userMessage },
-    ]
-
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${API_KEYS.openai}`,
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages,
-        max_tokens: 120,
-        temperature: 0.3,
-      }),
-    })
-
-    if (!response.ok) {
-      console.log(`❌ [LLM-PROCESSING] ${timer.end()}ms - Error: ${response.status}`)
-      return null
-    }
-
-    const data = await response.json()
-    let fullResponse = data.choices[0]?.message?.content?.trim()
-
-    console.log(`🕒 [LLM-PROCESSING] ${timer.end()}ms - Response generated`)
-
-    // Ensure a follow-up question is present at the end
-    if (fullResponse) {
-      const needsFollowUp = !/[?]\s*$/.test(fullResponse)
-      if (needsFollowUp) {
-        const followUps = {
-          hi: "क्या मैं और किसी बात में आपकी मदद कर सकता/सकती हूँ?",
-          en: "Is there anything else I can help you with?",
-          bn: "আর কিছু কি আপনাকে সাহায্য করতে পারি?",
-          ta: "வேறு எதற்காவது உதவி வேண்டுமா?",
-          te: "ఇంకేమైనా సహాయం కావాలా?",
-          mr: "आणखी काही मदत हवी आहे का?",
-          gu: "શું બીજી કોઈ મદદ કરી શકું?",
-        }
-        const fu = followUps[language] || followUps.en
-        fullResponse = `${fullResponse} ${fu}`.trim()
-      }
-    }
-
-    if (callLogger && fullResponse) {
-      callLogger.logAIResponse(fullResponse)
-    }
-
-    return fullResponse
-  } catch (error) {
-    console.log(`❌ [LLM-PROCESSING] ${timer.end()}ms - Error: ${error.message}`)
-    return null
-  }
-}
-
-// Streaming OpenAI completion that emits partials via callback (reference: sanpbx-server.js)
-const processWithOpenAIStream = async (
+// Streaming completion through the agent's LLM provider; emits partials via callback (reference: sanpbx-server.js).
+// callContext ({ callLogId, streamSid, mobile, language, onFiller, keypadContext, supervisorContext, followUpContext, embeddingKey })
+// enables the agent's tools for this turn and carries IVR keypad input, supervisor whispers and the reason for a
+// follow-up call into the prompt.
+const processWithLLMStream = async (
   userMessage,
   conversationHistory,
   agentConfig,
   userName = null,
   onPartial = null,
+  llmKey = null,
+  callContext = null,
 ) => {
   const timer = createTimer("LLM_STREAMING")
+  const llm = createLlmProvider(agentConfig?.llmSelection, providerKeyOptions(llmKey))
   let accumulated = ""
   try {
-    if (!API_KEYS.openai) {
-      console.warn("⚠️ [LLM-STREAM] OPENAI_API_KEY not set; skipping generation")
+    if (!llm.apiKey) {
+      console.warn(`⚠️ [LLM-STREAM] No API key configured for ${llm.name}; skipping generation`)
       return null
     }
 
     const basePrompt = (agentConfig?.systemPrompt || "You are a helpful AI assistant. Answer concisely.").trim()
     const firstMessage = (agentConfig?.firstMessage || "").trim()
     const knowledgeBlock = firstMessage ? `FirstGreeting: "${firstMessage}"\n` : ""
+    const passages = agentConfig?.knowledgeBase?.length
+      ? await retrieveKnowledge(agentConfig._id, userMessage, providerKeyOptions(callContext?.embeddingKey))
+      : []
+    if (passages.length) {
+      console.log(`📚 [LLM-STREAM] ${passages.length} knowledge-base passages added (top score ${passages[0].score.toFixed(2)})`)
+    }
+    const retrievedBlock = formatKnowledgeContext(passages)
     const policyBlock = [
       "Answer strictly using the information provided above.",
       "If specifics (address/phone/timings) are missing, say you don't have that info.",
@@ -1073,7 +1104,7 @@ const processWithOpenAIStream = async (
       "dont give any fornts or styles in it or symbols in it",
       "in which language you get the transcript in same language give response in same language"
     ].join(" ")
-    const systemPrompt = `System Prompt:\n${basePrompt}\n\n${knowledgeBlock}${policyBlock}`
+    const systemPrompt = `System Prompt:\n${basePrompt}\n\n${knowledgeBlock}${retrievedBlock}${policyBlock}`
     const personalizationMessage = userName && userName.trim()
       ? { role: "system", content: `The user's name is ${userName.trim()}. Address them naturally when appropriate.` }
       : null
@@ -1081,72 +1112,54 @@ const processWithOpenAIStream = async (
     const messages = [
       { role: "system", content: systemPrompt },
       ...(personalizationMessage ? [personalizationMessage] : []),
+      ...(callContext?.keypadContext ? [{ role: "system", content: callContext.keypadContext }] : []),
+      ...(callContext?.supervisorContext ? [{ role: "system", content: callContext.supervisorContext }] : []),
+      ...(callContext?.followUpContext ? [{ role: "system", content: callContext.followUpContext }] : []),
       ...conversationHistory.slice(-6),
       { role: "user", content: userMessage },
     ]
 
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${API_KEYS.openai}`,
+    const { onFiller, keypadContext, supervisorContext, followUpContext, ...toolContext } = callContext || {}
+    const tools = callContext ? getActiveTools(agentConfig) : []
+    accumulated = await runLlmWithTools({
+      llm,
+      messages,
+      tools,
+      maxTokens: 120,
+      temperature: 0.3,
+      context: {
+        ...toolContext,
+        agentId: agentConfig?._id,
+        clientId: agentConfig?.clientId,
       },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages,
-        max_tokens: 120,
-        temperature: 0.3,
-        stream: true,
-      }),
-    })
-
-    if (!response.ok || !response.body) {
-      console.error(`❌ [LLM-STREAM] ${timer.end()}ms - HTTP ${response.status}`)
-      return null
-    }
-
-    const reader = response.body.getReader()
-    const decoder = new TextDecoder("utf-8")
-    let buffer = ""
-
-    while (true) {
-      const { value, done } = await reader.read()
-      if (done) break
-      buffer += decoder.decode(value, { stream: true })
-      const lines = buffer.split(/\r?\n/)
-      buffer = lines.pop() || ""
-      for (const line of lines) {
-        const trimmed = line.trim()
-        if (!trimmed) continue
-        if (trimmed === "data: [DONE]") {
-          break
+      onToolStart: onFiller,
+      onPartial: async (partial) => {
+        accumulated = partial
+        if (typeof onPartial === "function") {
+          await onPartial(partial)
         }
-        if (trimmed.startsWith("data:")) {
-          const jsonStr = trimmed.slice(5).trim()
-          try {
-            const chunk = JSON.parse(jsonStr)
-            const delta = chunk.choices?.[0]?.delta?.content || ""
-            if (delta) {
-              accumulated += delta
-              if (typeof onPartial === "function") {
-                try { await onPartial(accumulated) } catch (_) {}
-              }
-            }
-          } catch (_) {}
-        }
-      }
-    }
+      },
+    })
 
-    console.log(`🕒 [LLM-STREAM] ${timer.end()}ms - Streaming completed (${accumulated.length} chars)`) 
+    console.log(`🕒 [LLM-STREAM] ${timer.end()}ms - ${llm.name}/${llm.model} streaming completed (${accumulated.length} chars)`) 
     return accumulated || null
   } catch (error) {
-    console.error(`❌ [LLM-STREAM] ${timer.end()}ms - Error: ${error.message}`)
+    console.error(`❌ [LLM-STREAM] ${timer.end()}ms - ${llm.name} error: ${error.message}`)
     return accumulated || null
   }
 }
 
+// Authorization for the transcript classifiers below: the client's OpenAI key when one is stored
+// (counted against its usage), the platform key otherwise
+const openAiAuthorization = (keyOptions = {}) => {
+  if (typeof keyOptions.onRequest === "function") {
+    try { keyOptions.onRequest("openai") } catch (_) {}
+  }
+  return `Bearer ${keyOptions.apiKey || API_KEYS.openai}`
+}
+
 // Intelligent lead status detection using OpenAI
-const detectLeadStatusWithOpenAI = async (userMessage, conversationHistory, language) => {
+const detectLeadStatusWithOpenAI = async (userMessage, conversationHistory, language, keyOptions = {}) => {
   const timer = createTimer("LEAD_STATUS_DETECTION")
   try {
     const leadStatusPrompt = `Analyze the user's interest level and conversation context to determine the appropriate lead status.
@@ -1175,7 +1188,7 @@ Return ONLY the status code (e.g., "vvi", "maybe", "enrolled", etc.) based on th
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        Authorization: `Bearer ${API_KEYS.openai}`,
+        Authorization: openAiAuthorization(keyOptions),
       },
       body: JSON.stringify({
         model: "gpt-4o-mini",
@@ -1212,7 +1225,7 @@ Return ONLY the status code (e.g., "vvi", "maybe", "enrolled", etc.) based on th
 }
 
 // Intelligent call disconnection detection using OpenAI
-const detectCallDisconnectionIntent = async (userMessage, conversationHistory, language) => {
+const detectCallDisconnectionIntent = async (userMessage, conversationHistory, language, keyOptions = {}) => {
   const timer = createTimer("DISCONNECTION_DETECTION")
   try {
     const disconnectionPrompt = `Analyze if the user wants to end/disconnect the call. Look for:
@@ -1229,7 +1242,7 @@ Return ONLY: "DISCONNECT" if they want to end the call, or "CONTINUE" if they wa
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        Authorization: `Bearer ${API_KEYS.openai}`,
+        Authorization: openAiAuthorization(keyOptions),
       },
       body: JSON.stringify({
         model: "gpt-4o-mini",
@@ -1263,7 +1276,7 @@ Return ONLY: "DISCONNECT" if they want to end the call, or "CONTINUE" if they wa
 }
 
 // Intelligent WhatsApp request detection using OpenAI
-const detectWhatsAppRequest = async (userMessage, conversationHistory, language) => {
+const detectWhatsAppRequest = async (userMessage, conversationHistory, language, keyOptions = {}) => {
   const timer = createTimer("WHATSAPP_REQUEST_DETECTION")
   try {
     const whatsappPrompt = `Analyze if the user is asking for WhatsApp information, link, or contact details. Look for:
@@ -1281,7 +1294,7 @@ Return ONLY: "WHATSAPP_REQUEST" if they want WhatsApp info, or "NO_REQUEST" if n
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        Authorization: `Bearer ${API_KEYS.openai}`,
+        Authorization: openAiAuthorization(keyOptions),
       },
       body: JSON.stringify({
         model: "gpt-4o-mini",
@@ -1322,7 +1335,7 @@ Return ONLY: "WHATSAPP_REQUEST" if they want WhatsApp info, or "NO_REQUEST" if n
  * 
  * @param {Array} conversationHistory - Array of conversation messages with role and content
  * @param {Array} agentDepositions - Array of disposition objects from agent config
- * @param {String} detectedLanguage - Current language for context
+ * @param {Object} keyOptions - { apiKey, onRequest } for the client's OpenAI key (providerKeyOptions)
  * @returns {Object} - { disposition: string, subDisposition: string, dispositionId: string, subDispositionId: string }
  * 
  * Example agentDepositions:
@@ -1339,7 +1352,7 @@ Return ONLY: "WHATSAPP_REQUEST" if they want WhatsApp info, or "NO_REQUEST" if n
  *   }
  * ]
  */
-const detectDispositionWithOpenAI = async (conversationHistory, agentDepositions) => {
+const detectDispositionWithOpenAI = async (conversationHistory, agentDepositions, keyOptions = {}) => {
   const timer = createTimer("DISPOSITION_DETECTION")
   try {
     if (!agentDepositions || !Array.isArray(agentDepositions) || agentDepositions.length === 0) {
@@ -1385,7 +1398,7 @@ SUB_DISPOSITION: [exact sub-disposition or "N/A"]`
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        Authorization: `Bearer ${API_KEYS.openai}`,
+        Authorization: openAiAuthorization(keyOptions),
       },
       body: JSON.stringify({
         model: "gpt-4o-mini",
@@ -1467,261 +1480,31 @@ SUB_DISPOSITION: [exact sub-disposition or "N/A"]`
   }
 }
 
-// Simplified TTS processor
-class SimplifiedSarvamTTSProcessor {
-  constructor(language, ws, streamSid, callLogger = null) {
-    this.language = language
-    this.ws = ws
-    this.streamSid = streamSid
-    this.callLogger = callLogger
-    this.sarvamLanguage = getSarvamLanguage(language)
-    this.voice = getValidSarvamVoice(ws.sessionAgentConfig?.voiceSelection || "pavithra")
-    this.isInterrupted = false
-    this.currentAudioStreaming = null
-    this.totalAudioBytes = 0
-    this.pendingQueue = [] // { text, audioBase64, preparing }
-    this.isProcessingQueue = false
-  }
-
-  interrupt() {
-    this.isInterrupted = true
-    if (this.currentAudioStreaming) {
-      this.currentAudioStreaming.interrupt = true
-    }
-  }
-
-  reset(language) {
-    this.interrupt()
-    if (language) {
-      this.language = language
-      this.sarvamLanguage = getSarvamLanguage(language)
-    }
-    this.isInterrupted = false
-    this.totalAudioBytes = 0
-  }
-
-  async synthesizeAndStream(text) {
-    if (this.isInterrupted) return
-
-    const timer = createTimer("TTS_SYNTHESIS")
-
-    try {
-      const response = await fetch("https://api.sarvam.ai/text-to-speech", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "API-Subscription-Key": API_KEYS.sarvam,
-        },
-        body: JSON.stringify({
-          inputs: [text],
-          target_language_code: this.sarvamLanguage,
-          speaker: this.voice,
-          pitch: 0,
-          pace: 1.0,
-          loudness: 1.0,
-          speech_sample_rate: 8000,
-          enable_preprocessing: true,
-          model: "bulbul:v1",
-        }),
-      })
-
-      if (!response.ok || this.isInterrupted) {
-        if (!this.isInterrupted) {
-          console.log(`❌ [TTS-SYNTHESIS] ${timer.end()}ms - Error: ${response.status}`)
-          throw new Error(`Sarvam API error: ${response.status}`)
-        }
-        return
-      }
-
-      const responseData = await response.json()
-      const audioBase64 = responseData.audios?.[0]
-
-      if (!audioBase64 || this.isInterrupted) {
-        if (!this.isInterrupted) {
-          console.log(`❌ [TTS-SYNTHESIS] ${timer.end()}ms - No audio data received`)
-          throw new Error("No audio data received from Sarvam API")
-        }
-        return
-      }
-
-      console.log(`🕒 [TTS-SYNTHESIS] ${timer.end()}ms - Audio generated`)
-
-      if (!this.isInterrupted) {
-        const pcmBase64 = this.extractPcmLinear16Mono8kBase64(audioBase64)
-        await this.streamAudioOptimizedForSIP(pcmBase64)
-        const audioBuffer = Buffer.from(pcmBase64, "base64")
-        this.totalAudioBytes += audioBuffer.length
-      }
-    } catch (error) {
-      if (!this.isInterrupted) {
-        console.log(`❌ [TTS-SYNTHESIS] ${timer.end()}ms - Error: ${error.message}`)
-        throw error
-      }
-    }
-  }
-
-  async synthesizeToBuffer(text) {
-    const timer = createTimer("TTS_PREPARE")
-    const response = await fetch("https://api.sarvam.ai/text-to-speech", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", "API-Subscription-Key": API_KEYS.sarvam },
-      body: JSON.stringify({
-        inputs: [text], target_language_code: this.sarvamLanguage, speaker: this.voice,
-        pitch: 0, pace: 1.0, loudness: 1.0, speech_sample_rate: 8000, enable_preprocessing: true, model: "bulbul:v1",
-      }),
-    })
-    if (!response.ok) {
-      console.log(`❌ [TTS-PREPARE] ${timer.end()}ms - Error: ${response.status}`)
-      throw new Error(`Sarvam API error: ${response.status}`)
-    }
-    const data = await response.json()
-    const audioBase64 = data.audios?.[0]
-    if (!audioBase64) {
-      console.log(`❌ [TTS-PREPARE] ${timer.end()}ms - No audio data received`)
-      throw new Error("No audio data received from Sarvam API")
-    }
-    console.log(`🕒 [TTS-PREPARE] ${timer.end()}ms - Audio prepared`)
-    return audioBase64
-  }
-
-  async enqueueText(text) {
-    if (this.isInterrupted) return
-    const item = { text, audioBase64: null, preparing: true }
-    this.pendingQueue.push(item)
-    ;(async () => {
-      try { item.audioBase64 = await this.synthesizeToBuffer(text) } catch (_) { item.audioBase64 = null } finally { item.preparing = false }
-    })()
-    if (!this.isProcessingQueue) {
-      this.processQueue().catch(() => {})
-    }
-  }
-
-  async processQueue() {
-    if (this.isProcessingQueue) return
-    this.isProcessingQueue = true
-    try {
-      while (!this.isInterrupted && this.pendingQueue.length > 0) {
-        const item = this.pendingQueue[0]
-        if (!item.audioBase64) {
-          let waited = 0
-          while (!this.isInterrupted && item.preparing && waited < 3000) {
-            await new Promise(r => setTimeout(r, 20))
-            waited += 20
-          }
-        }
-        if (this.isInterrupted) break
-        const audioBase64 = item.audioBase64
-        this.pendingQueue.shift()
-        if (audioBase64) {
-          const pcmBase64 = this.extractPcmLinear16Mono8kBase64(audioBase64)
-          await this.streamAudioOptimizedForSIP(pcmBase64)
-          await new Promise(r => setTimeout(r, 60))
-        }
-      }
-    } finally {
-      this.isProcessingQueue = false
-    }
-  }
-
-  async streamAudioOptimizedForSIP(audioBase64) {
-    if (this.isInterrupted) return
-
-    const audioBuffer = Buffer.from(audioBase64, "base64")
-    const streamingSession = { interrupt: false }
-    this.currentAudioStreaming = streamingSession
-
-    const SAMPLE_RATE = 8000
-    const BYTES_PER_SAMPLE = 2
-    const BYTES_PER_MS = (SAMPLE_RATE * BYTES_PER_SAMPLE) / 1000
-    const OPTIMAL_CHUNK_SIZE = Math.floor(40 * BYTES_PER_MS)
-
-    let position = 0
-    let chunkIndex = 0
-    let successfulChunks = 0
-
-    // One-time stream header log to confirm format and base64 preview (for comparison with aitota.js)
-    try {
-      const estimatedMs = Math.floor(audioBuffer.length / BYTES_PER_MS)
-      console.log(`🎧 [SIP-STREAM:T3] Format=PCM s16le, Rate=${SAMPLE_RATE}Hz, Channels=1, Bytes=${audioBuffer.length}, EstDuration=${estimatedMs}ms, ChunkSize=${OPTIMAL_CHUNK_SIZE}`)
-      const previewChunk = audioBuffer.slice(0, Math.min(OPTIMAL_CHUNK_SIZE, audioBuffer.length))
-      const previewB64 = previewChunk.toString("base64")
-      console.log(`🎧 [SIP-STREAM:T3] FirstChunk Base64 (preview ${Math.min(previewB64.length, 120)} chars): ${previewB64.slice(0, 120)}${previewB64.length > 120 ? '…' : ''}`)
-    } catch (_) {}
-
-    while (position < audioBuffer.length && !this.isInterrupted && !streamingSession.interrupt) {
-      const remaining = audioBuffer.length - position
-      const chunkSize = Math.min(OPTIMAL_CHUNK_SIZE, remaining)
-      const chunk = audioBuffer.slice(position, position + chunkSize)
-
-      const mediaMessage = {
-        event: "media",
-        streamSid: this.streamSid,
-        media: {
-          payload: chunk.toString("base64"),
-        },
-      }
-
-      if (this.ws.readyState === WebSocket.OPEN && !this.isInterrupted) {
-        try {
-          if (chunkIndex === 0) {
-            console.log(`📤 [SIP-STREAM:T3] Sending first chunk: bytes=${chunk.length}, base64Len=${mediaMessage.media.payload.length}`)
-          }
-          this.ws.send(JSON.stringify(mediaMessage))
-          successfulChunks++
-        } catch (error) {
-          break
-        }
-      } else {
-        break
-      }
-
-      if (position + chunkSize < audioBuffer.length && !this.isInterrupted) {
-        const chunkDurationMs = Math.floor(chunk.length / BYTES_PER_MS)
-        const delayMs = Math.max(chunkDurationMs - 2, 10)
-        await new Promise((resolve) => setTimeout(resolve, delayMs))
-      }
-
-      position += chunkSize
-      chunkIndex++
-    }
-
-    this.currentAudioStreaming = null
-    console.log(`✅ [SIP-STREAM:T3] Completed: sentChunks=${successfulChunks}, totalBytes=${audioBuffer.length}`)
-  }
-
-  extractPcmLinear16Mono8kBase64(audioBase64) {
-    try {
-      const buf = Buffer.from(audioBase64, 'base64')
-      if (buf.length >= 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WAVE') {
-        let offset = 12
-        let dataOffset = null
-        let dataSize = null
-        while (offset + 8 <= buf.length) {
-          const chunkId = buf.toString('ascii', offset, offset + 4)
-          const chunkSize = buf.readUInt32LE(offset + 4)
-          const next = offset + 8 + chunkSize
-          if (chunkId === 'data') {
-            dataOffset = offset + 8
-            dataSize = chunkSize
-            break
-          }
-          offset = next
-        }
-        if (dataOffset != null && dataSize != null) {
-          return buf.slice(dataOffset, dataOffset + dataSize).toString('base64')
-        }
-      }
-      return audioBase64
-    } catch (_) {
-      return audioBase64
-    }
-  }
-
-  getStats() {
-    return {
-      totalAudioBytes: this.totalAudioBytes,
-    }
-  }
+// TTS adapter for the agent's ttsSelection, streamed to C-Zentrix as 40ms PCM16 media events
+const createCallTTS = (language, ws, streamSid) => {
+  const agentConfig = ws.sessionAgentConfig || {}
+  const tts = createTtsProvider(agentConfig.ttsSelection, {
+    language,
+    voice: agentConfig.languageDetection?.voices?.[language] || agentConfig.voiceSelection,
+    voiceId: agentConfig.ttsVoiceId,
+    ...providerKeyOptions(ws.sessionApiKeys?.tts),
+    output: {
+      encoding: "linear16",
+      frameMs: 40,
+      send: (frame) => {
+        if (ws.readyState !== WebSocket.OPEN) return false
+        ws.send(JSON.stringify({ event: "media", streamSid, media: { payload: frame.toString("base64") } }))
+        return true
+      },
+    },
+  })
+  // Bot leg of the call recording: frames as they were actually played
+  if (ws.callRecorder) tts.on("audio", (frame) => ws.callRecorder?.addBot(frame))
+  // Barge-in only listens for the caller while the bot is audible, and measures its echo from these frames
+  if (ws.bargeIn) tts.on("audio", (frame) => ws.bargeIn?.addBotAudio(frame))
+  // Caller silence is only counted once the bot stops talking
+  if (ws.idleMonitor) tts.on("audio", () => ws.idleMonitor?.botActivity())
+  return tts
 }
 
 // Enhanced agent lookup function with isActive check
@@ -1779,6 +1562,26 @@ const findAgentForCall = async (callData) => {
   }
 }
 
+// Move the Campaign.details entry for a dialed call (matched by czdata/extraData uniqueid) through its lifecycle
+const trackCampaignDetail = async (uniqueId, status, { callLogId = null, clientId = null } = {}) => {
+  if (!uniqueId) return
+  try {
+    const now = new Date()
+    const fields = { callLogId, ...(status === "ongoing" ? { startedAt: now } : { endedAt: now }) }
+    const campaign = await Campaign.updateDetailStatus(uniqueId, status, fields, clientId)
+    if (!campaign) {
+      console.log(`⚠️ [CAMPAIGN-TRACKING] No campaign detail to mark ${status} for uniqueid ${uniqueId}`)
+      return
+    }
+    console.log(`📋 [CAMPAIGN-TRACKING] ${campaign.name}: ${uniqueId} → ${status}`)
+    if (callLogId) {
+      await CallLog.updateOne({ _id: callLogId }, { $set: { campaignId: campaign._id } })
+    }
+  } catch (error) {
+    console.log(`❌ [CAMPAIGN-TRACKING] Failed to mark ${uniqueId} ${status}: ${error.message}`)
+  }
+}
+
 // Utility function to handle external call disconnection
 const handleExternalCallDisconnection = async (streamSid, reason = 'external_disconnection') => {
   try {
@@ -1824,107 +1627,398 @@ const setupUnifiedVoiceServer = (wss) => {
     let callDirection = "inbound"
     let agentConfig = null
     let userName = null
-
-    // Deepgram WebSocket connection
-    let deepgramWs = null
-    let deepgramReady = false
-    let deepgramAudioQueue = []
+    let activeTransfer = null // set once escalation to a human agent starts; the AI stops answering
+    let ivrSession = null // keypad menu in front of the AI conversation (Agent.ivr)
+    let keypadContext = "" // what the caller keyed in, injected into every LLM turn
+    let supervisorWhispers = [] // private supervisor instructions, injected into every LLM turn
+    let followUpContext = "" // earlier conversation when this outbound call is a requested follow-up
+    let ivrRouteCount = 0
+    let amd = null // answering-machine detector for the first seconds of an outbound call
+    let answeringMachine = null // set once a machine answered; the AI stops answering
+    let languageTracker = null // follows the caller's language from final transcripts (Agent.languageDetection)
+
+    // Speech-to-text adapter (selected from agentConfig.sttSelection)
+    let sttProvider = null
     let sttTimer = null
 
-    const connectToDeepgram = async () => {
+    const connectToStt = async () => {
       try {
-        const deepgramLanguage = getDeepgramLanguage(currentLanguage)
-
-        const deepgramUrl = new URL("wss://api.deepgram.com/v1/listen")
-        deepgramUrl.searchParams.append("sample_rate", "8000")
-        deepgramUrl.searchParams.append("channels", "1")
-        deepgramUrl.searchParams.append("encoding", "linear16")
-        deepgramUrl.searchParams.append("model", "nova-2")
-        deepgramUrl.searchParams.append("language", deepgramLanguage)
-        deepgramUrl.searchParams.append("interim_results", "true")
-        deepgramUrl.searchParams.append("smart_format", "true")
-        deepgramUrl.searchParams.append("endpointing", "300")
-
-        deepgramWs = new WebSocket(deepgramUrl.toString(), {
-          headers: { Authorization: `Token ${API_KEYS.deepgram}` },
+        sttProvider = createSttProvider(agentConfig?.sttSelection, {
+          language: currentLanguage,
+          sampleRate: 8000,
+          encoding: "linear16",
+          ...providerKeyOptions(ws.sessionApiKeys?.stt),
         })
 
-        deepgramWs.onopen = () => {
-          console.log("🎤 [DEEPGRAM] Connection established")
-          deepgramReady = true
-          console.log("🎤 [DEEPGRAM] Processing queued audio packets:", deepgramAudioQueue.length)
-          deepgramAudioQueue.forEach((buffer) => deepgramWs.send(buffer))
-          deepgramAudioQueue = []
+        sttProvider.on("transcript", (result) => {
+          handleSttTranscript(result).catch(() => {})
+        })
+        sttProvider.on("utteranceEnd", () => {
+          handleSttUtteranceEnd().catch(() => {})
+        })
+        sttProvider.on("error", (error) => {
+          console.log(`❌ [STT] ${sttProvider?.name} error:`, error.message)
+        })
+
+        await sttProvider.connect()
+      } catch (error) {
+        console.log("❌ [STT] Failed to connect speech recognizer:", error.message)
+      }
+    }
+
+    const handleSttTranscript = async ({ text: transcript, isFinal }) => {
+      if (answeringMachine) return
+      if (!sttTimer) {
+        sttTimer = createTimer("STT_TRANSCRIPTION")
+      }
+
+      if (transcript?.trim()) {
+        ws.idleMonitor?.callerActivity()
+        // A carrier or voicemail phrase stops the conversation before the AI answers it
+        amd?.addTranscript(transcript.trim(), isFinal)
+        if (answeringMachine) return
+
+        if (currentTTS && isProcessing) {
+          currentTTS.interrupt()
+          isProcessing = false
+          processingRequestId++
+          callEvents.publish(streamSid, "interruption", { source: "transcript", text: transcript.trim() })
+        }
+
+        if (isFinal) {
+          console.log(`🕒 [STT-TRANSCRIPTION] ${sttTimer.end()}ms - Text: "${transcript.trim()}"`)
+          sttTimer = null
+
+          // The caller moved to another language: reconnect STT and answer in it from this turn on
+          if (languageTracker && !ivrSession?.active && !activeTransfer) {
+            const detected = await languageTracker.observe(transcript.trim(), currentLanguage)
+            if (detected) {
+              switchLanguage(detected.language, { source: "detected", confidence: detected.confidence, text: transcript.trim() }).catch(() => {})
+            }
+          }
+
+          userUtteranceBuffer += (userUtteranceBuffer ? " " : "") + transcript.trim()
+
+          if (callLogger && transcript.trim()) {
+            callLogger.logUserTranscript(transcript.trim())
+          }
+
+          await processUserUtterance(userUtteranceBuffer)
+          userUtteranceBuffer = ""
         }
+      }
+    }
+
+    const handleSttUtteranceEnd = async () => {
+      if (answeringMachine) return
+      if (sttTimer) {
+        console.log(`🕒 [STT-TRANSCRIPTION] ${sttTimer.end()}ms - Text: "${userUtteranceBuffer.trim()}"`)
+        sttTimer = null
+      }
+
+      if (userUtteranceBuffer.trim()) {
+        if (callLogger && userUtteranceBuffer.trim()) {
+          callLogger.logUserTranscript(userUtteranceBuffer.trim())
+        }
+
+        await processUserUtterance(userUtteranceBuffer)
+        userUtteranceBuffer = ""
+      }
+    }
+
+    // Hand the caller to a human agent: play the handoff line, then ask the provider to bridge
+    // Resolves with the claimed HumanAgent, or null when nobody could take the call
+    const performWarmTransfer = async (text, reason = "caller_request", humanAgentIds = null) => {
+      if (activeTransfer) return null
+      activeTransfer = { status: "preparing" }
+      processingRequestId++ // drop any answer still streaming for this turn
+      isProcessing = false
+      if (currentTTS) currentTTS.interrupt()
+
+      const callerTurn = text ? [{ role: "user", content: text }] : []
+      try {
+        const result = await prepareWarmTransfer({
+          agent: agentConfig,
+          callLogId: callLogger?.callLogId,
+          conversationHistory: [...conversationHistory, ...callerTurn],
+          reason,
+          language: currentLanguage,
+          llmOptions: providerKeyOptions(ws.sessionApiKeys?.llm),
+          humanAgentIds,
+        })
+
+        const tts = createCallTTS(currentLanguage, ws, streamSid)
+        currentTTS = tts
 
-        deepgramWs.onmessage = async (event) => {
-          const data = JSON.parse(event.data)
-          await handleDeepgramResponse(data)
+        if (!result.humanAgent) {
+          activeTransfer = null
+          conversationHistory.push(...callerTurn, { role: "assistant", content: result.unavailableMessage })
+          if (callLogger) callLogger.logAIResponse(result.unavailableMessage)
+          await tts.synthesizeAndStream(result.unavailableMessage)
+          return null
         }
 
-        deepgramWs.onerror = (error) => {
-          console.log("❌ [DEEPGRAM] Connection error:", error.message)
-          deepgramReady = false
+        activeTransfer = { status: "initiated", humanAgentId: result.humanAgent._id }
+        if (ws.readyState !== WebSocket.OPEN) {
+          // The caller hung up while the human agent was being claimed
+          await releaseUnfinishedTransfer({ callLogId: callLogger?.callLogId, transfer: activeTransfer })
+          return null
         }
+        if (callLogger) callLogger.logAIResponse(result.handoffMessage)
+        await tts.synthesizeAndStream(result.handoffMessage)
 
-        deepgramWs.onclose = () => {
-          console.log("🔌 [DEEPGRAM] Connection closed")
-          deepgramReady = false
+        if (ws.readyState === WebSocket.OPEN) {
+          const transferEvent = buildTransferEvent({
+            streamSid,
+            callSid: callLogger?.callSid,
+            accountSid: callLogger?.accountSid,
+            humanAgent: result.humanAgent,
+            summary: result.summary,
+            sequenceNumber: stopEventSequence++,
+          })
+          ws.send(JSON.stringify(transferEvent))
+          console.log(`🤝 [WARM-TRANSFER] Transfer event sent → ${result.humanAgent.humanAgentName} (${result.humanAgent.mobileNumber})`)
         }
+        return result.humanAgent
       } catch (error) {
-        // Silent error handling
+        console.log("❌ [WARM-TRANSFER] Transfer failed:", error.message)
+        activeTransfer = null
+        return null
       }
     }
 
-    const handleDeepgramResponse = async (data) => {
-      if (data.type === "Results") {
-        if (!sttTimer) {
-          sttTimer = createTimer("STT_TRANSCRIPTION")
-        }
+    // Supervisor hooks for utils/supervisor.js (registered with the live call on the event bus)
+    const supervisorControls = {
+      whisper: async ({ text }) => {
+        supervisorWhispers = addWhisper(supervisorWhispers, text)
+        console.log(`🎧 [SUPERVISOR] Whisper added (${supervisorWhispers.length} active): ${text}`)
+      },
+      // Cut the current reply short and speak the supervisor's sentence in the agent's voice
+      say: async ({ text }) => {
+        if (activeTransfer) throw new Error("Call is being handled by a human agent")
+        processingRequestId++
+        isProcessing = false
+        if (currentTTS) currentTTS.interrupt()
+        const tts = createCallTTS(currentLanguage, ws, streamSid)
+        currentTTS = tts
+        conversationHistory.push({ role: "assistant", content: text })
+        if (callLogger) callLogger.logAIResponse(text)
+        tts.synthesizeAndStream(text).catch((error) => console.log(`⚠️ [SUPERVISOR] Say failed: ${error.message}`))
+      },
+      barge: async ({ humanAgentId }) => {
+        if (activeTransfer) throw new Error("Call is already being transferred")
+        const humanAgent = await performWarmTransfer(null, "supervisor_barge", humanAgentId ? [humanAgentId] : null)
+        if (!humanAgent) throw new Error("No available human agent could take the call")
+        return { humanAgentId: humanAgent._id, humanAgentName: humanAgent.humanAgentName }
+      },
+    }
 
-        const transcript = data.channel?.alternatives?.[0]?.transcript
-        const is_final = data.is_final
+    // Caller talked over the bot: stop playback now, before STT has a transcript
+    const handleBargeIn = ({ confidence }) => {
+      if (!currentTTS || answeringMachine || activeTransfer || ivrSession?.active) return
+      currentTTS.interrupt()
+      isProcessing = false
+      processingRequestId++
+      const clear = clearPlaybackMessage(agentConfig?.serviceProvider, streamSid)
+      if (clear && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(clear))
+      callEvents.publish(streamSid, "interruption", { source: "vad", confidence })
+    }
 
-        if (transcript?.trim()) {
-          if (currentTTS && isProcessing) {
-            currentTTS.interrupt()
-            isProcessing = false
-            processingRequestId++
-          }
+    // Caller went quiet: ask whether they are still there, and after the last reprompt say goodbye and hang up
+    const handleIdleReprompt = async () => {
+      const text = idlePrompt("reprompt", currentLanguage, agentConfig?.idlePolicy)
+      conversationHistory.push({ role: "assistant", content: text })
+      callLogger?.logAIResponse(text)
+      const tts = createCallTTS(currentLanguage, ws, streamSid)
+      currentTTS = tts
+      await tts.synthesizeAndStream(text)
+    }
 
-          if (is_final) {
-            console.log(`🕒 [STT-TRANSCRIPTION] ${sttTimer.end()}ms - Text: "${transcript.trim()}"`)
-            sttTimer = null
+    const handleIdleTimeout = async () => {
+      if (!callLogger) return
+      await callLogger.controlledTerminateWithMessage(idlePrompt("goodbye", currentLanguage, agentConfig?.idlePolicy), currentLanguage, "no_response", 1000)
+    }
 
-            userUtteranceBuffer += (userUtteranceBuffer ? " " : "") + transcript.trim()
+    // The client's balance or the agent's maximum duration is about to run out
+    const handleLimitWarning = async ({ reason, secondsLeft }) => {
+      if (answeringMachine || activeTransfer) return
+      const text = limitPrompt("warning", currentLanguage, agentConfig?.callLimits)
+      callEvents.publish(streamSid, "call_limit", { stage: "warning", reason, secondsLeft })
+      if (isProcessing) return // the caller hears the goodbye instead of cutting into an answer
+      conversationHistory.push({ role: "assistant", content: text })
+      callLogger?.logAIResponse(text)
+      const tts = createCallTTS(currentLanguage, ws, streamSid)
+      currentTTS = tts
+      await tts.synthesizeAndStream(text)
+    }
 
-            if (callLogger && transcript.trim()) {
-              callLogger.logUserTranscript(transcript.trim())
-            }
+    const handleLimitReached = async ({ reason, secondsLeft }) => {
+      if (!callLogger) return
+      callEvents.publish(streamSid, "call_limit", { stage: "end", reason, secondsLeft })
+      processingRequestId++ // drop any answer still streaming
+      isProcessing = false
+      if (currentTTS) currentTTS.interrupt()
+      ws.idleMonitor?.stop()
+      await callLogger.controlledTerminateWithMessage(limitPrompt("end", currentLanguage, agentConfig?.callLimits), currentLanguage, reason, 500)
+    }
 
-            await processUserUtterance(userUtteranceBuffer)
-            userUtteranceBuffer = ""
-          }
-        }
-      } else if (data.type === "UtteranceEnd") {
-        if (sttTimer) {
-          console.log(`🕒 [STT-TRANSCRIPTION] ${sttTimer.end()}ms - Text: "${userUtteranceBuffer.trim()}"`)
-          sttTimer = null
+    // Move the call to another language: transcripts and replies are logged in it, STT listens for it and
+    // createCallTTS speaks it (with the agent's voice for that language) from the next response on
+    const switchLanguage = async (language, details = {}) => {
+      if (!language || language === currentLanguage) return
+      console.log(`🌐 [LANGUAGE] Switching ${currentLanguage} → ${language} (${details.source || "detected"})`)
+      const from = currentLanguage
+      currentLanguage = language
+      callLogger?.recordLanguageSwitch(from, language, details)
+      callEvents.updateCall(streamSid, { language })
+      try { sttProvider?.close() } catch (_) {}
+      await connectToStt()
+    }
+
+    // A machine picked up: stop talking, then hang up or leave the agent's voicemail after the greeting
+    const handleAnsweringMachine = (detection) => {
+      const settings = agentConfig?.answeringMachineDetection || {}
+      const leaveVoicemail = settings.action === "voicemail" && !!settings.voicemailMessage?.trim()
+      answeringMachine = { ...detection, action: leaveVoicemail ? "voicemail" : "hangup", voicemailLeft: false }
+      processingRequestId++ // drop any answer still streaming
+      isProcessing = false
+      if (currentTTS) currentTTS.interrupt()
+      ivrSession?.stop()
+      callLogger?.markAnsweringMachine(answeringMachine)
+
+      if (!leaveVoicemail) {
+        amd?.stop()
+        callLogger?.disconnectCall("answering_machine")
+        return
+      }
+
+      amd.once("ready", async () => {
+        const message = settings.voicemailMessage.trim()
+        try {
+          console.log("📠 [SIP-AMD] Leaving voicemail:", message)
+          callLogger?.logAIResponse(message)
+          const tts = createCallTTS(currentLanguage, ws, streamSid)
+          currentTTS = tts
+          await tts.synthesizeAndStream(message)
+          answeringMachine.voicemailLeft = true
+          if (callLogger?.answeringMachine) callLogger.answeringMachine.voicemailLeft = true
+        } catch (error) {
+          console.log("❌ [SIP-AMD] Voicemail failed:", error.message)
         }
+        callLogger?.disconnectCall("voicemail_left")
+      })
+      amd.awaitMessageSlot()
+    }
 
-        if (userUtteranceBuffer.trim()) {
-          if (callLogger && userUtteranceBuffer.trim()) {
-            callLogger.logUserTranscript(userUtteranceBuffer.trim())
-          }
+    const speakGreeting = async () => {
+      let greeting = agentConfig.firstMessage || "Hello! How can I help you today?"
+      if (userName && userName.trim()) {
+        const base = agentConfig.firstMessage || "How can I help you today?"
+        greeting = `Hello ${userName.trim()}! ${base}`
+      }
 
-          await processUserUtterance(userUtteranceBuffer)
-          userUtteranceBuffer = ""
+      console.log("🎯 [SIP-CALL-SETUP] Greeting Message:", greeting)
+      if (callLogger) {
+        callLogger.logAIResponse(greeting)
+      }
+
+      console.log("🎤 [SIP-TTS] Starting greeting TTS...")
+      const tts = createCallTTS(currentLanguage, ws, streamSid)
+      currentTTS = tts
+      await tts.synthesizeAndStream(greeting)
+      console.log("✅ [SIP-TTS] Greeting TTS completed")
+    }
+
+    // Move the call to another Agent chosen in the IVR (same client only)
+    const routeToAgent = async (agentId) => {
+      const nextAgent = ivrRouteCount < 3 ? await loadRoutedAgent(agentId, agentConfig).catch(() => null) : null
+      if (!nextAgent) {
+        console.log(`⚠️ [IVR] Cannot route to agent ${agentId}; staying with ${agentConfig.agentName}`)
+        return speakGreeting()
+      }
+      ivrRouteCount++
+
+      try {
+        ws.sessionApiKeys = await resolveCallApiKeys(nextAgent.clientId, {
+          stt: resolveSttProviderName(nextAgent.sttSelection),
+          tts: resolveTtsProviderName(nextAgent.ttsSelection),
+          llm: resolveLlmProviderName(nextAgent.llmSelection),
+          embedding: nextAgent.knowledgeBase?.length ? "openai" : null,
+          analysis: "openai",
+        })
+      } catch (keyErr) {
+        console.log(`⚠️ [IVR] Routed agent keys unavailable (${keyErr.message}); staying with ${agentConfig.agentName}`)
+        return speakGreeting()
+      }
+
+      const sttChanged = nextAgent.sttSelection !== agentConfig.sttSelection || (nextAgent.language || currentLanguage) !== currentLanguage
+      console.log(`🔀 [IVR] Routing call from ${agentConfig.agentName} to ${nextAgent.agentName}`)
+      agentConfig = nextAgent
+      ws.sessionAgentConfig = nextAgent
+      currentLanguage = nextAgent.language || currentLanguage
+      languageTracker = LanguageSwitchTracker.isEnabled(nextAgent) ? new LanguageSwitchTracker(nextAgent.languageDetection) : null
+      if (callLogger) {
+        callLogger.llmProvider = resolveLlmProviderName(nextAgent.llmSelection)
+        callLogger.ttsProvider = resolveTtsProviderName(nextAgent.ttsSelection)
+        if (callLogger.callLogId) {
+          CallLog.updateOne({ _id: callLogger.callLogId }, { $set: { agentId: nextAgent._id } }).catch(() => {})
         }
       }
+      callEvents.updateCall(streamSid, { agentId: nextAgent._id, agentName: nextAgent.agentName, language: currentLanguage })
+      if (sttChanged) {
+        try { sttProvider?.close() } catch (_) {}
+        await connectToStt()
+      }
+      warmKnowledgeBase(nextAgent, providerKeyOptions(ws.sessionApiKeys?.embedding)).catch(() => {})
+
+      if (IvrSession.isEnabled(nextAgent)) return startIvr()
+      return speakGreeting()
+    }
+
+    const startIvr = async () => {
+      ivrSession = new IvrSession(
+        agentConfig.ivr,
+        {
+          speak: async (text) => {
+            const tts = createCallTTS(currentLanguage, ws, streamSid)
+            currentTTS = tts
+            if (callLogger) callLogger.logAIResponse(text)
+            await tts.synthesizeAndStream(text)
+          },
+          stopSpeaking: () => currentTTS?.interrupt(),
+          onLanguage: async (language) => {
+            console.log(`🌐 [IVR] Language switched to ${language}`)
+            await switchLanguage(language, { source: "ivr" })
+          },
+          onRouteAgent: (agentId, inputs) => {
+            keypadContext = ivrSession.formatContext()
+            return routeToAgent(agentId)
+          },
+          onTransfer: () => {
+            keypadContext = ivrSession.formatContext()
+            return performWarmTransfer("(caller chose a human agent on the keypad)", "ivr")
+          },
+          onHangup: () => callLogger?.disconnectCall("ivr_hangup"),
+          onExit: () => {
+            keypadContext = ivrSession.formatContext()
+            return speakGreeting()
+          },
+        },
+        { language: currentLanguage, logTag: "IVR" },
+      )
+      await ivrSession.start()
     }
 
     const processUserUtterance = async (text) => {
       if (!text.trim() || text === lastProcessedText) return
+      if (ivrSession?.active) {
+        console.log("⏭️ [USER-UTTERANCE] Skipped - caller is in the keypad menu")
+        return
+      }
+      if (activeTransfer) {
+        console.log("⏭️ [USER-UTTERANCE] Skipped - call is being transferred to a human agent")
+        return
+      }
 
       console.log("🗣️ [USER-UTTERANCE] ========== USER SPEECH ==========")
       console.log("🗣️ [USER-UTTERANCE] Text:", text.trim())
@@ -1940,17 +2034,33 @@ const setupUnifiedVoiceServer = (wss) => {
       const currentRequestId = ++processingRequestId
 
       try {
+        const escalation = agentConfig?.escalation
+        if (escalation?.enabled) {
+          if (matchesTransferKeyword(text, escalation)) {
+            await performWarmTransfer(text, "caller_request")
+            return
+          }
+          // Classify in parallel with the answer; a TRANSFER verdict cuts the answer short
+          detectTransferIntent(text, conversationHistory, agentConfig, providerKeyOptions(ws.sessionApiKeys?.llm))
+            .then((decision) => {
+              if (decision === "TRANSFER" && processingRequestId === currentRequestId) {
+                return performWarmTransfer(text, "ai_detected")
+              }
+            })
+            .catch(() => {})
+        }
+
         console.log("🔍 [USER-UTTERANCE] Running AI detections + streaming...")
 
         // Kick off LLM streaming and partial TTS
         let aiResponse = null
-        const tts = new SimplifiedSarvamTTSProcessor(currentLanguage, ws, streamSid, callLogger)
+        const tts = createCallTTS(currentLanguage, ws, streamSid)
         currentTTS = tts
         let sentIndex = 0
         const MIN_TOKENS = 8
         const MAX_TOKENS = 10
 
-        aiResponse = await processWithOpenAIStream(
+        aiResponse = await processWithLLMStream(
           text,
           conversationHistory,
           agentConfig,
@@ -1968,7 +2078,24 @@ const setupUnifiedVoiceServer = (wss) => {
               try { await tts.enqueueText(chunkText) } catch (_) {}
               pending = partial.slice(sentIndex)
             }
-          }
+          },
+          ws.sessionApiKeys?.llm,
+          {
+            callLogId: callLogger?.callLogId,
+            streamSid,
+            mobile: callLogger?.mobile,
+            callDirection: callLogger?.callDirection,
+            language: currentLanguage,
+            keypadContext,
+            supervisorContext: formatWhisperContext(supervisorWhispers),
+            followUpContext,
+            embeddingKey: ws.sessionApiKeys?.embedding,
+            // Keep the caller company while a tool runs; the answer queues behind the filler
+            onFiller: async (phrase) => {
+              if (processingRequestId !== currentRequestId) return
+              try { await tts.enqueueText(phrase) } catch (_) {}
+            },
+          },
         )
 
         // Final flush for short tail
@@ -1986,12 +2113,13 @@ const setupUnifiedVoiceServer = (wss) => {
           aiResponse = `${aiResponse} ${(followUps[currentLanguage?.toLowerCase()] || followUps.en)}`.trim()
         }
 
-        // Save detections (lead status, WA request) in parallel (non-blocking)
+        // Save detections (lead status, WA request, sentiment) in parallel (non-blocking)
+        if (callLogger) callLogger.recordSentiment(text, conversationHistory, currentLanguage).catch(() => {})
         ;(async () => {
           try {
             const [leadStatus, whatsappRequest] = await Promise.all([
-              detectLeadStatusWithOpenAI(text, conversationHistory, currentLanguage),
-              detectWhatsAppRequest(text, conversationHistory, currentLanguage),
+              detectLeadStatusWithOpenAI(text, conversationHistory, currentLanguage, providerKeyOptions(ws.sessionApiKeys?.analysis)),
+              detectWhatsAppRequest(text, conversationHistory, currentLanguage, providerKeyOptions(ws.sessionApiKeys?.analysis)),
             ])
             if (callLogger) {
               callLogger.updateLeadStatus(leadStatus)
@@ -2222,12 +2350,17 @@ const setupUnifiedVoiceServer = (wss) => {
               return
             }
 
-            // Block call if the client has no credits
+            // Reserve credits for the call; concurrent calls cannot spend the same balance
             try {
-              const creditRecord = await Credit.getOrCreateCreditRecord(agentConfig.clientId)
-              const currentBalance = Number(creditRecord?.currentBalance || 0)
-              if (currentBalance <= 0) {
-                console.log("🛑 [SIP-CREDIT-CHECK] Insufficient credits. Blocking call connection.")
+              ws.creditHold = await reserveCallCredits(agentConfig.clientId, {
+                streamSid,
+                maxDurationSeconds: agentConfig.callLimits?.maxDurationSeconds,
+              })
+              ws.creditHold.clientId = agentConfig.clientId
+              console.log(`💳 [SIP-CREDIT-CHECK] Reserved ${ws.creditHold.amount} credits (${ws.creditHold.availableBalance} left unreserved)`)
+            } catch (creditErr) {
+              if (creditErr.code === "insufficient_credits") {
+                console.log(`🛑 [SIP-CREDIT-CHECK] Insufficient credits (${creditErr.available} available). Blocking call connection.`)
                 ws.send(
                   JSON.stringify({
                     event: "error",
@@ -2238,7 +2371,6 @@ const setupUnifiedVoiceServer = (wss) => {
                 try { ws.close() } catch (_) {}
                 return
               }
-            } catch (creditErr) {
               console.log("⚠️ [SIP-CREDIT-CHECK] Credit check failed:", creditErr.message)
               // Fail safe: if we cannot verify credits, prevent connection to avoid free calls
               ws.send(
@@ -2252,9 +2384,57 @@ const setupUnifiedVoiceServer = (wss) => {
               return
             }
 
+            // Block call if the client's plan does not allow it (voice calls off, daily call limit reached)
+            try {
+              const planCheck = await checkPlanLimit(agentConfig.clientId, "call")
+              if (!planCheck.allowed) {
+                console.log(`🛑 [PLAN-LIMIT] Blocking call connection: ${planCheck.reason}`)
+                ws.send(
+                  JSON.stringify({
+                    event: "error",
+                    code: "plan_limit_exceeded",
+                    limit: planCheck.limit,
+                    message: `Call blocked: ${planCheck.reason}.`,
+                  }),
+                )
+                try { ws.close() } catch (_) {}
+                return
+              }
+            } catch (planErr) {
+              // Credits were verified above; a plan lookup failure alone does not drop the caller
+              console.log("⚠️ [PLAN-LIMIT] Plan check failed:", planErr.message)
+            }
+
+            // Use the client's own provider keys; platform keys only where none are stored
+            try {
+              ws.sessionApiKeys = await resolveCallApiKeys(agentConfig.clientId, {
+                stt: resolveSttProviderName(agentConfig.sttSelection),
+                tts: resolveTtsProviderName(agentConfig.ttsSelection),
+                llm: resolveLlmProviderName(agentConfig.llmSelection),
+                embedding: agentConfig.knowledgeBase?.length ? "openai" : null,
+                analysis: "openai",
+              })
+            } catch (keyErr) {
+              console.log("🛑 [SIP-API-KEYS] Blocking call connection:", keyErr.message)
+              ws.send(
+                JSON.stringify({
+                  event: "error",
+                  code: keyErr.code || "api_key_lookup_failed",
+                  message: keyErr.code
+                    ? `Call blocked: ${keyErr.message}`
+                    : "Unable to resolve provider API keys. Call cannot be connected at this time.",
+                }),
+              )
+              try { ws.close() } catch (_) {}
+              return
+            }
+
             ws.sessionAgentConfig = agentConfig
             currentLanguage = agentConfig.language || "en"
 
+            // Load (or refresh in the background) the agent's knowledge-base index before the first turn
+            warmKnowledgeBase(agentConfig, providerKeyOptions(ws.sessionApiKeys?.embedding)).catch(() => {})
+
             console.log("🎯 [SIP-CALL-SETUP] ========== CALL SETUP ==========")
             console.log("🎯 [SIP-CALL-SETUP] Current Language:", currentLanguage)
             console.log("🎯 [SIP-CALL-SETUP] Mobile Number:", mobile)
@@ -2277,39 +2457,104 @@ const setupUnifiedVoiceServer = (wss) => {
             callLogger.ws = ws; // Store WebSocket reference
             callLogger.uniqueid = uniqueid; // Store uniqueid for outbound calls
             callLogger.currentLanguage = currentLanguage; // Set initial language
+            callLogger.sttProvider = resolveSttProviderName(agentConfig.sttSelection);
+            callLogger.ttsProvider = resolveTtsProviderName(agentConfig.ttsSelection);
+            callLogger.llmProvider = resolveLlmProviderName(agentConfig.llmSelection);
 
             // Create initial call log entry immediately
             try {
               await callLogger.createInitialCallLog(agentConfig._id, 'not_connected');
               console.log("✅ [SIP-CALL-SETUP] Initial call log created successfully")
               console.log("✅ [SIP-CALL-SETUP] Call Log ID:", callLogger.callLogId)
+              trackCampaignDetail(uniqueid, "ongoing", { callLogId: callLogger.callLogId, clientId: agentConfig.clientId })
             } catch (error) {
               console.log("❌ [SIP-CALL-SETUP] Failed to create initial call log:", error.message)
               // Continue anyway - fallback will create log at end
             }
 
-            console.log("🎯 [SIP-CALL-SETUP] Call Logger initialized")
-            console.log("🎯 [SIP-CALL-SETUP] Connecting to Deepgram...")
+            // A follow-up the caller asked for on an earlier call picks up from that conversation
+            if (callDirection === "outbound") {
+              const followUpTask = await attachFollowUpCall({
+                clientId: agentConfig.clientId,
+                agentId: agentConfig._id,
+                mobile,
+                callLogId: callLogger.callLogId,
+              })
+              followUpContext = formatFollowUpContext(followUpTask)
+            }
 
-            await connectToDeepgram()
+            callEvents.registerCall(streamSid, {
+              transport: "ws",
+              clientId: agentConfig.clientId || accountSid,
+              agentId: agentConfig._id,
+              agentName: agentConfig.agentName,
+              mobile,
+              direction: callDirection,
+              callLogId: callLogger.callLogId,
+              streamSid,
+              callSid: callLogger.callSid,
+              language: currentLanguage,
+              controls: supervisorControls,
+            })
 
-            let greeting = agentConfig.firstMessage || "Hello! How can I help you today?"
-            if (userName && userName.trim()) {
-              const base = agentConfig.firstMessage || "How can I help you today?"
-              greeting = `Hello ${userName.trim()}! ${base}`
+            console.log("🎯 [SIP-CALL-SETUP] Call Logger initialized")
+            ws.callRecorder = startCallRecording(agentConfig, { logTag: "SIP-RECORDING" })
+            console.log(`🎯 [SIP-CALL-SETUP] Connecting to STT (${agentConfig.sttSelection || "deepgram"})...`)
+
+            await connectToStt()
+            if (LanguageSwitchTracker.isEnabled(agentConfig)) languageTracker = new LanguageSwitchTracker(agentConfig.languageDetection)
+            if (BargeInDetector.isEnabled(agentConfig)) {
+              ws.bargeIn = new BargeInDetector(agentConfig.bargeIn, { logTag: "SIP-BARGE-IN" })
+              ws.bargeIn.on("bargeIn", handleBargeIn)
             }
-
-            console.log("🎯 [SIP-CALL-SETUP] Greeting Message:", greeting)
+            if (IdleMonitor.isEnabled(agentConfig)) {
+              ws.idleMonitor = new IdleMonitor(agentConfig.idlePolicy, {
+                logTag: "SIP-IDLE",
+                isBusy: () => isProcessing || !!activeTransfer || !!answeringMachine || !!ivrSession?.active,
+              })
+              ws.idleMonitor.on("reprompt", () => handleIdleReprompt().catch((error) => console.log("❌ [SIP-IDLE] Reprompt failed:", error.message)))
+              ws.idleMonitor.on("timeout", () => handleIdleTimeout().catch((error) => console.log("❌ [SIP-IDLE] Hang-up failed:", error.message)))
+              ws.idleMonitor.start()
+            }
+            ws.callMeter = new CallMeter({
+              getBalance: () => refreshCallHold(agentConfig.clientId, ws.creditHold?.holdId),
+              maxDurationSeconds: agentConfig.callLimits?.maxDurationSeconds,
+              warningSeconds: agentConfig.callLimits?.warningSeconds,
+              startedAt: callLogger.callStartTime,
+              logTag: "SIP-CALL-METER",
+            })
+            ws.callMeter.on("warning", (limit) => handleLimitWarning(limit).catch((error) => console.log("❌ [SIP-CALL-METER] Warning failed:", error.message)))
+            ws.callMeter.on("limit", (limit) => handleLimitReached(limit).catch((error) => console.log("❌ [SIP-CALL-METER] Hang-up failed:", error.message)))
+            ws.callMeter.start()
             console.log("🎯 [SIP-CALL-SETUP] ======================================")
 
-            if (callLogger) {
-              callLogger.logAIResponse(greeting)
+            // Listen for an answering machine while the greeting plays
+            if (AnsweringMachineDetector.isEnabled(agentConfig, callDirection)) {
+              amd = new AnsweringMachineDetector(agentConfig.answeringMachineDetection, { logTag: "SIP-AMD" })
+              amd.on("human", (detection) => callLogger?.markAnsweringMachine({ result: "human", detectedAfterMs: detection.detectedAfterMs }))
+              amd.on("machine", handleAnsweringMachine)
+              amd.start()
             }
 
-            console.log("🎤 [SIP-TTS] Starting greeting TTS...")
-            const tts = new SimplifiedSarvamTTSProcessor(currentLanguage, ws, streamSid, callLogger)
-            await tts.synthesizeAndStream(greeting)
-            console.log("✅ [SIP-TTS] Greeting TTS completed")
+            // Agents with a keypad menu greet after the caller leaves the IVR
+            if (IvrSession.isEnabled(agentConfig)) {
+              console.log("☎️ [SIP-CALL-SETUP] Starting IVR menu")
+              await startIvr()
+            } else {
+              await speakGreeting()
+            }
+            break
+          }
+
+          case "dtmf": {
+            const digit = extractDtmfDigit(data)
+            console.log(`📞 [SIP-DTMF] Digit received: ${digit || "(invalid)"}`)
+            if (!digit) break
+            ws.idleMonitor?.callerActivity()
+            if (!(ivrSession && (await ivrSession.handleDigit(digit)))) {
+              // Outside the menu, keypad input still reaches the AI as context
+              keypadContext = `${keypadContext ? `${keypadContext} ` : ""}Caller pressed ${digit} on the keypad.`
+            }
             break
           }
 
@@ -2325,19 +2570,39 @@ const setupUnifiedVoiceServer = (wss) => {
                 console.log("🎵 [SIP-MEDIA] Audio packets received:", ws.mediaPacketCount)
               }
 
-              if (deepgramWs && deepgramReady && deepgramWs.readyState === WebSocket.OPEN) {
-                deepgramWs.send(audioBuffer)
-              } else {
-                deepgramAudioQueue.push(audioBuffer)
-                if (deepgramAudioQueue.length % 100 === 0) {
-                  console.log("⏳ [SIP-MEDIA] Audio queued for Deepgram:", deepgramAudioQueue.length)
-                }
+              if (sttProvider) {
+                sttProvider.sendAudio(audioBuffer)
               }
+              amd?.addAudio(audioBuffer)
+              ws.bargeIn?.addCallerAudio(audioBuffer)
+              ws.callRecorder?.addCaller(audioBuffer)
+            }
+            break
+
+          case "transfer_status":
+            // Provider progress for a warm transfer: connected / failed / completed
+            try {
+              const outcome = await handleTransferStatus({
+                callLogId: callLogger?.callLogId,
+                humanAgentId: activeTransfer?.humanAgentId,
+                status: data.status || data.transfer?.status,
+                reason: data.reason || data.transfer?.reason,
+              })
+              // The human never picked up: the AI keeps the caller
+              if (outcome === "failed") activeTransfer = null
+              else if (activeTransfer && (outcome === "connected" || outcome === "ended")) activeTransfer.status = outcome
+            } catch (err) {
+              console.log("⚠️ [WARM-TRANSFER] Status update failed:", err.message)
             }
             break
 
           case "stop":
             console.log("🛑 [SIP-STOP] ========== CALL END ==========")
+            ivrSession?.stop()
+            amd?.stop()
+            ws.bargeIn?.stop()
+            ws.idleMonitor?.stop()
+            ws.callMeter?.stop()
             console.log("🛑 [SIP-STOP] StreamSID:", streamSid)
             console.log("🛑 [SIP-STOP] Call Direction:", callDirection)
             console.log("🛑 [SIP-STOP] Mobile:", mobile)
@@ -2350,19 +2615,23 @@ const setupUnifiedVoiceServer = (wss) => {
                 const waApiUrl = agentConfig?.whatsapplink
                 console.log("📨 [WHATSAPP] stop-event check → enabled=", agentConfig.whatsappEnabled, ", link=", waLink, ", apiUrl=", waApiUrl, ", normalized=", waNumber, ", leadStatus=", callLogger.currentLeadStatus, ", requested=", callLogger.whatsappRequested)
                 if (waLink && waNumber && waApiUrl) {
-                  sendWhatsAppTemplateMessage(waNumber, waLink, waApiUrl)
-                    .then(async (r) => {
+                  planAllowsWhatsApp(agentConfig.clientId || accountSid)
+                    .then((allowed) =>
+                      allowed
+                        ? sendWhatsAppWithCredit({
+                            clientId: agentConfig.clientId || accountSid,
+                            toNumber: waNumber,
+                            link: waLink,
+                            apiUrl: waApiUrl,
+                            mobile,
+                            callLogId: callLogger?.callLogId,
+                            streamSid,
+                          })
+                        : { ok: false, reason: "plan_limit_exceeded" },
+                    )
+                    .then((r) => {
                       console.log("📨 [WHATSAPP] stop-event result:", r?.ok ? "OK" : "FAIL", r?.status || r?.reason || r?.error || "")
-                      if (r?.ok) {
-                        await billWhatsAppCredit({
-                          clientId: agentConfig.clientId || accountSid,
-                          mobile,
-                          link: waLink,
-                          callLogId: callLogger?.callLogId,
-                          streamSid,
-                        })
-                        callLogger.markWhatsAppSent()
-                      }
+                      if (r?.ok) callLogger.markWhatsAppSent()
                     })
                     .catch((e) => console.log("❌ [WHATSAPP] stop-event error:", e.message))
                 } else {
@@ -2390,16 +2659,18 @@ const setupUnifiedVoiceServer = (wss) => {
             if (callLogger) {
               const stats = callLogger.getStats()
               console.log("🛑 [SIP-STOP] Call Stats:", JSON.stringify(stats, null, 2))
-              // Bill credits at end of call (decimal precision)
+              // Bill credits at end of call (decimal precision), never past the meter's cutoff
               const durationSeconds = Math.round((new Date() - callLogger.callStartTime) / 1000)
               await billCallCredits({
                 clientId: callLogger.clientId,
-                durationSeconds,
+                durationSeconds: ws.callMeter ? ws.callMeter.billableSeconds(durationSeconds) : durationSeconds,
                 callDirection,
                 mobile,
                 callLogId: callLogger.callLogId,
                 streamSid,
-                uniqueid: callLogger.uniqueid || agentConfig?.uniqueid || null
+                uniqueid: callLogger.uniqueid || agentConfig?.uniqueid || null,
+                answeringMachine: callLogger.answeringMachine,
+                creditHold: ws.creditHold,
               })
               
               try {
@@ -2408,6 +2679,7 @@ const setupUnifiedVoiceServer = (wss) => {
                 console.log("📊 [SIP-STOP] Final lead status:", finalLeadStatus)
                 const savedLog = await callLogger.saveToDatabase(finalLeadStatus, agentConfig)
                 console.log("✅ [SIP-STOP] Final call log saved with ID:", savedLog._id)
+                await trackCampaignDetail(callLogger.uniqueid, "completed", { callLogId: savedLog._id, clientId: agentConfig?.clientId })
               } catch (error) {
                 console.log("❌ [SIP-STOP] Error saving final call log:", error.message)
               } finally {
@@ -2415,9 +2687,13 @@ const setupUnifiedVoiceServer = (wss) => {
               }
             }
 
-            if (deepgramWs?.readyState === WebSocket.OPEN) {
-              console.log("🛑 [SIP-STOP] Closing Deepgram connection...")
-              deepgramWs.close()
+            if (sttProvider) {
+              console.log("🛑 [SIP-STOP] Closing STT connection...")
+              sttProvider.close()
+            }
+
+            if (ws.callRecorder) {
+              await ws.callRecorder.finish({ callLogId: callLogger?.callLogId, clientId: agentConfig?.clientId, agent: agentConfig })
             }
             
             console.log("🛑 [SIP-STOP] ======================================")
@@ -2433,6 +2709,16 @@ const setupUnifiedVoiceServer = (wss) => {
 
     ws.on("close", async () => {
       console.log("🔌 [SIP-CLOSE] ========== WEBSOCKET CLOSED ==========")
+      ivrSession?.stop()
+      amd?.stop()
+      ws.bargeIn?.stop()
+      ws.bargeIn = null
+      ws.idleMonitor?.stop()
+      ws.idleMonitor = null
+      ws.callMeter?.stop() // kept until billing below: it caps the billed seconds
+      releaseUnfinishedTransfer({ callLogId: callLogger?.callLogId, transfer: activeTransfer }).catch((err) =>
+        console.log("⚠️ [WARM-TRANSFER] Release on close failed:", err.message),
+      )
       console.log("🔌 [SIP-CLOSE] StreamSID:", streamSid)
       console.log("🔌 [SIP-CLOSE] Call Direction:", callDirection)
       
@@ -2444,19 +2730,23 @@ const setupUnifiedVoiceServer = (wss) => {
           const waApiUrl = agentConfig?.whatsapplink
           console.log("📨 [WHATSAPP] close-event check → enabled=", agentConfig.whatsappEnabled, ", link=", waLink, ", apiUrl=", waApiUrl, ", normalized=", waNumber, ", leadStatus=", callLogger.currentLeadStatus, ", requested=", callLogger.whatsappRequested)
           if (waLink && waNumber && waApiUrl) {
-            sendWhatsAppTemplateMessage(waNumber, waLink, waApiUrl)
-              .then(async (r) => {
+            planAllowsWhatsApp(agentConfig.clientId || callLogger?.clientId)
+              .then((allowed) =>
+                allowed
+                  ? sendWhatsAppWithCredit({
+                      clientId: agentConfig.clientId || callLogger?.clientId,
+                      toNumber: waNumber,
+                      link: waLink,
+                      apiUrl: waApiUrl,
+                      mobile: callLogger?.mobile || null,
+                      callLogId: callLogger?.callLogId,
+                      streamSid,
+                    })
+                  : { ok: false, reason: "plan_limit_exceeded" },
+              )
+              .then((r) => {
                 console.log("📨 [WHATSAPP] close-event result:", r?.ok ? "OK" : "FAIL", r?.status || r?.reason || r?.error || "")
-                if (r?.ok) {
-                  await billWhatsAppCredit({
-                    clientId: agentConfig.clientId || callLogger?.clientId,
-                    mobile: callLogger?.mobile || null,
-                    link: waLink,
-                    callLogId: callLogger?.callLogId,
-                    streamSid,
-                  })
-                  callLogger.markWhatsAppSent()
-                }
+                if (r?.ok) callLogger.markWhatsAppSent()
               })
               .catch((e) => console.log("❌ [WHATSAPP] close-event error:", e.message))
           } else {
@@ -2483,12 +2773,14 @@ const setupUnifiedVoiceServer = (wss) => {
         const durationSeconds = Math.round((new Date() - callLogger.callStartTime) / 1000)
         await billCallCredits({
           clientId: callLogger.clientId,
-          durationSeconds,
+          durationSeconds: ws.callMeter ? ws.callMeter.billableSeconds(durationSeconds) : durationSeconds,
           callDirection,
           mobile: callLogger.mobile,
           callLogId: callLogger.callLogId,
           streamSid,
-          uniqueid: callLogger.uniqueid || agentConfig?.uniqueid || null
+          uniqueid: callLogger.uniqueid || agentConfig?.uniqueid || null,
+          answeringMachine: callLogger.answeringMachine,
+          creditHold: ws.creditHold,
         })
         
         try {
@@ -2497,6 +2789,7 @@ const setupUnifiedVoiceServer = (wss) => {
           console.log("📊 [SIP-CLOSE] Final lead status:", finalLeadStatus)
           const savedLog = await callLogger.saveToDatabase(finalLeadStatus, agentConfig)
           console.log("✅ [SIP-CLOSE] Call log saved with ID:", savedLog._id)
+          await trackCampaignDetail(callLogger.uniqueid, "completed", { callLogId: savedLog._id, clientId: agentConfig?.clientId })
         } catch (error) {
           console.log("❌ [SIP-CLOSE] Error saving call log:", error.message)
         } finally {
@@ -2504,9 +2797,20 @@ const setupUnifiedVoiceServer = (wss) => {
         }
       }
 
-      if (deepgramWs?.readyState === WebSocket.OPEN) {
-        console.log("🔌 [SIP-CLOSE] Closing Deepgram connection...")
-        deepgramWs.close()
+      // A call that ended before it was billed (blocked after reserving, never connected) gives its credits back
+      if (ws.creditHold) {
+        await Credit.releaseHold(ws.creditHold.clientId, ws.creditHold.holdId).catch((error) => console.log("⚠️ [SIP-CLOSE] Credit hold release failed:", error.message))
+        ws.creditHold = null
+      }
+
+      if (sttProvider) {
+        console.log("🔌 [SIP-CLOSE] Closing STT connection...")
+        sttProvider.close()
+      }
+
+      if (ws.callRecorder) {
+        await ws.callRecorder.finish({ callLogId: callLogger?.callLogId, clientId: agentConfig?.clientId, agent: agentConfig })
+        ws.callRecorder = null
       }
 
       console.log("🔌 [SIP-CLOSE] Resetting session state...")
@@ -2517,8 +2821,7 @@ const setupUnifiedVoiceServer = (wss) => {
       isProcessing = false
       userUtteranceBuffer = ""
       lastProcessedText = ""
-      deepgramReady = false
-      deepgramAudioQueue = []
+      sttProvider = null
       currentTTS = null
       currentLanguage = undefined
       processingRequestId = 0
@@ -2526,6 +2829,10 @@ const setupUnifiedVoiceServer = (wss) => {
       callDirection = "inbound"
       agentConfig = null
       sttTimer = null
+      amd = null
+      answeringMachine = null
+      languageTracker = null
+      ws.callMeter = null
       
       console.log("🔌 [SIP-CLOSE] ======================================")
     })
@@ -2548,27 +2855,37 @@ let stopEventSequence = 1
 const billedStreamSids = new Set()
 
 // Helper to bill call credits with decimal precision (1/30 credit per second)
-const billCallCredits = async ({ clientId, durationSeconds, callDirection, mobile, callLogId, streamSid, uniqueid }) => {
+// The call's credit hold (reserved at start) is settled at the actual duration, or released when nothing is billed
+const billCallCredits = async ({ clientId, durationSeconds, callDirection, mobile, callLogId, streamSid, uniqueid, answeringMachine = null, creditHold = null }) => {
+  if (!clientId || !streamSid) return
+  if (billedStreamSids.has(streamSid)) return
+  // Claimed before the first await so a stop and a close racing each other bill once; released again if the charge fails
+  billedStreamSids.add(streamSid)
+  let settled = false
   try {
-    if (!clientId || !streamSid) return
-    if (billedStreamSids.has(streamSid)) return
+    // Hanging up on an answering machine is not a conversation; a voicemail that was left is billed
+    if (answeringMachine?.result === "machine" && !answeringMachine.voicemailLeft) {
+      if (creditHold) await Credit.releaseHold(clientId, creditHold.holdId)
+      console.log(`💰 [CALL-BILLING] Skipped: answering machine (${answeringMachine.reason}) after ${durationSeconds}s`)
+      return
+    }
 
-    const creditRecord = await Credit.getOrCreateCreditRecord(clientId)
     const currentSeconds = Math.max(0, Number(durationSeconds) || 0)
-    const balanceBefore = Number(creditRecord.currentBalance || 0)
-
-    // Use new decimal billing method
-    const billingResult = creditRecord.billCallCredits(
-      currentSeconds, 
-      mobile || 'unknown', 
-      callDirection || 'inbound', 
-      callLogId, 
-      streamSid,
-      uniqueid
-    )
 
-    // Save the updated credit record
-    await creditRecord.save()
+    // Charge and close the hold in one atomic update
+    const billingResult = await Credit.settleCallHold(clientId, creditHold?.holdId || null, {
+      durationSeconds: currentSeconds,
+      mobile: mobile || 'unknown',
+      callDirection: callDirection || 'inbound',
+      callLogId,
+      streamSid,
+      uniqueid,
+    })
+    settled = true
+    const balanceBefore = billingResult.balanceBefore
+    if (billingResult.shortfall > 0) {
+      console.log(`⚠️ [CALL-BILLING] ${billingResult.shortfall} credits of this call were not covered by the balance`)
+    }
 
     if (callLogId) {
       await CallLog.findByIdAndUpdate(callLogId, {
@@ -2578,6 +2895,7 @@ const billCallCredits = async ({ clientId, durationSeconds, callDirection, mobil
           durationSeconds: currentSeconds,
           balanceBefore: balanceBefore,
           balanceAfter: billingResult.balanceAfter,
+          shortfall: billingResult.shortfall,
           billingMethod: 'decimal_precision',
           creditsPerSecond: 1/30,
           uniqueid: uniqueid || null,
@@ -2587,34 +2905,58 @@ const billCallCredits = async ({ clientId, durationSeconds, callDirection, mobil
       }).catch(() => {})
     }
 
-    billedStreamSids.add(streamSid)
     console.log(`💰 [CALL-BILLING] Call: ${billingResult.durationFormatted} (${currentSeconds}s). Charged: ${billingResult.creditsUsed} credits. Balance: ${balanceBefore} → ${billingResult.balanceAfter}`)
+    emitWebhookEvent(clientId, "credits.billed", {
+      callId: streamSid,
+      callLogId: callLogId ? String(callLogId) : null,
+      mobile: mobile || null,
+      direction: callDirection || "inbound",
+      uniqueid: uniqueid || null,
+      durationSec: currentSeconds,
+      creditsUsed: billingResult.creditsUsed,
+      balanceBefore,
+      balanceAfter: billingResult.balanceAfter,
+    }).catch(() => {})
   } catch (e) {
+    if (!settled) billedStreamSids.delete(streamSid)
     console.log(`❌ [CALL-BILLING] Error: ${e.message}`)
     // Swallow billing errors to not affect call flow
   }
 }
 
-// Helper to deduct 1 credit for successful WhatsApp sends
-const billWhatsAppCredit = async ({ clientId, mobile, link, callLogId, streamSid }) => {
+// Send a WhatsApp message against 1 credit: reserved before the send, charged when it succeeds, released when it fails
+const sendWhatsAppWithCredit = async ({ clientId, toNumber, link, apiUrl, mobile, callLogId, streamSid }) => {
+  let hold = null
   try {
-    if (!clientId) return
-    const creditRecord = await Credit.getOrCreateCreditRecord(clientId)
-    const balanceBefore = Number(creditRecord?.currentBalance || 0)
-    if (balanceBefore < 1) {
-      console.log("⚠️ [WHATSAPP-BILLING] Insufficient credits to deduct for WhatsApp message")
-      return
+    hold = await reserveMessageCredits(clientId, "whatsapp", { reference: toNumber })
+  } catch (e) {
+    console.log(`⚠️ [WHATSAPP-BILLING] Not sending: ${e.code === "insufficient_credits" ? "insufficient credits" : e.message}`)
+    return { ok: false, reason: e.code || "credit_hold_failed" }
+  }
+
+  const result = await sendWhatsAppTemplateMessage(toNumber, link, apiUrl)
+  try {
+    if (!result?.ok) {
+      await Credit.releaseHold(clientId, hold.holdId)
+      return result
     }
-    await creditRecord.useCredits(1, 'whatsapp', `WhatsApp message sent to ${mobile || 'unknown'} with link: ${link || 'none'}`, {
-      mobile: mobile || null,
-      link: link || null,
-      callLogId: callLogId || null,
-      streamSid: streamSid || null,
+    await Credit.settleHold(clientId, hold.holdId, {
+      amount: hold.amount,
+      usageType: 'whatsapp',
+      description: `WhatsApp message sent to ${mobile || 'unknown'} with link: ${link || 'none'}`,
+      messageCount: 1,
+      metadata: {
+        mobile: mobile || null,
+        link: link || null,
+        callLogId: callLogId || null,
+        streamSid: streamSid || null,
+      },
     })
-    console.log(`💰 [WHATSAPP-BILLING] Deducted 1.00 credit for WhatsApp message to ${mobile}`)
+    console.log(`💰 [WHATSAPP-BILLING] Deducted ${hold.amount.toFixed(2)} credit for WhatsApp message to ${mobile}`)
   } catch (e) {
     console.log("❌ [WHATSAPP-BILLING] Error deducting credit:", e.message)
   }
+  return result
 }
 
 /**
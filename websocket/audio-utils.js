@@ -251,9 +251,10 @@ class AudioProcessor extends EventEmitter {
 
   /**
    * Simple Voice Activity Detection
+   * @param {Int16Array} samples - one frame of PCM16
+   * @param {Object} thresholds - { energyThreshold, zcrThreshold, minEnergy }; frames below minEnergy are never voice
    */
-  detectVoiceActivity(samples) {
-    const frameSize = 160; // 20ms at 8kHz
+  static detectVoiceActivity(samples, thresholds = {}) {
     let energySum = 0;
     let zeroCrossings = 0;
     
@@ -269,12 +270,17 @@ class AudioProcessor extends EventEmitter {
     const zcr = zeroCrossings / samples.length;
     
     // Simple threshold-based VAD
-    const energyThreshold = 1000000; // Adjust based on environment
-    const zcrThreshold = 0.1;
+    const energyThreshold = thresholds.energyThreshold ?? 1000000; // Adjust based on environment
+    const zcrThreshold = thresholds.zcrThreshold ?? 0.1;
+    if (avgEnergy < (thresholds.minEnergy || 0)) return false; // quiet line hiss has a high zero-crossing rate too
     
     return avgEnergy > energyThreshold || zcr > zcrThreshold;
   }
 
+  detectVoiceActivity(samples) {
+    return AudioProcessor.detectVoiceActivity(samples);
+  }
+
   /**
    * Convert MP3 to PCM - with FFmpeg and Node.js fallback
    */
@@ -615,6 +621,155 @@ const AudioUtils = {
     return mixed;
   },
 
+  /**
+   * Wrap raw PCM16 little-endian samples in a RIFF/WAVE container
+   */
+  createWavBuffer(pcmBuffer, sampleRate = 8000, channels = 1, bitDepth = 16) {
+    const header = Buffer.alloc(44);
+    const byteRate = sampleRate * channels * (bitDepth / 8);
+    const blockAlign = channels * (bitDepth / 8);
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + pcmBuffer.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitDepth, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(pcmBuffer.length, 40);
+
+    return Buffer.concat([header, pcmBuffer]);
+  },
+
+  /**
+   * Decode G.711 μ-law bytes to PCM16 little-endian
+   */
+  decodeMuLaw(muLawBuffer) {
+    const pcm = Buffer.alloc(muLawBuffer.length * 2);
+
+    for (let i = 0; i < muLawBuffer.length; i++) {
+      const byte = ~muLawBuffer[i] & 0xff;
+      const sign = byte & 0x80;
+      const exponent = (byte >> 4) & 0x07;
+      const mantissa = byte & 0x0f;
+      let sample = ((mantissa << 3) + 0x84) << exponent;
+      sample -= 0x84;
+      pcm.writeInt16LE(sign ? -sample : sample, i * 2);
+    }
+
+    return pcm;
+  },
+
+  /**
+   * Encode PCM16 little-endian samples to G.711 μ-law bytes
+   */
+  encodeMuLaw(pcmBuffer) {
+    const sampleCount = Math.floor(pcmBuffer.length / 2);
+    const muLaw = Buffer.alloc(sampleCount);
+
+    for (let i = 0; i < sampleCount; i++) {
+      let sample = pcmBuffer.readInt16LE(i * 2);
+      let sign = 0;
+      if (sample < 0) {
+        sign = 0x80;
+        sample = -sample;
+      }
+      sample = Math.min(sample + 0x84, 32635);
+
+      let exponent = 7;
+      for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+      }
+      const mantissa = (sample >> (exponent + 3)) & 0x0f;
+      muLaw[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+    }
+
+    return muLaw;
+  },
+
+  /**
+   * Downsample PCM16 mono by an integer ratio (e.g. 16k/24k -> 8k), averaging each group of samples
+   */
+  downsamplePcm16(pcmBuffer, fromRate, toRate = 8000) {
+    const ratio = Math.round(fromRate / toRate);
+    if (ratio <= 1) return pcmBuffer;
+
+    const outSamples = Math.floor(pcmBuffer.length / 2 / ratio);
+    const out = Buffer.alloc(outSamples * 2);
+
+    for (let o = 0; o < outSamples; o++) {
+      let sum = 0;
+      for (let k = 0; k < ratio; k++) {
+        sum += pcmBuffer.readInt16LE((o * ratio + k) * 2);
+      }
+      out.writeInt16LE(Math.round(sum / ratio), o * 2);
+    }
+
+    return out;
+  },
+
+  /**
+   * Resample PCM16 mono to any rate with linear interpolation (for non-integer ratios such as 44.1k -> 8k)
+   */
+  resamplePcm16(pcmBuffer, fromRate, toRate = 8000) {
+    if (!fromRate || fromRate === toRate) return pcmBuffer;
+    if (fromRate % toRate === 0) return this.downsamplePcm16(pcmBuffer, fromRate, toRate);
+
+    const inSamples = Math.floor(pcmBuffer.length / 2);
+    const outSamples = Math.floor((inSamples * toRate) / fromRate);
+    const out = Buffer.alloc(outSamples * 2);
+    const step = fromRate / toRate;
+
+    for (let o = 0; o < outSamples; o++) {
+      const pos = o * step;
+      const i = Math.floor(pos);
+      const frac = pos - i;
+      const a = pcmBuffer.readInt16LE(i * 2);
+      const b = i + 1 < inSamples ? pcmBuffer.readInt16LE((i + 1) * 2) : a;
+      out.writeInt16LE(Math.round(a + (b - a) * frac), o * 2);
+    }
+
+    return out;
+  },
+
+  /**
+   * Interleave two PCM16 mono buffers into one stereo buffer (left, right); the shorter side is padded with silence
+   */
+  interleaveStereo(leftBuffer, rightBuffer) {
+    const leftSamples = Math.floor(leftBuffer.length / 2);
+    const rightSamples = Math.floor(rightBuffer.length / 2);
+    const frames = Math.max(leftSamples, rightSamples);
+    const stereo = Buffer.alloc(frames * 4);
+
+    for (let i = 0; i < frames; i++) {
+      if (i < leftSamples) stereo.writeInt16LE(leftBuffer.readInt16LE(i * 2), i * 4);
+      if (i < rightSamples) stereo.writeInt16LE(rightBuffer.readInt16LE(i * 2), i * 4 + 2);
+    }
+
+    return stereo;
+  },
+
+  /**
+   * Root-mean-square level of a PCM16 little-endian buffer
+   */
+  calculateRms(pcmBuffer) {
+    const sampleCount = Math.floor(pcmBuffer.length / 2);
+    if (sampleCount === 0) return 0;
+
+    let sumSquares = 0;
+    for (let i = 0; i < sampleCount; i++) {
+      const sample = pcmBuffer.readInt16LE(i * 2);
+      sumSquares += sample * sample;
+    }
+
+    return Math.sqrt(sumSquares / sampleCount);
+  },
+
   /**
    * Initialize FFmpeg for the entire module
    */
@@ -0,0 +1,316 @@
+require("dotenv").config()
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const LLM_ENDPOINTS = {
+  openai: process.env.OPENAI_CHAT_URL || "https://api.openai.com/v1/chat/completions",
+  anthropic: process.env.ANTHROPIC_API_URL || "https://api.anthropic.com/v1/messages",
+  google: process.env.GEMINI_API_URL || "https://generativelanguage.googleapis.com/v1beta/models",
+}
+
+// Read a server-sent-events body line by line, handing each JSON "data:" payload to onData
+const readSseStream = async (response, onData) => {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder("utf-8")
+  let buffer = ""
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read()
+      if (done) break
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split(/\r?\n/)
+      buffer = lines.pop() || ""
+      for (const line of lines) {
+        const trimmed = line.trim()
+        if (!trimmed.startsWith("data:")) continue
+        const jsonStr = trimmed.slice(5).trim()
+        if (jsonStr === "[DONE]") return
+        let payload = null
+        try {
+          payload = JSON.parse(jsonStr)
+        } catch (_) {
+          continue // ignore malformed lines
+        }
+        await onData(payload)
+      }
+    }
+  } finally {
+    try { reader.releaseLock() } catch (_) {}
+  }
+}
+
+// Collapse OpenAI-style messages into a single system string plus alternating user/assistant turns
+const splitSystemMessages = (messages = []) => {
+  const system = []
+  const turns = []
+  for (const message of messages) {
+    if (!message?.content) continue
+    if (message.role === "system") {
+      system.push(message.content)
+      continue
+    }
+    const role = message.role === "assistant" ? "assistant" : "user"
+    const last = turns[turns.length - 1]
+    if (last && last.role === role) {
+      last.content = `${last.content}\n${message.content}`
+    } else {
+      turns.push({ role, content: message.content })
+    }
+  }
+  // Anthropic and Gemini both require the conversation to open with a user turn
+  if (turns.length && turns[0].role !== "user") {
+    turns.unshift({ role: "user", content: "(call connected)" })
+  }
+  return { system: system.join("\n\n"), turns }
+}
+
+/**
+ * Common chat-completion adapter interface.
+ *
+ * stream({ messages, maxTokens, temperature }, onPartial) resolves with the full reply text
+ * and calls onPartial(accumulated, delta) for every streamed token. messages use the OpenAI
+ * shape ({ role: "system" | "user" | "assistant", content }); adapters translate as needed.
+ *
+ * streamWithTools({ ..., tools }, onPartial) resolves with { text, toolCalls } where toolCalls are
+ * OpenAI-shaped ({ id, type: "function", function: { name, arguments } }). Adapters that cannot
+ * call tools (supportsTools = false) ignore them and always return an empty toolCalls list.
+ */
+class BaseLlmProvider {
+  constructor(options = {}) {
+    this.name = "base"
+    this.apiKey = options.apiKey || null
+    this.model = options.model || null
+    this.url = options.url || null
+    this.onRequest = options.onRequest || null
+    this.supportsTools = false
+  }
+
+  // Report one billable provider request (used for per-client API key usage tracking)
+  trackRequest() {
+    if (typeof this.onRequest !== "function") return
+    try { this.onRequest(this.name) } catch (_) {}
+  }
+
+  async stream(params, onPartial) {
+    throw new Error(`stream() not implemented for LLM provider: ${this.name}`)
+  }
+
+  // Non-streaming completion built on the same transport
+  async complete(params) {
+    return this.stream(params, null)
+  }
+
+  async streamWithTools(params, onPartial) {
+    const { tools, ...rest } = params
+    return { text: await this.stream(rest, onPartial), toolCalls: [] }
+  }
+
+  async postStream(url, headers, body, extractDelta, onPartial) {
+    this.trackRequest()
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    })
+
+    if (!response.ok || !response.body) {
+      throw new Error(`${this.name} LLM API error: ${response.status}`)
+    }
+
+    let accumulated = ""
+    await readSseStream(response, async (payload) => {
+      const delta = extractDelta(payload)
+      if (!delta) return
+      accumulated += delta
+      if (typeof onPartial === "function") {
+        try { await onPartial(accumulated, delta) } catch (_) {}
+      }
+    })
+    return accumulated
+  }
+}
+
+class OpenAILlmProvider extends BaseLlmProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = "openai"
+    this.apiKey = this.apiKey || process.env.OPENAI_API_KEY
+    this.model = this.model || process.env.OPENAI_MODEL || "gpt-4o-mini"
+    this.url = this.url || LLM_ENDPOINTS.openai
+    this.supportsTools = true
+  }
+
+  buildHeaders() {
+    return { Authorization: `Bearer ${this.apiKey}` }
+  }
+
+  buildBody({ messages, maxTokens = 120, temperature = 0.3, presencePenalty, frequencyPenalty, tools }) {
+    return {
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+      ...(presencePenalty != null ? { presence_penalty: presencePenalty } : {}),
+      ...(frequencyPenalty != null ? { frequency_penalty: frequencyPenalty } : {}),
+      ...(tools?.length ? { tools, tool_choice: "auto" } : {}),
+    }
+  }
+
+  async stream(params, onPartial) {
+    return this.postStream(
+      this.url,
+      this.buildHeaders(),
+      this.buildBody(params),
+      (payload) => payload.choices?.[0]?.delta?.content || "",
+      onPartial,
+    )
+  }
+
+  // Tool-call arguments arrive as string fragments keyed by index; stitch them back together
+  async streamWithTools(params, onPartial) {
+    const calls = []
+    const text = await this.postStream(
+      this.url,
+      this.buildHeaders(),
+      this.buildBody(params),
+      (payload) => {
+        const delta = payload.choices?.[0]?.delta || {}
+        for (const part of delta.tool_calls || []) {
+          const index = part.index ?? calls.length
+          if (!calls[index]) calls[index] = { id: "", type: "function", function: { name: "", arguments: "" } }
+          const call = calls[index]
+          if (part.id) call.id = part.id
+          if (part.function?.name) call.function.name += part.function.name
+          if (part.function?.arguments) call.function.arguments += part.function.arguments
+        }
+        return delta.content || ""
+      },
+      onPartial,
+    )
+    return { text, toolCalls: calls.filter((call) => call && call.function.name) }
+  }
+}
+
+// Azure OpenAI speaks the OpenAI wire format against a per-resource deployment URL
+class AzureOpenAILlmProvider extends OpenAILlmProvider {
+  constructor(options = {}) {
+    super({ ...options, apiKey: options.apiKey || process.env.AZURE_OPENAI_API_KEY })
+    this.name = "azure"
+    const endpoint = (options.endpoint || process.env.AZURE_OPENAI_ENDPOINT || "").replace(/\/+$/, "")
+    const deployment = options.deployment || process.env.AZURE_OPENAI_DEPLOYMENT || "gpt-4o-mini"
+    const apiVersion = options.apiVersion || process.env.AZURE_OPENAI_API_VERSION || "2024-06-01"
+    this.model = deployment
+    this.url = options.url || `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${apiVersion}`
+  }
+
+  buildHeaders() {
+    return { "api-key": this.apiKey }
+  }
+}
+
+class AnthropicLlmProvider extends BaseLlmProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = "anthropic"
+    this.apiKey = this.apiKey || process.env.ANTHROPIC_API_KEY
+    this.model = this.model || process.env.ANTHROPIC_MODEL || "claude-3-5-haiku-latest"
+    this.url = this.url || LLM_ENDPOINTS.anthropic
+  }
+
+  async stream({ messages, maxTokens = 120, temperature = 0.3 }, onPartial) {
+    const { system, turns } = splitSystemMessages(messages)
+    return this.postStream(
+      this.url,
+      { "x-api-key": this.apiKey, "anthropic-version": "2023-06-01" },
+      {
+        model: this.model,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        ...(system ? { system } : {}),
+        messages: turns,
+      },
+      (payload) => (payload.type === "content_block_delta" ? payload.delta?.text || "" : ""),
+      onPartial,
+    )
+  }
+}
+
+class GeminiLlmProvider extends BaseLlmProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = "google"
+    this.apiKey = this.apiKey || process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY
+    this.model = this.model || process.env.GEMINI_MODEL || "gemini-1.5-flash"
+    this.url = this.url || LLM_ENDPOINTS.google
+  }
+
+  async stream({ messages, maxTokens = 120, temperature = 0.3 }, onPartial) {
+    const { system, turns } = splitSystemMessages(messages)
+    const url = `${this.url}/${encodeURIComponent(this.model)}:streamGenerateContent?alt=sse&key=${encodeURIComponent(this.apiKey || "")}`
+    return this.postStream(
+      url,
+      {},
+      {
+        contents: turns.map((turn) => ({
+          role: turn.role === "assistant" ? "model" : "user",
+          parts: [{ text: turn.content }],
+        })),
+        ...(system ? { system_instruction: { role: "system", parts: [{ text: system }] } } : {}),
+        generationConfig: { temperature, maxOutputTokens: maxTokens },
+      },
+      (payload) => (payload?.candidates?.[0]?.content?.parts || []).map((p) => p.text || "").join(""),
+      onPartial,
+    )
+  }
+}
+
+const LLM_PROVIDERS = {
+  openai: OpenAILlmProvider,
+  azure: AzureOpenAILlmProvider,
+  anthropic: AnthropicLlmProvider,
+  google: GeminiLlmProvider,
+  gemini: GeminiLlmProvider,
+}
+
+const registerLlmProvider = (name, ProviderClass) => {
+  LLM_PROVIDERS[name.toLowerCase()] = ProviderClass
+}
+
+// Provider name actually used for a selection (for CallLog metadata)
+const resolveLlmProviderName = (selection = "openai") => {
+  const key = (selection || "openai").toString().toLowerCase()
+  if (!LLM_PROVIDERS[key]) return "openai"
+  return key === "gemini" ? "google" : key
+}
+
+/**
+ * Build the LLM adapter selected on the agent document
+ * @param {string} selection - Agent.llmSelection (openai, anthropic, google, azure)
+ * @param {Object} options - { apiKey, model, url, onRequest }
+ * @returns {BaseLlmProvider}
+ */
+const createLlmProvider = (selection = "openai", options = {}) => {
+  const key = (selection || "openai").toString().toLowerCase()
+  const ProviderClass = LLM_PROVIDERS[key]
+  if (!ProviderClass) {
+    console.log(`⚠️ [LLM-PROVIDER] "${selection}" is not available, falling back to openai`)
+    return new OpenAILlmProvider(options)
+  }
+  return new ProviderClass(options)
+}
+
+module.exports = {
+  BaseLlmProvider,
+  OpenAILlmProvider,
+  AzureOpenAILlmProvider,
+  AnthropicLlmProvider,
+  GeminiLlmProvider,
+  createLlmProvider,
+  registerLlmProvider,
+  resolveLlmProviderName,
+  readSseStream,
+  LLM_PROVIDERS,
+}
@@ -0,0 +1,150 @@
+const WebSocket = require("ws")
+const { callEvents } = require("../utils/call-events")
+const { canAccessClient } = require("../utils/auth")
+const { performSupervisorAction } = require("../utils/supervisor")
+
+const MONITOR_HEARTBEAT_MS = 30000
+
+/**
+ * Live call monitoring for dashboards (/monitor-ws).
+ *
+ * The connection is authenticated during the upgrade (see server.js); ws.principal decides which calls are visible.
+ * Client → server: { action: "list" | "subscribe" | "unsubscribe" | "ping", callId }
+ *                  { action: "whisper" | "say", callId, text } / { action: "barge", callId, humanAgentId }
+ * Server → client: "calls", "subscribed", "unsubscribed", "call_started", "call_ended", "call_event",
+ *                  "sentiment_alert", "supervisor_result", "pong", "error"
+ */
+function setupMonitorWebSocketServer(wss) {
+  console.log("🔧 [MONITOR-WS] Setting up call monitoring WebSocket server...")
+
+  const send = (ws, payload) => {
+    if (ws.readyState !== WebSocket.OPEN) return
+    try {
+      ws.send(JSON.stringify({ ...payload, timestamp: new Date().toISOString() }))
+    } catch (error) {
+      console.log(`⚠️ [MONITOR-WS] Send failed for ${ws.connectionId}: ${error.message}`)
+    }
+  }
+
+  const visibleCalls = (ws) => callEvents.listCalls(ws.principal.role === "admin" ? {} : { clientId: ws.principal.clientId })
+
+  // Call start/end and sentiment alerts go to all monitors of that client; the rest only to monitors subscribed to the call
+  const onCallEvent = (event) => {
+    for (const ws of wss.clients) {
+      if (!ws.principal || !canAccessClient(ws.principal, event.clientId)) continue
+      if (event.type === "call_start") {
+        send(ws, { event: "call_started", call: event.data.call })
+      }
+      if (event.type === "sentiment_alert" && !ws.subscriptions?.has(event.callId)) {
+        send(ws, { event: "sentiment_alert", callId: event.callId, data: event.data, at: event.at })
+      }
+      if (ws.subscriptions?.has(event.callId)) {
+        send(ws, { event: "call_event", callId: event.callId, type: event.type, data: event.data, at: event.at })
+      }
+      if (event.type === "call_end") {
+        send(ws, { event: "call_ended", callId: event.callId, data: event.data })
+        ws.subscriptions?.delete(event.callId)
+      }
+    }
+  }
+  callEvents.on("event", onCallEvent)
+
+  const handleAction = (ws, message) => {
+    switch (message.action) {
+      case "list":
+        send(ws, { event: "calls", calls: visibleCalls(ws) })
+        break
+
+      case "subscribe": {
+        const call = message.callId ? callEvents.getCall(message.callId) : null
+        if (!call || !canAccessClient(ws.principal, call.clientId)) {
+          send(ws, { event: "error", code: "call_not_found", callId: message.callId || null, message: "No active call with that id" })
+          break
+        }
+        ws.subscriptions.add(call.callId)
+        send(ws, { event: "subscribed", call, recentEvents: callEvents.getRecentEvents(call.callId) })
+        console.log(`👁️ [MONITOR-WS] ${ws.connectionId} subscribed to ${call.callId}`)
+        break
+      }
+
+      case "unsubscribe":
+        ws.subscriptions.delete(String(message.callId))
+        send(ws, { event: "unsubscribed", callId: message.callId || null })
+        break
+
+      case "ping":
+        send(ws, { event: "pong" })
+        break
+
+      case "whisper":
+      case "say":
+      case "barge":
+        performSupervisorAction(message.callId, message.action, message, ws.principal)
+          .then((result) => send(ws, { event: "supervisor_result", callId: message.callId, ...result }))
+          .catch((error) =>
+            send(ws, { event: "error", code: error.code || "action_failed", callId: message.callId || null, message: error.message }),
+          )
+        break
+
+      default:
+        send(ws, { event: "error", code: "unknown_action", message: `Unknown action: ${message.action}` })
+    }
+  }
+
+  wss.on("connection", (ws, req, principal) => {
+    ws.principal = principal
+    ws.subscriptions = new Set()
+    ws.isAlive = true
+    console.log(`👁️ [MONITOR-WS] Monitor connected: ${ws.connectionId} (${principal.role}${principal.clientId ? ` ${principal.clientId}` : ""})`)
+
+    send(ws, { event: "connected", protocol: "Monitor-WebSocket-v1.0", calls: visibleCalls(ws) })
+
+    ws.on("pong", () => {
+      ws.isAlive = true
+    })
+
+    ws.on("message", (raw) => {
+      let message
+      try {
+        message = JSON.parse(raw.toString())
+      } catch (_) {
+        send(ws, { event: "error", code: "invalid_message", message: "Invalid message format" })
+        return
+      }
+      handleAction(ws, message)
+    })
+
+    ws.on("close", () => {
+      ws.subscriptions.clear()
+      console.log(`👁️ [MONITOR-WS] Monitor disconnected: ${ws.connectionId}`)
+    })
+
+    ws.on("error", (error) => {
+      console.error(`❌ [MONITOR-WS] WebSocket error for ${ws.connectionId}:`, error.message)
+    })
+  })
+
+  // Drop dashboards that went away without closing the socket
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate()
+        continue
+      }
+      ws.isAlive = false
+      try {
+        ws.ping()
+      } catch (_) {}
+    }
+  }, MONITOR_HEARTBEAT_MS)
+  heartbeat.unref?.()
+
+  wss.on("close", () => {
+    clearInterval(heartbeat)
+    callEvents.off("event", onCallEvent)
+  })
+
+  console.log("✅ [MONITOR-WS] Call monitoring WebSocket server setup complete")
+}
+
+module.exports = { setupMonitorWebSocketServer }
@@ -1,13 +1,24 @@
 const WebSocket = require("ws")
+const Agent = require("../models/Agent")
+const CallLog = require("../models/CallLog")
+const { createTtsProvider, resolveTtsProviderName } = require("./tts-providers")
+const { createLlmProvider, resolveLlmProviderName } = require("./llm-providers")
+const { resolveCallApiKeys, providerKeyOptions } = require("../utils/api-key-resolver")
+const { warmKnowledgeBase, retrieveKnowledge, formatKnowledgeContext } = require("../utils/knowledge-base")
+const { getActiveTools, runLlmWithTools } = require("../utils/agent-tools")
+const { IvrSession, extractDtmfDigit, loadRoutedAgent } = require("../utils/ivr")
+const { startCallRecording } = require("../utils/call-recorder")
+const { callEvents } = require("../utils/call-events")
+const { addWhisper, formatWhisperContext } = require("../utils/supervisor")
+const { emitWebhookEvent } = require("../utils/webhooks")
+const { checkPlanLimit } = require("../utils/plan-limits")
+const { applyCallExtraction } = require("../utils/call-extraction")
 require("dotenv").config()
 
-const fetch = globalThis.fetch || require("node-fetch")
-
 const API_KEYS = {
   deepgram: process.env.DEEPGRAM_API_KEY,
   sarvam: process.env.SARVAM_API_KEY,
   openai: process.env.OPENAI_API_KEY,
-  elevenlabs: process.env.ELEVEN_API_KEY || process.env.ELEVENLABS_API_KEY,
 }
 
 if (!API_KEYS.deepgram || !API_KEYS.sarvam || !API_KEYS.openai) {
@@ -20,6 +31,7 @@ const STATIC = {
   deepgramLanguage: "hi",
   sarvamLanguage: "en-IN",
   sarvamVoice: "pavithra",
+  inputSampleRate: 44100, // caller media from SanPBX (linear16 mono)
   systemPrompt: [
     "You are a concise, helpful voice assistant.",
     "Answer only with brief, friendly sentences.",
@@ -27,13 +39,8 @@ const STATIC = {
     "End with a short, relevant follow-up question.",
   ].join(" "),
   firstMessage: "Hello! How can I help you today?",
-}
-
-// ElevenLabs configuration (voice and model)
-const ELEVEN_CONFIG = {
-  voiceId: process.env.ELEVEN_VOICE_ID || "p9aflnsbBe1o0aDeQa97",
-  modelId: process.env.ELEVEN_MODEL_ID || "eleven_flash_v2_5",
-  inactivityTimeout: 120, // Reduced timeout
+  ttsSelection: "elevenlabs", // Used when no agent is matched to the dialed DID
+  llmSelection: "openai",
 }
 
 // FIXED: Enhanced latency and interruption configuration
@@ -62,66 +69,6 @@ const HISTORY_CONFIG = {
 // Timestamp helper with milliseconds
 const ts = () => new Date().toISOString()
 
-const extractPcmLinear16Mono8kBase64 = (audioBase64) => {
-  try {
-    const buf = Buffer.from(audioBase64, 'base64')
-    if (buf.length >= 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WAVE') {
-      let offset = 12
-      let dataOffset = null
-      let dataSize = null
-      while (offset + 8 <= buf.length) {
-        const chunkId = buf.toString('ascii', offset, offset + 4)
-        const chunkSize = buf.readUInt32LE(offset + 4)
-        const next = offset + 8 + chunkSize
-        if (chunkId === 'data') {
-          dataOffset = offset + 8
-          dataSize = chunkSize
-          break
-        }
-        offset = next
-      }
-      if (dataOffset != null && dataSize != null) {
-        return buf.slice(dataOffset, dataOffset + dataSize).toString('base64')
-      }
-    }
-    return audioBase64
-  } catch (_) {
-    return audioBase64
-  }
-}
-
-// Optimized downsample function
-const downsamplePcm16kTo8k = (pcm16kBuf) => {
-  const start = Date.now()
-  try {
-    const byteLen = pcm16kBuf.length - (pcm16kBuf.length % 2)
-    if (byteLen <= 0) return pcm16kBuf
-    const srcView = new Int16Array(pcm16kBuf.buffer, pcm16kBuf.byteOffset, byteLen / 2)
-
-    const dstSamples = Math.floor(srcView.length / 2)
-    const outView = new Int16Array(dstSamples)
-
-    for (let i = 0, o = 0; o < dstSamples; o++, i += 2) {
-      const xm1 = i - 1 >= 0 ? srcView[i - 1] : 0
-      const x0 = srcView[i] || 0
-      const x1 = i + 1 < srcView.length ? srcView[i + 1] : 0
-      const x2 = i + 2 < srcView.length ? srcView[i + 2] : 0
-      let y = (xm1 + (x0 << 1) + (x1 << 1) + x2) / 6
-      if (y > 32767) y = 32767
-      else if (y < -32768) y = -32768
-      outView[o] = y | 0
-    }
-
-    const outBuf = Buffer.from(outView.buffer, outView.byteOffset, outView.byteLength)
-    const ms = Date.now() - start
-    console.log(`[${ts()}] [DOWNSAMPLE] 16k_to_8k_ms=${ms} in_bytes=${byteLen} out_bytes=${outBuf.length}`)
-    return outBuf
-  } catch (e) {
-    console.log(`[${ts()}] [DOWNSAMPLE] error ${e.message}`)
-    return pcm16kBuf
-  }
-}
-
 // FIXED: Sequential SIP audio streaming with better completion handling
 const streamPcmToSanPBX = async (ws, { streamId, callId, channelId }, pcmBase64, sessionId, priority = 'normal') => {
   if (!ws || ws.readyState !== WebSocket.OPEN) return false
@@ -170,6 +117,8 @@ const streamPcmToSanPBX = async (ws, { streamId, callId, channelId }, pcmBase64,
     } catch (_) { 
       return false 
     }
+    // Bot leg of the call recording: only audio that actually went out
+    if (ws.__recorder) ws.__recorder.addBot(padded)
     
     position += CHUNK_SIZE
     
@@ -266,310 +215,84 @@ const resetSipAbort = (ws) => {
   ws.__sipAbortSession = null
 }
 
-// FIXED: ElevenLabs streaming with better session management
-const elevenLabsStreamTTS = async (text, ws, ids, sessionId, priority = 'normal') => {
-  return new Promise(async (resolve) => {
-    try {
-      if (!API_KEYS.elevenlabs) throw new Error("Missing ELEVEN_API_KEY")
-      
-      const url = `wss://api.elevenlabs.io/v1/text-to-speech/${encodeURIComponent(ELEVEN_CONFIG.voiceId)}/stream-input?model_id=${encodeURIComponent(ELEVEN_CONFIG.modelId)}&inactivity_timeout=${ELEVEN_CONFIG.inactivityTimeout}&output_format=pcm_16000`
-      const headers = { 'xi-api-key': API_KEYS.elevenlabs }
-      const elWs = new WebSocket(url, { headers })
-
-      let opened = false
-      let resolved = false
-      let audioStarted = false
-      let totalSentBytes = 0
-      let finalized = false
-
-      const safeResolve = (ok) => { 
-        if (!resolved) { 
-          resolved = true
-          try { elWs.close() } catch (_) {}
-          resolve(ok) 
-        } 
-      }
-
-      let keepAlive = null
-
-      const finalizeStream = () => {
-        if (finalized) return
-        finalized = true
-        try { elWs.send(JSON.stringify({ text: "" })) } catch (_) {}
-        setTimeout(() => { try { elWs.close() } catch (_) {} }, 100)
-      }
-
-      elWs.on("open", () => {
-        // FIXED: More lenient session checking - allow high priority and grace period
-        if (sessionId && ws.currentTTSSession !== sessionId && priority !== 'high') {
-          const timeSinceSessionChange = Date.now() - (ws.lastTTSSessionChange || 0)
-          if (timeSinceSessionChange < LATENCY_CONFIG.SESSION_CHANGE_GRACE_MS) {
-            console.log(`[${ts()}] [11L-WS] session_change_too_recent session=${sessionId} grace=${timeSinceSessionChange}ms`)
-            safeResolve(false)
-            return
-          }
-        }
-        
-        opened = true
-        console.log(`[${ts()}] [11L-WS] open session=${sessionId} priority=${priority}`)
-        const initMsg = {
-          text: " ",
-          xi_api_key: API_KEYS.elevenlabs,
-          voice_settings: { 
-            stability: 0.4, 
-            similarity_boost: 0.75, 
-            style: 0.2 
-          },
-          generation_config: { 
-            chunk_length_schedule: [100, 160, 250] // Smaller chunks for faster streaming
-          },
-        }
-        try { elWs.send(JSON.stringify(initMsg)) } catch (_) {}
-        try { elWs.send(JSON.stringify({ text: text + " " })) } catch (_) {}
-        try { elWs.send(JSON.stringify({ flush: true })) } catch (_) {}
-        // Proactively end after flush so the server delivers remaining audio and closes
-        setTimeout(() => finalizeStream(), 500)
-        
-        keepAlive = setInterval(() => {
-          // FIXED: More lenient keepalive checking
-          if (sessionId && ws.currentTTSSession !== sessionId && priority !== 'high' && !audioStarted) {
-            const timeSinceLastUserInput = Date.now() - (ws.lastUserInputTime || 0)
-            if (timeSinceLastUserInput < 3000) { // Only stop if very recent user input
-              console.log(`[${ts()}] [11L-WS] session_expired_keepalive session=${sessionId}`)
-              safeResolve(false)
-              return
-            }
-          }
-          try { elWs.send(JSON.stringify({ text: " " })) } catch (_) {}
-        }, 8000)
-      })
-
-      let firstAudioAt = null
-      let pcm8kAcc = Buffer.alloc(0)
-      const FRAME_BYTES = 320
-      let lastEnqueuePromise = Promise.resolve(true)
+// SanPBX start events carry the dialed DID; match it against Agent.didNumber (last 10 digits)
+const findAgentForSanPbx = async (data = {}) => {
+  const dialed = [data.did, data.didNumber, data.to, data.calledNumber, data.start?.to].find(Boolean)
+  const didLast = String(dialed || "").replace(/\D+/g, "").slice(-10)
+  if (!didLast) return null
 
-      elWs.on("message", async (data) => {
-        try {
-          // FIXED: More lenient session checking during playback
-          if (sessionId && ws.currentTTSSession !== sessionId && priority !== 'high') {
-            const timeSinceLastUserInput = Date.now() - (ws.lastUserInputTime || 0)
-            const allowCompletion = audioStarted && timeSinceLastUserInput > 2000
-            
-            if (!allowCompletion) {
-              console.log(`[${ts()}] [11L-WS] session_invalid_on_message session=${sessionId} allow_completion=${allowCompletion}`)
-              safeResolve(false)
-              return
-            }
-          }
-          
-          let asText = null
-          if (Buffer.isBuffer(data)) {
-            const firstByte = data[0]
-            if (firstByte === 0x7B || firstByte === 0x5B) {
-              asText = data.toString('utf8')
-            } else {
-              const pcm16kBuf = data
-              if (!firstAudioAt) {
-                firstAudioAt = Date.now()
-                audioStarted = true
-              }
-              const pcm8kBuf = downsamplePcm16kTo8k(pcm16kBuf)
-              
-              pcm8kAcc = Buffer.concat([pcm8kAcc, pcm8kBuf])
-              
-              // Smaller buffer for lower latency
-              if (pcm8kAcc.length >= FRAME_BYTES * 3) {
-                const fullFrames = Math.floor(pcm8kAcc.length / FRAME_BYTES)
-                const sendLen = fullFrames * FRAME_BYTES
-                const toSend = pcm8kAcc.slice(0, sendLen)
-                const remainder = pcm8kAcc.slice(sendLen)
-                pcm8kAcc = remainder
-                totalSentBytes += toSend.length
-                lastEnqueuePromise = enqueuePcmToSip(ws, ids, toSend.toString('base64'), sessionId, priority)
-              }
-              return
-            }
-          } else {
-            asText = String(data)
-          }
-          
-          try {
-            const msg = JSON.parse(asText)
-            if (!msg) return
-            
-            if (msg?.audio) {
-              const base64Audio = msg.audio
-              if (!base64Audio || typeof base64Audio !== 'string' || base64Audio.length === 0) {
-                return
-              }
-              
-              const pcm16kBuf = Buffer.from(base64Audio, 'base64')
-              if (!firstAudioAt) {
-                firstAudioAt = Date.now()
-                audioStarted = true
-              }
-              
-              const pcm8kBuf = downsamplePcm16kTo8k(pcm16kBuf)
-              pcm8kAcc = Buffer.concat([pcm8kAcc, pcm8kBuf])
-              
-              if (pcm8kAcc.length >= FRAME_BYTES * 3) {
-                const fullFrames = Math.floor(pcm8kAcc.length / FRAME_BYTES)
-                const sendLen = fullFrames * FRAME_BYTES
-                const toSend = pcm8kAcc.slice(0, sendLen)
-                const remainder = pcm8kAcc.slice(sendLen)
-                pcm8kAcc = remainder
-                totalSentBytes += toSend.length
-                lastEnqueuePromise = enqueuePcmToSip(ws, ids, toSend.toString('base64'), sessionId, priority)
-              }
-            } else if (msg?.isFinal) {
-              console.log(`[${ts()}] [11L-WS] final session=${sessionId}`)
-              finalizeStream()
-            }
-          } catch (_) {}
-        } catch (_) {}
-      })
-
-      elWs.on("error", (e) => {
-        console.log(`[${ts()}] [11L-WS] error ${e?.message || ''}`)
-        safeResolve(false)
-      })
-
-      elWs.on("close", async () => {
-        console.log(`[${ts()}] [11L-WS] close session=${sessionId} audio_started=${audioStarted} sent_bytes=${totalSentBytes}`)
-        try {
-          // Send remaining audio
-          if (pcm8kAcc.length > 0) {
-            const fullFrames = Math.floor(pcm8kAcc.length / FRAME_BYTES)
-            let toSendBuf
-            if (fullFrames >= 1) {
-              const sendLen = fullFrames * FRAME_BYTES
-              toSendBuf = pcm8kAcc.slice(0, sendLen)
-            } else {
-              toSendBuf = Buffer.concat([pcm8kAcc, Buffer.alloc(FRAME_BYTES - pcm8kAcc.length)])
-            }
-            totalSentBytes += toSendBuf.length
-            lastEnqueuePromise = enqueuePcmToSip(ws, ids, toSendBuf.toString('base64'), sessionId, priority)
-          }
-        } catch (_) {}
-        
-        if (keepAlive) { 
-          clearInterval(keepAlive)
-          keepAlive = null 
-        }
-        
-        try { await lastEnqueuePromise } catch (_) {}
-        
-        if (totalSentBytes <= 0) {
-          console.log(`[${ts()}] [11L-NO-AUDIO] session=${sessionId}`)
-          safeResolve(false)
-        } else {
-          console.log(`[${ts()}] [11L-COMPLETED] session=${sessionId} bytes=${totalSentBytes}`)
-          safeResolve(true)
-        }
-      })
-
-      setTimeout(() => {
-        if (!opened) {
-          console.log(`[${ts()}] [11L-WS] timeout opening`)
-          safeResolve(false)
-        }
-      }, 8000)
-    } catch (e) {
-      console.log(`[${ts()}] [11L-WS] setup_error ${e.message}`)
-      resolve(false)
-    }
-  })
+  try {
+    const candidates = await Agent.find({ isActive: true, didNumber: { $exists: true, $ne: null } })
+      .select("_id clientId agentName didNumber ttsSelection ttsVoiceId llmSelection voiceSelection language firstMessage systemPrompt knowledgeBase tools ivr recording extractionSchema")
+      .lean()
+    return candidates.find((a) => String(a.didNumber).replace(/\D+/g, "").slice(-10) === didLast) || null
+  } catch (e) {
+    console.log(`[${ts()}] [SANPBX-AGENT] lookup_error ${e.message}`)
+    return null
+  }
 }
 
-// OPTIMIZED: OpenAI streaming with faster response
-const respondWithOpenAIStream = async (userMessage, fullHistory = [], onPartial = null, sessionId = null) => {
+// OPTIMIZED: LLM streaming with faster response (provider from the session's llmSelection)
+const respondWithLLMStream = async (userMessage, fullHistory = [], onPartial = null, sessionId = null, config = STATIC, llmKey = null, onFiller = null, embeddingKey = null) => {
   const recentHistory = fullHistory.slice(-8) // Reduced for faster processing
+  const passages = config.agentId && config.hasKnowledgeBase
+    ? await retrieveKnowledge(config.agentId, userMessage, providerKeyOptions(embeddingKey))
+    : []
+  if (passages.length) {
+    console.log(`[${ts()}] [KB] passages=${passages.length} top_score=${passages[0].score.toFixed(2)}`)
+  }
   const messages = [
-    { role: "system", content: STATIC.systemPrompt },
+    { role: "system", content: `${config.systemPrompt}${passages.length ? `\n\n${formatKnowledgeContext(passages).trim()}` : ""}` },
+    ...(config.keypadContext ? [{ role: "system", content: config.keypadContext }] : []),
+    ...(config.supervisorWhispers?.length ? [{ role: "system", content: formatWhisperContext(config.supervisorWhispers) }] : []),
     ...recentHistory,
     { role: "user", content: userMessage },
   ]
+  const llm = createLlmProvider(config.llmSelection, providerKeyOptions(llmKey))
   
-  console.log(`[${ts()}] [LLM-STREAM] start session=${sessionId || 'none'} message="${userMessage}" history_entries=${recentHistory.length}`)
+  console.log(`[${ts()}] [LLM-STREAM] start provider=${llm.name} session=${sessionId || 'none'} message="${userMessage}" history_entries=${recentHistory.length}`)
   
-  const res = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: { "Content-Type": "application/json", Authorization: `Bearer ${API_KEYS.openai}` },
-    body: JSON.stringify({ 
-      model: "gpt-4o-mini", 
-      messages, 
-      max_tokens: 80,  // Reduced for faster response
-      temperature: 0.1,
-      stream: true,
-      presence_penalty: 0.2,
-      frequency_penalty: 0.1
-    }),
-  })
-  
-  if (!res.ok || !res.body) {
-    console.log(`[${ts()}] [LLM-STREAM] http_error status=${res.status}`)
-    return null
-  }
-  
-  const reader = res.body.getReader()
-  const decoder = new TextDecoder("utf-8")
-  let buffer = ""
   let accumulated = ""
   let firstTokenLogged = false
   let tokenCount = 0
   
   try {
-    while (true) {
-      const { value, done } = await reader.read()
-      if (done) break
-      
-      buffer += decoder.decode(value, { stream: true })
-      const lines = buffer.split(/\r?\n/)
-      buffer = lines.pop() || ""
-      
-      for (const line of lines) {
-        const trimmed = line.trim()
-        if (!trimmed) continue
-        if (trimmed === "data: [DONE]") {
-          console.log(`[${ts()}] [LLM-STREAM] done session=${sessionId || 'none'} tokens=${tokenCount}`)
-          break
+    let previous = ""
+    accumulated = await runLlmWithTools({
+      llm,
+      messages,
+      tools: getActiveTools(config),
+      context: { agentId: config.agentId, language: config.language },
+      onToolStart: onFiller,
+      maxTokens: 80,  // Reduced for faster response
+      temperature: 0.1,
+      presencePenalty: 0.2,
+      frequencyPenalty: 0.1,
+      onPartial: async (partial) => {
+        if (!firstTokenLogged) { 
+          firstTokenLogged = true
+          console.log(`[${ts()}] [LLM-STREAM] first_token session=${sessionId || 'none'}`) 
         }
-        if (trimmed.startsWith("data:")) {
-          try {
-            const json = JSON.parse(trimmed.slice(5).trim())
-            const delta = json.choices?.[0]?.delta?.content || ""
-            if (delta) {
-              if (!firstTokenLogged) { 
-                firstTokenLogged = true
-                console.log(`[${ts()}] [LLM-STREAM] first_token session=${sessionId || 'none'}`) 
-              }
-              accumulated += delta
-              tokenCount++
-              
-              if (typeof onPartial === "function") {
-                try { 
-                  await onPartial(accumulated, delta, sessionId) 
-                } catch (_) {}
-              }
-            }
-          } catch (_) {}
+        const delta = partial.slice(previous.length)
+        previous = partial
+        accumulated = partial
+        tokenCount++
+        if (typeof onPartial === "function") {
+          await onPartial(partial, delta, sessionId)
         }
-      }
-    }
+      },
+    })
   } catch (e) {
-    console.log(`[${ts()}] [LLM-STREAM] read_error session=${sessionId} ${e.message}`)
-  } finally {
-    try { reader.releaseLock() } catch (_) {}
+    console.log(`[${ts()}] [LLM-STREAM] error provider=${llm.name} session=${sessionId} ${e.message}`)
   }
   
   console.log(`[${ts()}] [LLM-STREAM] completed session=${sessionId} chars=${accumulated.length} tokens=${tokenCount}`)
   return accumulated || null
 }
 
-const connectDeepgram = (language = STATIC.deepgramLanguage) => {
+const connectDeepgram = (language = STATIC.deepgramLanguage, apiKey = API_KEYS.deepgram) => {
   const url = new URL("wss://api.deepgram.com/v1/listen")
-  url.searchParams.append("sample_rate", "44100")
+  url.searchParams.append("sample_rate", String(STATIC.inputSampleRate))
   url.searchParams.append("channels", "1") 
   url.searchParams.append("encoding", "linear16")
   url.searchParams.append("language", language)
@@ -584,7 +307,7 @@ const connectDeepgram = (language = STATIC.deepgramLanguage) => {
   
   return new WebSocket(wsUrl, { 
     headers: { 
-      Authorization: `Token ${API_KEYS.deepgram}` 
+      Authorization: `Token ${apiKey}` 
     } 
   })
 }
@@ -729,6 +452,19 @@ const setupSanPbxWebSocketServer = (ws) => {
   let dgQueue = []
   
   const conversationHistory = new ConversationHistory()
+
+  // Per-call agent configuration (falls back to STATIC when the DID has no agent)
+  let sessionConfig = { ...STATIC }
+  let sessionApiKeys = {}
+  let ttsProvider = null
+  let ivrSession = null // keypad menu in front of the AI conversation (Agent.ivr)
+  let ivrRouteCount = 0
+  let sessionAgent = null
+  let callLogId = null
+  let callStartedAt = null
+  let callRecorder = null
+  let monitorCallId = null // key of this call on the live call event bus
+  let callerNumber = null
   
   // FIXED: Improved session management with tracking variables
   let currentLLMSession = 0
@@ -754,6 +490,58 @@ const setupSanPbxWebSocketServer = (ws) => {
   let lastInterimText = ""
   let lastInterimTime = 0
   
+  // Stream the session's TTS provider into the SIP reverse-media queue in 320-byte frames
+  const streamTTS = async (text, sessionId, priority = 'normal') => {
+    if (!ttsProvider) return false
+
+    const FRAME_BYTES = 320
+    let pcm8kAcc = Buffer.alloc(0)
+    let totalSentBytes = 0
+    let abandoned = false
+    let lastEnqueuePromise = Promise.resolve(true)
+
+    // Let audio already playing finish unless the caller spoke within the last 2s
+    const isStale = () => {
+      if (!sessionId || ws.currentTTSSession === sessionId || priority === 'high') return false
+      const timeSinceLastUserInput = Date.now() - (ws.lastUserInputTime || 0)
+      return !(totalSentBytes > 0 && timeSinceLastUserInput > 2000)
+    }
+
+    try {
+      await ttsProvider.synthesizeStream(text, (pcm8kBuf) => {
+        if (abandoned) return
+        if (isStale()) {
+          abandoned = true
+          console.log(`[${ts()}] [TTS-STREAM] session_invalid session=${sessionId} provider=${ttsProvider.name}`)
+          return
+        }
+        pcm8kAcc = Buffer.concat([pcm8kAcc, pcm8kBuf])
+        if (pcm8kAcc.length >= FRAME_BYTES * 3) {
+          const sendLen = Math.floor(pcm8kAcc.length / FRAME_BYTES) * FRAME_BYTES
+          totalSentBytes += sendLen
+          lastEnqueuePromise = enqueuePcmToSip(ws, ids, pcm8kAcc.slice(0, sendLen).toString('base64'), sessionId, priority)
+          pcm8kAcc = pcm8kAcc.slice(sendLen)
+        }
+      })
+    } catch (e) {
+      console.log(`[${ts()}] [TTS-STREAM] error provider=${ttsProvider.name} ${e.message}`)
+    }
+
+    // Remaining partial frame is zero-padded by streamPcmToSanPBX
+    if (pcm8kAcc.length > 0 && !abandoned) {
+      totalSentBytes += pcm8kAcc.length
+      lastEnqueuePromise = enqueuePcmToSip(ws, ids, pcm8kAcc.toString('base64'), sessionId, priority)
+    }
+    try { await lastEnqueuePromise } catch (_) {}
+
+    if (totalSentBytes <= 0 || abandoned) {
+      console.log(`[${ts()}] [TTS-NO-AUDIO] session=${sessionId} provider=${ttsProvider.name} abandoned=${abandoned}`)
+      return false
+    }
+    console.log(`[${ts()}] [TTS-COMPLETED] session=${sessionId} provider=${ttsProvider.name} bytes=${totalSentBytes}`)
+    return true
+  }
+
   const sendGreeting = async () => {
     try {
       const sessionId = ++currentTTSSession
@@ -762,14 +550,40 @@ const setupSanPbxWebSocketServer = (ws) => {
       lastTTSStartTime = Date.now()
       activeTTSSessions.add(sessionId)
       
-      const ok = await elevenLabsStreamTTS(STATIC.firstMessage, ws, ids, sessionId, 'high')
+      const ok = await streamTTS(sessionConfig.firstMessage, sessionId, 'high')
       if (ok) {
-        conversationHistory.addAssistantResponse(STATIC.firstMessage)
+        conversationHistory.addAssistantResponse(sessionConfig.firstMessage)
+        callEvents.publish(monitorCallId, "transcript", { role: "ai", text: sessionConfig.firstMessage, language: sessionConfig.language })
       }
       activeTTSSessions.delete(sessionId)
     } catch (_) {}
   }
 
+  // Supervisor hooks for utils/supervisor.js; SanPBX has no warm transfer, so there is no barge
+  const supervisorControls = {
+    whisper: async ({ text }) => {
+      sessionConfig.supervisorWhispers = addWhisper(sessionConfig.supervisorWhispers || [], text)
+      console.log(`[${ts()}] [SUPERVISOR] whisper_added active=${sessionConfig.supervisorWhispers.length} text="${text}"`)
+    },
+    // Cut the current reply short and speak the supervisor's sentence in the agent's voice
+    say: async ({ text }) => {
+      currentLLMSession++ // drop the answer still being generated
+      clearTTSOperations(true)
+      if (ttsProvider) ttsProvider.interrupt() // cuts only what is playing; the sentence below still streams
+      try { abortSipQueue(ws) } catch (_) {}
+      const sessionId = ++currentTTSSession
+      ws.currentTTSSession = sessionId
+      ws.lastTTSSessionChange = Date.now()
+      lastTTSStartTime = Date.now()
+      activeTTSSessions.add(sessionId)
+      conversationHistory.addAssistantResponse(text)
+      callEvents.publish(monitorCallId, "transcript", { role: "ai", text, language: sessionConfig.language })
+      streamTTS(text, sessionId, 'high')
+        .catch(() => {})
+        .finally(() => activeTTSSessions.delete(sessionId))
+    },
+  }
+
   // FIXED: Smarter TTS queue with sentence completion
   let ttsQueue = []
   let ttsBusy = false
@@ -942,7 +756,7 @@ const setupSanPbxWebSocketServer = (ws) => {
         const startTime = Date.now()
         
         try {
-          const ok = await elevenLabsStreamTTS(item.text, ws, ids, sessionId, priority)
+          const ok = await streamTTS(item.text, sessionId, priority)
           const duration = Date.now() - startTime
           
           if (ok) {
@@ -976,6 +790,10 @@ const setupSanPbxWebSocketServer = (ws) => {
     try {
       const clean = (text || "").trim()
       if (!clean) return
+      if (ivrSession?.active) {
+        console.log(`[${ts()}] [TRANSCRIPT-SKIP] ivr_active text="${clean}"`)
+        return
+      }
       
       const wordCount = clean.split(/\s+/).filter(Boolean).length
       const timestamp = Date.now()
@@ -1014,6 +832,7 @@ const setupSanPbxWebSocketServer = (ws) => {
             }
             
             console.log(`[${ts()}] [INTERRUPTION-DETECTED] interim_text="${clean}" conf=${confidence.toFixed(2)} words=${wordCount} len=${clean.length}`)
+            callEvents.publish(monitorCallId, "interruption", { text: clean, confidence })
           } else {
             console.log(`[${ts()}] [INTERRUPTION-IGNORED] recent_tts_start interim_text="${clean}"`)
           }
@@ -1037,6 +856,7 @@ const setupSanPbxWebSocketServer = (ws) => {
         // Abort only current session audio; next responses play normally
         try { abortSipQueue(ws, ws.currentTTSSession) } catch (_) {}
         conversationHistory.addUserTranscript(clean, timestamp)
+        callEvents.publish(monitorCallId, "transcript", { role: "user", text: clean, language: sessionConfig.language })
         userSpeechDetected = false
         
         // Set silence timer
@@ -1083,7 +903,7 @@ const setupSanPbxWebSocketServer = (ws) => {
         return false
       }
       
-      const finalText = await respondWithOpenAIStream(userText, fullHistory, async (accum, delta, llmSessionId) => {
+      const finalText = await respondWithLLMStream(userText, fullHistory, async (accum, delta, llmSessionId) => {
         if (llmSessionId !== sessionId) {
           console.log(`[${ts()}] [LLM-OUTDATED] session=${llmSessionId} current=${sessionId}`)
           return
@@ -1112,7 +932,11 @@ const setupSanPbxWebSocketServer = (ws) => {
         lastLen = accum.length
         console.log(`[${ts()}] [LLM-FLUSH] session=${sessionId} chunk_len=${chunk.length} chunk="${chunk}"`)
         queueSpeech(chunk, false)
-      }, sessionId)
+      }, sessionId, sessionConfig, sessionApiKeys.llm, async (phrase) => {
+        if (sessionId !== currentLLMSession) return
+        console.log(`[${ts()}] [TOOL-FILLER] session=${sessionId} "${phrase}"`)
+        queueSpeech(phrase, false)
+      }, sessionApiKeys.embedding)
       
       // Handle final chunk with completion tracking
       if (finalText && finalText.length > lastLen && sessionId === currentLLMSession) {
@@ -1127,6 +951,7 @@ const setupSanPbxWebSocketServer = (ws) => {
       if (finalText && sessionId === currentLLMSession) {
         const totalLatency = Date.now() - processingStartTime
         conversationHistory.addAssistantResponse(finalText)
+        callEvents.publish(monitorCallId, "transcript", { role: "ai", text: finalText, language: sessionConfig.language })
         console.log(`[${ts()}] [RESPONSE-COMPLETE] session=${sessionId} response_len=${finalText.length} total_latency_ms=${totalLatency}`)
       }
       
@@ -1141,7 +966,9 @@ const setupSanPbxWebSocketServer = (ws) => {
     
     console.log(`[${ts()}] [DEEPGRAM-BOOT] attempt=${retryCount + 1}/${MAX_RETRIES + 1}`)
     
-    deepgramWs = connectDeepgram()
+    const sttKey = providerKeyOptions(sessionApiKeys.stt)
+    deepgramWs = connectDeepgram(STATIC.deepgramLanguage, sttKey.apiKey)
+    if (sttKey.onRequest) sttKey.onRequest()
     
     deepgramWs.onopen = () => {
       deepgramReady = true
@@ -1205,6 +1032,200 @@ const setupSanPbxWebSocketServer = (ws) => {
     }
   }
 
+  // Apply an Agent to this call (also used when the IVR routes to another agent); false when keys cannot be resolved
+  const configureSession = async (agent) => {
+    const nextConfig = {
+      ...STATIC,
+      ...(agent?.language ? { language: agent.language } : {}),
+      ...(agent?.systemPrompt ? { systemPrompt: agent.systemPrompt } : {}),
+      ...(agent?.firstMessage ? { firstMessage: agent.firstMessage } : {}),
+      ttsSelection: agent ? agent.ttsSelection : STATIC.ttsSelection,
+      llmSelection: agent?.llmSelection || STATIC.llmSelection,
+      agentId: agent?._id || null,
+      hasKnowledgeBase: !!agent?.knowledgeBase?.length,
+      tools: agent?.tools || [],
+      keypadContext: sessionConfig.keypadContext || "",
+      supervisorWhispers: sessionConfig.supervisorWhispers || [],
+    }
+
+    // Use the client's own provider keys; platform keys only where none are stored
+    try {
+      sessionApiKeys = await resolveCallApiKeys(agent?.clientId, {
+        stt: "deepgram",
+        tts: resolveTtsProviderName(nextConfig.ttsSelection),
+        llm: resolveLlmProviderName(nextConfig.llmSelection),
+        embedding: nextConfig.hasKnowledgeBase ? "openai" : null,
+        analysis: "openai",
+      })
+    } catch (keyErr) {
+      console.log(`[${ts()}] 🛑 [SANPBX-API-KEYS] call_blocked code=${keyErr.code || 'api_key_lookup_failed'} ${keyErr.message}`)
+      return false
+    }
+
+    sessionConfig = nextConfig
+    if (agent) warmKnowledgeBase(agent, providerKeyOptions(sessionApiKeys.embedding)).catch(() => {})
+    if (ttsProvider) ttsProvider.interrupt()
+    ttsProvider = createTtsProvider(sessionConfig.ttsSelection, {
+      language: sessionConfig.language,
+      voice: agent?.voiceSelection || STATIC.sarvamVoice,
+      voiceId: agent?.ttsVoiceId,
+      ...providerKeyOptions(sessionApiKeys.tts),
+    })
+    console.log(`[${ts()}] [SANPBX-AGENT] agent=${agent?._id || 'static'} tts=${resolveTtsProviderName(sessionConfig.ttsSelection)} language=${sessionConfig.language}`)
+    return true
+  }
+
+  // Move the call to another Agent chosen in the IVR (same client only)
+  const routeToAgent = async (agentId, currentAgent) => {
+    const nextAgent = ivrRouteCount < 3 ? await loadRoutedAgent(agentId, currentAgent).catch(() => null) : null
+    if (!nextAgent) {
+      console.log(`[${ts()}] [IVR] route_failed agent=${agentId}`)
+      return sendGreeting()
+    }
+    ivrRouteCount++
+    // On key failure configureSession leaves the current agent in place
+    if (!(await configureSession(nextAgent))) return sendGreeting()
+    console.log(`[${ts()}] [IVR] routed agent=${nextAgent._id}`)
+    sessionAgent = nextAgent
+    if (callLogId) CallLog.updateOne({ _id: callLogId }, { $set: { agentId: nextAgent._id } }).catch(() => {})
+    callEvents.updateCall(monitorCallId, { agentId: nextAgent._id, agentName: nextAgent.agentName, language: sessionConfig.language })
+    if (IvrSession.isEnabled(nextAgent)) return startIvr(nextAgent)
+    return sendGreeting()
+  }
+
+  const startIvr = async (agent) => {
+    ivrSession = new IvrSession(
+      agent.ivr,
+      {
+        speak: async (text) => {
+          const sessionId = ++currentTTSSession
+          ws.currentTTSSession = sessionId
+          ws.lastTTSSessionChange = Date.now()
+          lastTTSStartTime = Date.now()
+          activeTTSSessions.add(sessionId)
+          await streamTTS(text, sessionId, 'high')
+          activeTTSSessions.delete(sessionId)
+        },
+        // Only the prompt in flight is cut: the provider keeps speaking the menu's next prompt
+        stopSpeaking: () => {
+          const playing = ws.currentTTSSession
+          clearTTSOperations(true)
+          try { abortSipQueue(ws, playing) } catch (_) {}
+          if (ttsProvider) ttsProvider.interrupt()
+        },
+        onLanguage: (language) => {
+          console.log(`[${ts()}] [IVR] language=${language}`)
+          sessionConfig.language = language
+          if (ttsProvider) ttsProvider.reset(language)
+        },
+        onRouteAgent: (agentId) => {
+          sessionConfig.keypadContext = ivrSession.formatContext()
+          return routeToAgent(agentId, agent)
+        },
+        // SanPBX has no bridge event for warm transfer yet; keep the caller with the AI
+        onTransfer: () => {
+          console.log(`[${ts()}] [IVR] transfer_unsupported provider=sanpbx`)
+          sessionConfig.keypadContext = ivrSession.formatContext()
+          return sendGreeting()
+        },
+        onHangup: () => {
+          console.log(`[${ts()}] [IVR] hangup`)
+          try { ws.close() } catch (_) {}
+        },
+        onExit: () => {
+          sessionConfig.keypadContext = ivrSession.formatContext()
+          return sendGreeting()
+        },
+      },
+      { language: sessionConfig.language, logTag: "SANPBX-IVR" },
+    )
+    await ivrSession.start()
+  }
+
+  // CallLog for calls matched to an agent (the static fallback has no client to bill or report to)
+  const createCallLog = async (agent, data) => {
+    const caller = [data.from, data.callerId, data.caller, data.ani, data.start?.from].find(Boolean)
+    const callerLast = String(caller || "").replace(/\D+/g, "").slice(-10)
+    callerNumber = callerLast || null
+    if (!agent?.clientId) return
+    callStartedAt = new Date()
+    try {
+      const callLog = await CallLog.create({
+        clientId: agent.clientId,
+        agentId: agent._id,
+        mobile: callerLast || undefined,
+        time: callStartedAt,
+        streamSid: ids.streamId,
+        callSid: ids.callId,
+        metadata: {
+          callDirection: "inbound",
+          isActive: true,
+          callerId: callerLast || undefined,
+          languages: [sessionConfig.language],
+          sttProvider: "deepgram",
+          ttsProvider: resolveTtsProviderName(sessionConfig.ttsSelection),
+          llmProvider: resolveLlmProviderName(sessionConfig.llmSelection),
+        },
+      })
+      callLogId = callLog._id
+      console.log(`[${ts()}] [SANPBX-CALLLOG] created id=${callLogId}`)
+    } catch (e) {
+      console.log(`[${ts()}] [SANPBX-CALLLOG] create_error ${e.message}`)
+    }
+  }
+
+  // Store the recording and close the CallLog; runs once per call (stop and close both land here)
+  const finishCall = async () => {
+    const recorder = callRecorder
+    const logId = callLogId
+    callRecorder = null
+    ws.__recorder = null
+    callLogId = null
+    if (monitorCallId) callEvents.endCall(monitorCallId, { callLogId: logId ? String(logId) : null })
+    monitorCallId = null
+    if (recorder) await recorder.finish({ callLogId: logId, clientId: sessionAgent?.clientId, agent: sessionAgent })
+    if (!logId) return
+    const endedAt = new Date()
+    const durationSec = Math.max(0, Math.round((endedAt - callStartedAt) / 1000))
+    try {
+      await CallLog.updateOne(
+        { _id: logId },
+        {
+          $set: {
+            duration: durationSec,
+            "metadata.isActive": false,
+            "metadata.callEndTime": endedAt,
+            "metadata.lastUpdated": endedAt,
+          },
+        },
+      )
+    } catch (e) {
+      console.log(`[${ts()}] [SANPBX-CALLLOG] finalize_error ${e.message}`)
+    }
+    const agent = sessionAgent
+    const history = conversationHistory.getFullHistory()
+    const callEnded = {
+      callId: ids.streamId || ids.callId,
+      callLogId: String(logId),
+      agentId: agent?._id ? String(agent._id) : null,
+      transport: "sanpbx",
+      mobile: callerNumber,
+      direction: "inbound",
+      startedAt: callStartedAt,
+      endedAt,
+      durationSec,
+      leadStatus: null,
+      disposition: null,
+      subDisposition: null,
+      transcript: history.map((entry) => `${entry.role === "user" ? "User" : "AI"}: ${entry.content}`).join("\n"),
+    }
+    // Extraction must not hold up a new start on this socket; call.ended waits for it
+    applyCallExtraction(logId, agent, history, providerKeyOptions(sessionApiKeys.analysis))
+      .catch(() => null)
+      .then((extraction) => emitWebhookEvent(agent?.clientId, "call.ended", { ...callEnded, extraction }))
+      .catch(() => {})
+  }
+
   ws.on("message", async (message) => {
     try {
       const text = Buffer.isBuffer(message) ? message.toString() : String(message)
@@ -1217,6 +1238,7 @@ const setupSanPbxWebSocketServer = (ws) => {
           
         case "start":
           console.log(`[${ts()}] 📞 [SANPBX] start ${JSON.stringify({ streamId: data.streamId, callId: data.callId, channelId: data.channelId })}`)
+          await finishCall() // a new start on the same socket closes out the previous call (before its ids and history are reset)
           ids.streamId = data.streamId
           ids.callId = data.callId
           ids.channelId = data.channelId
@@ -1250,13 +1272,66 @@ const setupSanPbxWebSocketServer = (ws) => {
             silenceTimer = null
           }
           
+          if (ivrSession) ivrSession.stop()
+          ivrSession = null
+          ivrRouteCount = 0
+          sessionConfig = { ...STATIC }
+
+          const agent = await findAgentForSanPbx(data)
+          if (agent?.clientId) {
+            const planCheck = await checkPlanLimit(agent.clientId, "call").catch((error) => {
+              console.log(`[${ts()}] ⚠️ [SANPBX-PLAN-LIMIT] check_failed ${error.message}`)
+              return { allowed: true }
+            })
+            if (!planCheck.allowed) {
+              console.log(`[${ts()}] 🛑 [SANPBX-PLAN-LIMIT] call_blocked limit=${planCheck.limit} ${planCheck.reason}`)
+              try { ws.close() } catch (_) {}
+              break
+            }
+          }
+          if (!(await configureSession(agent))) {
+            try { ws.close() } catch (_) {}
+            break
+          }
+          sessionAgent = agent
+          await createCallLog(agent, data)
+          callRecorder = callLogId ? startCallRecording(agent, { callerSampleRate: STATIC.inputSampleRate, logTag: "SANPBX-RECORDING" }) : null
+          ws.__recorder = callRecorder
+          monitorCallId = ids.streamId || ids.callId
+          callEvents.registerCall(monitorCallId, {
+            transport: "sanpbx",
+            clientId: agent?.clientId,
+            agentId: agent?._id,
+            agentName: agent?.agentName,
+            mobile: callerNumber,
+            direction: "inbound",
+            callLogId,
+            streamSid: ids.streamId,
+            callSid: ids.callId,
+            language: sessionConfig.language,
+            controls: supervisorControls,
+          })
+          
           bootDeepgram()
-          await sendGreeting()
+          // Agents with a keypad menu greet after the caller leaves the IVR
+          if (IvrSession.isEnabled(agent)) {
+            await startIvr(agent)
+          } else {
+            await sendGreeting()
+          }
           break
+
+        case "dtmf": {
+          const digit = extractDtmfDigit(data)
+          console.log(`[${ts()}] 📞 [SANPBX] dtmf digit=${digit || 'invalid'}`)
+          if (digit && ivrSession) await ivrSession.handleDigit(digit)
+          break
+        }
           
         case "media":
           if (data.payload) {
             const audioBuffer = Buffer.from(data.payload, 'base64')
+            if (callRecorder) callRecorder.addCaller(audioBuffer)
             if (!ws.mediaPacketCount) ws.mediaPacketCount = 0
             ws.mediaPacketCount++
             
@@ -1285,8 +1360,10 @@ const setupSanPbxWebSocketServer = (ws) => {
           
         case "stop":
           console.log(`[${ts()}] 🛑 [SANPBX] stop`)
+          if (ivrSession) ivrSession.stop()
           
           clearTTSOperations(true)
+          if (ttsProvider) ttsProvider.interrupt()
           if (deepgramWs && deepgramWs.readyState === WebSocket.OPEN) deepgramWs.close()
           if (silenceTimer) {
             clearTimeout(silenceTimer)
@@ -1299,7 +1376,8 @@ const setupSanPbxWebSocketServer = (ws) => {
           finalHistory.forEach((entry, idx) => {
             console.log(`[${ts()}] [HISTORY-${idx + 1}] ${entry.role}: "${entry.content}"`)
           })
-          
+
+          await finishCall()
           break
           
         default:
@@ -1313,12 +1391,15 @@ const setupSanPbxWebSocketServer = (ws) => {
 
   ws.on("close", () => {
     console.log(`[${ts()}] 🔌 [SANPBX] ws closed`)
+    if (ivrSession) ivrSession.stop()
     clearTTSOperations(true)
+    if (ttsProvider) ttsProvider.interrupt()
     if (deepgramWs && deepgramWs.readyState === WebSocket.OPEN) deepgramWs.close()
     if (silenceTimer) {
       clearTimeout(silenceTimer)
       silenceTimer = null
     }
+    finishCall().catch(() => {})
   })
 
   ws.on("error", (e) => {
@@ -2,6 +2,29 @@ const WebSocket = require("ws")
 const EventEmitter = require("events")
 const Agent = require("../models/Agent")
 const CallLog = require("../models/CallLog")
+const { createSttProvider, resolveSttProviderName } = require("./stt-providers")
+const { createTtsProvider, resolveTtsProviderName } = require("./tts-providers")
+const { createLlmProvider, resolveLlmProviderName } = require("./llm-providers")
+const { resolveCallApiKeys, providerKeyOptions } = require("../utils/api-key-resolver")
+const { warmKnowledgeBase, retrieveKnowledge, formatKnowledgeContext } = require("../utils/knowledge-base")
+const { getActiveTools, runLlmWithTools } = require("../utils/agent-tools")
+const {
+  detectTransferIntent,
+  matchesTransferKeyword,
+  prepareWarmTransfer,
+  buildTransferEvent,
+  handleTransferStatus,
+  releaseUnfinishedTransfer,
+} = require("../utils/call-transfer")
+const { IvrSession, extractDtmfDigit, loadRoutedAgent } = require("../utils/ivr")
+const { startCallRecording } = require("../utils/call-recorder")
+const { callEvents } = require("../utils/call-events")
+const { addWhisper, formatWhisperContext } = require("../utils/supervisor")
+const { emitWebhookEvent } = require("../utils/webhooks")
+const { checkPlanLimit } = require("../utils/plan-limits")
+const { applyCallExtraction } = require("../utils/call-extraction")
+const { IdleMonitor, idlePrompt } = require("../utils/idle-monitor")
+const { AudioUtils } = require("./audio-utils")
 require("dotenv").config()
 
 const API_KEYS = {
@@ -16,76 +39,6 @@ if (!API_KEYS.deepgram || !API_KEYS.sarvam || !API_KEYS.openai) {
   process.exit(1)
 }
 
-const LANGUAGE_MAPPING = {
-  hi: "hi-IN",
-  en: "en-IN",
-  bn: "bn-IN",
-  te: "te-IN",
-  ta: "ta-IN",
-  mr: "mr-IN",
-  gu: "gu-IN",
-  kn: "kn-IN",
-  ml: "ml-IN",
-  pa: "pa-IN",
-  or: "or-IN",
-  as: "as-IN",
-  ur: "ur-IN",
-}
-
-const getSarvamLanguage = (detectedLang, defaultLang = "hi") => {
-  const lang = detectedLang?.toLowerCase() || defaultLang
-  return LANGUAGE_MAPPING[lang] || "hi-IN"
-}
-
-const getDeepgramLanguage = (detectedLang, defaultLang = "hi") => {
-  const lang = detectedLang?.toLowerCase() || defaultLang
-  if (lang === "hi") return "hi"
-  if (lang === "en") return "en-IN"
-  if (lang === "mr") return "mr"
-  return lang
-}
-
-const VALID_SARVAM_VOICES = new Set([
-  "abhilash",
-  "anushka",
-  "meera",
-  "pavithra",
-  "maitreyi",
-  "arvind",
-  "amol",
-  "amartya",
-  "diya",
-  "neel",
-  "misha",
-  "vian",
-  "arjun",
-  "maya",
-  "manisha",
-  "vidya",
-  "arya",
-  "karun",
-  "hitesh",
-])
-
-const getValidSarvamVoice = (voiceSelection = "pavithra") => {
-  const normalized = (voiceSelection || "").toString().trim().toLowerCase()
-  if (VALID_SARVAM_VOICES.has(normalized)) {
-    return normalized
-  }
-  // Map generic labels to closest Sarvam voices
-  const voiceMapping = {
-    "male-professional": "arvind",
-    "female-professional": "pavithra",
-    "male-friendly": "amol",
-    "female-friendly": "maya",
-    neutral: "pavithra",
-    default: "pavithra",
-    male: "arvind",
-    female: "pavithra",
-  }
-  return voiceMapping[normalized] || "pavithra"
-}
-
 // -------- Phone utils --------
 function extractDigits(value) {
   if (!value) return ""
@@ -100,7 +53,7 @@ function last10Digits(value) {
 async function findActiveAgentByNumber(dialedNumberA, dialedNumberB) {
   // Fallback-friendly in-memory match by last 10 digits
   const candidates = await Agent.find({ isActive: true, callingNumber: { $exists: true } })
-    .select("_id clientId callingNumber sttSelection ttsSelection llmSelection")
+    .select("_id clientId callingNumber sttSelection ttsSelection ttsVoiceId llmSelection voiceSelection language knowledgeBase tools escalation ivr recording extractionSchema")
     .lean()
   const aLast = last10Digits(dialedNumberA)
   const bLast = last10Digits(dialedNumberB)
@@ -217,88 +170,6 @@ function deepDecodeObject(input, currentKey = "") {
   return input
 }
 
-// -------- Audio utils: WAV PCM16 -> µ-law (8kHz mono) --------
-function linearPcmSampleToMuLaw(sample) {
-  // Clamp to 16-bit signed range
-  if (sample > 32767) sample = 32767
-  if (sample < -32768) sample = -32768
-
-  const MU = 255
-
-  let sign = 0
-  if (sample < 0) {
-    sign = 0x80
-    sample = -sample
-  }
-
-  // Bias for μ-law
-  sample = sample + 132
-  if (sample > 32635) sample = 32635
-
-  // Determine exponent
-  let exponent = 7
-  for (let expMask = 0x4000; (sample & expMask) === 0 && exponent > 0; expMask >>= 1) {
-    exponent--
-  }
-
-  const mantissa = (sample >> (exponent + 3)) & 0x0f
-  const muLawByte = ~(sign | (exponent << 4) | mantissa) & 0xff
-  return muLawByte
-}
-
-function wavPcm16ToMuLawBase64(wavBase64) {
-  try {
-    const buffer = Buffer.from(wavBase64, "base64")
-    if (buffer.length < 44) return null
-    // Basic WAV header checks
-    if (buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
-      return null
-    }
-
-    // Parse fmt chunk
-    let offset = 12
-    let fmtChunkFound = false
-    let audioFormat = 1
-    let numChannels = 1
-    let sampleRate = 8000
-    let bitsPerSample = 16
-    let dataOffset = -1
-    let dataSize = 0
-
-    while (offset + 8 <= buffer.length) {
-      const chunkId = buffer.toString("ascii", offset, offset + 4)
-      const chunkSize = buffer.readUInt32LE(offset + 4)
-      const next = offset + 8 + chunkSize
-      if (chunkId === "fmt ") {
-        fmtChunkFound = true
-        audioFormat = buffer.readUInt16LE(offset + 8)
-        numChannels = buffer.readUInt16LE(offset + 10)
-        sampleRate = buffer.readUInt32LE(offset + 12)
-        bitsPerSample = buffer.readUInt16LE(offset + 22)
-      } else if (chunkId === "data") {
-        dataOffset = offset + 8
-        dataSize = chunkSize
-      }
-      offset = next
-    }
-
-    if (!fmtChunkFound || dataOffset < 0 || dataSize <= 0) return null
-    if (audioFormat !== 1 || numChannels !== 1 || bitsPerSample !== 16) return null
-    if (sampleRate !== 8000) return null
-
-    const pcmData = buffer.slice(dataOffset, dataOffset + dataSize)
-    const sampleCount = pcmData.length / 2
-    const muLawBuffer = Buffer.alloc(sampleCount)
-    for (let i = 0; i < sampleCount; i++) {
-      const sample = pcmData.readInt16LE(i * 2)
-      muLawBuffer[i] = linearPcmSampleToMuLaw(sample)
-    }
-    return muLawBuffer.toString("base64")
-  } catch (err) {
-    return null
-  }
-}
-
 class SipCallSession extends EventEmitter {
   constructor(ws, callSid) {
     super()
@@ -311,80 +182,76 @@ class SipCallSession extends EventEmitter {
     this.detectedLanguage = "en"
     this.createdAt = new Date()
     this.callLogId = null
+    this.mobile = null
+    this.callDirection = "inbound"
     this.agent = null
     this.systemPromptOverride = null
     this.voiceOverride = null
     this.firstMessageText = null
 
-    this.deepgramWs = null
-    this.deepgramReady = false
-    this.deepgramAudioQueue = []
+    this.sttProvider = null
+    this.sttAudioQueue = []
+    this.tts = null
+    this.apiKeys = {} // Resolved per-client provider keys ({ stt, tts, llm })
+    this.activeTransfer = null // set while the caller is being handed to a human agent
+    this.ivr = null // keypad menu in front of the AI conversation (Agent.ivr)
+    this.keypadContext = "" // what the caller keyed in, injected into every LLM turn
+    this.ivrRouteCount = 0
+    this.recorder = null // stereo call recording (caller left, bot right), when the agent allows it
+    this.supervisorWhispers = [] // private supervisor instructions, injected into every LLM turn
+    this.idleMonitor = null // reprompts and hangs up when the caller goes quiet (Agent.idlePolicy)
+    this.isResponding = false // the AI is working on an answer; caller silence is not counted meanwhile
+    this.responseTurn = 0 // bumped when a supervisor speaks over the AI; an answer from an older turn is dropped
 
     console.log(`📞 [SIP-SESSION] New session created: ${this.callSid}`)
-
-    this.connectToDeepgram()
   }
 
-  async connectToDeepgram() {
+  // Open the agent's speech recognizer; audio received before this point is replayed
+  async connectToStt(sttSelection = "deepgram") {
     try {
-      const deepgramLanguage = getDeepgramLanguage(this.detectedLanguage)
-
-      const deepgramUrl = new URL("wss://api.deepgram.com/v1/listen")
-      deepgramUrl.searchParams.append("sample_rate", "8000")
-      deepgramUrl.searchParams.append("channels", "1")
-      // Incoming SIP audio is µ-law 8k; match Deepgram input encoding
-      deepgramUrl.searchParams.append("encoding", "mulaw")
-      deepgramUrl.searchParams.append("model", "nova-2")
-      deepgramUrl.searchParams.append("language", deepgramLanguage)
-      deepgramUrl.searchParams.append("interim_results", "true")
-      deepgramUrl.searchParams.append("smart_format", "true")
-      deepgramUrl.searchParams.append("endpointing", "300")
-
-      this.deepgramWs = new WebSocket(deepgramUrl.toString(), {
-        headers: { Authorization: `Token ${API_KEYS.deepgram}` },
+      // Incoming SIP audio is µ-law 8k; match recognizer input encoding
+      const provider = createSttProvider(sttSelection, {
+        language: this.detectedLanguage,
+        sampleRate: 8000,
+        encoding: "mulaw",
+        ...providerKeyOptions(this.apiKeys.stt),
       })
 
-      this.deepgramWs.onopen = () => {
-        console.log("🎤 [DEEPGRAM] Connection established")
-        this.deepgramReady = true
-        console.log("🎤 [DEEPGRAM] Processing queued audio packets:", this.deepgramAudioQueue.length)
-        this.deepgramAudioQueue.forEach((buffer) => this.deepgramWs.send(buffer))
-        this.deepgramAudioQueue = []
-      }
+      provider.on("transcript", (result) => {
+        this.handleSttTranscript(result).catch(() => {})
+      })
+      provider.on("error", (error) => {
+        console.log(`❌ [SIP-STT] ${provider.name} error:`, error.message)
+      })
 
-      this.deepgramWs.onmessage = async (event) => {
-        const data = JSON.parse(event.data)
-        await this.handleDeepgramResponse(data)
-      }
+      await provider.connect()
 
-      this.deepgramWs.onerror = (error) => {
-        console.log("❌ [DEEPGRAM] Connection error:", error.message)
-        this.deepgramReady = false
+      if (!this.isActive) {
+        provider.close()
+        return
       }
 
-      this.deepgramWs.onclose = () => {
-        console.log("🔌 [DEEPGRAM] Connection closed")
-        this.deepgramReady = false
-      }
+      // Replay buffered audio before live packets so ordering is preserved
+      this.sttAudioQueue.forEach((buffer) => provider.sendAudio(buffer))
+      this.sttAudioQueue = []
+      this.sttProvider = provider
     } catch (error) {
-      console.error("❌ [DEEPGRAM] Connection setup error:", error.message)
+      console.error("❌ [SIP-STT] Connection setup error:", error.message)
     }
   }
 
-  async handleDeepgramResponse(data) {
+  async handleSttTranscript({ text: transcript, isFinal, confidence, language }) {
     try {
-      if (data.channel?.alternatives?.[0]?.transcript) {
-        const transcript = data.channel.alternatives[0].transcript
-        const confidence = data.channel.alternatives[0].confidence
-        const isFinal = data.is_final
-
+      if (transcript?.trim()) this.idleMonitor?.callerActivity()
+      if (transcript) {
         if (isFinal && transcript.trim() && confidence > 0.5) {
           console.log(`🎤 [SIP-STT] Final transcript: ${transcript}`)
 
           // Detect language if available
-          if (data.channel.detected_language) {
-            this.detectedLanguage = data.channel.detected_language
+          if (language) {
+            this.detectedLanguage = language
           }
+          callEvents.publish(this.callSid, "transcript", { role: "user", text: transcript, language: this.detectedLanguage })
 
           // Persist user transcript line
           try {
@@ -408,31 +275,46 @@ class SipCallSession extends EventEmitter {
           }
 
           // Process with OpenAI
-          await this.processWithOpenAI(transcript)
+          this.isResponding = true
+          try {
+            await this.processWithLLM(transcript)
+          } finally {
+            this.isResponding = false
+          }
         }
       }
     } catch (error) {
-      console.error("❌ [DEEPGRAM] Response handling error:", error.message)
+      console.error("❌ [SIP-STT] Response handling error:", error.message)
     }
   }
 
   async processAudioChunk(audioData) {
     try {
-      // Convert base64 µ-law to linear16 for Deepgram
       const audioBuffer = Buffer.from(audioData, "base64")
+      this.recorder?.addCaller(AudioUtils.decodeMuLaw(audioBuffer))
 
-      if (this.deepgramReady && this.deepgramWs) {
-        this.deepgramWs.send(audioBuffer)
+      if (this.sttProvider) {
+        this.sttProvider.sendAudio(audioBuffer)
       } else {
-        // Queue audio if Deepgram not ready
-        this.deepgramAudioQueue.push(audioBuffer)
+        // Queue audio until the agent's recognizer is selected
+        this.sttAudioQueue.push(audioBuffer)
       }
     } catch (error) {
       console.error(`❌ [SIP-STT] Error processing audio:`, error.message)
     }
   }
 
-  async processWithOpenAI(userMessage) {
+  async processWithLLM(userMessage) {
+    if (this.ivr?.active) {
+      console.log(`⏭️ [SIP-AI] Skipping turn - caller is in the keypad menu`)
+      return
+    }
+    if (this.activeTransfer) {
+      console.log(`⏭️ [SIP-AI] Skipping turn - call is being transferred to a human agent`)
+      return
+    }
+
+    const turn = this.responseTurn
     try {
       // Add user message to conversation history
       this.conversationHistory.push({
@@ -444,41 +326,73 @@ class SipCallSession extends EventEmitter {
 
       // Create system prompt with token limit instruction (prefer agent-provided)
       const baseSystem = this.systemPromptOverride || this.getSystemPrompt(this.detectedLanguage)
-      const systemPrompt = `${baseSystem}\n\nIMPORTANT: Keep your responses concise and under 100 tokens. Be brief but helpful.`
+      const passages = this.agent?.knowledgeBase?.length
+        ? await retrieveKnowledge(this.agent._id, userMessage, providerKeyOptions(this.apiKeys.embedding))
+        : []
+      const knowledgeContext = formatKnowledgeContext(passages)
+      const systemPrompt = `${baseSystem}\n\n${knowledgeContext}IMPORTANT: Keep your responses concise and under 100 tokens. Be brief but helpful.`
 
-      // Prepare messages for OpenAI
+      // Prepare messages (OpenAI shape; the provider adapter translates as needed)
       const messages = [
         { role: "system", content: systemPrompt },
+        ...(this.keypadContext ? [{ role: "system", content: this.keypadContext }] : []),
+        ...(this.supervisorWhispers.length ? [{ role: "system", content: formatWhisperContext(this.supervisorWhispers) }] : []),
         ...this.conversationHistory.slice(-6).map((msg) => ({
           role: msg.role,
           content: msg.content,
         })),
       ]
 
-      const response = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${API_KEYS.openai}`,
-        },
-        body: JSON.stringify({
-          model: "gpt-4o-mini",
+      const escalation = this.agent?.escalation
+      if (escalation?.enabled && matchesTransferKeyword(userMessage, escalation)) {
+        await this.warmTransfer("caller_request")
+        return
+      }
+      // Transfer classification runs alongside the answer and wins if it says TRANSFER
+      const transferCheck = escalation?.enabled
+        ? detectTransferIntent(userMessage, this.conversationHistory.slice(0, -1), this.agent, providerKeyOptions(this.apiKeys.llm))
+        : Promise.resolve("CONTINUE")
+
+      const llm = createLlmProvider(this.agent?.llmSelection, providerKeyOptions(this.apiKeys.llm))
+      let filler = null
+      const aiResponse = (
+        await runLlmWithTools({
+          llm,
           messages,
-          max_tokens: 100,
+          tools: getActiveTools(this.agent),
+          maxTokens: 100,
           temperature: 0.7,
-        }),
-      })
-
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status}`)
+          context: {
+            callLogId: this.callLogId,
+            streamSid: this.streamSid,
+            agentId: this.agent?._id,
+            clientId: this.agent?.clientId,
+            mobile: this.mobile,
+            callDirection: this.callDirection,
+            language: this.detectedLanguage,
+          },
+          // Speak the filler while the tool runs instead of waiting for it to finish
+          onToolStart: (phrase) => {
+            filler = this.convertToSpeech(phrase)
+          },
+        })
+      )?.trim()
+      if (filler) await filler
+      if (turn !== this.responseTurn) {
+        console.log(`⏭️ [SIP-AI] Dropping answer - the supervisor spoke over this turn`)
+        return
       }
 
-      const completion = await response.json()
-      const aiResponse = completion.choices[0]?.message?.content
+      if ((await transferCheck) === "TRANSFER") {
+        await this.warmTransfer("ai_detected")
+        return
+      }
 
       if (aiResponse) {
         console.log(`🤖 [SIP-AI] Response (${this.detectedLanguage}): ${aiResponse}`)
 
+        callEvents.publish(this.callSid, "transcript", { role: "ai", text: aiResponse, language: this.detectedLanguage })
+
         // Add AI response to conversation history
         this.conversationHistory.push({
           role: "assistant",
@@ -512,48 +426,263 @@ class SipCallSession extends EventEmitter {
         await this.convertToSpeech(aiResponse)
       }
     } catch (error) {
-      console.error(`❌ [SIP-AI] Error processing with OpenAI:`, error.message)
+      console.error(`❌ [SIP-AI] Error processing with LLM:`, error.message)
     }
   }
 
-  async convertToSpeech(text) {
+  // Hand the caller to a human agent: speak the handoff line, then ask the provider to bridge.
+  // Resolves with the claimed HumanAgent, or null when nobody could take the call
+  async warmTransfer(reason = "caller_request", humanAgentIds = null) {
+    if (this.activeTransfer) return null
+    this.activeTransfer = { status: "preparing" }
+
     try {
-      const sarvamLanguage = getSarvamLanguage(this.detectedLanguage)
-      const voice = getValidSarvamVoice(this.voiceOverride || "pavithra")
-
-      const response = await fetch("https://api.sarvam.ai/text-to-speech", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "API-Subscription-Key": API_KEYS.sarvam,
+      const result = await prepareWarmTransfer({
+        agent: this.agent,
+        callLogId: this.callLogId,
+        conversationHistory: this.conversationHistory,
+        reason,
+        language: this.detectedLanguage,
+        llmOptions: providerKeyOptions(this.apiKeys.llm),
+        humanAgentIds,
+      })
+
+      if (!result.humanAgent) {
+        this.activeTransfer = null
+        this.conversationHistory.push({
+          role: "assistant",
+          content: result.unavailableMessage,
+          timestamp: new Date(),
+          language: this.detectedLanguage,
+        })
+        await this.convertToSpeech(result.unavailableMessage)
+        return null
+      }
+
+      this.activeTransfer = { status: "initiated", humanAgentId: result.humanAgent._id }
+      if (!this.isActive) {
+        // The caller hung up while the human agent was being claimed
+        await releaseUnfinishedTransfer({ callLogId: this.callLogId, transfer: this.activeTransfer })
+        return null
+      }
+      await this.convertToSpeech(result.handoffMessage)
+
+      if (this.ws.readyState === WebSocket.OPEN) {
+        this.ws.send(
+          JSON.stringify(
+            buildTransferEvent({
+              streamSid: this.streamSid,
+              callSid: this.callSid,
+              humanAgent: result.humanAgent,
+              summary: result.summary,
+            }),
+          ),
+        )
+        console.log(`🤝 [SIP-TRANSFER] Transfer event sent → ${result.humanAgent.humanAgentName} (${result.humanAgent.mobileNumber})`)
+      }
+      return result.humanAgent
+    } catch (error) {
+      console.error(`❌ [SIP-TRANSFER] Transfer failed:`, error.message)
+      this.activeTransfer = null
+      return null
+    }
+  }
+
+  // Supervisor hooks for utils/supervisor.js (registered with the live call on the event bus)
+  supervisorControls() {
+    return {
+      whisper: async ({ text }) => {
+        this.supervisorWhispers = addWhisper(this.supervisorWhispers, text)
+        console.log(`🎧 [SIP-SUPERVISOR] Whisper added (${this.supervisorWhispers.length} active): ${text}`)
+      },
+      // Cut the current reply short and speak the supervisor's sentence in the agent's voice
+      say: async ({ text }) => {
+        if (this.activeTransfer) throw new Error("Call is being handled by a human agent")
+        this.responseTurn++ // the answer still being generated is not spoken after the sentence
+        this.stopSpeaking()
+        this.sayLine(text).catch(() => {})
+      },
+      barge: async ({ humanAgentId }) => {
+        if (this.activeTransfer) throw new Error("Call is already being transferred")
+        const humanAgent = await this.warmTransfer("supervisor_barge", humanAgentId ? [humanAgentId] : null)
+        if (!humanAgent) throw new Error("No available human agent could take the call")
+        return { humanAgentId: humanAgent._id, humanAgentName: humanAgent.humanAgentName }
+      },
+    }
+  }
+
+  // Speak a line outside the LLM turn (supervisor say, idle reprompts) and keep it in history and the transcript
+  sayLine(text) {
+    this.conversationHistory.push({ role: "assistant", content: text, timestamp: new Date(), language: this.detectedLanguage })
+    callEvents.publish(this.callSid, "transcript", { role: "ai", text, language: this.detectedLanguage })
+    if (this.callLogId) {
+      CallLog.findById(this.callLogId)
+        .then((callLog) => {
+          if (!callLog) return
+          callLog.addLiveTranscriptEntry({ type: "ai", language: this.detectedLanguage || "en", text, timestamp: new Date() })
+          return callLog.save()
+        })
+        .catch((err) => console.error("❌ [CALLLOG] Failed to persist AI line:", err.message))
+    }
+    return this.convertToSpeech(text)
+  }
+
+  // Caller went quiet: reprompt in the call's language, then say goodbye and hang up as "no_response"
+  startIdleMonitor() {
+    if (!IdleMonitor.isEnabled(this.agent)) return
+    this.idleMonitor = new IdleMonitor(this.agent?.idlePolicy, {
+      logTag: "SIP-IDLE",
+      isBusy: () => this.isResponding || !!this.activeTransfer || !!this.ivr?.active,
+    })
+    this.idleMonitor.on("reprompt", () => {
+      this.sayLine(idlePrompt("reprompt", this.detectedLanguage, this.agent?.idlePolicy)).catch(() => {})
+    })
+    this.idleMonitor.on("timeout", async () => {
+      try {
+        await this.sayLine(idlePrompt("goodbye", this.detectedLanguage, this.agent?.idlePolicy))
+        await handleStop(this.ws, { callSid: this.callSid, streamSid: this.streamSid, reason: "no_response" })
+        if (this.ws.readyState === WebSocket.OPEN) this.ws.close()
+      } catch (error) {
+        console.error("❌ [SIP-IDLE] Hang-up failed:", error.message)
+      }
+    })
+    this.idleMonitor.start()
+  }
+
+  // Agent configuration overrides for this call (also used when the IVR routes to another agent)
+  applyAgent(agent) {
+    this.agent = agent || null
+    if (!agent) return
+    if (agent.systemPrompt && typeof agent.systemPrompt === "string") {
+      this.systemPromptOverride = agent.systemPrompt
+    }
+    if (agent.voiceSelection) {
+      this.voiceOverride = agent.voiceSelection
+    }
+    if (agent.firstMessage && typeof agent.firstMessage === "string") {
+      this.firstMessageText = agent.firstMessage
+    }
+    if (agent.language && typeof agent.language === "string") {
+      this.detectedLanguage = agent.language
+    }
+  }
+
+  async speakGreeting() {
+    const greeting = this.firstMessageText && typeof this.firstMessageText === "string"
+      ? this.firstMessageText
+      : "Hello, you are now connected. How can I help you?"
+    await this.convertToSpeech(greeting)
+  }
+
+  async startIvr() {
+    this.ivr = new IvrSession(
+      this.agent.ivr,
+      {
+        speak: (text) => this.convertToSpeech(text),
+        stopSpeaking: () => this.stopSpeaking(),
+        onLanguage: (language) => {
+          console.log(`🌐 [SIP-IVR] Language switched to ${language}`)
+          this.detectedLanguage = language
         },
-        body: JSON.stringify({
-          inputs: [text],
-          target_language_code: sarvamLanguage,
-          speaker: voice,
-          pitch: 0,
-          pace: 1.0,
-          loudness: 1.0,
-          speech_sample_rate: 8000,
-          enable_preprocessing: true,
-          model: "bulbul:v1",
-        }),
+        onRouteAgent: (agentId) => {
+          this.keypadContext = this.ivr.formatContext()
+          return this.routeToAgent(agentId)
+        },
+        onTransfer: () => {
+          this.keypadContext = this.ivr.formatContext()
+          return this.warmTransfer("ivr")
+        },
+        onHangup: async () => {
+          await handleStop(this.ws, { callSid: this.callSid, streamSid: this.streamSid })
+          if (this.ws.readyState === WebSocket.OPEN) this.ws.close()
+        },
+        onExit: () => {
+          this.keypadContext = this.ivr.formatContext()
+          return this.speakGreeting()
+        },
+      },
+      { language: this.detectedLanguage, logTag: "SIP-IVR" },
+    )
+    await this.ivr.start()
+  }
+
+  // Move the call to another Agent chosen in the IVR (same client only)
+  async routeToAgent(agentId) {
+    const nextAgent = this.ivrRouteCount < 3 ? await loadRoutedAgent(agentId, this.agent).catch(() => null) : null
+    if (!nextAgent) {
+      console.log(`⚠️ [SIP-IVR] Cannot route to agent ${agentId}; staying with the current agent`)
+      return this.speakGreeting()
+    }
+    this.ivrRouteCount++
+
+    try {
+      this.apiKeys = await resolveCallApiKeys(nextAgent.clientId, {
+        stt: resolveSttProviderName(nextAgent.sttSelection),
+        tts: resolveTtsProviderName(nextAgent.ttsSelection),
+        llm: resolveLlmProviderName(nextAgent.llmSelection),
+        embedding: nextAgent.knowledgeBase?.length ? "openai" : null,
+        analysis: "openai",
       })
+    } catch (keyErr) {
+      console.log(`⚠️ [SIP-IVR] Routed agent keys unavailable (${keyErr.message}); staying with the current agent`)
+      return this.speakGreeting()
+    }
 
-      if (!response.ok) {
-        throw new Error(`Sarvam API error: ${response.status}`)
+    console.log(`🔀 [SIP-IVR] Routing call to agent ${nextAgent.agentName || nextAgent._id}`)
+    const previousStt = this.agent?.sttSelection
+    const previousLanguage = this.detectedLanguage
+    this.applyAgent(nextAgent)
+    warmKnowledgeBase(nextAgent, providerKeyOptions(this.apiKeys.embedding)).catch(() => {})
+    if (this.tts) {
+      this.tts.interrupt()
+      this.tts = null // next prompt builds the routed agent's voice
+    }
+    if (nextAgent.sttSelection !== previousStt || this.detectedLanguage !== previousLanguage) {
+      if (this.sttProvider) {
+        this.sttProvider.close()
+        this.sttProvider = null
       }
+      await this.connectToStt(nextAgent.sttSelection)
+    }
+    if (this.callLogId) {
+      CallLog.updateOne({ _id: this.callLogId }, { $set: { agentId: nextAgent._id } }).catch(() => {})
+    }
+    callEvents.updateCall(this.callSid, { agentId: nextAgent._id, agentName: nextAgent.agentName, language: this.detectedLanguage })
 
-      const responseData = await response.json()
-      const audioBase64 = responseData.audios?.[0]
+    if (IvrSession.isEnabled(nextAgent)) return this.startIvr()
+    return this.speakGreeting()
+  }
 
-      if (audioBase64) {
-        // Sarvam typically returns WAV PCM. Convert to µ-law/8000 base64 for SIP client.
-        const muLawBase64 = wavPcm16ToMuLawBase64(audioBase64) || audioBase64
-        this.sendAudioToClient(muLawBase64)
-      } else {
-        throw new Error("No audio data received from Sarvam API")
+  // Cut the prompt or reply being played; the provider stays usable, so the next convertToSpeech still plays
+  stopSpeaking() {
+    this.tts?.interrupt()
+  }
+
+  // Speak with the agent's TTS provider; audio is streamed as 20ms µ-law/8000 media frames
+  async convertToSpeech(text) {
+    try {
+      if (!this.tts) {
+        this.tts = createTtsProvider(this.agent?.ttsSelection, {
+          language: this.detectedLanguage,
+          voice: this.voiceOverride || "pavithra",
+          voiceId: this.agent?.ttsVoiceId,
+          ...providerKeyOptions(this.apiKeys.tts),
+          output: {
+            encoding: "mulaw",
+            frameMs: 20,
+            send: (frame) => this.sendAudioToClient(frame.toString("base64")),
+          },
+        })
+        // Bot leg of the recording; the player emits PCM16 before µ-law encoding
+        this.tts.on("audio", (frame) => {
+          this.recorder?.addBot(frame)
+          this.idleMonitor?.botActivity()
+        })
       }
+      this.tts.language = this.detectedLanguage
+
+      await this.tts.synthesizeAndStream(text)
+      console.log(`🔊 [SIP-AUDIO] Sent ${this.tts.name} audio response to client`)
     } catch (error) {
       console.error(`❌ [SIP-TTS] Error converting to speech:`, error.message)
       // Fallback: send a simple text response
@@ -562,18 +691,18 @@ class SipCallSession extends EventEmitter {
   }
 
   sendAudioToClient(base64Audio) {
-    if (this.ws.readyState === WebSocket.OPEN && this.streamSid) {
-      const audioMessage = {
-        event: "media",
-        streamSid: this.streamSid,
-        media: {
-          payload: base64Audio,
-        },
-      }
-
-      this.ws.send(JSON.stringify(audioMessage))
-      console.log(`🔊 [SIP-AUDIO] Sent audio response to client`)
+    if (this.ws.readyState !== WebSocket.OPEN || !this.streamSid) return false
+
+    const audioMessage = {
+      event: "media",
+      streamSid: this.streamSid,
+      media: {
+        payload: base64Audio,
+      },
     }
+
+    this.ws.send(JSON.stringify(audioMessage))
+    return true
   }
 
   sendTextToClient(text) {
@@ -601,15 +730,29 @@ class SipCallSession extends EventEmitter {
     return prompts[language] || prompts["en"]
   }
 
+  finishRecording() {
+    if (!this.recorder) return Promise.resolve(null)
+    return this.recorder.finish({ callLogId: this.callLogId, clientId: this.agent?.clientId, agent: this.agent })
+  }
+
   terminate(reason = "normal_termination") {
     console.log(`🛑 [SIP-SESSION] Terminating session ${this.callSid}: ${reason}`)
     this.isActive = false
+    this.ivr?.stop()
+    this.idleMonitor?.stop()
 
-    if (this.deepgramWs) {
-      this.deepgramWs.close()
-      this.deepgramWs = null
+    if (this.sttProvider) {
+      this.sttProvider.close()
+      this.sttProvider = null
+    }
+    if (this.tts) {
+      this.tts.interrupt()
     }
+    releaseUnfinishedTransfer({ callLogId: this.callLogId, transfer: this.activeTransfer }).catch((error) =>
+      console.error(`❌ [SIP-TRANSFER] Release on terminate failed:`, error.message),
+    )
 
+    callEvents.endCall(this.callSid, { reason, callLogId: this.callLogId ? String(this.callLogId) : null })
     this.emit("terminated", { callSid: this.callSid, reason })
   }
 }
@@ -681,6 +824,10 @@ function setupSipWebSocketServer(wss) {
             await handleClear(ws, data)
             break
 
+          case "transfer_status":
+            await handleTransferStatusEvent(ws, data)
+            break
+
           default:
             console.log(`⚠️ [SIP-WS] Unknown event type: ${data.event}`)
         }
@@ -704,6 +851,7 @@ function setupSipWebSocketServer(wss) {
         if (session.ws === ws) {
           session.terminate("connection_closed")
           activeSessions.delete(callSid)
+          session.finishRecording().catch(() => {})
         }
       }
     })
@@ -740,31 +888,67 @@ async function handleStart(ws, data) {
     let agent = null
     try {
       const candidates = await Agent.find({ isActive: true, callingNumber: { $exists: true } })
-        .select("_id clientId agentName callingNumber sttSelection ttsSelection llmSelection systemPrompt firstMessage voiceSelection language")
+        .select("_id clientId agentName callingNumber sttSelection ttsSelection ttsVoiceId llmSelection systemPrompt firstMessage voiceSelection language knowledgeBase tools escalation ivr recording extractionSchema")
         .lean()
       agent = candidates.find((a) => last10Digits(a.callingNumber) === toLast) || null
     } catch (_) {}
     if (!agent) {
       agent = await findActiveAgentByNumber(fromNumber, toNumber)
     }
-    session.agent = agent || null
-
     // Apply agent configuration overrides if available
-    if (agent) {
-      if (agent.systemPrompt && typeof agent.systemPrompt === "string") {
-        session.systemPromptOverride = agent.systemPrompt
-      }
-      if (agent.voiceSelection) {
-        session.voiceOverride = agent.voiceSelection
-      }
-      if (agent.firstMessage && typeof agent.firstMessage === "string") {
-        session.firstMessageText = agent.firstMessage
-      }
-      if (agent.language && typeof agent.language === "string") {
-        session.detectedLanguage = agent.language
+    session.applyAgent(agent)
+
+    // Use the client's own provider keys; platform keys only where none are stored
+    try {
+      session.apiKeys = await resolveCallApiKeys(agent?.clientId, {
+        stt: resolveSttProviderName(agent?.sttSelection),
+        tts: resolveTtsProviderName(agent?.ttsSelection),
+        llm: resolveLlmProviderName(agent?.llmSelection),
+        embedding: agent?.knowledgeBase?.length ? "openai" : null,
+        analysis: "openai",
+      })
+    } catch (keyErr) {
+      console.error("🛑 [SIP-API-KEYS] Blocking call session:", keyErr.message)
+      ws.send(
+        JSON.stringify({
+          event: "error",
+          code: keyErr.code || "api_key_lookup_failed",
+          message: keyErr.code ? `Call blocked: ${keyErr.message}` : "Unable to resolve provider API keys.",
+          timestamp: new Date().toISOString(),
+        }),
+      )
+      session.terminate(keyErr.code || "api_key_lookup_failed")
+      activeSessions.delete(sessionKey)
+      return
+    }
+
+    // Plan gate: voice calls off or daily call limit reached
+    if (agent?.clientId) {
+      try {
+        const planCheck = await checkPlanLimit(agent.clientId, "call")
+        if (!planCheck.allowed) {
+          console.error(`🛑 [SIP-PLAN-LIMIT] Blocking call session: ${planCheck.reason}`)
+          ws.send(
+            JSON.stringify({
+              event: "error",
+              code: "plan_limit_exceeded",
+              limit: planCheck.limit,
+              message: `Call blocked: ${planCheck.reason}.`,
+              timestamp: new Date().toISOString(),
+            }),
+          )
+          session.terminate("plan_limit_exceeded")
+          activeSessions.delete(sessionKey)
+          return
+        }
+      } catch (planErr) {
+        console.error("⚠️ [SIP-PLAN-LIMIT] Plan check failed:", planErr.message)
       }
     }
 
+    // Load (or refresh in the background) the agent's knowledge-base index with the client's embedding key
+    if (agent) warmKnowledgeBase(agent, providerKeyOptions(session.apiKeys.embedding)).catch(() => {})
+
     const agentCalling = agent?.callingNumber
     const agentLast = agentCalling ? last10Digits(agentCalling) : null
     const fromLast = last10Digits(fromNumber)
@@ -779,6 +963,8 @@ async function handleStart(ws, data) {
 
     // Mobile is the counterparty
     const mobile = callDirection === "outbound" ? toLast : fromLast
+    session.mobile = mobile
+    session.callDirection = callDirection
 
     const meta = {
       userTranscriptCount: 0,
@@ -791,9 +977,9 @@ async function handleStart(ws, data) {
       customParams: (startInfo.customParameters && typeof startInfo.customParameters === "object") ? startInfo.customParameters : {},
       callerId: fromLast,
       totalUpdates: 0,
-      sttProvider: (agent && agent.sttSelection) || "deepgram",
-      ttsProvider: (agent && agent.ttsSelection) || "sarvam",
-      llmProvider: (agent && agent.llmSelection) || "openai",
+      sttProvider: resolveSttProviderName(agent && agent.sttSelection),
+      ttsProvider: resolveTtsProviderName(agent && agent.ttsSelection),
+      llmProvider: resolveLlmProviderName(agent && agent.llmSelection),
       serviceProvider: "tata",
     }
 
@@ -814,10 +1000,28 @@ async function handleStart(ws, data) {
     })
 
     session.callLogId = callLog._id
+    session.recorder = startCallRecording(agent, { logTag: "SIP-RECORDING" })
   } catch (err) {
     console.error("❌ [CALLLOG] Failed to create CallLog:", err.message)
   }
 
+  callEvents.registerCall(sessionKey, {
+    transport: "sip",
+    clientId: session.agent?.clientId || startInfo.accountSid || null,
+    agentId: session.agent?._id,
+    agentName: session.agent?.agentName,
+    mobile: session.mobile,
+    direction: session.callDirection,
+    callLogId: session.callLogId,
+    streamSid,
+    callSid,
+    language: session.detectedLanguage,
+    controls: session.supervisorControls(),
+  })
+
+  await session.connectToStt(session.agent?.sttSelection)
+  session.startIdleMonitor()
+
   // Send acknowledgment
   ws.send(
     JSON.stringify({
@@ -833,12 +1037,13 @@ async function handleStart(ws, data) {
 
   console.log(`✅ [SIP-START] Session started. Key: ${sessionKey}`)
 
-  // Optionally send an initial greeting to test audio path
+  // Agents with a keypad menu greet after the caller leaves the IVR
   try {
-    const greeting = session.firstMessageText && typeof session.firstMessageText === "string"
-      ? session.firstMessageText
-      : "Hello, you are now connected. How can I help you?"
-    await session.convertToSpeech(greeting)
+    if (IvrSession.isEnabled(session.agent)) {
+      await session.startIvr()
+    } else {
+      await session.speakGreeting()
+    }
   } catch (_) {}
 }
 
@@ -873,8 +1078,9 @@ async function handleStop(ws, data) {
   }
 
   if (session && sessionKey) {
-    session.terminate("call_ended")
+    session.terminate(data.reason || "call_ended")
     activeSessions.delete(sessionKey)
+    await session.finishRecording()
 
     // Update CallLog with end info
     try {
@@ -892,7 +1098,33 @@ async function handleStop(ws, data) {
         callLog.metadata.isActive = false
         callLog.metadata.callEndTime = new Date(endTime)
         callLog.metadata.lastUpdated = new Date(endTime)
+        if (data.reason) {
+          callLog.metadata.terminationReason = data.reason
+          callLog.metadata.terminatedAt = new Date(endTime)
+        }
         await callLog.save()
+        // Extraction runs after stop_ack; call.ended waits for it so the webhook carries the extracted fields
+        applyCallExtraction(callLog._id, session.agent, session.conversationHistory, providerKeyOptions(session.apiKeys?.analysis))
+          .catch(() => null)
+          .then((extraction) =>
+            emitWebhookEvent(callLog.clientId, "call.ended", {
+              callId: sessionKey,
+              callLogId: String(callLog._id),
+              agentId: callLog.agentId ? String(callLog.agentId) : null,
+              transport: "sip",
+              mobile: callLog.mobile,
+              direction: session.callDirection,
+              startedAt: callLog.time,
+              endedAt: callLog.metadata.callEndTime,
+              durationSec: durationSec,
+              leadStatus: callLog.leadStatus,
+              disposition: callLog.disposition || null,
+              subDisposition: callLog.subDisposition || null,
+              extraction: extraction || null,
+              transcript: callLog.transcript || "",
+            }),
+          )
+          .catch(() => {})
       }
     } catch (err) {
       console.error("❌ [CALLLOG] Failed to finalize CallLog:", err.message)
@@ -914,17 +1146,19 @@ async function handleStop(ws, data) {
 }
 
 async function handleDtmf(ws, data) {
-  const { callSid, dtmf, streamSid } = data
+  const { callSid, streamSid } = data
+  const digit = extractDtmfDigit(data)
 
-  console.log(`📞 [SIP-DTMF] DTMF received. callSid: ${callSid || "(missing)"}, streamSid: ${streamSid || "(missing)"}, digit: ${dtmf?.digit}`)
+  console.log(`📞 [SIP-DTMF] DTMF received. callSid: ${callSid || "(missing)"}, streamSid: ${streamSid || "(missing)"}, digit: ${digit}`)
 
   let session = (callSid && activeSessions.get(callSid)) || null
   if (!session && streamSid) {
     session = Array.from(activeSessions.values()).find((s) => s.streamSid === streamSid) || null
   }
   if (session) {
-    // Handle DTMF input (could be used for menu navigation, etc.)
-    session.sendTextToClient(`DTMF digit received: ${dtmf?.digit}`)
+    session.idleMonitor?.callerActivity()
+    if (digit && session.ivr && (await session.ivr.handleDigit(digit))) return
+    session.sendTextToClient(`DTMF digit received: ${digit}`)
   }
 }
 
@@ -969,6 +1203,34 @@ async function handleClear(ws, data) {
   }
 }
 
+// Provider progress for a warm transfer: connected / failed / completed
+async function handleTransferStatusEvent(ws, data) {
+  const { callSid, streamSid } = data
+
+  let session = (callSid && activeSessions.get(callSid)) || null
+  if (!session && streamSid) {
+    session = Array.from(activeSessions.values()).find((s) => s.streamSid === streamSid) || null
+  }
+  if (!session) {
+    console.log(`⚠️ [SIP-TRANSFER] No active session for transfer status. callSid: ${callSid || "(missing)"}`)
+    return
+  }
+
+  try {
+    const outcome = await handleTransferStatus({
+      callLogId: session.callLogId,
+      humanAgentId: session.activeTransfer?.humanAgentId,
+      status: data.status || data.transfer?.status,
+      reason: data.reason || data.transfer?.reason,
+    })
+    // The human never picked up: the AI keeps the caller
+    if (outcome === "failed") session.activeTransfer = null
+    else if (session.activeTransfer && (outcome === "connected" || outcome === "ended")) session.activeTransfer.status = outcome
+  } catch (err) {
+    console.error("❌ [SIP-TRANSFER] Status update failed:", err.message)
+  }
+}
+
 // Export the setup function and session management
 module.exports = {
   setupSipWebSocketServer,
@@ -0,0 +1,359 @@
+const WebSocket = require("ws")
+const EventEmitter = require("events")
+const { AudioUtils } = require("./audio-utils")
+require("dotenv").config()
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+// Default endpoints (overridable per deployment, e.g. to point at an on-prem or mock recognizer)
+const STT_ENDPOINTS = {
+  deepgram: process.env.DEEPGRAM_STT_URL || "wss://api.deepgram.com/v1/listen",
+  whisper: process.env.WHISPER_API_URL || "https://api.openai.com/v1/audio/transcriptions",
+}
+
+const getDeepgramLanguage = (language = "hi") => {
+  const lang = language?.toLowerCase() || "hi"
+  if (lang === "hi") return "hi"
+  if (lang === "en") return "en-IN"
+  if (lang === "mr") return "mr"
+  return lang
+}
+
+// Whisper expects ISO-639-1 codes without a region suffix
+const getWhisperLanguage = (language = "hi") => {
+  const lang = (language || "hi").toString().toLowerCase()
+  return lang.split("-")[0]
+}
+
+/**
+ * Common speech-to-text adapter interface.
+ *
+ * Events:
+ *  - "open"          recognizer is ready to receive audio
+ *  - "transcript"    { text, isFinal, confidence, language }
+ *  - "utteranceEnd"  caller finished an utterance
+ *  - "error"         Error
+ *  - "close"
+ */
+class BaseSttProvider extends EventEmitter {
+  constructor(options = {}) {
+    super()
+    this.name = "base"
+    this.language = options.language || "hi"
+    this.sampleRate = options.sampleRate || 8000
+    this.encoding = options.encoding || "linear16"
+    this.apiKey = options.apiKey || null
+    this.url = options.url || null
+    this.onRequest = options.onRequest || null
+    this.isReady = false
+    this.isClosed = false
+    this.audioQueue = []
+  }
+
+  async connect() {
+    throw new Error(`connect() not implemented for STT provider: ${this.name}`)
+  }
+
+  sendAudio(audioBuffer) {
+    throw new Error(`sendAudio() not implemented for STT provider: ${this.name}`)
+  }
+
+  close() {
+    this.isClosed = true
+    this.isReady = false
+  }
+
+  // Report one billable provider request (used for per-client API key usage tracking)
+  trackRequest() {
+    if (typeof this.onRequest !== "function") return
+    try { this.onRequest(this.name) } catch (_) {}
+  }
+
+  emitTranscript(text, isFinal, confidence = 1, language = this.language) {
+    this.emit("transcript", { text, isFinal: !!isFinal, confidence, language })
+  }
+
+  // Errors are surfaced as events only when someone listens, so an unhandled "error" never crashes a call
+  emitError(error) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error)
+    }
+  }
+}
+
+// Deepgram streaming recognizer over WebSocket
+class DeepgramSttProvider extends BaseSttProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = "deepgram"
+    this.apiKey = this.apiKey || process.env.DEEPGRAM_API_KEY
+    this.url = this.url || STT_ENDPOINTS.deepgram
+    this.model = options.model || "nova-2"
+    this.endpointing = options.endpointing || 300
+    this.ws = null
+  }
+
+  async connect() {
+    const deepgramUrl = new URL(this.url)
+    deepgramUrl.searchParams.append("sample_rate", String(this.sampleRate))
+    deepgramUrl.searchParams.append("channels", "1")
+    deepgramUrl.searchParams.append("encoding", this.encoding)
+    deepgramUrl.searchParams.append("model", this.model)
+    deepgramUrl.searchParams.append("language", getDeepgramLanguage(this.language))
+    deepgramUrl.searchParams.append("interim_results", "true")
+    deepgramUrl.searchParams.append("smart_format", "true")
+    deepgramUrl.searchParams.append("endpointing", String(this.endpointing))
+
+    this.ws = new WebSocket(deepgramUrl.toString(), {
+      headers: { Authorization: `Token ${this.apiKey}` },
+    })
+    this.trackRequest()
+
+    this.ws.onopen = () => {
+      console.log("🎤 [DEEPGRAM] Connection established")
+      this.isReady = true
+      console.log("🎤 [DEEPGRAM] Processing queued audio packets:", this.audioQueue.length)
+      this.audioQueue.forEach((buffer) => this.ws.send(buffer))
+      this.audioQueue = []
+      this.emit("open")
+    }
+
+    this.ws.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data)
+        if (data.type === "Results") {
+          const alternative = data.channel?.alternatives?.[0]
+          this.emitTranscript(
+            alternative?.transcript || "",
+            data.is_final,
+            alternative?.confidence ?? 1,
+            data.channel?.detected_language || this.language,
+          )
+        } else if (data.type === "UtteranceEnd") {
+          this.emit("utteranceEnd")
+        }
+      } catch (error) {
+        console.log("❌ [DEEPGRAM] Message parse error:", error.message)
+      }
+    }
+
+    this.ws.onerror = (error) => {
+      if (this.isClosed) return // close() aborted the handshake
+      console.log("❌ [DEEPGRAM] Connection error:", error.message)
+      this.isReady = false
+      this.emitError(error)
+    }
+
+    this.ws.onclose = () => {
+      console.log("🔌 [DEEPGRAM] Connection closed")
+      this.isReady = false
+      this.emit("close")
+    }
+  }
+
+  sendAudio(audioBuffer) {
+    if (this.isClosed) return
+    if (this.ws && this.isReady && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(audioBuffer)
+    } else {
+      this.audioQueue.push(audioBuffer)
+      if (this.audioQueue.length % 100 === 0) {
+        console.log("⏳ [DEEPGRAM] Audio queued:", this.audioQueue.length)
+      }
+    }
+  }
+
+  close() {
+    super.close()
+    this.audioQueue = []
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.close()
+    } else if (this.ws?.readyState === WebSocket.CONNECTING) {
+      // Still handshaking: abort it, or the socket opens after the call has moved on and is never closed
+      this.ws.terminate()
+    }
+  }
+}
+
+// OpenAI-compatible Whisper recognizer. The HTTP API is batch-only, so utterances are
+// endpointed locally on signal energy and posted as WAV; interim results re-transcribe
+// the audio captured so far while the caller is still speaking.
+class WhisperSttProvider extends BaseSttProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = "whisper"
+    this.apiKey = this.apiKey || process.env.WHISPER_API_KEY || process.env.OPENAI_API_KEY
+    this.url = this.url || STT_ENDPOINTS.whisper
+    this.model = options.model || process.env.WHISPER_MODEL || "whisper-1"
+    this.speechThreshold = options.speechThreshold || 500 // RMS level treated as speech
+    this.silenceMs = options.silenceMs || 700 // Trailing silence that closes an utterance
+    this.interimIntervalMs = options.interimIntervalMs ?? 1500 // 0 disables interim results
+    this.minSpeechMs = options.minSpeechMs || 250
+
+    this.utteranceChunks = []
+    this.utteranceBytes = 0
+    this.speechMs = 0
+    this.silenceRunMs = 0
+    this.inSpeech = false
+    this.lastInterimAt = 0
+    this.interimInFlight = false
+    this.finalChain = Promise.resolve()
+  }
+
+  async connect() {
+    // Nothing to open for an HTTP recognizer; ready immediately
+    this.isReady = true
+    console.log(`🎤 [WHISPER] Ready (${this.model}) → ${this.url}`)
+    this.emit("open")
+  }
+
+  sendAudio(audioBuffer) {
+    if (this.isClosed || !audioBuffer?.length) return
+
+    const pcm = this.encoding === "mulaw" ? AudioUtils.decodeMuLaw(audioBuffer) : audioBuffer
+    const frameMs = (pcm.length / 2 / this.sampleRate) * 1000
+    const isSpeech = AudioUtils.calculateRms(pcm) >= this.speechThreshold
+
+    if (isSpeech) {
+      this.inSpeech = true
+      this.silenceRunMs = 0
+      this.speechMs += frameMs
+    } else if (this.inSpeech) {
+      this.silenceRunMs += frameMs
+    }
+
+    if (!this.inSpeech) return
+
+    this.utteranceChunks.push(pcm)
+    this.utteranceBytes += pcm.length
+
+    if (this.silenceRunMs >= this.silenceMs) {
+      this.flushUtterance()
+      return
+    }
+
+    const now = Date.now()
+    if (
+      this.interimIntervalMs > 0 &&
+      !this.interimInFlight &&
+      this.speechMs >= this.minSpeechMs &&
+      now - this.lastInterimAt >= this.interimIntervalMs
+    ) {
+      this.lastInterimAt = now
+      this.interimInFlight = true
+      const snapshot = Buffer.concat(this.utteranceChunks)
+      this.transcribe(snapshot)
+        .then((text) => {
+          if (text && this.inSpeech && !this.isClosed) this.emitTranscript(text, false)
+        })
+        .catch(() => {})
+        .finally(() => {
+          this.interimInFlight = false
+        })
+    }
+  }
+
+  flushUtterance() {
+    const pcm = Buffer.concat(this.utteranceChunks)
+    const speechMs = this.speechMs
+
+    this.utteranceChunks = []
+    this.utteranceBytes = 0
+    this.speechMs = 0
+    this.silenceRunMs = 0
+    this.inSpeech = false
+    this.lastInterimAt = 0
+
+    if (speechMs < this.minSpeechMs) return
+
+    // Serialize finals so transcripts are emitted in speaking order
+    this.finalChain = this.finalChain.then(async () => {
+      try {
+        // Audio captured before close() still gets its final
+        const text = await this.transcribe(pcm)
+        if (text) this.emitTranscript(text, true)
+        this.emit("utteranceEnd")
+      } catch (error) {
+        console.log("❌ [WHISPER] Transcription error:", error.message)
+        this.emitError(error)
+      }
+    })
+  }
+
+  async transcribe(pcmBuffer) {
+    const wav = AudioUtils.createWavBuffer(pcmBuffer, this.sampleRate)
+    const form = new FormData()
+    form.append("file", new Blob([wav], { type: "audio/wav" }), "utterance.wav")
+    form.append("model", this.model)
+    form.append("language", getWhisperLanguage(this.language))
+    form.append("response_format", "json")
+
+    this.trackRequest()
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body: form,
+    })
+
+    if (!response.ok) {
+      throw new Error(`Whisper API error: ${response.status}`)
+    }
+
+    const data = await response.json()
+    return (data.text || "").trim()
+  }
+
+  close() {
+    if (this.isClosed) return
+    if (this.inSpeech && this.utteranceChunks.length > 0) {
+      this.flushUtterance()
+    }
+    super.close()
+    // After the last final, so the caller's closing words are not lost
+    this.finalChain.then(() => this.emit("close"))
+  }
+}
+
+const STT_PROVIDERS = {
+  deepgram: DeepgramSttProvider,
+  whisper: WhisperSttProvider,
+}
+
+// Allow additional recognizers (google, azure, aws) to be plugged in without touching call handlers
+const registerSttProvider = (name, ProviderClass) => {
+  STT_PROVIDERS[name.toLowerCase()] = ProviderClass
+}
+
+// Provider name actually used for a selection (for CallLog metadata)
+const resolveSttProviderName = (selection = "deepgram") => {
+  const key = (selection || "deepgram").toString().toLowerCase()
+  return STT_PROVIDERS[key] ? key : "deepgram"
+}
+
+/**
+ * Build the STT adapter selected on the agent document
+ * @param {string} selection - Agent.sttSelection (deepgram, whisper, google, azure, aws)
+ * @param {Object} options - { language, sampleRate, encoding, apiKey, url, onRequest }
+ * @returns {BaseSttProvider}
+ */
+const createSttProvider = (selection = "deepgram", options = {}) => {
+  const key = (selection || "deepgram").toString().toLowerCase()
+  const ProviderClass = STT_PROVIDERS[key]
+  if (!ProviderClass) {
+    console.log(`⚠️ [STT-PROVIDER] "${selection}" is not available, falling back to deepgram`)
+    return new DeepgramSttProvider(options)
+  }
+  console.log(`🎤 [STT-PROVIDER] Using ${key} (language=${options.language || "hi"})`)
+  return new ProviderClass(options)
+}
+
+module.exports = {
+  BaseSttProvider,
+  DeepgramSttProvider,
+  WhisperSttProvider,
+  createSttProvider,
+  registerSttProvider,
+  resolveSttProviderName,
+  getDeepgramLanguage,
+  STT_PROVIDERS,
+}
@@ -0,0 +1,564 @@
+const EventEmitter = require("events")
+const { AudioUtils } = require("./audio-utils")
+require("dotenv").config()
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+// Telephony legs all play 8 kHz mono PCM16 (µ-law is derived from it where needed)
+const OUTPUT_SAMPLE_RATE = 8000
+const BYTES_PER_MS = (OUTPUT_SAMPLE_RATE * 2) / 1000
+
+const TTS_ENDPOINTS = {
+  sarvam: process.env.SARVAM_TTS_URL || "https://api.sarvam.ai/text-to-speech",
+  elevenlabs: process.env.ELEVEN_TTS_URL || "https://api.elevenlabs.io/v1/text-to-speech",
+  openai: process.env.OPENAI_TTS_URL || "https://api.openai.com/v1/audio/speech",
+}
+
+// Language mapping for TTS and STT services
+const LANGUAGE_MAPPING = {
+  hi: "hi-IN",
+  en: "en-IN",
+  bn: "bn-IN",
+  te: "te-IN",
+  ta: "ta-IN",
+  mr: "mr-IN",
+  gu: "gu-IN",
+  kn: "kn-IN",
+  ml: "ml-IN",
+  pa: "pa-IN",
+  or: "or-IN",
+  as: "as-IN",
+  ur: "ur-IN",
+}
+
+const getSarvamLanguage = (language = "hi") => {
+  const lang = language?.toLowerCase() || "hi"
+  return LANGUAGE_MAPPING[lang] || "hi-IN"
+}
+
+// Valid Sarvam voice options
+const VALID_SARVAM_VOICES = new Set([
+  "abhilash",
+  "anushka",
+  "meera",
+  "pavithra",
+  "maitreyi",
+  "arvind",
+  "amol",
+  "amartya",
+  "diya",
+  "neel",
+  "misha",
+  "vian",
+  "arjun",
+  "maya",
+  "manisha",
+  "vidya",
+  "arya",
+  "karun",
+  "hitesh",
+])
+
+const getValidSarvamVoice = (voiceSelection = "pavithra") => {
+  const normalized = (voiceSelection || "").toString().trim().toLowerCase()
+  if (VALID_SARVAM_VOICES.has(normalized)) {
+    return normalized
+  }
+
+  // Map generic labels to closest Sarvam voices
+  const voiceMapping = {
+    "male-professional": "arvind",
+    "female-professional": "pavithra",
+    "male-friendly": "amol",
+    "female-friendly": "maya",
+    neutral: "pavithra",
+    default: "pavithra",
+    male: "arvind",
+    female: "pavithra",
+  }
+
+  return voiceMapping[normalized] || "pavithra"
+}
+
+// Generic Agent.voiceSelection labels mapped to OpenAI voices
+const OPENAI_VOICE_MAPPING = {
+  "male-professional": "onyx",
+  "female-professional": "nova",
+  "male-friendly": "echo",
+  "female-friendly": "shimmer",
+  neutral: "alloy",
+  default: "alloy",
+  male: "onyx",
+  female: "nova",
+}
+
+// Return the raw PCM payload of a WAV file (or the input unchanged if it has no RIFF header)
+const extractWavPcm = (buf) => {
+  if (buf.length >= 12 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WAVE") {
+    let offset = 12
+    while (offset + 8 <= buf.length) {
+      const chunkId = buf.toString("ascii", offset, offset + 4)
+      const chunkSize = buf.readUInt32LE(offset + 4)
+      if (chunkId === "data") {
+        return buf.slice(offset + 8, offset + 8 + chunkSize)
+      }
+      offset += 8 + chunkSize
+    }
+  }
+  return buf
+}
+
+// Downsample a chunked PCM16 stream, carrying partial sample groups over to the next chunk
+const createStreamDownsampler = (fromRate) => {
+  const groupBytes = Math.max(1, Math.round(fromRate / OUTPUT_SAMPLE_RATE)) * 2
+  let carry = Buffer.alloc(0)
+  return (chunk) => {
+    const data = carry.length ? Buffer.concat([carry, chunk]) : chunk
+    const usable = data.length - (data.length % groupBytes)
+    carry = data.slice(usable)
+    return AudioUtils.downsamplePcm16(data.slice(0, usable), fromRate, OUTPUT_SAMPLE_RATE)
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Common text-to-speech adapter interface.
+ *
+ * Providers synthesize 8 kHz mono PCM16 and play it through a transport supplied by the
+ * telephony server: output = { encoding: "linear16" | "mulaw", frameMs, send(frameBuffer) }.
+ * send() returns false when the leg can no longer accept audio.
+ *
+ * Events:
+ *  - "audio"  PCM16 frame that was just played (before µ-law encoding)
+ *  - "error"  Error
+ */
+class BaseTtsProvider extends EventEmitter {
+  constructor(options = {}) {
+    super()
+    this.name = "base"
+    this.language = options.language || "hi"
+    this.voice = options.voice || null
+    this.voiceId = options.voiceId || null
+    this.apiKey = options.apiKey || null
+    this.onRequest = options.onRequest || null
+    this.output = options.output || null
+    this.generation = 0 // bumped by interrupt(); playback started under an earlier generation stops
+    this.currentAudioStreaming = null
+    this.totalAudioBytes = 0
+    this.pendingQueue = [] // { text, chunks, done }
+    this.isProcessingQueue = false
+    this.abortControllers = new Set()
+  }
+
+  // Stream 8 kHz PCM16 chunks for text through onAudio(chunk); providers without streaming override synthesize()
+  async synthesizeStream(text, onAudio) {
+    const pcm = await this.synthesize(text)
+    if (pcm?.length) onAudio(pcm)
+  }
+
+  async synthesize(text) {
+    throw new Error(`synthesize() not implemented for TTS provider: ${this.name}`)
+  }
+
+  // Report one billable provider request (used for per-client API key usage tracking)
+  trackRequest() {
+    if (typeof this.onRequest !== "function") return
+    try { this.onRequest(this.name) } catch (_) {}
+  }
+
+  // Abort signal tied to interrupt(), so in-flight synthesis requests are cancelled on barge-in
+  createAbortSignal() {
+    const controller = new AbortController()
+    this.abortControllers.add(controller)
+    return {
+      signal: controller.signal,
+      release: () => this.abortControllers.delete(controller),
+    }
+  }
+
+  // Cancel the playback in flight and everything queued; the next enqueueText/synthesizeAndStream plays normally
+  interrupt() {
+    this.generation++
+    this.pendingQueue = []
+    if (this.currentAudioStreaming) {
+      this.currentAudioStreaming.interrupt = true
+    }
+    this.abortControllers.forEach((controller) => controller.abort())
+    this.abortControllers.clear()
+  }
+
+  reset(language) {
+    this.interrupt()
+    if (language) {
+      this.language = language
+    }
+    this.totalAudioBytes = 0
+  }
+
+  // Whether interrupt() was called since generation was taken
+  isCancelled(generation) {
+    return generation !== this.generation
+  }
+
+  // Synthesize one text and play it to completion
+  async synthesizeAndStream(text) {
+    const generation = this.generation
+    const start = Date.now()
+    const player = this.createPlayer(generation)
+
+    try {
+      await this.synthesizeStream(text, (pcm) => player.push(pcm))
+      console.log(`🕒 [TTS-SYNTHESIS] ${Date.now() - start}ms - ${this.name} audio generated`)
+      await player.finish()
+    } catch (error) {
+      player.stop()
+      if (!this.isCancelled(generation)) {
+        console.log(`❌ [TTS-SYNTHESIS] ${Date.now() - start}ms - ${this.name} error: ${error.message}`)
+        throw error
+      }
+    }
+  }
+
+  // Queue text for playback; synthesis starts immediately so the next sentence is ready when this one ends
+  async enqueueText(text) {
+    const item = { text, chunks: [], done: false, generation: this.generation }
+    this.pendingQueue.push(item)
+
+    const start = Date.now()
+    this.synthesizeStream(text, (pcm) => item.chunks.push(pcm))
+      .then(() => console.log(`🕒 [TTS-PREPARE] ${Date.now() - start}ms - ${this.name} audio prepared`))
+      .catch((error) => {
+        if (!this.isCancelled(item.generation)) console.log(`❌ [TTS-PREPARE] ${Date.now() - start}ms - ${this.name} error: ${error.message}`)
+      })
+      .finally(() => {
+        item.done = true
+      })
+
+    if (!this.isProcessingQueue) {
+      this.processQueue().catch(() => {})
+    }
+  }
+
+  async processQueue() {
+    if (this.isProcessingQueue) return
+    this.isProcessingQueue = true
+    try {
+      while (this.pendingQueue.length > 0) {
+        const item = this.pendingQueue[0]
+        const player = this.createPlayer(item.generation)
+        let waited = 0
+
+        while (!this.isCancelled(item.generation)) {
+          if (item.chunks.length > 0) {
+            item.chunks.splice(0).forEach((pcm) => player.push(pcm))
+            waited = 0
+          } else if (item.done) {
+            break
+          } else if (waited >= 3000 && player.playedBytes === 0) {
+            console.log(`⚠️ [TTS-QUEUE] ${this.name} audio not ready after ${waited}ms, skipping`)
+            break
+          } else {
+            await sleep(20)
+            waited += 20
+          }
+        }
+
+        // interrupt() already emptied the queue; text enqueued since then plays next
+        if (this.isCancelled(item.generation)) {
+          player.stop()
+          continue
+        }
+        this.pendingQueue.shift()
+        await player.finish()
+        if (player.playedBytes > 0) {
+          await sleep(60)
+        }
+      }
+    } finally {
+      this.isProcessingQueue = false
+    }
+  }
+
+  // Paced frame player: PCM is pushed as it is synthesized and drained to the leg in real time
+  createPlayer(generation = this.generation) {
+    const output = this.output || {}
+    const frameMs = output.frameMs || 40
+    const frameBytes = Math.floor(frameMs * BYTES_PER_MS)
+    const session = { interrupt: false }
+    this.currentAudioStreaming = session
+
+    let pending = Buffer.alloc(0)
+    let ended = false
+    let draining = null
+    const player = { playedBytes: 0 }
+
+    const isStopped = () => this.isCancelled(generation) || session.interrupt
+
+    const drain = async () => {
+      while (!isStopped() && (pending.length >= frameBytes || (ended && pending.length > 0))) {
+        const frame = pending.slice(0, frameBytes)
+        pending = pending.slice(frame.length)
+
+        const payload = output.encoding === "mulaw" ? AudioUtils.encodeMuLaw(frame) : frame
+        let sent = false
+        try {
+          sent = output.send ? output.send(payload) !== false : false
+        } catch (_) {}
+        if (!sent) {
+          session.interrupt = true
+          break
+        }
+
+        player.playedBytes += frame.length
+        this.totalAudioBytes += frame.length
+        this.emit("audio", frame)
+
+        const frameDurationMs = Math.floor(frame.length / BYTES_PER_MS)
+        await sleep(Math.max(frameDurationMs - 2, 10))
+      }
+    }
+
+    const startDrain = () => {
+      if (draining) return
+      draining = drain().finally(() => {
+        draining = null
+        // Audio pushed while the loop was winding down
+        if (pending.length >= frameBytes && !isStopped()) startDrain()
+      })
+    }
+
+    player.push = (pcm) => {
+      if (isStopped() || !pcm?.length) return
+      pending = pending.length ? Buffer.concat([pending, pcm]) : pcm
+      startDrain()
+    }
+
+    player.finish = async () => {
+      ended = true
+      while (draining || (pending.length > 0 && !isStopped())) {
+        if (!draining) startDrain()
+        await draining
+      }
+      if (this.currentAudioStreaming === session) this.currentAudioStreaming = null
+    }
+
+    player.stop = () => {
+      session.interrupt = true
+      pending = Buffer.alloc(0)
+    }
+
+    return player
+  }
+
+  getStats() {
+    return {
+      provider: this.name,
+      totalAudioBytes: this.totalAudioBytes,
+      totalAudioMs: Math.floor(this.totalAudioBytes / BYTES_PER_MS),
+    }
+  }
+}
+
+// Sarvam bulbul over HTTP; returns a complete 8 kHz WAV per request
+class SarvamTtsProvider extends BaseTtsProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = "sarvam"
+    this.apiKey = this.apiKey || process.env.SARVAM_API_KEY
+    this.url = options.url || TTS_ENDPOINTS.sarvam
+    this.model = options.model || "bulbul:v1"
+    this.voice = getValidSarvamVoice(options.voice || "pavithra")
+  }
+
+  async synthesize(text) {
+    const { signal, release } = this.createAbortSignal()
+    this.trackRequest()
+    try {
+      const response = await fetch(this.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "API-Subscription-Key": this.apiKey,
+        },
+        body: JSON.stringify({
+          inputs: [text],
+          target_language_code: getSarvamLanguage(this.language),
+          speaker: this.voice,
+          pitch: 0,
+          pace: 1.0,
+          loudness: 1.0,
+          speech_sample_rate: OUTPUT_SAMPLE_RATE,
+          enable_preprocessing: true,
+          model: this.model,
+        }),
+        signal,
+      })
+
+      if (!response.ok) {
+        throw new Error(`Sarvam API error: ${response.status}`)
+      }
+
+      const data = await response.json()
+      const audioBase64 = data.audios?.[0]
+      if (!audioBase64) {
+        throw new Error("No audio data received from Sarvam API")
+      }
+
+      return extractWavPcm(Buffer.from(audioBase64, "base64"))
+    } finally {
+      release()
+    }
+  }
+}
+
+// Base for providers that stream raw PCM16 over a chunked HTTP response at a higher sample rate
+class StreamingHttpTtsProvider extends BaseTtsProvider {
+  constructor(options = {}) {
+    super(options)
+    this.sourceSampleRate = 16000
+  }
+
+  buildRequest(text) {
+    throw new Error(`buildRequest() not implemented for TTS provider: ${this.name}`)
+  }
+
+  async synthesizeStream(text, onAudio) {
+    const generation = this.generation
+    const { url, headers, body } = this.buildRequest(text)
+    const { signal, release } = this.createAbortSignal()
+    const downsample = createStreamDownsampler(this.sourceSampleRate)
+    this.trackRequest()
+
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+        signal,
+      })
+
+      if (!response.ok) {
+        throw new Error(`${this.name} TTS API error: ${response.status}`)
+      }
+
+      let receivedBytes = 0
+      for await (const chunk of response.body) {
+        if (this.isCancelled(generation)) break
+        const pcm = downsample(Buffer.from(chunk))
+        receivedBytes += pcm.length
+        if (pcm.length) onAudio(pcm)
+      }
+
+      if (receivedBytes === 0 && !this.isCancelled(generation)) {
+        throw new Error(`No audio data received from ${this.name}`)
+      }
+    } finally {
+      release()
+    }
+  }
+
+  async synthesize(text) {
+    const chunks = []
+    await this.synthesizeStream(text, (pcm) => chunks.push(pcm))
+    return Buffer.concat(chunks)
+  }
+}
+
+class ElevenLabsTtsProvider extends StreamingHttpTtsProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = "elevenlabs"
+    this.apiKey = this.apiKey || process.env.ELEVEN_API_KEY || process.env.ELEVENLABS_API_KEY
+    this.url = options.url || TTS_ENDPOINTS.elevenlabs
+    this.model = options.model || process.env.ELEVEN_MODEL_ID || "eleven_flash_v2_5"
+    this.voiceId = this.voiceId || process.env.ELEVEN_VOICE_ID || "p9aflnsbBe1o0aDeQa97"
+    this.sourceSampleRate = 16000
+  }
+
+  buildRequest(text) {
+    return {
+      url: `${this.url}/${encodeURIComponent(this.voiceId)}/stream?output_format=pcm_16000&optimize_streaming_latency=3`,
+      headers: { "xi-api-key": this.apiKey },
+      body: {
+        text,
+        model_id: this.model,
+        language_code: (this.language || "hi").split("-")[0],
+        voice_settings: { stability: 0.4, similarity_boost: 0.75, style: 0.2 },
+      },
+    }
+  }
+}
+
+class OpenAITtsProvider extends StreamingHttpTtsProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = "openai"
+    this.apiKey = this.apiKey || process.env.OPENAI_API_KEY
+    this.url = options.url || TTS_ENDPOINTS.openai
+    this.model = options.model || process.env.OPENAI_TTS_MODEL || "tts-1"
+    const voiceLabel = (options.voice || "").toString().trim().toLowerCase()
+    this.voiceId = this.voiceId || OPENAI_VOICE_MAPPING[voiceLabel] || "alloy"
+    this.sourceSampleRate = 24000 // response_format "pcm" is 24 kHz s16le mono
+  }
+
+  buildRequest(text) {
+    return {
+      url: this.url,
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      body: {
+        model: this.model,
+        input: text,
+        voice: this.voiceId,
+        response_format: "pcm",
+      },
+    }
+  }
+}
+
+const TTS_PROVIDERS = {
+  sarvam: SarvamTtsProvider,
+  elevenlabs: ElevenLabsTtsProvider,
+  openai: OpenAITtsProvider,
+}
+
+// Allow additional synthesizers (google, azure, aws) to be plugged in without touching call handlers
+const registerTtsProvider = (name, ProviderClass) => {
+  TTS_PROVIDERS[name.toLowerCase()] = ProviderClass
+}
+
+/**
+ * Build the TTS adapter selected on the agent document
+ * @param {string} selection - Agent.ttsSelection (sarvam, elevenlabs, openai, google, azure, aws)
+ * @param {Object} options - { language, voice, voiceId, apiKey, onRequest, output }
+ * @returns {BaseTtsProvider}
+ */
+const createTtsProvider = (selection = "sarvam", options = {}) => {
+  const key = (selection || "sarvam").toString().toLowerCase()
+  const ProviderClass = TTS_PROVIDERS[key]
+  if (!ProviderClass) {
+    console.log(`⚠️ [TTS-PROVIDER] "${selection}" is not available, falling back to sarvam`)
+    return new SarvamTtsProvider(options)
+  }
+  return new ProviderClass(options)
+}
+
+// Provider name actually used for a selection (for CallLog metadata)
+const resolveTtsProviderName = (selection = "sarvam") => {
+  const key = (selection || "sarvam").toString().toLowerCase()
+  return TTS_PROVIDERS[key] ? key : "sarvam"
+}
+
+module.exports = {
+  BaseTtsProvider,
+  SarvamTtsProvider,
+  ElevenLabsTtsProvider,
+  OpenAITtsProvider,
+  createTtsProvider,
+  registerTtsProvider,
+  resolveTtsProviderName,
+  getSarvamLanguage,
+  getValidSarvamVoice,
+  LANGUAGE_MAPPING,
+  TTS_PROVIDERS,
+}